@@ -0,0 +1,338 @@
+/**
+ * Account Linking Handlers
+ *
+ * /link moves a member's future rewards from their synthetic Telegram identity
+ * to a real email or wallet they prove they own; /whoami shows which identity
+ * rewards go to, and /unlink goes back to the Telegram one.
+ *
+ * All three only run in a private chat - emails and codes don't belong in a group.
+ * LTZ already earned stays where it was earned (see utils/accounts.js).
+ */
+
+import { escapeHtml, sendMessage, replyTo, callTelegram, getBotUsername } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator } from '../utils/i18n.js';
+import { clearWalletCache } from '../utils/wallet.js';
+import { isSignature, recoverPersonalSignAddress } from '../utils/ethereum.js';
+import { hasVerificationProvider, sendVerificationCode } from '../utils/verification.js';
+import {
+  PENDING_TTL,
+  MAX_CODE_ATTEMPTS,
+  RESEND_INTERVAL_MS,
+  CODE_LOCKOUT,
+  getCodeLockout,
+  lockCodeRequests,
+  LINK_CHANGE_INTERVAL,
+  syntheticIdentity,
+  getLinkedAccount,
+  saveLinkedAccount,
+  deleteLinkedAccount,
+  getPendingLink,
+  savePendingLink,
+  deletePendingLink,
+  createVerificationCode,
+  hashVerificationCode,
+  createLinkChallenge,
+  parseAccount,
+  getNextLinkChange,
+  recordLinkChange
+} from '../utils/accounts.js';
+
+const CODE_PATTERN = /^\d{6}$/;
+
+/**
+ * COMMAND: /link [email | wallet | code | signature | cancel]
+ */
+export async function handleLink(message, env, command) {
+  const t = await getTranslator(env, message.chat.id, message.from);
+  if (!(await requirePrivateChat(env, message, command, t))) return;
+
+  const chatId = message.chat.id;
+  const user = message.from;
+  if (!env.TELEGRAM_BOT_KV) {
+    await sendMessage(env, chatId, t("error.no_kv"));
+    return;
+  }
+
+  const [input] = parseArgs(command.args).positional;
+  const pending = await getPendingLink(env, user.id);
+
+  if (!input) {
+    const linked = await getLinkedAccount(env, user.id);
+    if (pending) {
+      await sendMessage(env, chatId, t(`link.pending_${pending.type}`, { value: escapeHtml(pending.value) }));
+    } else if (linked) {
+      await sendMessage(env, chatId, t("link.current", { type: t(`link.type_${linked.type}`), value: escapeHtml(linked.value) }));
+    } else {
+      await sendMessage(env, chatId, t("link.usage"));
+    }
+    return;
+  }
+
+  if (input.toLowerCase() === "cancel") {
+    await deletePendingLink(env, user.id);
+    await sendMessage(env, chatId, t("link.cancelled"));
+    return;
+  }
+
+  if (CODE_PATTERN.test(input)) {
+    await confirmEmail(env, message, pending, input, t);
+    return;
+  }
+
+  if (isSignature(input)) {
+    await confirmWallet(env, message, pending, input, t);
+    return;
+  }
+
+  const account = parseAccount(input);
+  if (!account) {
+    await sendMessage(env, chatId, t("link.usage"));
+    return;
+  }
+
+  const linked = await getLinkedAccount(env, user.id);
+  if (linked && linked.value === account.value) {
+    await sendMessage(env, chatId, t("link.already", { value: escapeHtml(account.value) }));
+    return;
+  }
+  if (await refuseLinkChange(env, message, t)) return;
+
+  if (account.type === "email") {
+    await startEmailLink(env, message, account.value, pending, t);
+  } else {
+    await startWalletLink(env, message, account.value, t);
+  }
+}
+
+/**
+ * Email a one-time code for /link <email>
+ */
+async function startEmailLink(env, message, email, pending, t) {
+  const chatId = message.chat.id;
+  const userId = message.from.id;
+
+  if (!hasVerificationProvider(env)) {
+    await sendMessage(env, chatId, t("link.email_unavailable"));
+    return;
+  }
+
+  const lockedUntil = await getCodeLockout(env, userId);
+  if (lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((Date.parse(lockedUntil) - Date.now()) / 60000));
+    await sendMessage(env, chatId, t("link.code_lockout", { minutes }));
+    return;
+  }
+
+  if (pending && pending.type === "email" && pending.value === email &&
+      Date.now() - Date.parse(pending.sentAt) < RESEND_INTERVAL_MS) {
+    await sendMessage(env, chatId, t("link.code_wait", { value: escapeHtml(email) }));
+    return;
+  }
+
+  const code = createVerificationCode();
+  const minutes = PENDING_TTL / 60;
+  const sent = await sendVerificationCode(env, { email, code, expiresInMinutes: minutes, telegramUserId: userId });
+  if (!sent) {
+    await sendMessage(env, chatId, t("link.send_failed"));
+    return;
+  }
+
+  await savePendingLink(env, userId, {
+    type: "email",
+    value: email,
+    codeHash: await hashVerificationCode(userId, code),
+    attempts: 0,
+    sentAt: new Date().toISOString()
+  });
+  await sendMessage(env, chatId, t("link.code_sent", { value: escapeHtml(email), minutes }));
+}
+
+/**
+ * Hand out a challenge to sign for /link <wallet>
+ */
+async function startWalletLink(env, message, address, t) {
+  const userId = message.from.id;
+  const challenge = createLinkChallenge(userId, address, await getBotUsername(env));
+
+  await savePendingLink(env, userId, {
+    type: "wallet",
+    value: address,
+    challenge,
+    sentAt: new Date().toISOString()
+  });
+  await sendMessage(env, message.chat.id, t("link.sign", {
+    value: escapeHtml(address),
+    challenge: escapeHtml(challenge),
+    minutes: PENDING_TTL / 60
+  }));
+}
+
+/**
+ * /link <code> - finish linking an email
+ */
+async function confirmEmail(env, message, pending, code, t) {
+  const chatId = message.chat.id;
+  const userId = message.from.id;
+
+  if (!pending || pending.type !== "email") {
+    await sendMessage(env, chatId, t("link.nothing_pending"));
+    return;
+  }
+
+  if (await hashVerificationCode(userId, code) !== pending.codeHash) {
+    pending.attempts += 1;
+    if (pending.attempts >= MAX_CODE_ATTEMPTS) {
+      await deletePendingLink(env, userId);
+      await lockCodeRequests(env, userId);
+      await sendMessage(env, chatId, t("link.code_locked", { minutes: CODE_LOCKOUT / 60 }));
+      return;
+    }
+    await savePendingLink(env, userId, pending);
+    await sendMessage(env, chatId, t("link.code_wrong", { count: MAX_CODE_ATTEMPTS - pending.attempts }));
+    return;
+  }
+
+  await completeLink(env, message, pending, t);
+}
+
+/**
+ * /link <signature> - finish linking a wallet
+ */
+async function confirmWallet(env, message, pending, signature, t) {
+  const chatId = message.chat.id;
+
+  if (!pending || pending.type !== "wallet") {
+    await sendMessage(env, chatId, t("link.nothing_pending"));
+    return;
+  }
+
+  if (recoverPersonalSignAddress(pending.challenge, signature) !== pending.value) {
+    await sendMessage(env, chatId, t("link.signature_wrong", { value: escapeHtml(pending.value) }));
+    return;
+  }
+
+  await completeLink(env, message, pending, t);
+}
+
+async function completeLink(env, message, pending, t) {
+  const user = message.from;
+  // Checked again in case another link or /unlink went through since it started
+  if (await refuseLinkChange(env, message, t)) {
+    await deletePendingLink(env, user.id);
+    return;
+  }
+
+  await saveLinkedAccount(env, user.id, pending.type, pending.value);
+  await deletePendingLink(env, user.id);
+  await recordLinkChange(env, user.id);
+  // Balance and history now come from the linked identity
+  await clearWalletCache(env, user);
+
+  console.log(`User ${user.id} linked ${pending.type} account`);
+  await sendMessage(env, message.chat.id, [
+    t("link.linked", { type: t(`link.type_${pending.type}`), value: escapeHtml(pending.value) }),
+    ``,
+    t("link.policy", { identity: escapeHtml(syntheticIdentity(user)), days: LINK_CHANGE_INTERVAL / 86400 })
+  ].join("\n"));
+}
+
+/**
+ * COMMAND: /whoami
+ */
+export async function handleWhoami(message, env, command) {
+  const t = await getTranslator(env, message.chat.id, message.from);
+  if (!(await requirePrivateChat(env, message, command, t))) return;
+
+  const user = message.from;
+  const identity = escapeHtml(syntheticIdentity(user));
+  const linked = await getLinkedAccount(env, user.id);
+
+  const lines = [
+    t("whoami.title"),
+    ``,
+    t("whoami.telegram", { id: user.id })
+  ];
+  if (linked) {
+    lines.push(
+      t("whoami.linked", {
+        type: t(`link.type_${linked.type}`),
+        value: escapeHtml(linked.value),
+        date: linked.linkedAt.slice(0, 10)
+      }),
+      ``,
+      t("link.policy", { identity, days: LINK_CHANGE_INTERVAL / 86400 })
+    );
+  } else {
+    lines.push(t("whoami.synthetic", { identity }));
+  }
+
+  await sendMessage(env, message.chat.id, lines.join("\n"));
+}
+
+/**
+ * COMMAND: /unlink
+ */
+export async function handleUnlink(message, env, command) {
+  const t = await getTranslator(env, message.chat.id, message.from);
+  if (!(await requirePrivateChat(env, message, command, t))) return;
+
+  const user = message.from;
+  const linked = await getLinkedAccount(env, user.id);
+  if (!linked) {
+    await sendMessage(env, message.chat.id, t("link.not_linked"));
+    return;
+  }
+  if (await refuseLinkChange(env, message, t)) return;
+
+  await deleteLinkedAccount(env, user.id);
+  await deletePendingLink(env, user.id);
+  await recordLinkChange(env, user.id);
+  await clearWalletCache(env, user);
+
+  console.log(`User ${user.id} unlinked ${linked.type} account`);
+  await sendMessage(env, message.chat.id, t("link.unlinked", {
+    identity: escapeHtml(syntheticIdentity(user)),
+    type: t(`link.type_${linked.type}`),
+    value: escapeHtml(linked.value)
+  }));
+}
+
+/**
+ * Turn a link or unlink away if the member changed where rewards go too recently
+ *
+ * @returns {Promise<boolean>} - Whether it was refused
+ */
+async function refuseLinkChange(env, message, t) {
+  const nextAt = await getNextLinkChange(env, message.from.id);
+  if (!nextAt) return false;
+
+  await sendMessage(env, message.chat.id, t("link.too_soon", {
+    days: LINK_CHANGE_INTERVAL / 86400,
+    date: nextAt.slice(0, 10)
+  }));
+  return true;
+}
+
+/**
+ * Turn a group invocation away, pointing at the bot's DM
+ * Anything typed after the command (an email, a code) is deleted from the group
+ * when the bot is allowed to.
+ *
+ * @returns {Promise<boolean>} - Whether this is a private chat
+ */
+async function requirePrivateChat(env, message, command, t) {
+  if (message.chat.type === "private") return true;
+
+  if (command.args.length > 0) {
+    await callTelegram(env, "deleteMessage", { chat_id: message.chat.id, message_id: message.message_id });
+  }
+
+  const botUsername = await getBotUsername(env);
+  const link = botUsername ? `https://t.me/${botUsername.replace(/^@/, "")}` : t("dm.bot_profile");
+  await replyTo(env, message, t("link.private_only", {
+    name: escapeHtml(message.from.first_name || t("dm.there")),
+    link
+  }));
+  return false;
+}
@@ -0,0 +1,524 @@
+/**
+ * Admin API Handlers
+ *
+ * HTTP routes for operators to manage per-chat configuration without going
+ * through Telegram. Every route needs `Authorization: Bearer <token>` (see
+ * utils/auth.js), and every change is written to the audit log under the
+ * token's operator name.
+ *
+ * GET    /admin/chats                   - Chats the bot serves
+ * GET    /admin/chats/:id               - A chat's record and config
+ * PATCH  /admin/chats/:id/config        - Update config keys ({ KEY: value }, null deletes)
+ * DELETE /admin/chats/:id/config[/:key] - Delete all config keys, or one
+ * GET    /admin/export                  - Every chat's config as JSON
+ * POST   /admin/import                  - Load an export ({ chats, mode: "merge" | "replace" })
+ * GET    /admin/audit[?chat=&limit=]    - Audit log, newest first
+ * GET    /admin/webhook                 - The webhook's state from Telegram (getWebhookInfo)
+ */
+
+import { getAdminActor } from '../utils/auth.js';
+import { recordAudit, listAudit } from '../utils/audit.js';
+import {
+  CHAT_CONFIG_KEYS,
+  JSON_CONFIG_KEYS,
+  getChatRecord,
+  listChats,
+  getChatConfig,
+  setChatConfigValue
+} from '../utils/chats.js';
+import { isValidTimezone } from '../utils/dates.js';
+import { SCHEDULE_JOBS, parseTime } from '../utils/schedule.js';
+import { checkEvent } from '../utils/events.js';
+import { getChatBrand, isBrandAddress } from '../utils/brands.js';
+import { resolveLocale } from '../utils/i18n.js';
+import { CAPTCHA_MODES, DEFAULT_TIMEOUT_MINUTES, MAX_TIMEOUT_MINUTES } from '../utils/captcha.js';
+import { MESSAGE_KINDS } from '../utils/templates.js';
+import { NAME_PATTERN } from '../utils/commands.js';
+import { getWebhookStatus } from './setup.js';
+import { COMMANDS } from './commands.js';
+
+function respond(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+/**
+ * ROUTE: /admin/*
+ */
+export async function handleAdminRequest(request, env) {
+  const actor = getAdminActor(request, env);
+  if (!actor) {
+    return respond(401, { success: false, error: "Unauthorized" });
+  }
+
+  const url = new URL(request.url);
+  const method = request.method;
+  const parts = url.pathname.split("/").filter(Boolean).slice(1);
+
+  if (parts[0] === "webhook" && parts.length === 1 && method === "GET") {
+    return respond(200, { success: true, webhook: await getWebhookStatus(env) });
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    return respond(503, { success: false, error: "KV storage not configured" });
+  }
+
+  if (parts[0] === "chats") {
+    if (parts.length === 1 && method === "GET") {
+      return respond(200, { success: true, chats: (await listChats(env)).map(summarizeChat) });
+    }
+
+    const chatId = Number(parts[1]);
+    if (!Number.isSafeInteger(chatId)) {
+      return respond(404, { success: false, error: "Not found" });
+    }
+
+    if (parts.length === 2 && method === "GET") {
+      return await getChat(env, chatId);
+    }
+    if (parts[2] === "config" && parts.length === 3 && (method === "PATCH" || method === "PUT")) {
+      return await updateChatConfig(request, env, actor, chatId, method === "PUT");
+    }
+    if (parts[2] === "config" && parts.length <= 4 && method === "DELETE") {
+      return await deleteChatConfig(env, actor, chatId, parts[3]);
+    }
+  }
+
+  if (parts[0] === "export" && parts.length === 1 && method === "GET") {
+    return await exportConfig(env);
+  }
+  if (parts[0] === "import" && parts.length === 1 && method === "POST") {
+    return await importConfig(request, env, actor);
+  }
+  if (parts[0] === "audit" && parts.length === 1 && method === "GET") {
+    const chat = url.searchParams.get("chat");
+    const limit = Math.min(parseInt(url.searchParams.get("limit"), 10) || 50, 500);
+    const entries = await listAudit(env, { chatId: chat ? Number(chat) : null, limit });
+    return respond(200, { success: true, entries });
+  }
+
+  return respond(404, { success: false, error: "Not found" });
+}
+
+/**
+ * Chat record without the archived config (exported separately)
+ */
+function summarizeChat(record) {
+  const { archivedConfig, ...summary } = record;
+  return { ...summary, hasArchivedConfig: !!archivedConfig };
+}
+
+async function getChat(env, chatId) {
+  const record = await getChatRecord(env, chatId);
+  const config = await getChatConfig(env, chatId);
+  if (!record && Object.keys(config).length === 0) {
+    return respond(404, { success: false, error: `Chat ${chatId} not found` });
+  }
+
+  return respond(200, {
+    success: true,
+    chat: record ? summarizeChat(record) : { id: chatId, status: "unregistered" },
+    config
+  });
+}
+
+/**
+ * Check a config value the way the matching /config_* command would
+ *
+ * @returns {Promise<{value: any}|{error: string}>} - The value to store (null deletes)
+ */
+async function validateConfigValue(env, prefix, value, brandId) {
+  if (!CHAT_CONFIG_KEYS.includes(prefix)) {
+    return { error: `Unknown config key ${prefix}` };
+  }
+  if (value === null) {
+    return { value: null };
+  }
+
+  if (prefix.endsWith("_EVENT_ID")) {
+    if (typeof value !== "string" || !value.trim()) {
+      return { error: `${prefix} must be an event ID` };
+    }
+    return await validateEventId(env, prefix, value.trim(), brandId);
+  }
+
+  if (prefix === "BRAND") {
+    if (!isBrandAddress(value)) {
+      return { error: `${prefix} must be a brand address (0x followed by 40 hex digits)` };
+    }
+    return { value };
+  }
+
+  if (prefix === "JOIN_HOLD_MINUTES") {
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      return { error: `${prefix} must be a whole number of minutes` };
+    }
+    return { value: String(minutes) };
+  }
+
+  if (prefix === "JOIN_CLAIM_BUTTON") {
+    if (value === true || value === "on") return { value: "on" };
+    if (value === false || value === "off") return { value: null };
+    return { error: `${prefix} must be "on" or "off"` };
+  }
+
+  if (prefix === "TIMEZONE") {
+    if (typeof value !== "string" || !isValidTimezone(value)) {
+      return { error: `${prefix} must be an IANA timezone like Europe/Berlin` };
+    }
+    return { value };
+  }
+
+  if (prefix === "LANGUAGE") {
+    const locale = typeof value === "string" ? await resolveLocale(value) : null;
+    if (!locale) {
+      return { error: `${prefix} must be a language code with a message catalogue, like es` };
+    }
+    return { value: locale };
+  }
+
+  if (prefix === "REACTION_REWARD") {
+    if (!value || typeof value !== "object" || typeof value.eventId !== "string" || !value.eventId.trim() ||
+        !Array.isArray(value.emoji) || value.emoji.length === 0 || !value.emoji.every(emoji => typeof emoji === "string")) {
+      return { error: `${prefix} must be { eventId, emoji: [..] }` };
+    }
+    const checked = await validateEventId(env, prefix, value.eventId.trim(), brandId);
+    return checked.error ? checked : { value: { eventId: checked.value, emoji: value.emoji } };
+  }
+
+  if (prefix === "STREAK_BONUS") {
+    if (!value || typeof value !== "object" || typeof value.eventId !== "string" || !value.eventId.trim() ||
+        !Array.isArray(value.milestones) || value.milestones.length === 0 ||
+        !value.milestones.every(days => Number.isInteger(days) && days >= 2)) {
+      return { error: `${prefix} must be { eventId, milestones: [days..] } with milestones of 2 days or more` };
+    }
+    const checked = await validateEventId(env, prefix, value.eventId.trim(), brandId);
+    const milestones = [...new Set(value.milestones)].sort((a, b) => a - b);
+    return checked.error ? checked : { value: { eventId: checked.value, milestones } };
+  }
+
+  if (prefix === "CAPTCHA") {
+    const valid = value && typeof value === "object" && !Array.isArray(value) &&
+      CAPTCHA_MODES.includes(value.mode) &&
+      (value.timeoutMinutes === undefined || (Number.isInteger(value.timeoutMinutes) &&
+        value.timeoutMinutes >= 1 && value.timeoutMinutes <= MAX_TIMEOUT_MINUTES)) &&
+      ["requireUsername", "requirePhoto"].every(flag => value[flag] === undefined || typeof value[flag] === "boolean");
+    if (!valid) {
+      return { error: `${prefix} must be { mode: ${CAPTCHA_MODES.join("|")}, timeoutMinutes: 1-${MAX_TIMEOUT_MINUTES}, requireUsername, requirePhoto }` };
+    }
+    return {
+      value: {
+        mode: value.mode,
+        timeoutMinutes: value.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES,
+        requireUsername: !!value.requireUsername,
+        requirePhoto: !!value.requirePhoto
+      }
+    };
+  }
+
+  if (prefix === "MESSAGE_TEMPLATES") {
+    const valid = value && typeof value === "object" && !Array.isArray(value) &&
+      Object.entries(value).every(([kind, template]) =>
+        MESSAGE_KINDS.includes(kind) && typeof template === "string" && template.trim());
+    if (!valid) {
+      return { error: `${prefix} must map ${MESSAGE_KINDS.join("/")} to template text` };
+    }
+    return { value };
+  }
+
+  if (prefix === "COMMANDS") {
+    const isCommand = name => COMMANDS.some(command => command.name === name && !command.hidden);
+    const disabled = value?.disabled ?? [];
+    const aliases = value?.aliases ?? {};
+    const valid = value && typeof value === "object" && !Array.isArray(value) &&
+      Array.isArray(disabled) &&
+      disabled.every(name => isCommand(name) && !COMMANDS.find(command => command.name === name).required) &&
+      aliases && typeof aliases === "object" && !Array.isArray(aliases) &&
+      Object.entries(aliases).every(([alias, target]) =>
+        NAME_PATTERN.test(alias) && !COMMANDS.some(command => command.name === alias || command.aliases?.includes(alias)) &&
+        isCommand(target));
+    if (!valid) {
+      return { error: `${prefix} must be { disabled: [command..], aliases: { alias: command } } using the bot's commands` };
+    }
+    return { value: { disabled, aliases } };
+  }
+
+  if (prefix === "KEYWORDS") {
+    return await validateKeywords(env, prefix, value, brandId);
+  }
+
+  if (prefix === "TOPICS") {
+    const topics = value && typeof value === "object" && !Array.isArray(value) ? value.topics || {} : null;
+    const valid = topics && typeof topics === "object" && !Array.isArray(topics) &&
+      (value.quote === undefined || typeof value.quote === "boolean") &&
+      (value.rewardTopics === undefined || (Array.isArray(value.rewardTopics) && value.rewardTopics.length > 0 &&
+        value.rewardTopics.every(Number.isInteger))) &&
+      Object.entries(topics).every(([id, topic]) => /^\d+$/.test(id) && topic && typeof topic === "object" &&
+        (topic.checkinEventId === undefined || (typeof topic.checkinEventId === "string" && topic.checkinEventId.trim())));
+    if (!valid) {
+      return { error: `${prefix} must be { quote, rewardTopics: [topicId..], topics: { topicId: { name, checkinEventId } } }` };
+    }
+
+    const checked = { ...value, topics: {} };
+    for (const [id, topic] of Object.entries(topics)) {
+      checked.topics[id] = { ...topic };
+      if (topic.checkinEventId) {
+        const result = await validateEventId(env, `${prefix}.topics.${id}`, topic.checkinEventId.trim(), brandId);
+        if (result.error) return result;
+        checked.topics[id].checkinEventId = result.value;
+      }
+    }
+    return { value: checked };
+  }
+
+  if (prefix === "SCHEDULE") {
+    const valid = value && typeof value === "object" && !Array.isArray(value) &&
+      Object.entries(value).every(([job, entry]) =>
+        SCHEDULE_JOBS.includes(job) &&
+        parseTime(entry?.time) !== null &&
+        (job === "digest" ? Number.isInteger(entry.day) && entry.day >= 1 && entry.day <= 7 : !entry.day)
+      );
+    if (!valid) {
+      return { error: `${prefix} must map ${SCHEDULE_JOBS.join("/")} to { time: "HH:MM" } (digest also needs day 1-7)` };
+    }
+    return { value };
+  }
+
+  if (JSON_CONFIG_KEYS.includes(prefix)) {
+    const expectArray = prefix === "KEYWORDS";
+    if (typeof value !== "object" || Array.isArray(value) !== expectArray) {
+      return { error: `${prefix} must be a JSON ${expectArray ? "array" : "object"}` };
+    }
+    return { value };
+  }
+
+  return { value };
+}
+
+/**
+ * Check a chat's keyword rules (see utils/keywords.js), resolving each event
+ */
+async function validateKeywords(env, prefix, rules, brandId) {
+  const isOptional = (field, test) => field === undefined || field === null || test(field);
+  const valid = Array.isArray(rules) && rules.every(rule =>
+    rule && typeof rule === "object" &&
+    Number.isInteger(rule.id) && rule.id > 0 &&
+    typeof rule.phrase === "string" && rule.phrase.trim() &&
+    typeof rule.eventId === "string" && rule.eventId.trim() &&
+    isOptional(rule.match, match => match === "insensitive" || match === "exact") &&
+    isOptional(rule.expiresAt, expiresAt => typeof expiresAt === "string" && !isNaN(Date.parse(expiresAt))) &&
+    isOptional(rule.maxClaims, maxClaims => Number.isInteger(maxClaims) && maxClaims > 0) &&
+    isOptional(rule.topicId, Number.isInteger) &&
+    isOptional(rule.claims, claims => Number.isInteger(claims) && claims >= 0)
+  ) && new Set(rules.map(rule => rule.id)).size === rules.length;
+  if (!valid) {
+    return { error: `${prefix} must be an array of { id, phrase, eventId, match, expiresAt, maxClaims, topicId, claims } with unique ids` };
+  }
+
+  const checked = [];
+  for (const rule of rules) {
+    const result = await validateEventId(env, `${prefix}[${rule.id}]`, rule.eventId.trim(), brandId);
+    if (result.error) return result;
+    checked.push({
+      ...rule,
+      phrase: rule.phrase.trim(),
+      eventId: result.value,
+      match: rule.match || "insensitive",
+      expiresAt: rule.expiresAt || null,
+      maxClaims: rule.maxClaims || null,
+      topicId: rule.topicId ?? null,
+      topicName: rule.topicName ?? null,
+      claims: rule.claims || 0
+    });
+  }
+  return { value: checked };
+}
+
+/**
+ * Resolve an event ID or friendly name, refusing unknown and switched-off events
+ * (saved as given when the brand's events can't be fetched)
+ */
+async function validateEventId(env, prefix, input, brandId) {
+  const check = await checkEvent(env, input, brandId);
+  if (check.status === "ok" || check.status === "unverified") {
+    return { value: check.eventId };
+  }
+
+  const problem = check.status === "inactive" ? "is switched off" : "isn't one of the brand's events";
+  const hint = check.suggestions.length
+    ? ` (did you mean ${check.suggestions.map(event => event.name || event.eventId).join(", ")}?)`
+    : "";
+  return { error: `${prefix}: ${input} ${problem}${hint}` };
+}
+
+/**
+ * Validate every key of a config update before writing any of them
+ *
+ * @returns {Promise<{values: Object}|{errors: string[]}>}
+ */
+async function validateConfig(env, chatId, config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return { errors: ["Expected a JSON object of config keys"] };
+  }
+
+  // Event names resolve against the brand the chat will have after this update
+  const brandId = isBrandAddress(config.BRAND) ? config.BRAND
+    : config.BRAND === null ? env.BRAND_ID
+    : await getChatBrand(env, chatId);
+
+  const values = {};
+  const errors = [];
+  for (const [prefix, value] of Object.entries(config)) {
+    const result = await validateConfigValue(env, prefix, value, brandId);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      values[prefix] = result.value;
+    }
+  }
+  return errors.length > 0 ? { errors } : { values };
+}
+
+/**
+ * Write config values, returning what actually changed ({ prefix: { from, to } })
+ */
+async function applyConfig(env, chatId, values) {
+  const current = await getChatConfig(env, chatId);
+  const changes = {};
+
+  for (const [prefix, value] of Object.entries(values)) {
+    const from = current[prefix] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(value)) continue;
+
+    await setChatConfigValue(env, chatId, prefix, value);
+    changes[prefix] = { from, to: value };
+  }
+  return changes;
+}
+
+/**
+ * A removed chat's config lives in its archive, so it can't be edited live
+ */
+async function isRemoved(env, chatId) {
+  return (await getChatRecord(env, chatId))?.status === "removed";
+}
+
+/**
+ * ROUTE: PATCH /admin/chats/:id/config (PUT also clears keys left out of the body)
+ */
+async function updateChatConfig(request, env, actor, chatId, replace) {
+  if (await isRemoved(env, chatId)) {
+    return respond(409, { success: false, error: `The bot was removed from chat ${chatId}; its config is archived` });
+  }
+
+  const body = await request.json().catch(() => null);
+  const validated = await validateConfig(env, chatId, body);
+  if (validated.errors) {
+    return respond(400, { success: false, errors: validated.errors });
+  }
+
+  const values = replace
+    ? { ...Object.fromEntries(CHAT_CONFIG_KEYS.map(prefix => [prefix, null])), ...validated.values }
+    : validated.values;
+  const changes = await applyConfig(env, chatId, values);
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(env, actor, "update", chatId, changes);
+  }
+
+  return respond(200, { success: true, changes, config: await getChatConfig(env, chatId) });
+}
+
+/**
+ * ROUTE: DELETE /admin/chats/:id/config[/:key]
+ */
+async function deleteChatConfig(env, actor, chatId, prefix) {
+  if (prefix && !CHAT_CONFIG_KEYS.includes(prefix)) {
+    return respond(400, { success: false, errors: [`Unknown config key ${prefix}`] });
+  }
+
+  const prefixes = prefix ? [prefix] : CHAT_CONFIG_KEYS;
+  const changes = await applyConfig(env, chatId, Object.fromEntries(prefixes.map(p => [p, null])));
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(env, actor, "delete", chatId, changes);
+  }
+
+  return respond(200, { success: true, changes });
+}
+
+/**
+ * ROUTE: GET /admin/export
+ */
+async function exportConfig(env) {
+  const chats = [];
+  for (const record of await listChats(env)) {
+    chats.push({
+      id: record.id,
+      title: record.title,
+      status: record.status,
+      config: record.status === "removed" ? {} : await getChatConfig(env, record.id)
+    });
+  }
+
+  return respond(200, { exportedAt: new Date().toISOString(), chats });
+}
+
+/**
+ * ROUTE: POST /admin/import
+ *
+ * JSON body: an export ({ chats: [{ id, config }] }), plus optional
+ * mode "merge" (default, keys not in the import are kept) or "replace".
+ * Every chat is validated before anything is written.
+ */
+async function importConfig(request, env, actor) {
+  const body = await request.json().catch(() => null);
+  if (!body || !Array.isArray(body.chats)) {
+    return respond(400, { success: false, errors: ["Expected JSON body with a chats array"] });
+  }
+  const mode = body.mode || "merge";
+  if (mode !== "merge" && mode !== "replace") {
+    return respond(400, { success: false, errors: [`Unknown mode ${mode}`] });
+  }
+
+  const planned = [];
+  const skipped = [];
+  const errors = [];
+  for (const entry of body.chats) {
+    const chatId = Number(entry?.id);
+    if (!Number.isSafeInteger(chatId)) {
+      errors.push(`Invalid chat id ${JSON.stringify(entry?.id)}`);
+      continue;
+    }
+    if (await isRemoved(env, chatId)) {
+      skipped.push(chatId);
+      continue;
+    }
+
+    const validated = await validateConfig(env, chatId, entry.config || {});
+    if (validated.errors) {
+      errors.push(...validated.errors.map(error => `Chat ${chatId}: ${error}`));
+      continue;
+    }
+    planned.push({ chatId, values: validated.values });
+  }
+
+  if (errors.length > 0) {
+    return respond(400, { success: false, errors });
+  }
+
+  const imported = {};
+  for (const { chatId, values } of planned) {
+    const all = mode === "replace"
+      ? { ...Object.fromEntries(CHAT_CONFIG_KEYS.map(prefix => [prefix, null])), ...values }
+      : values;
+    const changes = await applyConfig(env, chatId, all);
+    if (Object.keys(changes).length > 0) {
+      await recordAudit(env, actor, "import", chatId, changes);
+      imported[chatId] = Object.keys(changes);
+    }
+  }
+
+  return respond(200, { success: true, mode, imported, skipped });
+}
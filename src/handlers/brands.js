@@ -0,0 +1,60 @@
+/**
+ * Brand Handlers
+ *
+ * /config_brand binds a chat to a Loyalteez brand, so one worker can serve
+ * communities of several brands. Binding needs the brand's claim code unless
+ * the operator has allow-listed the chat (see utils/brands.js).
+ */
+
+import { escapeHtml, replyTo, callTelegram } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { getChatBrand, setChatBrand, canClaimBrand, isBrandAddress } from '../utils/brands.js';
+import { getTranslator } from '../utils/i18n.js';
+
+/**
+ * ADMIN COMMAND: /config_brand [<brand_address> [claim_code]|reset]
+ */
+export async function handleConfigBrand(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+  const [brandArg, claimCode] = parseArgs(command.args).positional;
+
+  if (!brandArg) {
+    const brandId = await getChatBrand(env, chatId);
+    await replyTo(env, message, brandId
+      ? t(brandId === env.BRAND_ID ? "brand.current_default" : "brand.current", { brand: escapeHtml(brandId) })
+      : t("brand.none"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  if (brandArg.toLowerCase() === "reset") {
+    await setChatBrand(env, chatId, null);
+    await replyTo(env, message, env.BRAND_ID
+      ? t("brand.reset_default", { brand: escapeHtml(env.BRAND_ID) })
+      : t("brand.removed"));
+    return;
+  }
+
+  if (!isBrandAddress(brandArg)) {
+    await replyTo(env, message, t("brand.usage"));
+    return;
+  }
+
+  // Keep the claim code out of the chat history
+  if (claimCode) {
+    await callTelegram(env, "deleteMessage", { chat_id: chatId, message_id: message.message_id });
+  }
+
+  if (!canClaimBrand(env, brandArg, chatId, claimCode)) {
+    await replyTo(env, message, t(claimCode ? "brand.bad_code" : "brand.not_allowed"));
+    return;
+  }
+
+  await setChatBrand(env, chatId, brandArg);
+  await replyTo(env, message, t("brand.set", { brand: escapeHtml(brandArg) }));
+}
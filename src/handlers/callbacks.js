@@ -0,0 +1,45 @@
+/**
+ * Callback Query Router
+ *
+ * Routes inline button presses to their handlers. Every press is validated
+ * against the button registry first, so only buttons the bot posted - on the
+ * message and chat they were posted to - can trigger anything.
+ */
+
+import { answerCallbackQuery } from '../utils/telegram.js';
+import { validateButton } from '../utils/buttons.js';
+import { handleCheckinButton } from './checkin.js';
+import { handleWelcomeButton } from './membership.js';
+import { handleCaptchaButton } from './captcha.js';
+import { getTranslator } from '../utils/i18n.js';
+
+// Callback action (callback data up to the first ":") → handler(callbackQuery, env)
+const CALLBACK_HANDLERS = {
+  checkin: handleCheckinButton,
+  welcome: handleWelcomeButton,
+  captcha: handleCaptchaButton
+};
+
+/**
+ * Handle a `callback_query` update
+ */
+export async function handleCallbackQuery(callbackQuery, env) {
+  const handler = CALLBACK_HANDLERS[(callbackQuery.data || "").split(":")[0]];
+  const rejected = async (reason, alert = false) => {
+    const t = await getTranslator(env, callbackQuery.message?.chat.id, callbackQuery.from);
+    await answerCallbackQuery(env, callbackQuery.id, t(`button.${reason}`), alert);
+  };
+
+  if (!handler || callbackQuery.from.is_bot) {
+    await rejected("unknown");
+    return;
+  }
+
+  const { button, reason } = await validateButton(env, callbackQuery);
+  if (!button) {
+    await rejected(reason, reason === "not_yours");
+    return;
+  }
+
+  await handler(callbackQuery, env);
+}
@@ -0,0 +1,283 @@
+/**
+ * Captcha Handlers
+ *
+ * With /config_captcha on, a new member is muted with restrictChatMember and
+ * shown a one-button or simple math challenge. Solving it lifts the restriction
+ * and carries on with the normal join flow (reward, hold or claim button);
+ * members who don't solve it in time, or answer wrong too often, are removed.
+ *
+ * Timeouts are enforced by a delayed REWARD_QUEUE job, and by sweeping
+ * expired challenges on each cron run and whenever another member joins.
+ */
+
+import { escapeHtml, sendMessage, replyTo, callTelegram, inlineKeyboard, answerCallbackQuery } from '../utils/telegram.js';
+import { registerButton, deleteButton } from '../utils/buttons.js';
+import { parseArgs } from '../utils/args.js';
+import { parseDuration } from '../utils/duration.js';
+import {
+  CAPTCHA_MODES,
+  DEFAULT_TIMEOUT_MINUTES,
+  MAX_TIMEOUT_MINUTES,
+  MAX_WRONG_ANSWERS,
+  getCaptchaSettings,
+  saveCaptchaSettings,
+  createChallenge,
+  getChallenge,
+  saveChallenge,
+  deleteChallenge,
+  listExpiredChallenges,
+  queueCaptchaTimeout
+} from '../utils/captcha.js';
+import { completeJoin } from './membership.js';
+import { getTranslator, formatList } from '../utils/i18n.js';
+
+// Removed members may rejoin (and try again) after this long
+const KICK_BAN_SECONDS = 60;
+
+// Permissions restored if the chat's defaults can't be read
+const FULL_PERMISSIONS = {
+  can_send_messages: true,
+  can_send_audios: true,
+  can_send_documents: true,
+  can_send_photos: true,
+  can_send_videos: true,
+  can_send_video_notes: true,
+  can_send_voice_notes: true,
+  can_send_polls: true,
+  can_send_other_messages: true,
+  can_add_web_page_previews: true,
+  can_invite_users: true
+};
+
+/**
+ * Mute a new member and post their challenge
+ *
+ * @param {Object} join - { timestamp, inviterId, firstJoin } for completeJoin once solved
+ */
+export async function startCaptcha(env, chat, member, settings, join) {
+  const chatId = chat.id;
+  await sweepExpiredCaptchas(env, chatId);
+
+  const restrict = await callTelegram(env, "restrictChatMember", {
+    chat_id: chatId,
+    user_id: member.id,
+    permissions: { can_send_messages: false },
+    use_independent_chat_permissions: true
+  });
+
+  const t = await getTranslator(env, chatId, member);
+  const timeoutMinutes = settings.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES;
+  const { answer, ...challengeMessage } = renderChallenge(createChallenge(settings.mode), member, timeoutMinutes, t);
+
+  const posted = await sendMessage(env, chatId, challengeMessage.text, { reply_markup: challengeMessage.reply_markup });
+  if (!posted) return;
+
+  await registerButton(env, chatId, posted.message_id, {
+    action: "captcha",
+    userId: member.id,
+    ttlSeconds: timeoutMinutes * 60
+  });
+  await saveChallenge(env, chatId, member.id, {
+    messageId: posted.message_id,
+    answer,
+    attempts: 0,
+    expiresAt: new Date(Date.now() + timeoutMinutes * 60 * 1000).toISOString(),
+    joinedAt: join.timestamp,
+    inviterId: join.inviterId,
+    firstJoin: join.firstJoin,
+    restricted: !!restrict.ok
+  });
+  await queueCaptchaTimeout(env, chat, member, timeoutMinutes * 60);
+}
+
+/**
+ * CALLBACK: captcha answer buttons (only the new member can press them)
+ */
+export async function handleCaptchaButton(callbackQuery, env) {
+  const message = callbackQuery.message;
+  const chat = message.chat;
+  const member = callbackQuery.from;
+  const value = callbackQuery.data.split(":")[1];
+  const t = await getTranslator(env, chat.id, member);
+
+  const challenge = await getChallenge(env, chat.id, member.id);
+  if (!challenge || challenge.messageId !== message.message_id) {
+    await answerCallbackQuery(env, callbackQuery.id, t("captcha.inactive"));
+    return;
+  }
+
+  if (value !== challenge.answer) {
+    challenge.attempts += 1;
+    if (challenge.attempts >= MAX_WRONG_ANSWERS) {
+      await answerCallbackQuery(env, callbackQuery.id, t("captcha.too_many"), true);
+      await removeMember(env, chat, member, challenge, "answered wrong too many times");
+      return;
+    }
+
+    // A fresh challenge in the chat's mode (a new sum and options in math mode),
+    // so the next press is another guess
+    const settings = await getCaptchaSettings(env, chat.id);
+    const minutesLeft = Math.max(1, Math.ceil((Date.parse(challenge.expiresAt) - Date.now()) / 60000));
+    const { answer, ...challengeMessage } = renderChallenge(createChallenge(settings?.mode), member, minutesLeft, t);
+    await callTelegram(env, "editMessageText", {
+      chat_id: chat.id,
+      message_id: challenge.messageId,
+      parse_mode: "HTML",
+      ...challengeMessage
+    });
+    challenge.answer = answer;
+
+    await saveChallenge(env, chat.id, member.id, challenge);
+    const left = MAX_WRONG_ANSWERS - challenge.attempts;
+    await answerCallbackQuery(env, callbackQuery.id, t("captcha.wrong", { count: left }), true);
+    return;
+  }
+
+  await deleteChallenge(env, chat.id, member.id);
+  await deleteButton(env, chat.id, challenge.messageId);
+  await callTelegram(env, "deleteMessage", { chat_id: chat.id, message_id: challenge.messageId });
+  if (challenge.restricted) {
+    await liftRestriction(env, chat.id, member.id);
+  }
+  await answerCallbackQuery(env, callbackQuery.id, t("captcha.verified"));
+
+  if (challenge.firstJoin) {
+    await completeJoin(env, chat, member, challenge.joinedAt, challenge.inviterId);
+  }
+}
+
+/**
+ * A challenge's message text and buttons
+ */
+function renderChallenge({ question, answer, options }, member, minutes, t) {
+  const name = escapeHtml(member.first_name);
+  const text = question
+    ? t("captcha.math", { name, question, count: minutes })
+    : t("captcha.button", { name, count: minutes });
+  const buttons = question
+    ? [options.map(option => ({ text: option, callback_data: `captcha:${option}` }))]
+    : [[{ text: t("captcha.human_button"), callback_data: "captcha:ok" }]];
+
+  return { answer, text, reply_markup: inlineKeyboard(buttons) };
+}
+
+/**
+ * Remove a member whose challenge has expired
+ * Used by the REWARD_QUEUE timeout job and the sweeps; does nothing if the
+ * challenge was solved.
+ */
+export async function expireCaptcha(env, chat, user) {
+  const challenge = await getChallenge(env, chat.id, user.id);
+  if (!challenge || Date.parse(challenge.expiresAt) > Date.now()) return;
+
+  await removeMember(env, chat, user, challenge, "didn't complete the captcha in time");
+}
+
+/**
+ * Remove every member whose challenge has expired, in one chat or (from the
+ * cron trigger, without a chatId) in all of them
+ */
+export async function sweepExpiredCaptchas(env, chatId = null) {
+  for (const expired of await listExpiredChallenges(env, chatId)) {
+    try {
+      await expireCaptcha(env, { id: expired.chatId }, { id: expired.userId });
+    } catch (e) {
+      console.error(`Captcha expiry failed for ${expired.userId} in ${expired.chatId}:`, e);
+    }
+  }
+}
+
+/**
+ * Drop a member's open challenge (e.g. because they left on their own)
+ */
+export async function cancelCaptcha(env, chatId, userId) {
+  if (!env.TELEGRAM_BOT_KV) return;
+
+  const challenge = await getChallenge(env, chatId, userId);
+  if (!challenge) return;
+
+  await deleteChallenge(env, chatId, userId);
+  await deleteButton(env, chatId, challenge.messageId);
+  await callTelegram(env, "deleteMessage", { chat_id: chatId, message_id: challenge.messageId });
+}
+
+async function removeMember(env, chat, user, challenge, reason) {
+  await deleteChallenge(env, chat.id, user.id);
+  await deleteButton(env, chat.id, challenge.messageId);
+  await callTelegram(env, "deleteMessage", { chat_id: chat.id, message_id: challenge.messageId });
+
+  // A short ban removes them but lets them rejoin and try again later
+  const result = await callTelegram(env, "banChatMember", {
+    chat_id: chat.id,
+    user_id: user.id,
+    until_date: Math.floor(Date.now() / 1000) + KICK_BAN_SECONDS
+  });
+  console.log(`Captcha: removed ${user.id} from ${chat.id} (${reason})${result.ok ? "" : " - ban failed"}`);
+}
+
+async function liftRestriction(env, chatId, userId) {
+  const chatInfo = await callTelegram(env, "getChat", { chat_id: chatId });
+  await callTelegram(env, "restrictChatMember", {
+    chat_id: chatId,
+    user_id: userId,
+    permissions: chatInfo.ok && chatInfo.result.permissions ? chatInfo.result.permissions : FULL_PERMISSIONS,
+    use_independent_chat_permissions: true
+  });
+}
+
+/**
+ * ADMIN COMMAND: /config_captcha [off|button|math] [timeout] [--username] [--photo]
+ */
+export async function handleConfigCaptcha(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+  const { positional, flags } = parseArgs(command.args);
+  const [modeArg, timeoutArg] = positional;
+
+  if (!modeArg) {
+    await replyTo(env, message, describeCaptcha(await getCaptchaSettings(env, chatId), t));
+    return;
+  }
+
+  const mode = modeArg.toLowerCase();
+  const timeoutMs = timeoutArg ? parseDuration(timeoutArg) : DEFAULT_TIMEOUT_MINUTES * 60 * 1000;
+  const timeoutMinutes = timeoutMs ? Math.ceil(timeoutMs / 60000) : null;
+  if (!CAPTCHA_MODES.includes(mode) || !timeoutMinutes || timeoutMinutes > MAX_TIMEOUT_MINUTES) {
+    await replyTo(env, message, t("captcha.usage", { max: MAX_TIMEOUT_MINUTES, default: DEFAULT_TIMEOUT_MINUTES }));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const settings = {
+    mode,
+    timeoutMinutes,
+    requireUsername: !!flags.username,
+    requirePhoto: !!flags.photo
+  };
+  const disabled = mode === "off" && !settings.requireUsername && !settings.requirePhoto;
+  await saveCaptchaSettings(env, chatId, disabled ? null : settings);
+  await replyTo(env, message, `✅ ${describeCaptcha(disabled ? null : settings, t)}`);
+}
+
+function describeCaptcha(settings, t) {
+  const lines = [];
+  if (!settings || settings.mode === "off") {
+    lines.push(t("captcha.off"));
+  } else {
+    lines.push(t(`captcha.on_${settings.mode}`, { count: settings.timeoutMinutes }));
+  }
+
+  const requirements = [
+    settings?.requireUsername ? t("requirement.username") : null,
+    settings?.requirePhoto ? t("requirement.photo") : null
+  ].filter(Boolean);
+  if (requirements.length > 0) {
+    lines.push(t("captcha.requirements", { requirements: formatList(t, requirements) }));
+  }
+
+  return lines.join("\n");
+}
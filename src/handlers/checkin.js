@@ -0,0 +1,409 @@
+/**
+ * Check-in Handlers
+ *
+ * /checkin forwards to Loyalteez and, when the reward lands, records the
+ * check-in locally to keep streaks and leaderboards. Streak milestones can
+ * fire a second, admin-configured bonus event. Admins can also post a
+ * pinned one-tap check-in button (/post_checkin).
+ */
+
+import { triggerReward, isRetryable } from '../utils/rewards.js';
+import { queueRewardRetry } from '../utils/retries.js';
+import {
+  isAdmin,
+  escapeHtml,
+  sendMessage,
+  replyTo,
+  callTelegram,
+  inlineKeyboard,
+  answerCallbackQuery,
+  unescapeHtml
+} from '../utils/telegram.js';
+import { registerButton } from '../utils/buttons.js';
+import { parseArgs } from '../utils/args.js';
+import { formatMessage, templateVars } from '../utils/templates.js';
+import { getTranslator } from '../utils/i18n.js';
+import { describeChatMetrics } from './metrics.js';
+import { getChatTimezone } from '../utils/chats.js';
+import { localDate, isValidTimezone } from '../utils/dates.js';
+import { formatDuration } from '../utils/duration.js';
+import {
+  LEADERBOARD_PERIODS,
+  recordCheckin,
+  getStreak,
+  getLeaderboard,
+  getStreakBonus
+} from '../utils/streaks.js';
+import { getTopicSettings, topicOf, threadOptions } from '../utils/topics.js';
+import { requireEvent, uncheckedNote } from './events.js';
+
+const DEFAULT_MILESTONES = [7, 30];
+const LEADERBOARD_SIZE = 10;
+
+/**
+ * COMMAND: /checkin (Daily Reward)
+ */
+export async function handleCheckin(message, env) {
+  const { reply } = await performCheckin(env, message.chat, message.from, message.date * 1000, topicOf(message));
+  await replyTo(env, message, reply);
+}
+
+/**
+ * ADMIN COMMAND: /config_checkin <event_id>
+ */
+export async function handleConfigCheckin(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [inputName] = parseArgs(command.args).positional;
+  if (!inputName) {
+    await replyTo(env, message, t("checkin.config_usage"));
+    return;
+  }
+
+  // Resolve friendly name to custom event ID (unknown and switched-off events are refused)
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+  const resolvedEventId = check.eventId;
+
+  if (env.TELEGRAM_BOT_KV) {
+    await env.TELEGRAM_BOT_KV.put(`CHECKIN_EVENT_ID:${chatId}`, resolvedEventId);
+
+    if (resolvedEventId !== inputName) {
+      await replyTo(env, message, t("checkin.configured_mapped", { name: escapeHtml(inputName), event_id: escapeHtml(resolvedEventId) }) + uncheckedNote(check, t));
+    } else {
+      await replyTo(env, message, t("checkin.configured", { event_id: escapeHtml(resolvedEventId) }) + uncheckedNote(check, t));
+    }
+  } else {
+    await replyTo(env, message, t("error.no_kv"));
+  }
+}
+
+/**
+ * ADMIN COMMAND: /post_checkin
+ * Post (and pin) a message with a one-tap check-in button
+ */
+export async function handlePostCheckin(message, env) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  await postCheckinButton(env, chatId, t, { pin: true, topicId: topicOf(message) });
+}
+
+/**
+ * Post a message with a one-tap check-in button
+ * Also used by the scheduled daily check-in post (unpinned).
+ *
+ * @param {Object} options - { pin, topicId } - topicId: forum topic to post in
+ * @returns {Promise<Object|null>} - The posted message
+ */
+export async function postCheckinButton(env, chatId, t, { pin = false, topicId = null } = {}) {
+  const posted = await sendMessage(env, chatId, t("checkin.post"), {
+    ...threadOptions(topicId),
+    reply_markup: inlineKeyboard([[{ text: t("checkin.button"), callback_data: "checkin" }]])
+  });
+  if (!posted) return null;
+
+  await registerButton(env, chatId, posted.message_id, { action: "checkin" });
+
+  if (pin) {
+    // Pinning needs the "Pin messages" admin right - the button works either way
+    await callTelegram(env, "pinChatMessage", {
+      chat_id: chatId,
+      message_id: posted.message_id,
+      disable_notification: true
+    });
+  }
+  return posted;
+}
+
+/**
+ * CALLBACK: "✅ Check in" button
+ */
+export async function handleCheckinButton(callbackQuery, env) {
+  const message = callbackQuery.message;
+  const { reply } = await performCheckin(env, message.chat, callbackQuery.from, Date.now(), topicOf(message));
+
+  // Toasts are plain text - undo the HTML escaping of the rendered reply
+  await answerCallbackQuery(env, callbackQuery.id, unescapeHtml(reply));
+}
+
+/**
+ * Run a check-in for a user and build the reply text
+ * Shared by /checkin and the check-in button. Streak bonuses are announced
+ * in the chat directly.
+ *
+ * @param {number|null} topicId - Forum topic the check-in came from (see utils/topics.js)
+ * @returns {Promise<{success: boolean, reply: string}>}
+ */
+export async function performCheckin(env, chat, user, timestamp, topicId = null) {
+  const chatId = chat.id;
+  const t = await getTranslator(env, chatId, user);
+
+  // A topic's own check-in event wins over the chat's (required - no default)
+  let checkinEventId = null;
+  if (env.TELEGRAM_BOT_KV) {
+    const topics = await getTopicSettings(env, chatId);
+    checkinEventId = topics.topics[topicId]?.checkinEventId
+      || await env.TELEGRAM_BOT_KV.get(`CHECKIN_EVENT_ID:${chatId}`);
+  }
+
+  if (!checkinEventId) {
+    return { success: false, reply: t("checkin.not_configured") };
+  }
+
+  const result = await triggerReward(env, checkinEventId, user, chatId);
+
+  if (!result.success) {
+    // Handle cooldowns or errors
+    if (result.reason === "cooldown") {
+      return { success: false, reply: await cooldownReply(env, chat, user, result, t) };
+    } else if (result.reason === "unknown_event") {
+      return { success: false, reply: t("checkin.event_not_found", { event_id: escapeHtml(checkinEventId) }) };
+    } else if (result.reason === "inactive_event") {
+      return { success: false, reply: t("checkin.event_inactive", { event_id: escapeHtml(checkinEventId) }) };
+    }
+
+    const queued = isRetryable(result) && await queueRewardRetry(env, {
+      kind: "checkin",
+      eventId: checkinEventId,
+      chat,
+      user,
+      timestamp,
+      topicId,
+      idempotencyKey: result.idempotencyKey,
+      error: result.error,
+      reason: result.reason
+    });
+    if (queued) {
+      return { success: false, reply: t("checkin.queued") };
+    }
+
+    const vars = templateVars(chat, user, { error: result.error || t("error.unknown") });
+    return { success: false, reply: await formatMessage(env, chat, "failure", vars, t) };
+  }
+
+  return { success: true, reply: await completeCheckin(env, chat, user, timestamp, result, topicId) };
+}
+
+/**
+ * The "already checked in" reply, saying when the next check-in opens if the API told us
+ */
+async function cooldownReply(env, chat, user, result, t) {
+  const wait = result.nextEligibleAt ? Date.parse(result.nextEligibleAt) - Date.now() : 0;
+  const vars = templateVars(chat, user, { next_checkin: wait > 0 ? formatDuration(wait) : "" });
+  return await formatMessage(env, chat, "cooldown", vars, t, wait > 0 ? "template.cooldown_next" : null);
+}
+
+/**
+ * Record a rewarded check-in (streak, tallies, milestone bonus) and build the reply
+ * Also used by the retry queue when a queued check-in reward finally lands.
+ *
+ * @param {number} timestamp - When the member checked in (decides the streak day)
+ * @param {number|null} topicId - Forum topic to announce a streak bonus in
+ */
+export async function completeCheckin(env, chat, user, timestamp, result, topicId = null) {
+  const t = await getTranslator(env, chat.id, user);
+  const amount = result.ltzDistributed || result.rewardAmount;
+  const timezone = await getChatTimezone(env, chat.id);
+  const today = localDate(timestamp, timezone);
+  const streak = await recordCheckin(env, chat.id, user, today, Number(amount) || 0);
+
+  if (streak.extended) {
+    await rewardStreakMilestone(env, chat.id, user, streak.current, t, topicId);
+  }
+
+  const vars = templateVars(chat, user, {
+    amount: amount || 'LTZ',
+    streak: streak.current,
+    streak_days: t("unit.days_word", { count: streak.current })
+  });
+  return await formatMessage(env, chat, "checkin", vars, t);
+}
+
+/**
+ * Fire the streak bonus event if the member just reached a milestone
+ */
+async function rewardStreakMilestone(env, chatId, user, days, t, topicId) {
+  const bonus = await getStreakBonus(env, chatId);
+  if (!bonus || !bonus.milestones.includes(days)) return;
+
+  const result = await triggerReward(env, bonus.eventId, user, chatId);
+  if (result.success) {
+    await sendMessage(env, chatId, t("streak.milestone", {
+      name: escapeHtml(user.first_name),
+      count: days,
+      amount: result.ltzDistributed || result.rewardAmount || 'LTZ'
+    }), threadOptions(topicId));
+  } else {
+    console.error(`Streak bonus failed for ${user.id} (${days} days):`, result.error);
+  }
+}
+
+/**
+ * COMMAND: /streak
+ */
+export async function handleStreak(message, env) {
+  const chatId = message.chat.id;
+  const user = message.from;
+  const t = await getTranslator(env, chatId, user);
+
+  const timezone = await getChatTimezone(env, chatId);
+  const today = localDate(message.date * 1000, timezone);
+  const streak = await getStreak(env, chatId, user.id, today);
+
+  if (!streak) {
+    await replyTo(env, message, t("streak.none", { name: escapeHtml(user.first_name) }));
+    return;
+  }
+
+  const checkedInToday = streak.lastDate === today;
+  await replyTo(env, message, t("streak.summary", {
+    name: escapeHtml(user.first_name),
+    current: t("unit.days", { count: streak.current }),
+    best: t("unit.days", { count: streak.best }),
+    total: streak.total,
+    today: t(checkedInToday ? "streak.today_done" : "streak.today_pending")
+  }));
+}
+
+/**
+ * COMMAND: /leaderboard [week|month|all]
+ */
+export async function handleLeaderboard(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+  const [periodArg] = parseArgs(command.args).positional;
+  const period = (periodArg || "week").toLowerCase();
+
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    await replyTo(env, message, t("leaderboard.usage"));
+    return;
+  }
+  const title = t("leaderboard.title", { period: t(`leaderboard.period_${period}`) });
+
+  const timezone = await getChatTimezone(env, chatId);
+  const today = localDate(message.date * 1000, timezone);
+  const entries = await getLeaderboard(env, chatId, period, today);
+
+  if (entries.length === 0) {
+    await replyTo(env, message, `${title}\n\n${t("leaderboard.empty")}`);
+    return;
+  }
+
+  const medals = ["🥇", "🥈", "🥉"];
+  const lines = entries.slice(0, LEADERBOARD_SIZE).map((entry, i) =>
+    `${medals[i] || `${i + 1}.`} ${escapeHtml(entry.name)} - ${t("unit.checkins", { count: entry.count })}`
+  );
+  await replyTo(env, message, `${title}\n\n${lines.join("\n")}`);
+}
+
+/**
+ * COMMAND: /stats
+ * Admins also get the chat's reward delivery summary
+ */
+export async function handleStats(message, env) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const timezone = await getChatTimezone(env, chatId);
+  const today = localDate(message.date * 1000, timezone);
+  const allTime = await getLeaderboard(env, chatId, "all", today);
+  const week = await getLeaderboard(env, chatId, "week", today);
+
+  const sum = (entries, field) => entries.reduce((total, entry) => total + entry[field], 0);
+  const tally = entries => t("stats.tally", {
+    checkins: t("unit.checkins", { count: sum(entries, "count") }),
+    members: t("unit.members", { count: entries.length })
+  });
+  const lines = [
+    t("stats.title"),
+    ``,
+    `${t("stats.week")}: ${tally(week)}`,
+    `${t("stats.all_time")}: ${tally(allTime)}`
+  ];
+
+  const ltz = sum(allTime, "ltz");
+  if (ltz > 0) {
+    lines.push(t("stats.ltz", { amount: ltz }));
+  }
+
+  if (await isAdmin(env, chatId, message.from.id)) {
+    const rewards = await describeChatMetrics(env, chatId, t);
+    if (rewards) lines.push(``, rewards);
+  }
+
+  await replyTo(env, message, lines.join("\n"));
+}
+
+/**
+ * ADMIN COMMAND: /config_streak_bonus <event_id> [days,...]
+ */
+export async function handleConfigStreakBonus(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const [inputName, milestonesArg] = parseArgs(command.args).positional;
+  if (!inputName) {
+    await replyTo(env, message, t("streak.bonus_usage"));
+    return;
+  }
+
+  if (inputName === "off") {
+    await env.TELEGRAM_BOT_KV.delete(`STREAK_BONUS:${chatId}`);
+    await replyTo(env, message, t("streak.bonus_disabled"));
+    return;
+  }
+
+  let milestones = DEFAULT_MILESTONES;
+  if (milestonesArg) {
+    milestones = milestonesArg.split(",").map(n => parseInt(n, 10));
+    if (milestones.some(n => isNaN(n) || n < 2)) {
+      await replyTo(env, message, t("streak.bonus_invalid", { milestones: escapeHtml(milestonesArg) }));
+      return;
+    }
+    milestones = [...new Set(milestones)].sort((a, b) => a - b);
+  }
+
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+  const eventId = check.eventId;
+  await env.TELEGRAM_BOT_KV.put(`STREAK_BONUS:${chatId}`, JSON.stringify({ eventId, milestones }));
+
+  await replyTo(env, message, t("streak.bonus_configured", {
+    event_id: escapeHtml(eventId),
+    milestones: milestones.map(n => t("unit.days", { count: n })).join(", ")
+  }) + uncheckedNote(check, t));
+}
+
+/**
+ * ADMIN COMMAND: /config_timezone <timezone>
+ */
+export async function handleConfigTimezone(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [timezone] = parseArgs(command.args).positional;
+  if (!timezone || !isValidTimezone(timezone)) {
+    await replyTo(env, message, t("timezone.usage"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  await env.TELEGRAM_BOT_KV.put(`TIMEZONE:${chatId}`, timezone);
+  await replyTo(env, message, t("timezone.set", { timezone: escapeHtml(timezone), today: localDate(Date.now(), timezone) }));
+}
@@ -0,0 +1,278 @@
+/**
+ * Command Router
+ *
+ * Every slash command is declared once in COMMANDS, with its permission level
+ * and usage text (descriptions live in the message catalogue as
+ * `command.<name>`). The registry drives dispatch (including the admin check),
+ * the /start help, the command menus published by POST /setup, and the per-chat
+ * /commands settings (turning commands off, adding aliases like /gm → /checkin).
+ */
+
+import { isAdmin, escapeHtml, replyTo, getBotUsername } from '../utils/telegram.js';
+import { parseCommand, getCommandSettings, saveCommandSettings, NAME_PATTERN } from '../utils/commands.js';
+import { getTranslator, createTranslator, formatList, DEFAULT_LOCALE } from '../utils/i18n.js';
+import { ensureChatRecord } from '../utils/chats.js';
+import { getTopicSettings, allowsRewardCommands, topicOf, topicLabel, topicLink } from '../utils/topics.js';
+import {
+  handleCheckin,
+  handleConfigCheckin,
+  handlePostCheckin,
+  handleStreak,
+  handleLeaderboard,
+  handleStats,
+  handleConfigStreakBonus,
+  handleConfigTimezone
+} from './checkin.js';
+import { handleConfigJoin, handleConfigJoinHold, handleConfigJoinButton } from './membership.js';
+import { handleConfigCaptcha } from './captcha.js';
+import { handleBalance, handleHistory } from './wallet.js';
+import { handleInvite, handleReferrals, handleConfigReferral, handleReferralStart } from './referrals.js';
+import { handleConfigKeyword, handleListKeywords, handleDeleteKeyword } from './keywords.js';
+import { handleConfigReaction } from './reactions.js';
+import { handleQuiz } from './quizzes.js';
+import { handleConfigMessage } from './templates.js';
+import { handleFailedRewards } from './retries.js';
+import { handleConfigBrand } from './brands.js';
+import { handleConfigLanguage } from './language.js';
+import { handleConfigSchedule, handleRemind } from './schedule.js';
+import { handleLink, handleWhoami, handleUnlink } from './accounts.js';
+import { handleEvents, handleConfigOverview } from './events.js';
+import { handleConfigTopic } from './topics.js';
+
+/**
+ * Command registry
+ *
+ * - handler: (message, env, command) - command is parseCommand()'s result, so
+ *   arguments come from command.args (split the same way for every command)
+ * - permission: "member" (anyone) or "admin" (chat admins; everyone in private chats)
+ * - usage: shown in /start help, next to the `command.<name>` description
+ * - aliases: built-in alternative names
+ * - hidden: left out of help and menus
+ * - required: can't be turned off with /commands
+ * - reward: a reward command, kept to the chat's reward topics (/config_topic rewards)
+ */
+export const COMMANDS = [
+  { name: "start", handler: handleStart, permission: "member", usage: "/start", hidden: true, required: true },
+  { name: "checkin", handler: handleCheckin, permission: "member", usage: "/checkin", reward: true },
+  { name: "streak", handler: handleStreak, permission: "member", usage: "/streak", reward: true },
+  { name: "leaderboard", handler: handleLeaderboard, permission: "member", usage: "/leaderboard [week|month|all]", reward: true },
+  { name: "stats", handler: handleStats, permission: "member", usage: "/stats", reward: true },
+  { name: "balance", handler: handleBalance, permission: "member", usage: "/balance", aliases: ["ltz"], reward: true },
+  { name: "history", handler: handleHistory, permission: "member", usage: "/history [count]", reward: true },
+  { name: "invite", handler: handleInvite, permission: "member", usage: "/invite", reward: true },
+  { name: "referrals", handler: handleReferrals, permission: "member", usage: "/referrals", reward: true },
+  { name: "remind", handler: handleRemind, permission: "member", usage: "/remind [on|off]" },
+  { name: "link", handler: handleLink, permission: "member", usage: "/link <email|wallet>" },
+  { name: "whoami", handler: handleWhoami, permission: "member", usage: "/whoami" },
+  { name: "unlink", handler: handleUnlink, permission: "member", usage: "/unlink" },
+
+  { name: "config", handler: handleConfigOverview, permission: "admin", usage: "/config" },
+  { name: "events", handler: handleEvents, permission: "admin", usage: "/events [refresh]" },
+  { name: "config_brand", handler: handleConfigBrand, permission: "admin", usage: "/config_brand <brand_address> [claim_code]" },
+  { name: "config_checkin", handler: handleConfigCheckin, permission: "admin", usage: "/config_checkin <event_id>" },
+  { name: "config_join", handler: handleConfigJoin, permission: "admin", usage: "/config_join <event_id>" },
+  { name: "config_join_hold", handler: handleConfigJoinHold, permission: "admin", usage: "/config_join_hold <minutes>" },
+  { name: "config_join_button", handler: handleConfigJoinButton, permission: "admin", usage: "/config_join_button <on|off>" },
+  { name: "config_captcha", handler: handleConfigCaptcha, permission: "admin", usage: "/config_captcha <off|button|math> [timeout] [--username] [--photo]" },
+  { name: "post_checkin", handler: handlePostCheckin, permission: "admin", usage: "/post_checkin" },
+  { name: "config_schedule", handler: handleConfigSchedule, permission: "admin", usage: "/config_schedule [checkin|digest|reminders] <time|off>" },
+  { name: "config_keyword", handler: handleConfigKeyword, permission: "admin", usage: "/config_keyword <phrase> <event_id> [expires_in] [max_claims] [--exact] [--topic]" },
+  { name: "keywords", handler: handleListKeywords, permission: "admin", usage: "/keywords" },
+  { name: "delete_keyword", handler: handleDeleteKeyword, permission: "admin", usage: "/delete_keyword <id>" },
+  { name: "quiz", handler: handleQuiz, permission: "admin", usage: "/quiz <event_id> \"question\" \"option\"... --correct <n> [--closes 10m]" },
+  { name: "config_reaction", handler: handleConfigReaction, permission: "admin", usage: "/config_reaction <event_id> [emoji...]" },
+  { name: "config_referral", handler: handleConfigReferral, permission: "admin", usage: "/config_referral <event_id>" },
+  { name: "config_topic", handler: handleConfigTopic, permission: "admin", usage: "/config_topic [checkin <event_id|off>|rewards <on|off|anywhere>|quote <on|off>]" },
+  { name: "config_streak_bonus", handler: handleConfigStreakBonus, permission: "admin", usage: "/config_streak_bonus <event_id> [days]" },
+  { name: "config_timezone", handler: handleConfigTimezone, permission: "admin", usage: "/config_timezone <timezone>" },
+  { name: "config_language", handler: handleConfigLanguage, permission: "admin", usage: "/config_language <code|auto>" },
+  { name: "config_message", handler: handleConfigMessage, permission: "admin", usage: "/config_message <kind> <template>" },
+  { name: "failed_rewards", handler: handleFailedRewards, permission: "admin", usage: "/failed_rewards [clear]" },
+  { name: "commands", handler: handleCommandsConfig, permission: "admin", usage: "/commands [disable|enable|alias|unalias]", required: true }
+];
+
+const COMMANDS_BY_NAME = new Map(COMMANDS.map(command => [command.name, command]));
+
+const BUILTIN_ALIASES = new Map(
+  COMMANDS.flatMap(command => (command.aliases || []).map(alias => [alias, command.name]))
+);
+
+/**
+ * Run the command in a message, if it is one of ours
+ *
+ * @returns {Promise<boolean>} - Whether the message was a command for this bot
+ *   (unknown commands and commands for other bots return false)
+ */
+export async function handleCommand(message, env) {
+  const parsed = await parseCommand(message.text, () => getBotUsername(env));
+  if (!parsed) return false;
+
+  const chatId = message.chat.id;
+  const settings = await getCommandSettings(env, chatId);
+  const name = settings.aliases[parsed.name] || BUILTIN_ALIASES.get(parsed.name) || parsed.name;
+  const command = COMMANDS_BY_NAME.get(name);
+  if (!command) return false;
+
+  // Turned off in this chat: stay quiet, that's the point
+  if (!command.required && settings.disabled.includes(command.name)) return true;
+
+  if (command.permission === "admin" && !(await isAdmin(env, chatId, message.from.id))) {
+    const t = await getTranslator(env, chatId, message.from);
+    await replyTo(env, message, t("error.admin_only"));
+    return true;
+  }
+  if (command.permission === "admin") {
+    // Setting the chat up means it needs to be in the registry the cron job walks
+    await ensureChatRecord(env, message.chat);
+  }
+
+  if (command.reward) {
+    const topics = await getTopicSettings(env, chatId);
+    if (!allowsRewardCommands(topics, topicOf(message))) {
+      const t = await getTranslator(env, chatId, message.from);
+      const links = topics.rewardTopics.map(topicId =>
+        `<a href="${topicLink(chatId, topicId)}">${escapeHtml(topicLabel(topicId, topics.topics[topicId]?.name))}</a>`);
+      await replyTo(env, message, t("topic.rewards_elsewhere", { topics: formatList(t, links) }));
+      return true;
+    }
+  }
+
+  await command.handler(message, env, parsed);
+  return true;
+}
+
+/**
+ * Commands for Telegram's command menu ({ command, description })
+ *
+ * @param {string} permission - "member" for the member menu, "admin" for the admin menu (includes member commands)
+ * @param {string} locale - Catalogue to take descriptions from
+ */
+export function menuCommands(permission, locale = DEFAULT_LOCALE) {
+  const t = createTranslator(locale);
+  return COMMANDS
+    .filter(command => !command.hidden && (permission === "admin" || command.permission === "member"))
+    .map(command => ({ command: command.name, description: t(`command.${command.name}`) }));
+}
+
+/**
+ * COMMAND: /start [payload]
+ * Handles deep links, otherwise shows help for the commands enabled in this chat
+ */
+async function handleStart(message, env, parsed) {
+  // Deep link payload, e.g. /start ref_<chatId>_<inviterId>
+  const [payload] = parsed.args;
+  if (payload && (await handleReferralStart(message, env, payload))) {
+    return;
+  }
+
+  const t = await getTranslator(env, message.chat.id, message.from);
+  const settings = await getCommandSettings(env, message.chat.id);
+  const aliasesFor = name => Object.entries(settings.aliases)
+    .filter(([, target]) => target === name)
+    .map(([alias]) => `/${alias}`);
+
+  const helpLines = permission => COMMANDS
+    .filter(command => command.permission === permission && !command.hidden && !settings.disabled.includes(command.name))
+    .map(command => {
+      const aliases = aliasesFor(command.name);
+      const also = aliases.length > 0 ? ` ${t("help.also", { aliases: aliases.join(", ") })}` : "";
+      return `${escapeHtml(command.usage)} - ${t(`command.${command.name}`)}${also}`;
+    });
+
+  await replyTo(env, message, [
+    t("help.welcome"),
+    ``,
+    t("help.commands"),
+    ...helpLines("member"),
+    ``,
+    t("help.admins"),
+    ...helpLines("admin"),
+    ``,
+    t("help.setup")
+  ].join("\n"));
+}
+
+/**
+ * ADMIN COMMAND: /commands [disable <cmd>|enable <cmd>|alias <alias> <cmd>|unalias <alias>]
+ */
+async function handleCommandsConfig(message, env, parsed) {
+  const chatId = message.chat.id;
+  const [action, ...rest] = parsed.args.map(arg => arg.replace(/^\//, "").toLowerCase());
+  const settings = await getCommandSettings(env, chatId);
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!action) {
+    const lines = COMMANDS
+      .filter(command => !command.hidden)
+      .map(command => `${settings.disabled.includes(command.name) ? "🚫" : "✅"} /${command.name}`);
+    const aliases = Object.entries(settings.aliases).map(([alias, target]) => `/${alias} → /${target}`);
+
+    await replyTo(env, message, [
+      t("commands.title"),
+      ``,
+      ...lines,
+      ...(aliases.length > 0 ? [``, t("commands.aliases"), ...aliases] : []),
+      ``,
+      t("commands.usage")
+    ].join("\n"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const [first, second] = rest;
+
+  if (action === "disable" || action === "enable") {
+    const command = COMMANDS_BY_NAME.get(BUILTIN_ALIASES.get(first) || first);
+    if (!command || command.hidden) {
+      await replyTo(env, message, t("commands.unknown", { command: escapeHtml(first || "") }));
+      return;
+    }
+    if (command.required) {
+      await replyTo(env, message, t("commands.required", { command: command.name }));
+      return;
+    }
+
+    settings.disabled = settings.disabled.filter(name => name !== command.name);
+    if (action === "disable") {
+      settings.disabled.push(command.name);
+    }
+    await saveCommandSettings(env, chatId, settings);
+    await replyTo(env, message, t(action === "disable" ? "commands.disabled" : "commands.enabled", { command: command.name }));
+    return;
+  }
+
+  if (action === "alias") {
+    const command = COMMANDS_BY_NAME.get(second);
+    if (!first || !NAME_PATTERN.test(first) || !command || command.hidden) {
+      await replyTo(env, message, t("commands.alias_usage"));
+      return;
+    }
+    if (COMMANDS_BY_NAME.has(first) || BUILTIN_ALIASES.has(first)) {
+      await replyTo(env, message, t("commands.alias_taken", { alias: first }));
+      return;
+    }
+
+    settings.aliases[first] = command.name;
+    await saveCommandSettings(env, chatId, settings);
+    await replyTo(env, message, t("commands.alias_added", { alias: first, command: command.name }));
+    return;
+  }
+
+  if (action === "unalias") {
+    if (!settings.aliases[first]) {
+      await replyTo(env, message, t("commands.no_alias", { alias: escapeHtml(first || "") }));
+      return;
+    }
+
+    delete settings.aliases[first];
+    await saveCommandSettings(env, chatId, settings);
+    await replyTo(env, message, t("commands.alias_removed", { alias: first }));
+    return;
+  }
+
+  await replyTo(env, message, t("commands.usage_error"));
+}
@@ -0,0 +1,167 @@
+/**
+ * Event Catalogue Handlers
+ *
+ * /events lists the chat brand's events, /config shows which of them the chat
+ * is bound to, and requireEvent() is the check every command that binds an
+ * event (/config_checkin, /config_join, /quiz, ...) runs first: unknown and
+ * switched-off events are refused with the closest matches.
+ */
+
+import { escapeHtml, replyTo } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator } from '../utils/i18n.js';
+import { getChatBrand } from '../utils/brands.js';
+import { getChatConfig } from '../utils/chats.js';
+import { formatDuration } from '../utils/duration.js';
+import { CATALOGUE_TTL, getEventCatalogue, findEvent, checkEvent } from '../utils/events.js';
+import { topicLabel } from '../utils/topics.js';
+
+// Keep /events inside one Telegram message
+const MAX_LISTED_EVENTS = 50;
+
+/**
+ * ADMIN COMMAND: /events [refresh]
+ */
+export async function handleEvents(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const brandId = await getChatBrand(env, chatId);
+  if (!brandId) {
+    await replyTo(env, message, t("brand.none"));
+    return;
+  }
+
+  const [option] = parseArgs(command.args).positional;
+  const catalogue = await getEventCatalogue(env, brandId, { refresh: option === "refresh" });
+  if (!catalogue) {
+    await replyTo(env, message, t("events.unavailable"));
+    return;
+  }
+
+  const active = catalogue.events.filter(event => event.active);
+  const inactive = catalogue.events.length - active.length;
+  const lines = [t("events.title", { brand: escapeHtml(brandId) }), ``];
+
+  if (active.length === 0) {
+    lines.push(t("events.none"));
+  } else {
+    for (const event of active.slice(0, MAX_LISTED_EVENTS)) {
+      lines.push(`• ${describeEvent(event, t)}`);
+    }
+    if (active.length > MAX_LISTED_EVENTS) {
+      lines.push(t("events.more", { count: active.length - MAX_LISTED_EVENTS }));
+    }
+  }
+  if (inactive > 0) {
+    lines.push(``, t("events.inactive_hidden", { count: inactive }));
+  }
+
+  lines.push(``, t("events.fetched", {
+    time: catalogue.fetchedAt.slice(11, 16),
+    ttl: formatDuration(CATALOGUE_TTL * 1000)
+  }));
+  await replyTo(env, message, lines.join("\n"));
+}
+
+/**
+ * ADMIN COMMAND: /config
+ * The chat's event bindings, flagging any whose event has since been deleted
+ * or switched off
+ */
+export async function handleConfigOverview(message, env) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const config = await getChatConfig(env, chatId);
+  const brandId = await getChatBrand(env, chatId);
+  const catalogue = await getEventCatalogue(env, brandId);
+
+  const bindings = [
+    ["config.checkin", config.CHECKIN_EVENT_ID],
+    ["config.join", config.JOIN_EVENT_ID],
+    ["config.referral", config.REFERRAL_EVENT_ID],
+    ["config.streak_bonus", config.STREAK_BONUS?.eventId],
+    ["config.reaction", config.REACTION_REWARD?.eventId]
+  ].map(([key, eventId]) => ({ key, eventId, vars: {} }));
+  for (const [topicId, topic] of Object.entries(config.TOPICS?.topics || {})) {
+    if (topic.checkinEventId) {
+      bindings.push({ key: "config.topic_checkin", eventId: topic.checkinEventId, vars: { topic: escapeHtml(topicLabel(topicId, topic.name)) } });
+    }
+  }
+  for (const rule of config.KEYWORDS || []) {
+    bindings.push({ key: "config.keyword", eventId: rule.eventId, vars: { phrase: escapeHtml(rule.phrase) } });
+  }
+
+  const lines = [
+    t("config.title"),
+    ``,
+    brandId ? t("config.brand", { brand: escapeHtml(brandId) }) : t("config.no_brand")
+  ];
+  let broken = 0;
+  for (const { key, eventId, vars } of bindings) {
+    if (!eventId) {
+      lines.push(t(key, { ...vars, event: t("config.not_set") }));
+      continue;
+    }
+
+    const event = catalogue && findEvent(catalogue, eventId);
+    let description = event ? describeEvent(event, t) : `<code>${escapeHtml(eventId)}</code>`;
+    if (catalogue && (!event || !event.active)) {
+      broken++;
+      description += ` ${t(event ? "config.status_inactive" : "config.status_unknown")}`;
+    }
+    lines.push(t(key, { ...vars, event: description }));
+  }
+
+  if (broken > 0) {
+    lines.push(``, t("config.broken", { count: broken }));
+  } else if (!catalogue && bindings.some(binding => binding.eventId)) {
+    lines.push(``, t("config.unchecked"));
+  }
+  await replyTo(env, message, lines.join("\n"));
+}
+
+/**
+ * Check an event an admin is binding the chat to
+ * Unknown and switched-off events are refused in the chat, with suggestions.
+ *
+ * @returns {Promise<Object|null>} - checkEvent()'s result ("ok" or "unverified"),
+ *   or null if it was refused
+ */
+export async function requireEvent(env, message, input, t) {
+  const brandId = await getChatBrand(env, message.chat.id);
+  const check = await checkEvent(env, input, brandId);
+  if (check.status === "ok" || check.status === "unverified") return check;
+
+  const lines = [check.status === "inactive"
+    ? t("events.inactive", { event: escapeHtml(input) })
+    : t("events.unknown", { event: escapeHtml(input), brand: escapeHtml(brandId) })];
+  if (check.suggestions.length > 0) {
+    lines.push(``, t("events.suggest", {
+      events: check.suggestions.map(event => `<code>${escapeHtml(event.name || event.eventId)}</code>`).join(", ")
+    }));
+  }
+  lines.push(``, t("events.see_all"));
+
+  await replyTo(env, message, lines.join("\n"));
+  return null;
+}
+
+/**
+ * A line to add to a confirmation when the event couldn't be checked
+ */
+export function uncheckedNote(check, t) {
+  return check.status === "unverified" ? `\n\n${t("events.unverified")}` : "";
+}
+
+function describeEvent(event, t) {
+  const id = `<code>${escapeHtml(event.eventId)}</code>`;
+  const label = event.name ? t("events.named", { name: escapeHtml(event.name), event_id: id }) : id;
+  return event.reward === null ? label : `${label} · ${t("events.reward", { amount: escapeHtml(String(event.reward)) })}`;
+}
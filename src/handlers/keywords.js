@@ -0,0 +1,186 @@
+/**
+ * Keyword Handlers
+ *
+ * Admin commands for managing "secret word" rules and the matcher that
+ * rewards members who type an active keyword in the chat.
+ */
+
+import { triggerReward } from '../utils/rewards.js';
+import { escapeHtml, replyTo } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { parseDuration, formatDuration } from '../utils/duration.js';
+import {
+  getKeywordRules,
+  addKeywordRule,
+  deleteKeywordRule,
+  findMatchingRule,
+  claimKeywordRule,
+  releaseKeywordClaim,
+  isRuleActive
+} from '../utils/keywords.js';
+import { getTranslator } from '../utils/i18n.js';
+import { topicOf, topicName, topicLabel } from '../utils/topics.js';
+import { requireEvent, uncheckedNote } from './events.js';
+
+/**
+ * ADMIN COMMAND: /config_keyword <phrase> <event_id> [expires_in] [max_claims] [--exact] [--topic]
+ * --topic only matches in the forum topic the command is run in.
+ */
+export async function handleConfigKeyword(message, env, command) {
+  const chatId = message.chat.id;
+  const user = message.from;
+  const t = await getTranslator(env, chatId, user);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const { positional, flags } = parseArgs(command.args);
+  const [phrase, inputName, expiresIn, maxClaimsArg] = positional;
+  if (!phrase || !inputName || phrase.startsWith("/")) {
+    await replyTo(env, message, t("keyword.usage"));
+    return;
+  }
+
+  const topicId = flags.topic ? topicOf(message) : null;
+  if (flags.topic && !topicId) {
+    await replyTo(env, message, t("topic.forum_only"));
+    return;
+  }
+
+  let expiresAt = null;
+  if (expiresIn && expiresIn !== "never") {
+    const ms = parseDuration(expiresIn);
+    if (!ms) {
+      await replyTo(env, message, t("keyword.invalid_expiry", { value: escapeHtml(expiresIn) }));
+      return;
+    }
+    expiresAt = new Date(Date.now() + ms).toISOString();
+  }
+
+  let maxClaims = null;
+  if (maxClaimsArg) {
+    maxClaims = parseInt(maxClaimsArg, 10);
+    if (isNaN(maxClaims) || maxClaims < 1) {
+      await replyTo(env, message, t("keyword.invalid_max_claims", { value: escapeHtml(maxClaimsArg) }));
+      return;
+    }
+  }
+
+  // Resolve friendly name to custom event ID (unknown and switched-off events are refused)
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+
+  const rule = await addKeywordRule(env, chatId, {
+    phrase,
+    eventId: check.eventId,
+    match: flags.exact ? "exact" : "insensitive",
+    expiresAt,
+    maxClaims,
+    topicId,
+    topicName: topicId ? topicName(message) : null,
+    createdBy: user.id
+  });
+
+  await replyTo(env, message, t("keyword.added", { id: rule.id, rule: describeRule(rule, t) }) + uncheckedNote(check, t));
+}
+
+/**
+ * ADMIN COMMAND: /keywords
+ */
+export async function handleListKeywords(message, env) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const rules = await getKeywordRules(env, chatId);
+  if (rules.length === 0) {
+    await replyTo(env, message, t("keyword.none"));
+    return;
+  }
+
+  const lines = rules.map(rule => `<b>#${rule.id}</b>${isRuleActive(rule) ? '' : ` ${t("keyword.inactive")}`}\n${describeRule(rule, t)}`);
+  await replyTo(env, message, t("keyword.list", { keywords: lines.join("\n\n") }));
+}
+
+/**
+ * ADMIN COMMAND: /delete_keyword <id_or_phrase>
+ */
+export async function handleDeleteKeyword(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const { positional } = parseArgs(command.args);
+  if (positional.length === 0) {
+    await replyTo(env, message, t("keyword.delete_usage"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const deleted = await deleteKeywordRule(env, chatId, positional.join(" "));
+  if (deleted) {
+    await replyTo(env, message, t("keyword.deleted", { id: deleted.id, phrase: escapeHtml(deleted.phrase) }));
+  } else {
+    await replyTo(env, message, t("keyword.not_found", { value: escapeHtml(positional.join(" ")) }));
+  }
+}
+
+/**
+ * Reward a member whose message matches an active keyword
+ *
+ * @returns {Promise<boolean>} - Whether the message matched a keyword
+ */
+export async function handleKeywordMessage(message, env) {
+  if (!env.TELEGRAM_BOT_KV || !message.text) return false;
+
+  const chatId = message.chat.id;
+  const user = message.from;
+
+  const rule = await findMatchingRule(env, chatId, message.text, topicOf(message));
+  if (!rule) return false;
+
+  const claim = await claimKeywordRule(env, chatId, rule.id, user.id);
+  if (!claim.claimed) return true;
+
+  const t = await getTranslator(env, chatId, user);
+  const result = await triggerReward(env, rule.eventId, user, chatId);
+  if (!result.success) {
+    // Let them try again - the claim only counts once a reward lands
+    await releaseKeywordClaim(env, chatId, rule.id, user.id);
+    if (result.reason === "cooldown") {
+      await replyTo(env, message, t("keyword.cooldown", { name: escapeHtml(user.first_name) }));
+    }
+    return true;
+  }
+
+  await replyTo(env, message, t("keyword.found", {
+    name: escapeHtml(user.first_name),
+    amount: result.ltzDistributed || result.rewardAmount || 'LTZ'
+  }));
+
+  if (claim.rule.maxClaims && claim.rule.claims >= claim.rule.maxClaims) {
+    await replyTo(env, message, t("keyword.all_claimed", { count: claim.rule.maxClaims }));
+  }
+  return true;
+}
+
+/**
+ * Describe a rule for admin replies
+ */
+function describeRule(rule, t) {
+  const lines = [
+    t(rule.match === "exact" ? "keyword.phrase_exact" : "keyword.phrase", { phrase: escapeHtml(rule.phrase) }),
+    t("keyword.event", { event_id: escapeHtml(rule.eventId) }),
+    ...(rule.topicId ? [t("keyword.topic", { topic: escapeHtml(topicLabel(rule.topicId, rule.topicName)) })] : []),
+    t("keyword.claims", { claims: `${rule.claims}${rule.maxClaims ? ` / ${rule.maxClaims}` : ""}` })
+  ];
+  if (rule.expiresAt) {
+    const remaining = Date.parse(rule.expiresAt) - Date.now();
+    lines.push(remaining > 0 ? t("keyword.expires_in", { duration: formatDuration(remaining) }) : t("keyword.expired"));
+  }
+  return lines.join("\n");
+}
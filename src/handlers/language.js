@@ -0,0 +1,56 @@
+/**
+ * Language Handlers
+ *
+ * /config_language pins a chat to one of the message catalogues in
+ * src/locales, instead of answering each member in their own Telegram
+ * language (see utils/i18n.js).
+ */
+
+import { escapeHtml, replyTo } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import {
+  getTranslator,
+  createTranslator,
+  resolveLocale,
+  getChatLanguage,
+  setChatLanguage
+} from '../utils/i18n.js';
+
+/**
+ * ADMIN COMMAND: /config_language [<code>|auto]
+ */
+export async function handleConfigLanguage(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+  const [code] = parseArgs(command.args).positional;
+
+  if (!code) {
+    const current = await resolveLocale(await getChatLanguage(env, chatId));
+    await replyTo(env, message, current
+      ? t("language.current", { language: createTranslator(current)("language.name"), code: current })
+      : t("language.auto"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  if (code.toLowerCase() === "auto") {
+    await setChatLanguage(env, chatId, null);
+    await replyTo(env, message, t("language.cleared"));
+    return;
+  }
+
+  const locale = await resolveLocale(code);
+  if (!locale) {
+    await replyTo(env, message, t("language.unknown", { code: escapeHtml(code) }));
+    return;
+  }
+
+  // Confirm in the chat's new language
+  await setChatLanguage(env, chatId, locale);
+  const chosen = createTranslator(locale);
+  await replyTo(env, message, chosen("language.set", { language: chosen("language.name"), code: locale }));
+}
@@ -0,0 +1,424 @@
+/**
+ * Membership Handlers
+ *
+ * Join/leave processing for both sources Telegram reports them through:
+ * - `new_chat_members` / `left_chat_member` service messages
+ * - `chat_member` updates (requires the bot to be admin and `chat_member`
+ *   in the webhook's allowed_updates)
+ *
+ * Plus `my_chat_member` updates for the bot itself being added or removed.
+ * All paths go through the membership ledger, so a join is only rewarded once
+ * per member per chat no matter how often they leave and rejoin. The same goes
+ * for referral credit: the inviter is only rewarded for a member's first join.
+ * Chats with /config_captcha on put every joiner through a challenge first
+ * (see handlers/captcha.js).
+ */
+
+import { triggerReward, isRetryable } from '../utils/rewards.js';
+import { queueRewardRetry } from '../utils/retries.js';
+import { escapeHtml, sendMessage, replyTo, callTelegram, inlineKeyboard, answerCallbackQuery } from '../utils/telegram.js';
+import { registerButton, deleteButton } from '../utils/buttons.js';
+import {
+  isMemberStatus,
+  getMemberRecord,
+  recordJoin,
+  recordLeave,
+  setPendingReward,
+  clearPendingReward,
+  markRewarded
+} from '../utils/membership.js';
+import { recordBotAdded, recordBotRemoved } from '../utils/chats.js';
+import { parseReferralLinkName, takePendingReferral, recordReferral } from '../utils/referrals.js';
+import { creditReferral } from './referrals.js';
+import { formatMessage, templateVars } from '../utils/templates.js';
+import { parseArgs } from '../utils/args.js';
+import { getCaptchaSettings, isCaptchaEnabled, missingRequirements } from '../utils/captcha.js';
+import { startCaptcha, cancelCaptcha } from './captcha.js';
+import { getTranslator, formatList } from '../utils/i18n.js';
+import { requireEvent, uncheckedNote } from './events.js';
+
+// Unclaimed welcome buttons stop working after a day
+const WELCOME_BUTTON_TTL = 24 * 60 * 60;
+
+// Without REWARD_QUEUE, a held reward that hit a temporary error is tried again
+// on the member's first message after this long
+const HOLD_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+// Catalogue key of the built-in welcome text per reward source (a chat's
+// custom welcome template replaces all of them)
+const WELCOME_FALLBACKS = {
+  join: null,
+  hold: "template.welcome_hold",
+  button: "template.welcome_button",
+  retry: "template.welcome_retry"
+};
+
+/**
+ * Handle a `new_chat_members` service message
+ */
+export async function handleNewChatMembers(message, env) {
+  const timestamp = message.date * 1000;
+  for (const member of message.new_chat_members) {
+    await processJoin(env, message.chat, member, timestamp);
+  }
+}
+
+/**
+ * Handle a `left_chat_member` service message
+ */
+export async function handleLeftChatMember(message, env) {
+  const member = message.left_chat_member;
+  if (member.is_bot || !env.TELEGRAM_BOT_KV) return;
+
+  await recordLeave(env, message.chat.id, member.id, message.date * 1000);
+  await cancelCaptcha(env, message.chat.id, member.id);
+}
+
+/**
+ * Handle a `chat_member` update (any member's status changed)
+ */
+export async function handleChatMember(update, env) {
+  const { chat, date, old_chat_member, new_chat_member } = update;
+  const member = new_chat_member.user;
+  const timestamp = date * 1000;
+
+  const wasMember = isMemberStatus(old_chat_member);
+  const isMember = isMemberStatus(new_chat_member);
+
+  if (!wasMember && isMember) {
+    // Joins through a member's /invite link carry the link's `ref_<userId>` name
+    const inviterId = parseReferralLinkName(update.invite_link?.name);
+    await processJoin(env, chat, member, timestamp, inviterId);
+  } else if (wasMember && !isMember) {
+    if (member.is_bot || !env.TELEGRAM_BOT_KV) return;
+    await recordLeave(env, chat.id, member.id, timestamp);
+    await cancelCaptcha(env, chat.id, member.id);
+  }
+}
+
+/**
+ * Handle a `my_chat_member` update (the bot's own status changed)
+ */
+export async function handleMyChatMember(update, env) {
+  const { chat, from, date, old_chat_member, new_chat_member } = update;
+
+  // In private chats this only means the user blocked/unblocked the bot
+  if (chat.type === "private" || !env.TELEGRAM_BOT_KV) return;
+
+  const wasMember = isMemberStatus(old_chat_member);
+  const isMember = isMemberStatus(new_chat_member);
+  const timestamp = date * 1000;
+
+  if (!wasMember && isMember) {
+    const { restored } = await recordBotAdded(env, chat, from, timestamp);
+    const t = await getTranslator(env, chat.id, from);
+    await sendMessage(env, chat.id, t(restored.length > 0 ? "bot.added_back" : "bot.added"));
+  } else if (wasMember && !isMember) {
+    await recordBotRemoved(env, chat, timestamp);
+    console.log(`Bot removed from chat ${chat.id}, configuration archived`);
+  }
+}
+
+/**
+ * Release a held join reward once the member has stayed long enough
+ * Called for every message, so it returns quickly when nothing is pending.
+ */
+export async function releasePendingJoinReward(env, chat, user) {
+  if (!env.TELEGRAM_BOT_KV) return;
+  const chatId = chat.id;
+
+  const record = await getMemberRecord(env, chatId, user.id);
+  if (!record || !record.pendingRewardAt || record.status !== "member") return;
+  if (record.rewarded) {
+    await clearPendingReward(env, chatId, user.id);
+    return;
+  }
+  if (Date.parse(record.pendingRewardAt) > Date.now()) return;
+
+  await grantJoinRewards(env, chat, user, "hold");
+}
+
+/**
+ * CALLBACK: "🎁 Claim welcome reward" button (only the new member can press it)
+ */
+export async function handleWelcomeButton(callbackQuery, env) {
+  const message = callbackQuery.message;
+  const chatId = message.chat.id;
+  const member = callbackQuery.from;
+  const t = await getTranslator(env, chatId, member);
+
+  const record = await getMemberRecord(env, chatId, member.id);
+  if (!record || record.status !== "member") {
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.not_member"), true);
+    return;
+  }
+  if (record.rewarded) {
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.already_claimed"));
+    return;
+  }
+
+  const holdMinutes = parseInt(await env.TELEGRAM_BOT_KV.get(`JOIN_HOLD_MINUTES:${chatId}`), 10) || 0;
+  const eligibleAt = Date.parse(record.lastJoinedAt) + holdMinutes * 60 * 1000;
+  if (eligibleAt > Date.now()) {
+    const minutesLeft = Math.ceil((eligibleAt - Date.now()) / 60000);
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.stay_longer", { count: minutesLeft }), true);
+    return;
+  }
+
+  const result = await grantJoinRewards(env, message.chat, member, "button");
+  if (result?.missing) {
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.missing", { requirements: describeRequirements(t, result.missing) }), true);
+    return;
+  } else if (result?.queued) {
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.claim_queued"), true);
+  } else if (result && !result.success) {
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.claim_failed"), true);
+    return;
+  } else {
+    await answerCallbackQuery(env, callbackQuery.id, t("welcome.claimed"));
+  }
+
+  await deleteButton(env, chatId, message.message_id);
+  await callTelegram(env, "editMessageReplyMarkup", {
+    chat_id: chatId,
+    message_id: message.message_id,
+    reply_markup: inlineKeyboard([])
+  });
+}
+
+/**
+ * ADMIN COMMAND: /config_join <event_id>
+ */
+export async function handleConfigJoin(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [inputName] = parseArgs(command.args).positional;
+  if (!inputName) {
+    await replyTo(env, message, t("join.config_usage"));
+    return;
+  }
+
+  // Resolve friendly name to custom event ID (unknown and switched-off events are refused)
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+  const resolvedEventId = check.eventId;
+
+  if (env.TELEGRAM_BOT_KV) {
+    await env.TELEGRAM_BOT_KV.put(`JOIN_EVENT_ID:${chatId}`, resolvedEventId);
+
+    if (resolvedEventId !== inputName) {
+      await replyTo(env, message, t("join.configured_mapped", { name: escapeHtml(inputName), event_id: escapeHtml(resolvedEventId) }) + uncheckedNote(check, t));
+    } else {
+      await replyTo(env, message, t("join.configured", { event_id: escapeHtml(resolvedEventId) }) + uncheckedNote(check, t));
+    }
+  } else {
+    await replyTo(env, message, t("error.no_kv"));
+  }
+}
+
+/**
+ * ADMIN COMMAND: /config_join_hold <minutes>
+ */
+export async function handleConfigJoinHold(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [minutesArg] = parseArgs(command.args).positional;
+  const minutes = parseInt(minutesArg, 10);
+  if (isNaN(minutes) || minutes < 0) {
+    await replyTo(env, message, t("join.hold_usage"));
+    return;
+  }
+
+  if (env.TELEGRAM_BOT_KV) {
+    await env.TELEGRAM_BOT_KV.put(`JOIN_HOLD_MINUTES:${chatId}`, String(minutes));
+    await replyTo(env, message, minutes > 0 ? t("join.hold_set", { count: minutes }) : t("join.hold_off"));
+  } else {
+    await replyTo(env, message, t("error.no_kv"));
+  }
+}
+
+/**
+ * ADMIN COMMAND: /config_join_button <on|off>
+ */
+export async function handleConfigJoinButton(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [setting] = parseArgs(command.args).positional.map(arg => arg.toLowerCase());
+  if (!["on", "off"].includes(setting)) {
+    await replyTo(env, message, t("join.button_usage"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  if (setting === "on") {
+    await env.TELEGRAM_BOT_KV.put(`JOIN_CLAIM_BUTTON:${chatId}`, "on");
+    await replyTo(env, message, t("join.button_on"));
+  } else {
+    await env.TELEGRAM_BOT_KV.delete(`JOIN_CLAIM_BUTTON:${chatId}`);
+    await replyTo(env, message, t("join.button_off"));
+  }
+}
+
+/**
+ * Process a single join: update the ledger, challenge the member if the chat
+ * has a captcha, then reward (or hold the reward) only if this is the member's
+ * first time in the chat
+ */
+async function processJoin(env, chat, member, timestamp, inviterId = null) {
+  if (member.is_bot) return;
+  const chatId = chat.id;
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await sendMessage(env, chatId, (await getTranslator(env, chatId, member))("join.not_configured"));
+    return;
+  }
+
+  const { firstJoin, duplicate } = await recordJoin(env, chatId, member.id, timestamp);
+  if (duplicate) return;
+
+  // Rejoining members are challenged too, but only first joins go on to be rewarded
+  const captcha = await getCaptchaSettings(env, chatId);
+  if (isCaptchaEnabled(captcha)) {
+    await startCaptcha(env, chat, member, captcha, { timestamp, inviterId, firstJoin });
+    return;
+  }
+
+  if (firstJoin) {
+    await completeJoin(env, chat, member, timestamp, inviterId);
+  }
+}
+
+/**
+ * Reward (or hold the reward for) a member's first join
+ * Called straight from processJoin, or once the member has solved the captcha.
+ */
+export async function completeJoin(env, chat, member, timestamp, inviterId = null) {
+  const chatId = chat.id;
+  const t = await getTranslator(env, chatId, member);
+
+  // Attribute the join to an inviter (invite link name, or an earlier /start deep link)
+  const pendingInviterId = await takePendingReferral(env, chatId, member.id);
+  const referral = await recordReferral(env, chatId, member.id, inviterId || pendingInviterId, timestamp);
+
+  // Get configured join event ID (required - no default)
+  const joinEventId = await env.TELEGRAM_BOT_KV.get(`JOIN_EVENT_ID:${chatId}`);
+  if (!joinEventId && !referral) {
+    await sendMessage(env, chatId, t("join.not_configured"));
+    return;
+  }
+
+  // Claim-button mode: the member has to tap to get their reward (the hold,
+  // if any, is enforced when they tap)
+  if (joinEventId && (await env.TELEGRAM_BOT_KV.get(`JOIN_CLAIM_BUTTON:${chatId}`)) === "on") {
+    const posted = await sendMessage(env, chatId, t("welcome.claim_prompt", { name: escapeHtml(member.first_name) }), {
+      reply_markup: inlineKeyboard([[{ text: t("welcome.claim_button"), callback_data: "welcome" }]])
+    });
+    if (posted) {
+      await registerButton(env, chatId, posted.message_id, { action: "welcome", userId: member.id, ttlSeconds: WELCOME_BUTTON_TTL });
+    }
+    return;
+  }
+
+  const holdMinutes = parseInt(await env.TELEGRAM_BOT_KV.get(`JOIN_HOLD_MINUTES:${chatId}`), 10) || 0;
+  if (holdMinutes > 0) {
+    await setPendingReward(env, chatId, member.id, timestamp + holdMinutes * 60 * 1000);
+    await sendMessage(env, chatId, t("welcome.hold", { name: escapeHtml(member.first_name), count: holdMinutes }));
+    return;
+  }
+
+  await grantJoinRewards(env, chat, member, "join");
+}
+
+/**
+ * Send the join reward and credit the member's inviter (if any)
+ * Temporary failures are queued for retry (result.queued).
+ *
+ * @param {string} source - "join" (on arrival), "hold" (after the join hold)
+ *   or "button" (claim button) - changes the welcome text
+ * Members missing a username or photo the chat requires get nothing, and no
+ * referral credit is given for them (result.missing lists what's missing).
+ *
+ * @returns {Promise<Object|null>} - The join reward result (null if no join event)
+ */
+async function grantJoinRewards(env, chat, member, source) {
+  const chatId = chat.id;
+  const t = await getTranslator(env, chatId, member);
+  const joinEventId = await env.TELEGRAM_BOT_KV.get(`JOIN_EVENT_ID:${chatId}`);
+  let result = null;
+
+  const missing = await missingRequirements(env, await getCaptchaSettings(env, chatId), member);
+  if (missing.length > 0) {
+    await clearPendingReward(env, chatId, member.id);
+    if (source !== "button") {
+      await sendMessage(env, chatId, t("welcome.missing_requirements", {
+        name: escapeHtml(member.first_name),
+        requirements: describeRequirements(t, missing)
+      }));
+    }
+    return { success: false, missing };
+  }
+
+  if (joinEventId) {
+    result = await triggerReward(env, joinEventId, member, chatId);
+    if (result.success) {
+      await deliverJoinReward(env, chat, member, result, source);
+    } else {
+      if (isRetryable(result)) {
+        result.queued = await queueRewardRetry(env, {
+          kind: "join",
+          eventId: joinEventId,
+          chat,
+          user: member,
+          timestamp: Date.now(),
+          idempotencyKey: result.idempotencyKey,
+          error: result.error,
+          reason: result.reason
+        });
+      }
+
+      if (result.queued || !isRetryable(result)) {
+        // Queued (the queue owns it now) or failed for good - either way the hold is done
+        await clearPendingReward(env, chatId, member.id);
+      } else if (source === "hold") {
+        // Nothing else will retry it, but not on every message the member sends
+        await setPendingReward(env, chatId, member.id, Date.now() + HOLD_RETRY_DELAY_MS);
+      }
+
+      if (source === "join") {
+        const name = escapeHtml(member.first_name);
+        await sendMessage(env, chatId, t(result.queued ? "welcome.queued" : "welcome.failed", { name }));
+      }
+    }
+  } else {
+    await markRewarded(env, chatId, member.id);
+  }
+
+  await creditReferral(env, chatId, member);
+  return result;
+}
+
+/**
+ * Record a successful join reward and announce it
+ * Also used by the retry queue when a queued join reward finally lands.
+ */
+export async function deliverJoinReward(env, chat, member, result, source = "join") {
+  await markRewarded(env, chat.id, member.id);
+
+  const t = await getTranslator(env, chat.id, member);
+  const vars = templateVars(chat, member, { amount: result.ltzDistributed || 'LTZ' });
+  await sendMessage(env, chat.id, await formatMessage(env, chat, "welcome", vars, t, WELCOME_FALLBACKS[source]));
+}
+
+/**
+ * "a username and a profile photo", from missingRequirements() codes
+ */
+function describeRequirements(t, missing) {
+  return formatList(t, missing.map(requirement => t(`requirement.${requirement}`)));
+}
@@ -0,0 +1,64 @@
+/**
+ * Metrics Handlers
+ *
+ * GET /metrics exposes every chat's reward metrics (utils/metrics.js) in
+ * Prometheus text format for a scraper; /stats adds the chat's own reward
+ * delivery summary when an admin asks.
+ */
+
+import { escapeHtml } from '../utils/telegram.js';
+import { hasAdminToken } from '../utils/auth.js';
+import { OUTCOMES, listMetrics, summarizeMetrics, formatPrometheus } from '../utils/metrics.js';
+
+const TOP_EVENTS = 5;
+
+/**
+ * ROUTE: GET /metrics (requires an admin bearer token)
+ */
+export async function handleMetricsRequest(request, env) {
+  if (!hasAdminToken(request, env)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  return new Response(formatPrometheus(await listMetrics(env)), {
+    status: 200,
+    headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+  });
+}
+
+/**
+ * Reward delivery summary for a chat, for admins' /stats
+ *
+ * @returns {Promise<string|null>} - null if no rewards have been attempted
+ */
+export async function describeChatMetrics(env, chatId, t) {
+  const entries = await listMetrics(env, chatId);
+  if (entries.length === 0) return null;
+
+  const summary = summarizeMetrics(entries);
+  const lines = [
+    t("stats.rewards_title", { since: summary.since.slice(0, 10) }),
+    t("stats.rewards_attempts", { count: summary.count, ms: summary.averageMs }),
+    ...OUTCOMES.filter(outcome => summary.outcomes[outcome])
+      .map(outcome => t(`stats.outcome_${outcome}`, { count: summary.outcomes[outcome] })),
+    t("stats.rewards_transports", {
+      transports: Object.entries(summary.transports)
+        .map(([transport, count]) => `${t(`stats.transport_${transport}`)} ${count}`)
+        .join(", ")
+    })
+  ];
+
+  const events = entries
+    .map(entry => ({ eventId: entry.eventId, ...summarizeMetrics([entry]) }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_EVENTS);
+  for (const event of events) {
+    lines.push(t("stats.rewards_event", {
+      event: escapeHtml(event.eventId),
+      success: event.outcomes.success || 0,
+      count: event.count
+    }));
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,200 @@
+/**
+ * Quiz Handlers
+ *
+ * /quiz posts a Telegram quiz poll; members who pick the right option are
+ * rewarded through the poll's event (once per member per poll). When the poll
+ * closes - by Telegram's open_period, or a delayed REWARD_QUEUE job for quizzes
+ * longer than ten minutes - the bot posts how many answered correctly.
+ *
+ * Polls must be non-anonymous for Telegram to send poll_answer updates.
+ */
+
+import { triggerReward, isRetryable } from '../utils/rewards.js';
+import { queueRewardRetry } from '../utils/retries.js';
+import { escapeHtml, sendMessage, replyTo, callTelegram } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { parseDuration, formatDuration } from '../utils/duration.js';
+import { getTranslator } from '../utils/i18n.js';
+import {
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  MAX_QUESTION_LENGTH,
+  MAX_OPTION_LENGTH,
+  DEFAULT_CLOSE_MS,
+  MAX_OPEN_PERIOD_MS,
+  MAX_CLOSE_MS,
+  getQuiz,
+  saveQuiz,
+  claimQuizClose,
+  claimQuizAnswer,
+  markQuizRewarded,
+  countQuizAnswers,
+  queueQuizClose
+} from '../utils/quizzes.js';
+import { topicOf, threadOptions } from '../utils/topics.js';
+import { requireEvent } from './events.js';
+
+/**
+ * ADMIN COMMAND: /quiz <event_id> "question" "option" "option" ... --correct <n> [--closes <duration>]
+ */
+export async function handleQuiz(message, env, command) {
+  const chat = message.chat;
+  const t = await getTranslator(env, chat.id, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const { positional, flags } = parseArgs(command.args, ["correct", "closes"]);
+  const [inputName, question, ...options] = positional;
+  const correct = parseInt(flags.correct, 10) - 1;
+
+  if (!inputName || !question || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS ||
+      !(correct >= 0 && correct < options.length)) {
+    await replyTo(env, message, t("quiz.usage", { max: MAX_OPTIONS }));
+    return;
+  }
+
+  if (question.length > MAX_QUESTION_LENGTH || options.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+    await replyTo(env, message, t("quiz.too_long", { question: MAX_QUESTION_LENGTH, option: MAX_OPTION_LENGTH }));
+    return;
+  }
+
+  const closesMs = flags.closes === undefined ? DEFAULT_CLOSE_MS : parseDuration(flags.closes);
+  if (!closesMs || closesMs < 5000 || closesMs > MAX_CLOSE_MS) {
+    await replyTo(env, message, t("quiz.invalid_closes", { max: formatDuration(MAX_CLOSE_MS) }));
+    return;
+  }
+  // Telegram only closes polls by itself within ten minutes
+  const telegramCloses = closesMs <= MAX_OPEN_PERIOD_MS;
+  if (!telegramCloses && !env.REWARD_QUEUE) {
+    await replyTo(env, message, t("quiz.needs_queue", { max: formatDuration(MAX_OPEN_PERIOD_MS) }));
+    return;
+  }
+
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+  const eventId = check.eventId;
+
+  const topicId = topicOf(message);
+  const posted = await callTelegram(env, "sendPoll", {
+    chat_id: chat.id,
+    ...threadOptions(topicId),
+    question,
+    options: options.map(text => ({ text })),
+    type: "quiz",
+    is_anonymous: false,
+    correct_option_id: correct,
+    ...(telegramCloses ? { open_period: Math.round(closesMs / 1000) } : {})
+  });
+  if (!posted.ok) {
+    await replyTo(env, message, t("quiz.post_failed", { error: escapeHtml(posted.description || t("error.unknown")) }));
+    return;
+  }
+
+  const pollId = posted.result.poll.id;
+  await saveQuiz(env, pollId, {
+    chatId: chat.id,
+    messageId: posted.result.message_id,
+    topicId,
+    eventId,
+    question,
+    options,
+    correct,
+    closesAt: new Date(Date.now() + closesMs).toISOString(),
+    createdBy: message.from.id,
+    closed: false
+  });
+
+  if (!telegramCloses && !(await queueQuizClose(env, chat, pollId, Math.round(closesMs / 1000)))) {
+    console.error(`Quiz ${pollId} in ${chat.id} has no close job - stop it from Telegram`);
+  }
+}
+
+/**
+ * UPDATE: poll_answer
+ * Reward a member who picked a quiz's correct option
+ */
+export async function handlePollAnswer(answer, env) {
+  // Anonymous answers (on behalf of a chat) can't be rewarded
+  const user = answer.user;
+  if (!user || answer.voter_chat) return;
+
+  const quiz = await getQuiz(env, answer.poll_id);
+  if (!quiz || quiz.closed) return;
+  // A retracted vote; quizzes can't be re-answered
+  if (!answer.option_ids || answer.option_ids.length === 0) return;
+
+  const correct = answer.option_ids.includes(quiz.correct);
+  if (!(await claimQuizAnswer(env, answer.poll_id, quiz, user.id, correct))) return;
+  if (!correct) return;
+
+  const result = await triggerReward(env, quiz.eventId, user, quiz.chatId);
+  if (result.success) {
+    await markQuizRewarded(env, answer.poll_id, quiz, user.id);
+    return;
+  }
+
+  console.error(`Quiz reward for ${user.id} (poll ${answer.poll_id}) failed:`, result.error);
+  if (isRetryable(result)) {
+    await queueRewardRetry(env, {
+      kind: "quiz",
+      eventId: quiz.eventId,
+      chat: { id: quiz.chatId },
+      user,
+      timestamp: Date.now(),
+      pollId: answer.poll_id,
+      idempotencyKey: result.idempotencyKey,
+      error: result.error,
+      reason: result.reason
+    });
+  }
+}
+
+/**
+ * UPDATE: poll (sent when one of the bot's polls is closed)
+ */
+export async function handlePollUpdate(poll, env) {
+  if (!poll.is_closed) return;
+
+  const quiz = await claimQuizClose(env, poll.id);
+  if (quiz) await postQuizSummary(env, poll.id, quiz);
+}
+
+/**
+ * Stop a quiz that outlasts Telegram's open_period (REWARD_QUEUE "quiz_close" job)
+ */
+export async function closeQuiz(env, pollId) {
+  // Claimed first, so the poll update stopPoll triggers doesn't post a second summary
+  const quiz = await claimQuizClose(env, pollId);
+  if (!quiz) return;
+
+  await callTelegram(env, "stopPoll", { chat_id: quiz.chatId, message_id: quiz.messageId });
+  await postQuizSummary(env, pollId, quiz);
+}
+
+/**
+ * Post a closed quiz's results
+ */
+async function postQuizSummary(env, pollId, quiz) {
+  const t = await getTranslator(env, quiz.chatId);
+  const tally = await countQuizAnswers(env, pollId);
+  const lines = [
+    t("quiz.closed", { question: escapeHtml(quiz.question) }),
+    t("quiz.answer", { answer: escapeHtml(quiz.options[quiz.correct]) }),
+    ``,
+    tally.answered === 0
+      ? t("quiz.no_answers")
+      : t("quiz.results", { correct: tally.correct, count: tally.answered })
+  ];
+  if (tally.rewarded > 0) {
+    lines.push(t("quiz.rewarded", { count: tally.rewarded }));
+  }
+
+  await sendMessage(env, quiz.chatId, lines.join("\n"), {
+    ...threadOptions(quiz.topicId),
+    reply_to_message_id: quiz.messageId,
+    allow_sending_without_reply: true
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * Reaction Reward Handlers
+ *
+ * When a chat admin reacts to a member's message with one of the chat's
+ * configured emoji (/config_reaction), the message's author is rewarded -
+ * once per message. The reward waits at least REACTION_DELAY_SECONDS, so an
+ * admin who takes the reaction back in time cancels it: in REWARD_QUEUE if
+ * bound, otherwise in KV until the next cron run pays it out.
+ */
+
+import { triggerReward, isRetryable } from '../utils/rewards.js';
+import { queueRewardRetry } from '../utils/retries.js';
+import { isAdmin, escapeHtml, sendMessage, replyTo } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator } from '../utils/i18n.js';
+import {
+  DEFAULT_REACTION_EMOJI,
+  getReactionSettings,
+  saveReactionSettings,
+  reactionEmoji,
+  recordMessageAuthor,
+  getMessageAuthor,
+  getPendingReaction,
+  savePendingReaction,
+  deletePendingReaction,
+  isMessageRewarded,
+  claimMessageReward,
+  releaseMessageReward,
+  queueReactionReward,
+  listDueReactions
+} from '../utils/reactions.js';
+import { requireEvent, uncheckedNote } from './events.js';
+
+/**
+ * ADMIN COMMAND: /config_reaction <event_id> [emoji ...] | off
+ */
+export async function handleConfigReaction(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const [inputName, ...emoji] = parseArgs(command.args).positional;
+
+  if (!inputName) {
+    const settings = await getReactionSettings(env, chatId);
+    await replyTo(env, message, settings
+      ? t("reaction.current", { event_id: escapeHtml(settings.eventId), emoji: settings.emoji.join(" ") })
+      : t("reaction.none"));
+    return;
+  }
+
+  if (inputName === "off") {
+    await saveReactionSettings(env, chatId, null);
+    await replyTo(env, message, t("reaction.disabled"));
+    return;
+  }
+
+  // Emoji only - a word here is most likely a mistyped event ID
+  if (emoji.some(value => /[\p{L}\p{N}]/u.test(value))) {
+    await replyTo(env, message, t("reaction.usage"));
+    return;
+  }
+
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+  const settings = { eventId: check.eventId, emoji: emoji.length ? [...new Set(emoji)] : DEFAULT_REACTION_EMOJI };
+  await saveReactionSettings(env, chatId, settings);
+
+  await replyTo(env, message, t("reaction.configured", {
+    event_id: escapeHtml(settings.eventId),
+    emoji: settings.emoji.join(" ")
+  }) + uncheckedNote(check, t));
+}
+
+/**
+ * Index a group message's author, for chats with reaction rewards on
+ */
+export async function indexMessageAuthor(message, env) {
+  if (message.chat.type === "private") return;
+
+  const settings = await getReactionSettings(env, message.chat.id);
+  if (!settings) return;
+
+  await recordMessageAuthor(env, message.chat.id, message.message_id, message.from);
+}
+
+/**
+ * UPDATE: message_reaction
+ * Needs the bot to be a chat admin, and "message_reaction" in allowed_updates.
+ */
+export async function handleMessageReaction(reaction, env) {
+  const chat = reaction.chat;
+  const settings = await getReactionSettings(env, chat.id);
+  if (!settings) return;
+
+  const before = reactionEmoji(reaction.old_reaction).filter(emoji => settings.emoji.includes(emoji));
+  const after = reactionEmoji(reaction.new_reaction).filter(emoji => settings.emoji.includes(emoji));
+
+  // Anonymous admins react on behalf of the chat itself
+  const actorId = reaction.user?.id ?? (reaction.actor_chat?.id === chat.id ? chat.id : null);
+  if (actorId === null) return;
+
+  if (after.length === 0) {
+    if (before.length === 0) return;
+    // Taken back: cancel the reward if it's still waiting and this admin started it
+    const pending = await getPendingReaction(env, chat.id, reaction.message_id);
+    if (pending && pending.adminId === actorId) {
+      await deletePendingReaction(env, chat.id, reaction.message_id);
+      console.log(`Reaction reward for ${chat.id}/${reaction.message_id} cancelled`);
+    }
+    return;
+  }
+  if (before.length > 0) return;
+
+  if (actorId !== chat.id && !(await isAdmin(env, chat.id, actorId))) return;
+
+  const author = await getMessageAuthor(env, chat.id, reaction.message_id);
+  if (!author) {
+    console.log(`No author indexed for ${chat.id}/${reaction.message_id}, skipping reaction reward`);
+    return;
+  }
+  // Admins can't reward themselves
+  if (author.id === actorId) return;
+
+  if (await isMessageRewarded(env, chat.id, reaction.message_id)) return;
+  // Another admin's reaction is already waiting
+  if (await getPendingReaction(env, chat.id, reaction.message_id)) return;
+
+  await savePendingReaction(env, chat.id, reaction.message_id, {
+    adminId: actorId,
+    emoji: after[0],
+    reactedAt: new Date().toISOString(),
+    chat: { id: chat.id, title: chat.title || null, type: chat.type }
+  });
+
+  // Without the queue, the cron trigger picks it up (processDueReactionRewards)
+  await queueReactionReward(env, chat, reaction.message_id);
+}
+
+/**
+ * CRON: pay out every reaction whose cancel window has passed
+ * Catches reactions REWARD_QUEUE didn't take (or isn't bound for).
+ */
+export async function processDueReactionRewards(env, now = Date.now()) {
+  for (const { chat, messageId } of await listDueReactions(env, now)) {
+    try {
+      await processReactionReward(env, chat, messageId);
+    } catch (e) {
+      console.error(`Reaction reward for ${chat.id}/${messageId} threw:`, e);
+    }
+  }
+}
+
+/**
+ * Reward a message's author if its reaction is still pending
+ * Runs from the REWARD_QUEUE job or the cron trigger once the cancel window
+ * has passed.
+ */
+export async function processReactionReward(env, chat, messageId) {
+  const pending = await getPendingReaction(env, chat.id, messageId);
+  if (!pending) return;
+  await deletePendingReaction(env, chat.id, messageId);
+
+  const settings = await getReactionSettings(env, chat.id);
+  const author = await getMessageAuthor(env, chat.id, messageId);
+  if (!settings || !author) return;
+
+  if (!(await claimMessageReward(env, chat.id, messageId))) return;
+
+  const result = await triggerReward(env, settings.eventId, author, chat.id);
+  if (!result.success) {
+    const queued = isRetryable(result) && await queueRewardRetry(env, {
+      kind: "reaction",
+      eventId: settings.eventId,
+      chat,
+      user: author,
+      timestamp: Date.now(),
+      idempotencyKey: result.idempotencyKey,
+      error: result.error,
+      reason: result.reason
+    });
+    if (!queued) {
+      // Let a later reaction try again - the claim only counts once a reward lands
+      await releaseMessageReward(env, chat.id, messageId);
+      console.error(`Reaction reward for ${chat.id}/${messageId} failed:`, result.error);
+    }
+    return;
+  }
+
+  const t = await getTranslator(env, chat.id, author);
+  await sendMessage(env, chat.id, t("reaction.rewarded", {
+    name: escapeHtml(author.first_name),
+    amount: result.ltzDistributed || result.rewardAmount || 'LTZ'
+  }), { reply_to_message_id: messageId, allow_sending_without_reply: true });
+}
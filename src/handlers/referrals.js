@@ -0,0 +1,223 @@
+/**
+ * Referral Handlers
+ *
+ * /invite hands each member a personal link, /referrals shows their stats,
+ * and the /start deep link records who invited a member before they join.
+ * The inviter is rewarded once the invitee's first join is confirmed (after
+ * the join hold, if one is configured). A reward that hits a temporary error
+ * goes to REWARD_QUEUE; one that can't be retried is marked failed and listed
+ * in /failed_rewards.
+ */
+
+import { triggerReward, isRetryable } from '../utils/rewards.js';
+import { queueRewardRetry, recordDeadLetter } from '../utils/retries.js';
+import { escapeHtml, sendMessage, replyTo, callTelegram, getBotUsername } from '../utils/telegram.js';
+import { getMemberRecord } from '../utils/membership.js';
+import {
+  referralLinkName,
+  buildReferralPayload,
+  parseReferralPayload,
+  getReferrer,
+  saveReferrer,
+  setPendingReferral,
+  getReferral,
+  completeReferral,
+  failReferral
+} from '../utils/referrals.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator } from '../utils/i18n.js';
+import { requireEvent, uncheckedNote } from './events.js';
+
+/**
+ * COMMAND: /invite
+ * Reply with the member's personal invite link, creating it on first use
+ */
+export async function handleInvite(message, env) {
+  const chatId = message.chat.id;
+  const user = message.from;
+  const t = await getTranslator(env, chatId, user);
+
+  if (message.chat.type === "private") {
+    await replyTo(env, message, t("invite.private"));
+    return;
+  }
+
+  const referralEventId = env.TELEGRAM_BOT_KV
+    ? await env.TELEGRAM_BOT_KV.get(`REFERRAL_EVENT_ID:${chatId}`)
+    : null;
+  if (!referralEventId) {
+    await replyTo(env, message, t("invite.not_configured"));
+    return;
+  }
+
+  const referrer = await getReferrer(env, chatId, user.id);
+  let link = referrer?.inviteLink;
+
+  if (!link) {
+    // Prefer a real invite link (needs admin "Invite users" right): joins through
+    // it are attributed automatically via chat_member updates
+    const created = await callTelegram(env, "createChatInviteLink", {
+      chat_id: chatId,
+      name: referralLinkName(user.id)
+    });
+
+    if (created.ok) {
+      link = created.result.invite_link;
+    } else {
+      const botUsername = await getBotUsername(env);
+      if (!botUsername) {
+        await replyTo(env, message, t("invite.failed"));
+        return;
+      }
+      link = `https://t.me/${botUsername.replace(/^@/, '')}?start=${buildReferralPayload(chatId, user.id)}`;
+    }
+  }
+
+  await saveReferrer(env, chatId, user, { inviteLink: link });
+  await replyTo(env, message, t("invite.link", { name: escapeHtml(user.first_name), link }));
+}
+
+/**
+ * COMMAND: /referrals
+ */
+export async function handleReferrals(message, env) {
+  const chatId = message.chat.id;
+  const user = message.from;
+  const t = await getTranslator(env, chatId, user);
+
+  const referrer = await getReferrer(env, chatId, user.id);
+  if (!referrer) {
+    await replyTo(env, message, t("referrals.none", { name: escapeHtml(user.first_name) }));
+    return;
+  }
+
+  await replyTo(env, message, t("referrals.stats", {
+    name: escapeHtml(user.first_name),
+    invited: referrer.invited,
+    rewarded: referrer.rewarded,
+    link: referrer.inviteLink
+  }));
+}
+
+/**
+ * ADMIN COMMAND: /config_referral <event_id>
+ */
+export async function handleConfigReferral(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [inputName] = parseArgs(command.args).positional;
+  if (!inputName) {
+    await replyTo(env, message, t("referrals.config_usage"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const check = await requireEvent(env, message, inputName, t);
+  if (!check) return;
+  const resolvedEventId = check.eventId;
+  await env.TELEGRAM_BOT_KV.put(`REFERRAL_EVENT_ID:${chatId}`, resolvedEventId);
+
+  if (resolvedEventId !== inputName) {
+    await replyTo(env, message, t("referrals.configured_mapped", { name: escapeHtml(inputName), event_id: escapeHtml(resolvedEventId) }) + uncheckedNote(check, t));
+  } else {
+    await replyTo(env, message, t("referrals.configured", { event_id: escapeHtml(resolvedEventId) }) + uncheckedNote(check, t));
+  }
+}
+
+/**
+ * COMMAND: /start ref_<chatId>_<inviterId> (private chat deep link)
+ *
+ * @returns {Promise<boolean>} - Whether the payload was a referral
+ */
+export async function handleReferralStart(message, env, payload) {
+  const referral = parseReferralPayload(payload);
+  if (!referral || !env.TELEGRAM_BOT_KV) return false;
+
+  const chatId = message.chat.id;
+  const user = message.from;
+  const t = await getTranslator(env, chatId, user);
+
+  if (referral.inviterId === user.id) {
+    await replyTo(env, message, t("referrals.own_link"));
+    return true;
+  }
+
+  const member = await getMemberRecord(env, referral.chatId, user.id);
+  if (member) {
+    await replyTo(env, message, t("referrals.not_new"));
+    return true;
+  }
+
+  await setPendingReferral(env, referral.chatId, user.id, referral.inviterId);
+
+  const chat = await callTelegram(env, "getChat", { chat_id: referral.chatId });
+  const title = chat.ok ? escapeHtml(chat.result.title) : t("referrals.community");
+  const joinLink = chat.ok
+    ? (chat.result.username ? `https://t.me/${chat.result.username}` : chat.result.invite_link)
+    : null;
+
+  await replyTo(env, message, joinLink
+    ? t("referrals.invited_link", { title, link: joinLink })
+    : t("referrals.invited", { title }));
+  return true;
+}
+
+/**
+ * Reward the inviter for a member whose join has been confirmed
+ */
+export async function creditReferral(env, chatId, member) {
+  const referral = await getReferral(env, chatId, member.id);
+  if (!referral || referral.status !== "pending") return;
+
+  const referralEventId = await env.TELEGRAM_BOT_KV.get(`REFERRAL_EVENT_ID:${chatId}`);
+  if (!referralEventId) return;
+
+  const referrer = await getReferrer(env, chatId, referral.inviterId);
+  const inviter = {
+    id: referral.inviterId,
+    first_name: referrer?.firstName,
+    username: referrer?.username
+  };
+
+  const result = await triggerReward(env, referralEventId, inviter, chatId);
+  if (!result.success) {
+    const job = {
+      kind: "referral",
+      eventId: referralEventId,
+      chat: { id: chatId },
+      user: inviter,
+      invitee: member,
+      timestamp: Date.now(),
+      idempotencyKey: result.idempotencyKey,
+      error: result.error,
+      reason: result.reason
+    };
+    if (!(isRetryable(result) && await queueRewardRetry(env, job))) {
+      console.error(`Referral reward failed for inviter ${inviter.id}:`, result.error);
+      await failReferral(env, chatId, member.id, result.error);
+      await recordDeadLetter(env, job, 1);
+    }
+    return;
+  }
+
+  await deliverReferralReward(env, chatId, member, inviter, result);
+}
+
+/**
+ * Mark a referral credited and thank the inviter in the chat
+ */
+export async function deliverReferralReward(env, chatId, member, inviter, result) {
+  await completeReferral(env, chatId, member.id);
+  const t = await getTranslator(env, chatId, member);
+  const mention = `<a href="tg://user?id=${inviter.id}">${escapeHtml(inviter.first_name || t("referrals.inviter"))}</a>`;
+  await sendMessage(env, chatId, t("referrals.credited", {
+    mention,
+    amount: result.ltzDistributed || result.rewardAmount || 'LTZ',
+    name: escapeHtml(member.first_name)
+  }));
+}
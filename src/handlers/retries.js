@@ -0,0 +1,191 @@
+/**
+ * Reward Retry Handlers
+ *
+ * Consumes the REWARD_QUEUE: each job is re-sent to Loyalteez with its original
+ * idempotency key until it lands, fails permanently, or runs out of attempts
+ * (then it is dead-lettered). Admins can review dead letters with /failed_rewards.
+ * The queue also carries delayed captcha timeouts (kind "captcha_timeout"),
+ * reaction rewards waiting out their cancel window (kind "reaction_reward")
+ * and the close of quizzes longer than Telegram's open_period (kind "quiz_close").
+ */
+
+import { triggerReward, isRetryable } from '../utils/rewards.js';
+import { escapeHtml, sendMessage, replyTo } from '../utils/telegram.js';
+import {
+  MAX_ATTEMPTS,
+  retryDelaySeconds,
+  recordDeadLetter,
+  listDeadLetters,
+  clearDeadLetters
+} from '../utils/retries.js';
+import { deliverJoinReward } from './membership.js';
+import { completeCheckin } from './checkin.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator } from '../utils/i18n.js';
+import { threadOptions } from '../utils/topics.js';
+import { expireCaptcha } from './captcha.js';
+import { processReactionReward } from './reactions.js';
+import { closeQuiz } from './quizzes.js';
+import { getQuiz, markQuizRewarded } from '../utils/quizzes.js';
+import { deliverReferralReward } from './referrals.js';
+import { failReferral } from '../utils/referrals.js';
+
+/**
+ * QUEUE CONSUMER: REWARD_QUEUE
+ */
+export async function handleRewardQueue(batch, env) {
+  for (const msg of batch.messages) {
+    const job = msg.body;
+
+    if (job.kind === "captcha_timeout") {
+      try {
+        await expireCaptcha(env, job.chat, job.user);
+      } catch (error) {
+        console.error(`Captcha timeout for ${job.user.id} threw:`, error);
+      }
+      msg.ack();
+      continue;
+    }
+
+    if (job.kind === "reaction_reward") {
+      try {
+        await processReactionReward(env, job.chat, job.messageId);
+      } catch (error) {
+        console.error(`Reaction reward for ${job.chat.id}/${job.messageId} threw:`, error);
+      }
+      msg.ack();
+      continue;
+    }
+
+    if (job.kind === "quiz_close") {
+      try {
+        await closeQuiz(env, job.pollId);
+      } catch (error) {
+        console.error(`Closing quiz ${job.pollId} threw:`, error);
+      }
+      msg.ack();
+      continue;
+    }
+
+    let retryAfterSeconds = 0;
+    try {
+      const result = await triggerReward(env, job.eventId, job.user, job.chat.id, {
+        idempotencyKey: job.idempotencyKey
+      });
+
+      if (result.success) {
+        await deliverQueuedReward(env, job, result);
+        msg.ack();
+        continue;
+      }
+
+      if (!isRetryable(result)) {
+        console.error(`Queued ${job.kind} reward for ${job.user.id} failed permanently (${result.reason}):`, result.error);
+        await abandonJob(env, job, result.error);
+        msg.ack();
+        continue;
+      }
+
+      job.error = result.error;
+      job.reason = result.reason;
+      retryAfterSeconds = result.retryAfterSeconds || 0;
+    } catch (error) {
+      console.error(`Queued ${job.kind} reward for ${job.user.id} threw:`, error);
+      job.error = error.message;
+    }
+
+    if (msg.attempts >= MAX_ATTEMPTS) {
+      console.error(`Giving up on ${job.kind} reward for ${job.user.id} after ${msg.attempts} attempts`);
+      await recordDeadLetter(env, job, msg.attempts);
+      await abandonJob(env, job, job.error);
+      msg.ack();
+    } else {
+      // A rate limit's Retry-After wins over the backoff when it's longer
+      msg.retry({ delaySeconds: Math.max(retryDelaySeconds(msg.attempts), retryAfterSeconds) });
+    }
+  }
+}
+
+/**
+ * Tell the chat a delayed reward has landed
+ */
+async function deliverQueuedReward(env, job, result) {
+  if (job.kind === "join") {
+    await deliverJoinReward(env, job.chat, job.user, result, "retry");
+    return;
+  }
+
+  if (job.kind === "checkin") {
+    const reply = await completeCheckin(env, job.chat, job.user, job.timestamp, result, job.topicId);
+    const t = await getTranslator(env, job.chat.id, job.user);
+    const name = escapeHtml(job.user.first_name || t("checkin.member"));
+    await sendMessage(env, job.chat.id, `${t("checkin.retried", { name })}\n${reply}`, threadOptions(job.topicId));
+    return;
+  }
+
+  if (job.kind === "quiz") {
+    // Counted in the quiz summary; no announcement, like an immediate quiz reward
+    const quiz = await getQuiz(env, job.pollId);
+    if (quiz) await markQuizRewarded(env, job.pollId, quiz, job.user.id);
+    return;
+  }
+
+  if (job.kind === "referral") {
+    await deliverReferralReward(env, job.chat.id, job.invitee, job.user, result);
+    return;
+  }
+
+  if (job.kind === "reaction") {
+    const t = await getTranslator(env, job.chat.id, job.user);
+    await sendMessage(env, job.chat.id, t("reaction.rewarded", {
+      name: escapeHtml(job.user.first_name),
+      amount: result.ltzDistributed || result.rewardAmount || 'LTZ'
+    }));
+  }
+}
+
+/**
+ * Record a reward that won't be retried again where its feature keeps state
+ */
+async function abandonJob(env, job, error) {
+  if (job.kind === "referral") {
+    await failReferral(env, job.chat.id, job.invitee.id, error);
+  }
+}
+
+/**
+ * ADMIN COMMAND: /failed_rewards [clear]
+ * List rewards that could not be delivered after all retries
+ */
+export async function handleFailedRewards(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  const [arg] = parseArgs(command.args).positional.map(value => value.toLowerCase());
+  if (arg === "clear") {
+    const count = await clearDeadLetters(env, chatId);
+    await replyTo(env, message, t("failed.cleared", { count }));
+    return;
+  }
+
+  const entries = await listDeadLetters(env, chatId);
+  if (entries.length === 0) {
+    await replyTo(env, message, t("failed.none"));
+    return;
+  }
+
+  const lines = entries.slice(0, 20).map(entry => {
+    const name = escapeHtml(entry.user.first_name || String(entry.user.id));
+    return `• ${entry.failedAt.slice(0, 16).replace("T", " ")} — ${t("failed.entry", {
+      kind: entry.kind,
+      name,
+      event_id: escapeHtml(entry.eventId),
+      error: escapeHtml(entry.error || t("error.unknown"))
+    })}`;
+  });
+  if (entries.length > lines.length) {
+    lines.push(t("failed.more", { count: entries.length - lines.length }));
+  }
+
+  await replyTo(env, message, t("failed.list", { count: entries.length, entries: lines.join("\n") }));
+}
@@ -0,0 +1,311 @@
+/**
+ * Scheduled Job Handlers
+ *
+ * The cron trigger (wrangler.toml [triggers]) calls handleScheduled, which
+ * runs each active chat's jobs once their local time comes round:
+ * - checkin: post the one-tap check-in button
+ * - digest: weekly top check-in members and LTZ distributed
+ * - reminders: DM opted-in members whose streak ends at midnight
+ *
+ * Each run also removes members whose join captcha has expired and pays out
+ * reaction rewards past their cancel window (REWARD_QUEUE's delayed jobs do
+ * both sooner when the queue is bound).
+ *
+ * Admins set jobs with /config_schedule; members opt in to reminders with
+ * /remind. Storage and the due/claim rules live in utils/schedule.js.
+ */
+
+import { escapeHtml, sendMessage, replyTo, getBotUsername } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator } from '../utils/i18n.js';
+import { listChats, getChatTimezone } from '../utils/chats.js';
+import { localClock, addDays } from '../utils/dates.js';
+import { getStreak, getLeaderboard } from '../utils/streaks.js';
+import {
+  SCHEDULE_JOBS,
+  parseTime,
+  parseWeekday,
+  getSchedule,
+  saveSchedule,
+  isJobDue,
+  claimJobRun,
+  setReminderOptIn,
+  hasReminderOptIn,
+  listReminderOptIns
+} from '../utils/schedule.js';
+import { getTopicSettings } from '../utils/topics.js';
+import { postCheckinButton } from './checkin.js';
+import { sweepExpiredCaptchas } from './captcha.js';
+import { processDueReactionRewards } from './reactions.js';
+
+const DIGEST_SIZE = 5;
+
+const JOB_RUNNERS = {
+  checkin: runCheckinPost,
+  digest: runWeeklyDigest,
+  reminders: runStreakReminders
+};
+
+/**
+ * CRON: run every chat's due jobs
+ * Uses the trigger's scheduled time rather than the clock, so a retried run
+ * looks at the same local date and finds its run markers.
+ */
+export async function handleScheduled(controller, env) {
+  if (!env.TELEGRAM_BOT_KV) return;
+  const now = controller.scheduledTime || Date.now();
+
+  try {
+    await sweepExpiredCaptchas(env);
+  } catch (e) {
+    console.error("Captcha sweep failed:", e);
+  }
+  try {
+    await processDueReactionRewards(env, now);
+  } catch (e) {
+    console.error("Reaction reward sweep failed:", e);
+  }
+
+  for (const chat of await listChats(env)) {
+    if (chat.status !== "active") continue;
+
+    try {
+      const schedule = await getSchedule(env, chat.id);
+      if (Object.keys(schedule).length === 0) continue;
+
+      const timezone = await getChatTimezone(env, chat.id);
+      const clock = localClock(now, timezone);
+
+      for (const job of SCHEDULE_JOBS) {
+        if (!isJobDue(schedule[job], clock)) continue;
+        if (!(await claimJobRun(env, chat.id, job, clock.date))) continue;
+        await JOB_RUNNERS[job](env, chat, clock.date);
+      }
+    } catch (e) {
+      // One chat's failure shouldn't stop the others
+      console.error(`Scheduled jobs failed for chat ${chat.id}:`, e);
+    }
+  }
+}
+
+async function hasCheckinEvent(env, chatId) {
+  if (await env.TELEGRAM_BOT_KV.get(`CHECKIN_EVENT_ID:${chatId}`)) return true;
+  const topics = await getTopicSettings(env, chatId);
+  return Object.values(topics.topics).some(topic => topic.checkinEventId);
+}
+
+/**
+ * The forum topic check-ins happen in: the first of the chat's reward topics,
+ * or, without a chat-wide check-in event, the first topic with its own
+ * (null for General or outside forums)
+ */
+async function checkinTopic(env, chatId) {
+  const topics = await getTopicSettings(env, chatId);
+  if (topics.rewardTopics) return topics.rewardTopics[0];
+
+  const [topicId] = Object.keys(topics.topics).filter(id => topics.topics[id].checkinEventId);
+  return topicId && !(await env.TELEGRAM_BOT_KV.get(`CHECKIN_EVENT_ID:${chatId}`)) ? Number(topicId) : null;
+}
+
+/**
+ * JOB: daily "check-in is open" post
+ */
+async function runCheckinPost(env, chat) {
+  if (!(await hasCheckinEvent(env, chat.id))) return;
+  const t = await getTranslator(env, chat.id);
+  await postCheckinButton(env, chat.id, t, { topicId: await checkinTopic(env, chat.id) });
+}
+
+/**
+ * JOB: weekly digest
+ * Covers the ISO week containing yesterday, so a Monday digest reports the
+ * whole previous week and later days report the week so far.
+ */
+async function runWeeklyDigest(env, chat, today) {
+  const entries = await getLeaderboard(env, chat.id, "week", addDays(today, -1));
+  if (entries.length === 0) return;
+
+  const t = await getTranslator(env, chat.id);
+  const sum = field => entries.reduce((total, entry) => total + entry[field], 0);
+  const medals = ["🥇", "🥈", "🥉"];
+
+  const lines = [
+    t("schedule.digest_title"),
+    ``,
+    ...entries.slice(0, DIGEST_SIZE).map((entry, i) =>
+      `${medals[i] || `${i + 1}.`} ${escapeHtml(entry.name)} - ${t("unit.checkins", { count: entry.count })}`
+    ),
+    ``,
+    t("stats.tally", {
+      checkins: t("unit.checkins", { count: sum("count") }),
+      members: t("unit.members", { count: entries.length })
+    })
+  ];
+
+  const ltz = sum("ltz");
+  if (ltz > 0) {
+    lines.push(t("stats.ltz", { amount: ltz }));
+  }
+
+  await sendMessage(env, chat.id, lines.join("\n"));
+}
+
+/**
+ * JOB: DM opted-in members who checked in yesterday but not yet today
+ */
+async function runStreakReminders(env, chat, today) {
+  if (!(await hasCheckinEvent(env, chat.id))) return;
+
+  for (const member of await listReminderOptIns(env, chat.id)) {
+    const streak = await getStreak(env, chat.id, member.userId, today);
+    if (!streak || streak.current === 0 || streak.lastDate === today) continue;
+
+    const t = await getTranslator(env, chat.id, { language_code: member.languageCode });
+    const sent = await sendMessage(env, member.userId, t("schedule.reminder", {
+      name: escapeHtml(member.firstName || t("dm.there")),
+      chat: escapeHtml(chat.title || ""),
+      streak: t("unit.days", { count: streak.current })
+    }));
+    if (!sent) {
+      console.error(`Streak reminder not delivered to ${member.userId} in ${chat.id}`);
+    }
+  }
+}
+
+/**
+ * Weekday name in the translator's language (1 = Monday)
+ */
+function weekdayName(t, day) {
+  // 1 January 2024 was a Monday
+  return new Intl.DateTimeFormat(t.locale, { weekday: "long", timeZone: "UTC" })
+    .format(new Date(Date.UTC(2024, 0, day)));
+}
+
+function describeJob(t, job, entry) {
+  const when = entry.day
+    ? t("schedule.every_week", { day: weekdayName(t, entry.day), time: entry.time })
+    : t("schedule.every_day", { time: entry.time });
+  return t("schedule.job", { name: t(`schedule.name_${job}`), when });
+}
+
+/**
+ * ADMIN COMMAND: /config_schedule [checkin <HH:MM|off> | digest <day> <HH:MM> | digest off | reminders <HH:MM|off>]
+ */
+export async function handleConfigSchedule(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const timezone = await getChatTimezone(env, chatId);
+  const schedule = await getSchedule(env, chatId);
+  const [job, ...values] = parseArgs(command.args).positional.map(value => value.toLowerCase());
+
+  if (!job) {
+    const lines = SCHEDULE_JOBS.filter(name => schedule[name]).map(name => `• ${describeJob(t, name, schedule[name])}`);
+    await replyTo(env, message, [
+      t("schedule.title", { timezone: escapeHtml(timezone) }),
+      ``,
+      lines.length ? lines.join("\n") : t("schedule.none")
+    ].join("\n"));
+    return;
+  }
+
+  if (!SCHEDULE_JOBS.includes(job) || values.length === 0) {
+    await replyTo(env, message, t("schedule.usage", { timezone: escapeHtml(timezone) }));
+    return;
+  }
+
+  if (values[0] === "off") {
+    delete schedule[job];
+    await saveSchedule(env, chatId, schedule);
+    await replyTo(env, message, t("schedule.off", { name: t(`schedule.name_${job}`) }));
+    return;
+  }
+
+  let entry;
+  if (job === "digest") {
+    const day = parseWeekday(values[0]);
+    entry = day && parseTime(values[1]) !== null ? { day, time: values[1] } : null;
+  } else {
+    entry = parseTime(values[0]) !== null ? { time: values[0] } : null;
+  }
+  if (!entry) {
+    await replyTo(env, message, t("schedule.usage", { timezone: escapeHtml(timezone) }));
+    return;
+  }
+
+  // Store "9:00" as "09:00"
+  entry.time = entry.time.padStart(5, "0");
+  schedule[job] = entry;
+  await saveSchedule(env, chatId, schedule);
+
+  const lines = [t("schedule.set", { job: describeJob(t, job, entry), timezone: escapeHtml(timezone) })];
+  if (job !== "digest" && !(await hasCheckinEvent(env, chatId))) {
+    lines.push(``, t("schedule.needs_checkin"));
+  }
+  await replyTo(env, message, lines.join("\n"));
+}
+
+/**
+ * COMMAND: /remind [on|off]
+ * Opt in to a DM when your check-in streak in this chat is about to break
+ */
+export async function handleRemind(message, env, command) {
+  const chatId = message.chat.id;
+  const user = message.from;
+  const t = await getTranslator(env, chatId, user);
+  const name = escapeHtml(user.first_name || t("dm.there"));
+
+  if (message.chat.type === "private") {
+    await replyTo(env, message, t("schedule.remind_group_only"));
+    return;
+  }
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const [choice] = parseArgs(command.args).positional.map(value => value.toLowerCase());
+
+  if (!choice) {
+    const enabled = await hasReminderOptIn(env, chatId, user.id);
+    await replyTo(env, message, t(enabled ? "schedule.remind_status_on" : "schedule.remind_status_off", { name }));
+    return;
+  }
+
+  if (choice === "off") {
+    await setReminderOptIn(env, chatId, user, false);
+    await replyTo(env, message, t("schedule.remind_off", { name }));
+    return;
+  }
+
+  if (choice !== "on") {
+    await replyTo(env, message, t("schedule.remind_usage"));
+    return;
+  }
+
+  // Only opt in once we know Telegram lets the bot DM them
+  const confirmed = await sendMessage(env, user.id, t("schedule.remind_dm", {
+    chat: escapeHtml(message.chat.title || "")
+  }));
+  if (!confirmed) {
+    const botUsername = await getBotUsername(env);
+    const link = botUsername ? `https://t.me/${botUsername.replace(/^@/, "")}` : t("dm.bot_profile");
+    await replyTo(env, message, t("dm.start_first", { name, link }), {
+      reply_to_message_id: message.message_id
+    });
+    return;
+  }
+
+  await setReminderOptIn(env, chatId, user, true);
+  const lines = [t("schedule.remind_on", { name })];
+  if (!(await getSchedule(env, chatId)).reminders) {
+    lines.push(t("schedule.remind_not_scheduled"));
+  }
+  await replyTo(env, message, lines.join("\n"));
+}
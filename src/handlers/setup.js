@@ -0,0 +1,119 @@
+/**
+ * Setup Handlers
+ *
+ * POST /setup registers the bot with Telegram in one call, replacing the manual
+ * curl steps: it points the webhook at this worker (with the secret token and
+ * the update types the bot handles) and publishes the command menus, one for
+ * members and a longer one for chat admins.
+ *
+ * getWebhookInfo backs GET /admin/webhook (the full state) and GET /health
+ * (a redacted summary: no URL or error message).
+ */
+
+import { callTelegram } from '../utils/telegram.js';
+import { menuCommands } from './commands.js';
+
+// Update types the bot handles (chat_member and message_reaction also need the bot to be a group admin)
+export const ALLOWED_UPDATES = ["message", "callback_query", "chat_member", "my_chat_member", "message_reaction", "poll_answer", "poll"];
+
+// Telegram only accepts these characters in a webhook secret token
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * ROUTE: POST /setup (requires ADMIN_TOKEN)
+ *
+ * Optional JSON body:
+ * - url: webhook URL (defaults to this worker's origin)
+ * - drop_pending_updates: discard updates Telegram is still holding
+ */
+export async function handleSetup(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const origin = new URL(request.url).origin;
+
+  const webhookUrl = new URL(body.url || `${origin}/`);
+  const params = {
+    allowed_updates: ALLOWED_UPDATES,
+    drop_pending_updates: !!body.drop_pending_updates
+  };
+  const warnings = [];
+
+  if (env.WEBHOOK_SECRET) {
+    if (SECRET_TOKEN_PATTERN.test(env.WEBHOOK_SECRET)) {
+      params.secret_token = env.WEBHOOK_SECRET;
+    } else {
+      // Still protected, just through the legacy query parameter
+      webhookUrl.searchParams.set("secret", env.WEBHOOK_SECRET);
+      warnings.push("WEBHOOK_SECRET contains characters Telegram doesn't allow in secret tokens (only A-Z, a-z, 0-9, _ and -), so it was added to the webhook URL instead");
+    }
+  } else {
+    warnings.push("WEBHOOK_SECRET is not set - anyone who knows the webhook URL can send fake updates");
+  }
+  params.url = webhookUrl.toString();
+
+  const webhook = await callTelegram(env, "setWebhook", params);
+  const members = await callTelegram(env, "setMyCommands", {
+    commands: menuCommands("member"),
+    scope: { type: "default" }
+  });
+  const admins = await callTelegram(env, "setMyCommands", {
+    commands: menuCommands("admin"),
+    scope: { type: "all_chat_administrators" }
+  });
+
+  const ok = !!(webhook.ok && members.ok && admins.ok);
+  return new Response(
+    JSON.stringify({
+      ok,
+      webhook: { url: webhookUrl.origin + webhookUrl.pathname, allowedUpdates: ALLOWED_UPDATES, ...result(webhook) },
+      commands: {
+        members: result(members),
+        admins: result(admins)
+      },
+      warnings
+    }, null, 2),
+    { status: ok ? 200 : 502, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+function result(response) {
+  return response.ok ? { ok: true } : { ok: false, error: response.description };
+}
+
+/**
+ * Summarise getWebhookInfo for GET /admin/webhook (null if the bot token isn't configured)
+ */
+export async function getWebhookStatus(env) {
+  if (!env.TELEGRAM_BOT_TOKEN) return null;
+
+  const response = await callTelegram(env, "getWebhookInfo");
+  if (!response.ok) {
+    return { error: response.description || "getWebhookInfo failed" };
+  }
+
+  const info = response.result;
+  const missingUpdates = ALLOWED_UPDATES.filter(type => info.allowed_updates && !info.allowed_updates.includes(type));
+  return {
+    configured: !!info.url,
+    pendingUpdateCount: info.pending_update_count,
+    lastErrorDate: info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null,
+    lastErrorMessage: info.last_error_message || null,
+    maxConnections: info.max_connections,
+    missingUpdates
+  };
+}
+
+/**
+ * The public part of the webhook's state, for GET /health
+ * Leaves out the last error's message, which can quote the webhook URL.
+ */
+export async function getWebhookSummary(env) {
+  const status = await getWebhookStatus(env);
+  if (!status) return null;
+  if (status.error) return { error: "getWebhookInfo failed" };
+
+  return {
+    configured: status.configured,
+    pendingUpdateCount: status.pendingUpdateCount,
+    lastErrorDate: status.lastErrorDate
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Template Handlers
+ *
+ * /config_message lets admins give the bot's reward replies their
+ * community's own voice.
+ */
+
+import { escapeHtml, replyTo } from '../utils/telegram.js';
+import { getTranslator } from '../utils/i18n.js';
+import {
+  MESSAGE_KINDS,
+  PLACEHOLDERS,
+  getChatTemplates,
+  setChatTemplate,
+  renderTemplate
+} from '../utils/templates.js';
+
+// Example values for previews
+const PREVIEW_VARS = {
+  first_name: "Alice",
+  username: "@alice",
+  amount: "10",
+  streak: "7",
+  chat_title: "My Community"
+};
+
+function previewVars(t) {
+  return {
+    ...PREVIEW_VARS,
+    streak_days: t("unit.days_word", { count: 7 }),
+    error: t("template.preview_error"),
+    next_checkin: "5h 12m"
+  };
+}
+
+/**
+ * ADMIN COMMAND: /config_message [<kind> <template>|<kind> reset]
+ */
+export async function handleConfigMessage(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  // Everything after the kind is the template, newlines included
+  const match = /^(\S+)?(?:\s+([\s\S]+))?$/.exec(command.argsText);
+  const kind = match?.[1]?.toLowerCase();
+  const template = match?.[2]?.trim();
+
+  if (!kind) {
+    await replyTo(env, message, await describeTemplates(env, chatId, t));
+    return;
+  }
+
+  if (!MESSAGE_KINDS.includes(kind)) {
+    await replyTo(env, message, t("template.unknown_kind", { kind: escapeHtml(kind), kinds: MESSAGE_KINDS.join(", ") }));
+    return;
+  }
+
+  if (!template) {
+    await replyTo(env, message, t("template.usage", { kind, placeholders: PLACEHOLDERS.map(p => `{${p}}`).join(" ") }));
+    return;
+  }
+
+  if (template.toLowerCase() === "reset") {
+    await setChatTemplate(env, chatId, kind, null);
+    await replyTo(env, message, t("template.reset", { kind }));
+    return;
+  }
+
+  await setChatTemplate(env, chatId, kind, template);
+  await replyTo(env, message, t("template.updated", { kind, preview: renderTemplate(template, previewVars(t)) }));
+}
+
+/**
+ * List message kinds with the chat's current templates
+ */
+async function describeTemplates(env, chatId, t) {
+  const templates = await getChatTemplates(env, chatId);
+  const lines = MESSAGE_KINDS.map(kind => {
+    const current = templates[kind]
+      ? `<code>${escapeHtml(templates[kind])}</code>`
+      : t(kind === "welcome" && env.WELCOME_MESSAGE ? "template.env_default" : "template.builtin_default");
+    return `<b>${kind}</b> - ${t(`template_kind.${kind}`)}\n${current}`;
+  });
+
+  return t("template.list", { templates: lines.join("\n\n"), placeholders: PLACEHOLDERS.map(p => `{${p}}`).join(" ") });
+}
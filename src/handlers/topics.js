@@ -0,0 +1,160 @@
+/**
+ * Forum Topic Handlers
+ *
+ * /config_topic sets what's special about the forum topic it's run in: its own
+ * check-in event (e.g. a "#daily-gm" topic with its own reward), and whether
+ * reward commands may be used there. Once any topic is picked for reward
+ * commands, they only work in the picked topics. Quoting replies is chat-wide
+ * and works outside forums too.
+ */
+
+import { escapeHtml, replyTo } from '../utils/telegram.js';
+import { parseArgs } from '../utils/args.js';
+import { getTranslator, formatList } from '../utils/i18n.js';
+import {
+  getTopicSettings,
+  saveTopicSettings,
+  topicOf,
+  topicName,
+  topicLabel
+} from '../utils/topics.js';
+import { requireEvent, uncheckedNote } from './events.js';
+
+/**
+ * ADMIN COMMAND: /config_topic [checkin <event_id|off> | rewards <on|off|anywhere> | quote <on|off>]
+ */
+export async function handleConfigTopic(message, env, command) {
+  const chatId = message.chat.id;
+  const t = await getTranslator(env, chatId, message.from);
+
+  if (!env.TELEGRAM_BOT_KV) {
+    await replyTo(env, message, t("error.no_kv"));
+    return;
+  }
+
+  const [action, value] = parseArgs(command.args).positional.map(arg => arg.toLowerCase());
+  const settings = await getTopicSettings(env, chatId);
+  const topicId = topicOf(message);
+
+  if (!action) {
+    await replyTo(env, message, describeTopics(settings, topicId, message, t));
+    return;
+  }
+
+  if (action === "quote" && (value === "on" || value === "off")) {
+    settings.quote = value === "on";
+    await saveTopicSettings(env, chatId, settings);
+    await replyTo(env, message, t(settings.quote ? "topic.quote_set_on" : "topic.quote_set_off"));
+    return;
+  }
+
+  if (action !== "checkin" && action !== "rewards") {
+    await replyTo(env, message, t("topic.usage"));
+    return;
+  }
+  if (!topicId) {
+    await replyTo(env, message, t("topic.forum_only"));
+    return;
+  }
+
+  const topic = settings.topics[topicId] || {};
+  topic.name = topicName(message) || topic.name || null;
+  const label = escapeHtml(topicLabel(topicId, topic.name));
+
+  if (action === "checkin") {
+    if (!value) {
+      await replyTo(env, message, t("topic.usage"));
+      return;
+    }
+
+    if (value === "off") {
+      delete topic.checkinEventId;
+      await saveTopic(env, chatId, settings, topicId, topic);
+      await replyTo(env, message, t("topic.checkin_off", { topic: label }));
+      return;
+    }
+
+    // Event IDs are case-sensitive - take the argument as typed
+    const [, inputName] = parseArgs(command.args).positional;
+    const check = await requireEvent(env, message, inputName, t);
+    if (!check) return;
+
+    topic.checkinEventId = check.eventId;
+    await saveTopic(env, chatId, settings, topicId, topic);
+    await replyTo(env, message, t("topic.checkin_set", { topic: label, event_id: escapeHtml(check.eventId) }) + uncheckedNote(check, t));
+    return;
+  }
+
+  if (value === "anywhere") {
+    delete settings.rewardTopics;
+    await saveTopic(env, chatId, settings, topicId, topic);
+    await replyTo(env, message, t("topic.rewards_anywhere"));
+    return;
+  }
+  if (value !== "on" && value !== "off") {
+    await replyTo(env, message, t("topic.usage"));
+    return;
+  }
+
+  const rewardTopics = (settings.rewardTopics || []).filter(id => id !== topicId);
+  if (value === "on") rewardTopics.push(topicId);
+  // Taking out the last topic lifts the restriction rather than allowing nowhere
+  if (rewardTopics.length > 0) {
+    settings.rewardTopics = rewardTopics;
+  } else {
+    delete settings.rewardTopics;
+  }
+  await saveTopic(env, chatId, settings, topicId, topic);
+
+  await replyTo(env, message, settings.rewardTopics
+    ? t("topic.rewards_only", { topics: rewardTopicList(settings, t) })
+    : t("topic.rewards_anywhere"));
+}
+
+/**
+ * Store a topic's entry, dropping it once it has nothing but a name
+ */
+async function saveTopic(env, chatId, settings, topicId, topic) {
+  if (topic.checkinEventId || settings.rewardTopics?.includes(topicId)) {
+    settings.topics[topicId] = topic;
+  } else {
+    delete settings.topics[topicId];
+  }
+  await saveTopicSettings(env, chatId, settings);
+}
+
+function rewardTopicList(settings, t) {
+  return formatList(t, settings.rewardTopics.map(id =>
+    `<b>${escapeHtml(topicLabel(id, settings.topics[id]?.name))}</b>`));
+}
+
+function describeTopics(settings, topicId, message, t) {
+  const lines = [t("topic.title"), ``];
+
+  if (topicId) {
+    const checkinEventId = settings.topics[topicId]?.checkinEventId;
+    lines.push(
+      t("topic.current", { topic: escapeHtml(topicLabel(topicId, topicName(message) || settings.topics[topicId]?.name)) }),
+      checkinEventId
+        ? t("topic.checkin_here", { event_id: escapeHtml(checkinEventId) })
+        : t("topic.checkin_chat"),
+      ``
+    );
+  }
+
+  lines.push(settings.rewardTopics
+    ? t("topic.rewards_only", { topics: rewardTopicList(settings, t) })
+    : t("topic.rewards_everywhere"));
+  lines.push(t(settings.quote ? "topic.quote_on" : "topic.quote_off"));
+
+  const bindings = Object.entries(settings.topics).filter(([, topic]) => topic.checkinEventId);
+  if (bindings.length > 0) {
+    lines.push(``, t("topic.checkins"));
+    for (const [id, topic] of bindings) {
+      lines.push(`• ${escapeHtml(topicLabel(id, topic.name))}: <code>${escapeHtml(topic.checkinEventId)}</code>`);
+    }
+  }
+
+  lines.push(``, t("topic.usage_short"));
+  return lines.join("\n");
+}
@@ -0,0 +1,93 @@
+/**
+ * Wallet Handlers
+ *
+ * /balance (alias /ltz) and /history show a member's own LTZ balance, wallet
+ * and recent rewards. Run in a group, the answer goes to the member's DM so
+ * balances aren't posted for the whole chat to see.
+ */
+
+import { escapeHtml, sendMessage, replyTo, getBotUsername } from '../utils/telegram.js';
+import { getBalance, getHistory, HISTORY_FETCH_LIMIT } from '../utils/wallet.js';
+import { parseArgs } from '../utils/args.js';
+import { getChatBrand } from '../utils/brands.js';
+import { getTranslator } from '../utils/i18n.js';
+
+const PERKS_URL = "https://perks.loyalteez.app";
+const DEFAULT_HISTORY_LENGTH = 5;
+
+/**
+ * COMMAND: /balance (or /ltz)
+ */
+export async function handleBalance(message, env) {
+  const t = await getTranslator(env, message.chat.id, message.from);
+  let reply;
+  try {
+    const { walletAddress, balance } = await getBalance(env, message.from, await getChatBrand(env, message.chat.id));
+    reply = [
+      t("balance.amount", { balance }),
+      walletAddress ? t("balance.wallet", { address: escapeHtml(walletAddress) }) : null,
+      ``,
+      t("balance.spend", { url: PERKS_URL })
+    ].filter(line => line !== null).join("\n");
+  } catch (error) {
+    console.error("Balance lookup failed:", error);
+    reply = t("balance.failed", { url: PERKS_URL });
+  }
+
+  await replyPrivately(env, message, reply, t);
+}
+
+/**
+ * COMMAND: /history [count]
+ */
+export async function handleHistory(message, env, command) {
+  const { positional } = parseArgs(command.args);
+  const count = Math.min(Math.max(parseInt(positional[0], 10) || DEFAULT_HISTORY_LENGTH, 1), HISTORY_FETCH_LIMIT);
+  const t = await getTranslator(env, message.chat.id, message.from);
+
+  let reply;
+  try {
+    const history = await getHistory(env, message.from, await getChatBrand(env, message.chat.id), count);
+    if (history.length === 0) {
+      reply = t("history.empty");
+    } else {
+      const lines = history.map(entry => {
+        const date = entry.timestamp ? `${String(entry.timestamp).slice(0, 10)} ` : "";
+        return `• ${date}+${entry.amount} LTZ — <code>${escapeHtml(entry.eventType)}</code>`;
+      });
+      reply = `${t("history.title", { count: history.length })}\n\n${lines.join("\n")}`;
+    }
+  } catch (error) {
+    console.error("History lookup failed:", error);
+    reply = t("history.failed");
+  }
+
+  await replyPrivately(env, message, reply, t);
+}
+
+/**
+ * Send a reply to the member's DM (directly, if already in one)
+ * In groups, leave a short note pointing there, or ask them to start the bot
+ * if Telegram won't let it message them yet.
+ */
+async function replyPrivately(env, message, text, t) {
+  if (message.chat.type === "private") {
+    await replyTo(env, message, text);
+    return;
+  }
+
+  const sent = await sendMessage(env, message.from.id, text);
+  const name = escapeHtml(message.from.first_name || t("dm.there"));
+
+  if (sent) {
+    await replyTo(env, message, t("dm.sent", { name }), {
+      reply_to_message_id: message.message_id
+    });
+  } else {
+    const botUsername = await getBotUsername(env);
+    const link = botUsername ? `https://t.me/${botUsername.replace(/^@/, "")}` : t("dm.bot_profile");
+    await replyTo(env, message, t("dm.start_first", { name, link }), {
+      reply_to_message_id: message.message_id
+    });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Mini App Handlers
+ *
+ * POST /webapp/event lets a Telegram Mini App reward the member using it.
+ * The request carries the Mini App's signed initData, so the member is
+ * identified by Telegram rather than by anything the page claims, and is
+ * rewarded under the same `telegram_<id>` identity as the chat commands.
+ * Only events on the brand's WEBAPP_EVENTS allow-list can be triggered.
+ */
+
+import { triggerReward } from '../utils/rewards.js';
+import { verifyInitData, getAllowedWebAppEvents } from '../utils/webapp.js';
+import { getChatBrand } from '../utils/brands.js';
+
+const VERIFY_ERRORS = {
+  missing_hash: "initData is missing or unsigned",
+  bad_signature: "initData signature is invalid",
+  stale: "initData has expired - reopen the Mini App",
+  no_user: "initData has no user"
+};
+
+/**
+ * ROUTE: POST /webapp/event
+ *
+ * JSON body: { initData: string, eventId: string }
+ *
+ * @param {Object} headers - Response headers (CORS, since Mini Apps are served from another origin)
+ */
+export async function handleWebAppEvent(request, env, headers = {}) {
+  const respond = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...headers, "Content-Type": "application/json" }
+  });
+
+  const body = await request.json().catch(() => null);
+  if (!body || typeof body.initData !== "string" || typeof body.eventId !== "string") {
+    return respond(400, { success: false, error: "Expected JSON body with initData and eventId" });
+  }
+
+  const { user, chat, error } = await verifyInitData(env, body.initData);
+  if (error) {
+    return respond(401, { success: false, error: VERIFY_ERRORS[error] });
+  }
+
+  const brandId = await getChatBrand(env, chat ? chat.id : null);
+  if (!getAllowedWebAppEvents(env, brandId).includes(body.eventId)) {
+    return respond(403, { success: false, error: `Event ${body.eventId} can't be triggered from a Mini App` });
+  }
+
+  const result = await triggerReward(env, body.eventId, user, chat ? chat.id : null);
+  if (!result.success) {
+    return respond(422, {
+      success: false,
+      error: result.error || "Failed to process reward",
+      reason: result.reason,
+      nextEligibleAt: result.nextEligibleAt || null
+    });
+  }
+
+  return respond(200, {
+    success: true,
+    eventId: body.eventId,
+    rewardAmount: result.ltzDistributed || result.rewardAmount || null
+  });
+}
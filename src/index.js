@@ -5,17 +5,61 @@
  * Rewards community members with LTZ tokens for joining groups and daily check-ins.
  * 
  * Features:
- * - Automatic join rewards (configurable per chat)
- * - Daily check-in rewards (/checkin command)
+ * - Automatic join rewards (configurable per chat, first joins only)
+ * - Membership ledger with optional reward hold (anti join/leave farming)
+ * - Join captcha (/config_captcha) and username/photo requirements for join rewards
+ * - Daily check-in rewards (/checkin command) with streaks and leaderboards
+ * - Scheduled check-in posts, weekly digests and streak reminders (cron, /config_schedule)
+ * - One-tap inline buttons for check-ins and welcome rewards
+ * - Per-chat message templates (/config_message)
+ * - Localized replies (src/locales) by member language or /config_language
  * - Admin configuration via /config_checkin and /config_join
+ * - Command registry with per-chat aliases and disabled commands (/commands)
+ * - Duplicate webhook deliveries skipped (keyed on update_id)
+ * - Failed rewards retried through a Cloudflare Queue (/failed_rewards)
+ * - Balance and reward history lookups (/balance, /history) sent by DM
+ * - Account linking to a verified email or wallet (/link, /whoami, /unlink)
+ * - Referral tracking via /invite links and /start deep links
+ * - Keyword ("secret word") rewards via /config_keyword
+ * - Admin reaction rewards for helpful answers via /config_reaction
+ * - Quiz polls (/quiz) that reward correct answers
  * - Friendly name resolution (daily_checkin → custom event ID)
+ * - Cached event catalogue (/events) that /config_* commands validate against
+ * - Forum topic aware replies, per-topic check-in events and reward-command topics (/config_topic)
+ * - Self-setup route (POST /setup) for the webhook and command menus
+ * - Multiple brands per worker (/config_brand, falling back to BRAND_ID)
+ * - Admin HTTP API (/admin/*) for chat config, export/import and an audit log
+ * - Reward metrics by chat and event (GET /metrics, admins' /stats)
  * - Bot username authentication (platform-based security)
+ * - Mini App rewards via POST /webapp/event (verified initData)
+ * - Dry-run mode (REWARD_MODE=dry_run) with a local Loyalteez stand-in
  * - Service bindings for fast worker-to-worker communication
  * 
  * @see https://github.com/Alpha4-Labs/telegram-loyalty-bot
  */
 
-import { LoyalteezClient } from './utils/loyalteez.js';
+import {
+  handleNewChatMembers,
+  handleLeftChatMember,
+  handleChatMember,
+  handleMyChatMember,
+  releasePendingJoinReward
+} from './handlers/membership.js';
+import { handleCallbackQuery } from './handlers/callbacks.js';
+import { handleCommand } from './handlers/commands.js';
+import { handleKeywordMessage } from './handlers/keywords.js';
+import { handleMessageReaction, indexMessageAuthor } from './handlers/reactions.js';
+import { handlePollAnswer, handlePollUpdate } from './handlers/quizzes.js';
+import { handleRewardQueue } from './handlers/retries.js';
+import { handleScheduled } from './handlers/schedule.js';
+import { handleSetup, getWebhookSummary } from './handlers/setup.js';
+import { handleWebAppEvent } from './handlers/webapp.js';
+import { handleAdminRequest } from './handlers/admin.js';
+import { handleMetricsRequest } from './handlers/metrics.js';
+import { isSandbox } from './utils/sandbox.js';
+import { countConfiguredBrands } from './utils/brands.js';
+import { claimUpdate, completeUpdate } from './utils/updates.js';
+import { hasWebhookSecret, hasAdminToken } from './utils/auth.js';
 
 // CORS headers for health checks from browser
 const corsHeaders = {
@@ -42,10 +86,14 @@ export default {
           timestamp: new Date().toISOString(),
           config: {
             brandId: env.BRAND_ID ? "configured" : "missing",
+            brands: countConfiguredBrands(env),
             apiUrl: env.LOYALTEEZ_API_URL || "https://api.loyalteez.app",
+            rewardMode: isSandbox(env) ? "dry_run" : "live",
             kvConfigured: !!env.TELEGRAM_BOT_KV,
-            tokenConfigured: !!env.TELEGRAM_BOT_TOKEN
-          }
+            tokenConfigured: !!env.TELEGRAM_BOT_TOKEN,
+            webhookSecretConfigured: !!env.WEBHOOK_SECRET
+          },
+          webhook: await getWebhookSummary(env)
         }),
         {
           status: 200,
@@ -54,30 +102,74 @@ export default {
       );
     }
 
-    // Only accept POST requests for webhooks
+    // Admin API (bearer-token authenticated, any method)
+    if (url.pathname.startsWith("/admin/")) {
+      return await handleAdminRequest(request, env);
+    }
+
+    // Reward metrics for Prometheus (bearer-token authenticated)
+    if (request.method === "GET" && url.pathname === "/metrics") {
+      return await handleMetricsRequest(request, env);
+    }
+
+    // Only accept POST requests for webhooks and admin routes
     if (request.method !== "POST") {
       return new Response("Method not allowed", { status: 405 });
     }
 
+    // Admin route: register the webhook and command menus with Telegram
+    if (url.pathname === "/setup") {
+      if (!hasAdminToken(request, env)) {
+        return new Response("Unauthorized", { status: 401 });
+      }
+      return await handleSetup(request, env);
+    }
+
+    // Mini App rewards (authenticated by the signed initData, not the webhook secret)
+    if (url.pathname === "/webapp/event") {
+      return await handleWebAppEvent(request, env, corsHeaders);
+    }
+
     // Verify secret token if configured (security best practice)
-    if (env.WEBHOOK_SECRET && url.searchParams.get("secret") !== env.WEBHOOK_SECRET) {
+    if (!hasWebhookSecret(request, env)) {
       return new Response("Unauthorized", { status: 401 });
     }
 
+    let update;
     try {
-      const update = await request.json();
-      
-      // Handle the update
-      await handleUpdate(update, env);
+      update = await request.json();
+    } catch (e) {
+      return new Response("Bad request", { status: 400 });
+    }
 
+    // Telegram redelivers anything it didn't get a 2xx for - skip updates we've already seen
+    if (!(await claimUpdate(env, update.update_id))) {
+      console.log(`Skipping duplicate update ${update.update_id}`);
       return new Response("OK", { status: 200 });
+    }
+
+    try {
+      await handleUpdate(update, env);
+      await completeUpdate(env, update.update_id);
     } catch (e) {
-      console.error("Error processing update:", e);
-      return new Response(
-        JSON.stringify({ error: "Internal server error", message: e.message }),
-        { status: 500, headers: { "Content-Type": "application/json" } }
-      );
+      // Always acknowledge: part of the update may already have been processed
+      // (a reward sent, a message posted), and a redelivery would repeat it.
+      // Failed rewards are retried through REWARD_QUEUE instead.
+      console.error(`Error processing update ${update.update_id}:`, e);
+      await completeUpdate(env, update.update_id, e);
     }
+
+    return new Response("OK", { status: 200 });
+  },
+
+  // Retries of rewards that failed with a temporary error (REWARD_QUEUE)
+  async queue(batch, env, ctx) {
+    await handleRewardQueue(batch, env);
+  },
+
+  // Per-chat scheduled jobs: check-in posts, weekly digests, streak reminders
+  async scheduled(controller, env, ctx) {
+    await handleScheduled(controller, env);
   },
 };
 
@@ -87,360 +179,75 @@ async function handleUpdate(update, env) {
     await handleMessage(update.message, env);
   }
   
-  // 2. Handle Chat Member Updates (optional, for stricter join tracking)
-  // Note: 'message.new_chat_members' is usually sufficient for groups
+  // 2. Handle Chat Member Updates (joins/leaves, requires bot admin rights)
+  if (update.chat_member) {
+    await handleChatMember(update.chat_member, env);
+  }
+
+  // 3. Handle the bot itself being added to or removed from a chat
+  if (update.my_chat_member) {
+    await handleMyChatMember(update.my_chat_member, env);
+  }
+
+  // 4. Handle inline button presses
+  if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query, env);
+  }
+
+  // 5. Handle reactions (admin reaction rewards, requires bot admin rights)
+  if (update.message_reaction) {
+    await handleMessageReaction(update.message_reaction, env);
+  }
+
+  // 6. Handle quiz answers and closed quizzes (/quiz)
+  if (update.poll_answer) {
+    await handlePollAnswer(update.poll_answer, env);
+  }
+  if (update.poll) {
+    await handlePollUpdate(update.poll, env);
+  }
 }
 
 async function handleMessage(message, env) {
-  const chatId = message.chat.id;
   const user = message.from;
   const text = message.text || "";
 
-  // Ignore bots
-  if (user.is_bot) return;
-
   // --------------------------------------------
   // EVENT: User Joined Group
   // --------------------------------------------
   if (message.new_chat_members) {
-    // Get configured join event ID (required - no default)
-    let joinEventId = null;
-    if (env.TELEGRAM_BOT_KV) {
-      joinEventId = await env.TELEGRAM_BOT_KV.get(`JOIN_EVENT_ID:${chatId}`);
-    }
-
-    if (!joinEventId) {
-      await sendMessage(env, chatId, `⚠️ Join reward not configured. Admin: Use /config_join <event_id> to set up.`);
-      return;
-    }
-
-    for (const member of message.new_chat_members) {
-      if (!member.is_bot) {
-        const result = await triggerReward(env, joinEventId, member, chatId);
-        if (result.success) {
-          await sendMessage(env, chatId, `Welcome ${member.first_name}! You've earned ${result.ltzDistributed || 'LTZ'} tokens for joining.`);
-        } else {
-          await sendMessage(env, chatId, `Welcome ${member.first_name}! (Reward processing...)`);
-        }
-      }
-    }
+    await handleNewChatMembers(message, env);
     return;
   }
 
   // --------------------------------------------
-  // COMMAND: /checkin (Daily Reward)
+  // EVENT: User Left Group
   // --------------------------------------------
-  if (text.startsWith("/checkin")) {
-    // Get configured checkin event ID (required - no default)
-    let checkinEventId = null;
-    if (env.TELEGRAM_BOT_KV) {
-      checkinEventId = await env.TELEGRAM_BOT_KV.get(`CHECKIN_EVENT_ID:${chatId}`);
-    }
-
-    if (!checkinEventId) {
-      await sendMessage(env, chatId, `⚠️ Daily check-in not configured. Admin: Use /config_checkin <event_id> to set up.\n\nCreate an event in Partner Portal with "Telegram Bot Interaction" detection, then use the generated event ID.`);
-      return;
-    }
-
-    const result = await triggerReward(env, checkinEventId, user, chatId);
-    
-    if (result.success) {
-      await sendMessage(env, chatId, `✅ Daily check-in complete! ${result.ltzDistributed || result.rewardAmount || 'LTZ'} sent to your wallet.`);
-    } else {
-      // Handle cooldowns or errors
-      if (result.error?.includes("cooldown")) {
-         await sendMessage(env, chatId, `⏳ You've already checked in today. Come back tomorrow!`);
-      } else if (result.error?.includes("not found") || result.error?.includes("Invalid event")) {
-         await sendMessage(env, chatId, `❌ Event "${checkinEventId}" not found or inactive. Admin: Verify the event ID in Partner Portal.`);
-      } else {
-         await sendMessage(env, chatId, `❌ Check-in failed: ${result.error || "Unknown error"}`);
-      }
-    }
+  if (message.left_chat_member) {
+    await handleLeftChatMember(message, env);
     return;
   }
 
-  // --------------------------------------------
-  // COMMAND: /balance
-  // --------------------------------------------
-  if (text.startsWith("/balance") || text.startsWith("/ltz")) {
-    await sendMessage(env, chatId, `💰 View your LTZ balance and spend tokens here:\nhttps://perks.loyalteez.app`);
-    return;
-  }
+  // Ignore bots
+  if (user.is_bot) return;
 
-  // --------------------------------------------
-  // ADMIN COMMAND: /config_checkin <event_id>
-  // --------------------------------------------
-  if (text.startsWith("/config_checkin")) {
-    if (!(await isAdmin(env, chatId, user.id))) {
-      await sendMessage(env, chatId, "❌ Only admins can configure the bot.");
-      return;
-    }
+  // Release a held join reward once the member has stayed long enough
+  await releasePendingJoinReward(env, message.chat, user);
 
-    const parts = text.split(" ");
-    if (parts.length < 2) {
-      await sendMessage(env, chatId, "❌ Usage: /config_checkin <event_id_or_friendly_name>\n\nYou can use:\n- Custom event ID: <code>custom_4748e22F_1763993617509</code>\n- Friendly name: <code>daily_checkin</code>");
-      return;
-    }
-
-    const inputName = parts[1];
-    
-    // Resolve friendly name to custom event ID if needed
-    const resolvedEventId = await resolveEventId(env, inputName);
-    
-    if (env.TELEGRAM_BOT_KV) {
-      await env.TELEGRAM_BOT_KV.put(`CHECKIN_EVENT_ID:${chatId}`, resolvedEventId);
-      
-      if (resolvedEventId !== inputName) {
-        await sendMessage(env, chatId, `✅ Daily check-in event configured!\n\nFriendly name: <code>${escapeHtml(inputName)}</code>\nMaps to: <code>${escapeHtml(resolvedEventId)}</code>`);
-      } else {
-        await sendMessage(env, chatId, `✅ Daily check-in event updated to: <code>${escapeHtml(resolvedEventId)}</code>`);
-      }
-    } else {
-      await sendMessage(env, chatId, "❌ KV Storage not configured. Cannot save settings.");
-    }
-    return;
-  }
+  // Remember who wrote what, so admin reactions can reward the author
+  await indexMessageAuthor(message, env);
 
   // --------------------------------------------
-  // ADMIN COMMAND: /config_join <event_id>
+  // COMMANDS: see handlers/commands.js for the registry
   // --------------------------------------------
-  if (text.startsWith("/config_join")) {
-    if (!(await isAdmin(env, chatId, user.id))) {
-      await sendMessage(env, chatId, "❌ Only admins can configure the bot.");
-      return;
-    }
-
-    const parts = text.split(" ");
-    if (parts.length < 2) {
-      await sendMessage(env, chatId, "❌ Usage: /config_join <event_id_or_friendly_name>\n\nYou can use:\n- Custom event ID: <code>custom_4748e22F_1763993617509</code>\n- Friendly name: <code>telegram_join</code>");
-      return;
-    }
-
-    const inputName = parts[1];
-    
-    // Resolve friendly name to custom event ID if needed
-    const resolvedEventId = await resolveEventId(env, inputName);
-    
-    if (env.TELEGRAM_BOT_KV) {
-      await env.TELEGRAM_BOT_KV.put(`JOIN_EVENT_ID:${chatId}`, resolvedEventId);
-      
-      if (resolvedEventId !== inputName) {
-        await sendMessage(env, chatId, `✅ Join event configured!\n\nFriendly name: <code>${escapeHtml(inputName)}</code>\nMaps to: <code>${escapeHtml(resolvedEventId)}</code>`);
-      } else {
-        await sendMessage(env, chatId, `✅ Join event updated to: <code>${escapeHtml(resolvedEventId)}</code>`);
-      }
-    } else {
-      await sendMessage(env, chatId, "❌ KV Storage not configured. Cannot save settings.");
-    }
+  if (await handleCommand(message, env)) {
     return;
   }
 
   // --------------------------------------------
-  // COMMAND: /start
+  // EVENT: Keyword ("secret word") messages
   // --------------------------------------------
-  if (text.startsWith("/start")) {
-    await sendMessage(env, chatId, `👋 Welcome to the community loyalty bot!\n\nCommands:\n/checkin - Earn daily points\n/balance - Check your balance\n\nAdmins:\n/config_checkin <event_id> - Set daily event ID\n/config_join <event_id> - Set join event ID\n\n📖 Setup: Create events in Partner Portal with "Telegram Bot Interaction" detection, then configure the bot with the generated event IDs.`);
-    return;
-  }
-}
-
-/**
- * Check if user is an admin in the chat
- */
-async function isAdmin(env, chatId, userId) {
-  const token = env.TELEGRAM_BOT_TOKEN;
-  if (!token) return false;
-
-  // Private chats always allow config (owner)
-  if (chatId > 0) return true; 
-
-  const url = `https://api.telegram.org/bot${token}/getChatMember?chat_id=${chatId}&user_id=${userId}`;
-  try {
-    const res = await fetch(url);
-    const data = await res.json();
-    if (data.ok) {
-      const status = data.result.status;
-      return ["creator", "administrator"].includes(status);
-    }
-  } catch (e) {
-    console.error("Admin check failed:", e);
-  }
-  return false;
-}
-
-/**
- * Get bot username from Telegram API (cached)
- */
-let cachedBotUsername = null;
-async function getBotUsername(env) {
-  if (cachedBotUsername) return cachedBotUsername;
-  
-  const token = env.TELEGRAM_BOT_TOKEN;
-  if (!token) return null;
-  
-  try {
-    const url = `https://api.telegram.org/bot${token}/getMe`;
-    const res = await fetch(url);
-    const data = await res.json();
-    if (data.ok && data.result.username) {
-      cachedBotUsername = `@${data.result.username}`;
-      return cachedBotUsername;
-    }
-  } catch (e) {
-    console.error("Failed to get bot username:", e);
-  }
-  return null;
-}
-
-/**
- * Call Loyalteez API to distribute reward
- * Uses Service Bindings if available (faster, no 522 errors)
- */
-async function triggerReward(env, eventType, user, chatId) {
-  if (!env.BRAND_ID) {
-    console.error("BRAND_ID not configured");
-    return { success: false, error: "Bot configuration error" };
-  }
-
-  const userEmail = `telegram_${user.id}@loyalteez.app`;
-  
-  // Get bot username for authentication
-  const botUsername = await getBotUsername(env);
-  
-  // Use LoyalteezClient with service bindings if available
-  const loyalteez = new LoyalteezClient(
-    env.BRAND_ID,
-    env.LOYALTEEZ_API_URL,
-    env.EVENT_HANDLER,  // Service binding if configured
-    env.PREGENERATION   // Service binding if configured
-  );
-
-  try {
-    const result = await loyalteez.sendEvent(eventType, userEmail, {
-      username: user.username,
-      first_name: user.first_name,
-      last_name: user.last_name,
-      chat_id: chatId,
-      bot_username: botUsername  // Include bot username for authentication
-    });
-
-    return result;
-  } catch (error) {
-    console.error("Reward Error:", error);
-    return { 
-      success: false, 
-      error: error.message || "Failed to process reward" 
-    };
-  }
-}
-
-/**
- * Escape HTML entities for Telegram HTML parse mode
- */
-function escapeHtml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
-/**
- * Resolve friendly event name to custom event ID
- * Queries event configs to find custom events with matching friendly name
- */
-async function resolveEventId(env, friendlyName) {
-  // If it already looks like a custom event ID, return as-is
-  if (friendlyName.startsWith('custom_')) {
-    return friendlyName;
-  }
-
-  // If no brand ID, can't resolve
-  if (!env.BRAND_ID) {
-    return friendlyName;
-  }
-
-  try {
-    // Query event configs endpoint to get all events for this brand
-    const apiUrl = env.LOYALTEEZ_API_URL || 'https://api.loyalteez.app';
-    const configUrl = `${apiUrl}/loyalteez-api/event-config?brandId=${encodeURIComponent(env.BRAND_ID)}`;
-    
-    const response = await fetch(configUrl, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      if (response.status === 522) {
-        console.warn(`⚠️ Event config API timeout (522) for "${friendlyName}". This might be a temporary issue. Using friendly name as-is - event-handler will handle resolution.`);
-      } else {
-        console.warn(`⚠️ Failed to fetch event configs for name resolution: ${response.status}. Using friendly name as-is.`);
-      }
-      return friendlyName; // Fallback to original name - event-handler can resolve it
-    }
-
-    const data = await response.json();
-    const configs = data.events || [];
-    
-    console.log(`🔍 Resolving friendly name "${friendlyName}" from ${configs.length} events`);
-    
-    // Look for event where eventNameMapping matches our friendly name
-    // eventNameMapping stores the friendly name that maps TO this event's eventType
-    for (const config of configs) {
-      // If eventNameMapping matches, this event accepts the friendly name
-      if (config.eventNameMapping === friendlyName) {
-        const resolvedId = config.eventId || config.eventType;
-        console.log(`✅ Found mapping: "${friendlyName}" → "${resolvedId}"`);
-        return resolvedId;
-      }
-      
-      // Also check if eventType itself matches (for backwards compatibility)
-      if (config.eventType === friendlyName) {
-        console.log(`✅ Found direct match: "${friendlyName}"`);
-        return config.eventId || config.eventType;
-      }
-    }
-    
-    console.log(`⚠️ No mapping found for "${friendlyName}" in ${configs.length} events. Using as-is - event-handler will validate.`);
-    // Not found, return original (will fail gracefully with proper error message from event-handler)
-    return friendlyName;
-  } catch (error) {
-    console.error('Error resolving event name:', error);
-    return friendlyName; // Fallback to original name
-  }
-}
-
-/**
- * Send message to Telegram Chat
- */
-async function sendMessage(env, chatId, text) {
-  const token = env.TELEGRAM_BOT_TOKEN;
-  if (!token) {
-    console.error("TELEGRAM_BOT_TOKEN not configured");
-    return;
-  }
-
-  const url = `https://api.telegram.org/bot${token}/sendMessage`;
-  
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: text,
-        parse_mode: "HTML",
-        disable_web_page_preview: true
-      })
-    });
-    
-    if (!response.ok) {
-      const err = await response.text();
-      console.error("Telegram API Error:", err);
-    }
-  } catch (e) {
-    console.error("Failed to send Telegram message:", e);
+  if (!text.startsWith("/")) {
+    await handleKeywordMessage(message, env);
   }
 }
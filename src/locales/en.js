@@ -0,0 +1,404 @@
+/**
+ * English message catalogue (the default, and the fallback for keys other
+ * catalogues leave out)
+ *
+ * Telegram HTML with {placeholders}; objects are plural forms picked by {count}.
+ * The `template.*` defaults are plain text (renderTemplate escapes them).
+ */
+
+export default {
+  "language.name": "English",
+
+  // Shared
+  "error.no_kv": "❌ KV Storage not configured. Cannot save settings.",
+  "error.admin_only": "❌ Only admins can configure the bot.",
+  "error.unknown": "Unknown error",
+  "unit.days": { one: "{count} day", other: "{count} days" },
+  "unit.days_word": { one: "day", other: "days" },
+  "unit.checkins": { one: "{count} check-in", other: "{count} check-ins" },
+  "unit.members": { one: "{count} member", other: "{count} members" },
+  "requirement.username": "a username",
+  "requirement.photo": "a profile photo",
+  "button.unknown": "⚠️ This button is no longer active.",
+  "button.expired": "⌛ This button has expired.",
+  "button.not_yours": "🙅 This button isn't for you.",
+
+  // Help and command menus
+  "help.welcome": "👋 Welcome to the community loyalty bot!",
+  "help.commands": "Commands:",
+  "help.admins": "Admins:",
+  "help.setup": "📖 Setup: Create events in Partner Portal with \"Telegram Bot Interaction\" detection, then configure the bot with the generated event IDs.",
+  "help.also": "(also {aliases})",
+  "command.start": "Show help",
+  "command.checkin": "Earn daily points",
+  "command.streak": "See your check-in streak",
+  "command.leaderboard": "Top check-in members",
+  "command.stats": "Community check-in stats",
+  "command.balance": "Check your balance",
+  "command.history": "Your recent rewards",
+  "command.invite": "Get your personal invite link",
+  "command.referrals": "See your referral stats",
+  "command.remind": "Get a DM before your check-in streak breaks",
+  "command.link": "Link your rewards to a real email or wallet (private chat)",
+  "command.whoami": "Show which account your rewards go to",
+  "command.unlink": "Send rewards to your Telegram wallet again",
+  "command.config": "Show the chat's event bindings",
+  "command.events": "List the brand's events and rewards",
+  "command.config_brand": "Set the chat's Loyalteez brand",
+  "command.config_checkin": "Set daily event ID",
+  "command.config_join": "Set join event ID",
+  "command.config_join_hold": "Hold join rewards until members stay",
+  "command.config_join_button": "Welcome reward claim button",
+  "command.config_captcha": "Verify new members before rewards",
+  "command.post_checkin": "Post a pinned check-in button",
+  "command.config_schedule": "Schedule check-in posts, weekly digests and streak reminders",
+  "command.config_keyword": "Reward a secret word",
+  "command.keywords": "List keyword rewards",
+  "command.delete_keyword": "Remove a keyword reward",
+  "command.quiz": "Post a quiz poll that rewards correct answers",
+  "command.config_reaction": "Reward helpful answers when an admin reacts with an emoji",
+  "command.config_referral": "Reward members for invites",
+  "command.config_topic": "Set up the forum topic it's run in",
+  "command.config_streak_bonus": "Streak milestone bonus",
+  "command.config_timezone": "Set the chat's timezone",
+  "command.config_language": "Set the bot's language in this chat",
+  "command.config_message": "Customise bot replies",
+  "command.failed_rewards": "Rewards that could not be delivered",
+  "command.commands": "Turn commands off or add aliases",
+
+  // /commands
+  "commands.title": "⚙️ Commands in this chat",
+  "commands.aliases": "Aliases:",
+  "commands.usage": "Usage: /commands disable &lt;cmd&gt;, /commands enable &lt;cmd&gt;, /commands alias &lt;alias&gt; &lt;cmd&gt;, /commands unalias &lt;alias&gt;",
+  "commands.unknown": "❌ Unknown command \"{command}\". Use /commands to see them all.",
+  "commands.required": "❌ /{command} can't be turned off.",
+  "commands.disabled": "🚫 /{command} is now turned off in this chat.",
+  "commands.enabled": "✅ /{command} is turned on again.",
+  "commands.alias_usage": "❌ Usage: /commands alias &lt;alias&gt; &lt;command&gt;\n\nExample: <code>/commands alias gm checkin</code>",
+  "commands.alias_taken": "❌ /{alias} is already a command.",
+  "commands.alias_added": "✅ /{alias} now runs /{command}.",
+  "commands.no_alias": "❌ No alias /{alias} in this chat.",
+  "commands.alias_removed": "✅ Removed alias /{alias}.",
+  "commands.usage_error": "❌ Usage: /commands [disable &lt;cmd&gt; | enable &lt;cmd&gt; | alias &lt;alias&gt; &lt;cmd&gt; | unalias &lt;alias&gt;]",
+
+  // /config_language
+  "language.current": "🌐 This chat uses {language} (<code>{code}</code>).\n\nChange it with /config_language &lt;code&gt;, or <code>/config_language auto</code> to answer everyone in their own Telegram language.",
+  "language.auto": "🌐 The bot answers everyone in their own Telegram language (English if it has no translation).\n\nPin a language with /config_language &lt;code&gt;, e.g. <code>/config_language es</code>.",
+  "language.set": "✅ This chat now uses {language} (<code>{code}</code>).",
+  "language.cleared": "✅ The bot will answer everyone in their own Telegram language.",
+  "language.unknown": "❌ No translation for \"{code}\" yet. Use a language code like <code>en</code>, <code>es</code>, <code>pt</code> or <code>ru</code>.",
+
+  // Bot added to a chat
+  "bot.added": "👋 Thanks for adding me!\n\nAdmin setup:\n/config_join &lt;event_id&gt; - Reward new members\n/config_checkin &lt;event_id&gt; - Enable daily check-ins\n\nMake me an admin so I can track members joining and leaving.",
+  "bot.added_back": "👋 Thanks for adding me back! Your previous configuration has been restored.",
+
+  // Brand
+  "brand.current": "🏷 Rewards in this chat go to brand <code>{brand}</code>.\n\nChange it with /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.current_default": "🏷 Rewards in this chat go to brand <code>{brand}</code> (the bot's default).\n\nChange it with /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.none": "❌ No brand configured. Use /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.reset_default": "✅ This chat now uses the bot's default brand <code>{brand}</code>.",
+  "brand.removed": "✅ Brand removed from this chat.",
+  "brand.usage": "❌ Usage: /config_brand &lt;brand_address&gt; [claim_code]\n\nThe brand address is the 0x… address from Partner Portal. Use <code>/config_brand reset</code> to go back to the default brand.",
+  "brand.bad_code": "❌ That claim code isn't valid for this brand.",
+  "brand.not_allowed": "❌ This chat isn't allowed to use that brand. Ask the brand for its claim code: /config_brand &lt;brand_address&gt; &lt;claim_code&gt;",
+  "brand.set": "✅ Rewards in this chat now go to brand <code>{brand}</code>.\n\nRe-run /config_checkin and /config_join with this brand's events.",
+
+  // Event catalogue
+  "events.title": "📋 <b>Events of brand</b> <code>{brand}</code>",
+  "events.named": "<b>{name}</b> → {event_id}",
+  "events.reward": "{amount} LTZ",
+  "events.none": "No active events yet. Create them in Partner Portal → Settings → Events.",
+  "events.more": "…and {count} more.",
+  "events.inactive_hidden": { one: "{count} switched-off event isn't shown.", other: "{count} switched-off events aren't shown." },
+  "events.fetched": "Loaded from Loyalteez at {time} UTC and reloaded every {ttl}. /events refresh reloads it now.",
+  "events.unavailable": "❌ Couldn't load the brand's events from Loyalteez. Try again in a minute.",
+  "events.unknown": "❌ <code>{event}</code> isn't one of brand <code>{brand}</code>'s events.",
+  "events.inactive": "❌ <code>{event}</code> is switched off in Partner Portal. Turn it back on there, or pick another event.",
+  "events.suggest": "Did you mean: {events}?",
+  "events.see_all": "See all events with /events.",
+  "events.unverified": "⚠️ Couldn't check this event with Loyalteez right now, so it was saved as typed.",
+
+  // Chat setup overview
+  "config.title": "⚙️ <b>This chat's setup</b>",
+  "config.brand": "Brand: <code>{brand}</code>",
+  "config.no_brand": "Brand: none - set one with /config_brand",
+  "config.checkin": "Check-in: {event}",
+  "config.join": "Join: {event}",
+  "config.referral": "Referral: {event}",
+  "config.streak_bonus": "Streak bonus: {event}",
+  "config.reaction": "Reactions: {event}",
+  "config.keyword": "Keyword \"{phrase}\": {event}",
+  "config.topic_checkin": "Check-in in {topic}: {event}",
+  "config.not_set": "not set",
+  "config.status_unknown": "⚠️ no longer exists",
+  "config.status_inactive": "⚠️ switched off",
+  "config.broken": { one: "⚠️ {count} binding points at an event that no longer works, so its rewards will fail. Fix it with the matching /config_* command.", other: "⚠️ {count} bindings point at events that no longer work, so their rewards will fail. Fix them with the matching /config_* commands." },
+  "config.unchecked": "Couldn't reach Loyalteez to check these events.",
+
+  // Check-ins
+  "checkin.config_usage": "❌ Usage: /config_checkin &lt;event_id_or_friendly_name&gt;\n\nYou can use:\n- Custom event ID: <code>custom_4748e22F_1763993617509</code>\n- Friendly name: <code>daily_checkin</code>",
+  "checkin.configured_mapped": "✅ Daily check-in event configured!\n\nFriendly name: <code>{name}</code>\nMaps to: <code>{event_id}</code>",
+  "checkin.configured": "✅ Daily check-in event updated to: <code>{event_id}</code>",
+  "checkin.post": "📅 <b>Daily check-in</b>\n\nTap the button once a day to earn your reward and keep your streak going!",
+  "checkin.button": "✅ Check in",
+  "checkin.not_configured": "⚠️ Daily check-in not configured. Admin: Use /config_checkin &lt;event_id&gt; to set up.\n\nCreate an event in Partner Portal with \"Telegram Bot Interaction\" detection, then use the generated event ID.",
+  "checkin.event_not_found": "❌ Event \"{event_id}\" not found. Admin: Verify the event ID in Partner Portal.",
+  "checkin.event_inactive": "❌ Event \"{event_id}\" is switched off. Admin: reactivate it in Partner Portal or set another with /config_checkin.",
+  "checkin.queued": "⏳ Check-in received! Your reward is delayed - we'll post here when it lands.",
+  "checkin.member": "Member",
+  "checkin.retried": "🔁 {name}'s check-in went through!",
+
+  // Streaks
+  "streak.milestone": "🏆 {name} hit a {count}-day streak! Bonus {amount} sent to your wallet.",
+  "streak.none": "{name}, you haven't checked in yet. Use /checkin to start a streak!",
+  "streak.summary": "🔥 {name}'s streak\n\nCurrent: {current}\nBest: {best}\nTotal check-ins: {total}\n\n{today}",
+  "streak.today_done": "✅ Checked in today",
+  "streak.today_pending": "⏰ Not checked in today - /checkin to keep it going!",
+  "streak.bonus_usage": "❌ Usage: /config_streak_bonus &lt;event_id&gt; [days,...]\n\nExample: <code>/config_streak_bonus streak_bonus 7,30</code>\nUse <code>/config_streak_bonus off</code> to disable.",
+  "streak.bonus_disabled": "✅ Streak bonuses disabled.",
+  "streak.bonus_invalid": "❌ Invalid milestones \"{milestones}\". Use day counts like 7,30.",
+  "streak.bonus_configured": "✅ Streak bonus configured!\n\nEvent: <code>{event_id}</code>\nMilestones: {milestones}",
+
+  // Leaderboard and stats
+  "leaderboard.usage": "❌ Usage: /leaderboard [week|month|all]",
+  "leaderboard.title": "🏆 Leaderboard ({period})",
+  "leaderboard.period_week": "This Week",
+  "leaderboard.period_month": "This Month",
+  "leaderboard.period_all": "All Time",
+  "leaderboard.empty": "No check-ins yet. Be the first with /checkin!",
+  "stats.title": "📊 Check-in stats",
+  "stats.week": "This week",
+  "stats.all_time": "All time",
+  "stats.tally": "{checkins} by {members}",
+  "stats.ltz": "LTZ distributed: {amount}",
+  "stats.rewards_title": "🛠 <b>Reward delivery</b> (since {since})",
+  "stats.rewards_attempts": "Attempts: {count}, average {ms} ms",
+  "stats.outcome_success": "✅ Rewarded: {count}",
+  "stats.outcome_cooldown": "⏳ On cooldown: {count}",
+  "stats.outcome_unknown_event": "❓ Unknown event: {count}",
+  "stats.outcome_inactive_event": "💤 Inactive event: {count}",
+  "stats.outcome_auth_failed": "🔑 Not authorized: {count}",
+  "stats.outcome_rate_limited": "🐢 Rate limited: {count}",
+  "stats.outcome_transport": "⚠️ Delivery errors: {count}",
+  "stats.outcome_rejected": "🚫 Rejected: {count}",
+  "stats.rewards_transports": "Sent via: {transports}",
+  "stats.transport_binding": "service binding",
+  "stats.transport_fallback": "HTTP fallback",
+  "stats.transport_http": "HTTP",
+  "stats.transport_sandbox": "sandbox",
+  "stats.transport_none": "not sent",
+  "stats.rewards_event": "• <code>{event}</code>: {success}/{count} rewarded",
+  "schedule.title": "🗓 Scheduled jobs (times in {timezone})",
+  "schedule.none": "No jobs scheduled. See /config_schedule help for options.",
+  "schedule.usage": "❌ Usage:\n<code>/config_schedule checkin 09:00</code> - daily check-in post\n<code>/config_schedule digest sun 18:00</code> - weekly digest\n<code>/config_schedule reminders 20:00</code> - streak reminders by DM\n\nUse <code>off</code> instead of a time to stop a job. Times are in the chat's timezone ({timezone}).",
+  "schedule.name_checkin": "Daily check-in post",
+  "schedule.name_digest": "Weekly digest",
+  "schedule.name_reminders": "Streak reminders",
+  "schedule.every_day": "every day at {time}",
+  "schedule.every_week": "every {day} at {time}",
+  "schedule.job": "{name}: {when}",
+  "schedule.set": "✅ Scheduled. {job} ({timezone})",
+  "schedule.off": "✅ {name} turned off.",
+  "schedule.needs_checkin": "⚠️ No check-in event is configured yet, so this job is skipped until you run /config_checkin.",
+  "schedule.digest_title": "📊 <b>Weekly check-in digest</b>",
+  "schedule.reminder": "⏰ {name}, you haven't checked in to {chat} today. Your {streak} streak ends at midnight - /checkin there to keep it!",
+  "schedule.remind_usage": "❌ Usage: /remind on|off",
+  "schedule.remind_group_only": "❌ Send /remind in the group whose streak you want reminders for.",
+  "schedule.remind_status_on": "🔔 {name}, streak reminders are on. /remind off to stop them.",
+  "schedule.remind_status_off": "🔕 {name}, streak reminders are off. /remind on to get a DM before your streak breaks.",
+  "schedule.remind_on": "🔔 {name}, I'll DM you when your streak is about to break.",
+  "schedule.remind_off": "🔕 {name}, streak reminders turned off.",
+  "schedule.remind_not_scheduled": "(Admins haven't scheduled reminders in this chat yet.)",
+  "schedule.remind_dm": "🔔 You'll get a message here when your check-in streak in {chat} is about to break. Send /remind off in the group to stop.",
+
+  // Timezone
+  "timezone.usage": "❌ Usage: /config_timezone &lt;timezone&gt;\n\nUse an IANA timezone name, e.g. <code>Europe/Madrid</code>, <code>America/Sao_Paulo</code> or <code>UTC</code>. Check-in days and streaks roll over at midnight in this timezone.",
+  "timezone.set": "✅ Timezone set to <code>{timezone}</code>. Today is {today} there.",
+
+  // Joins
+  "join.config_usage": "❌ Usage: /config_join &lt;event_id_or_friendly_name&gt;\n\nYou can use:\n- Custom event ID: <code>custom_4748e22F_1763993617509</code>\n- Friendly name: <code>telegram_join</code>",
+  "join.configured_mapped": "✅ Join event configured!\n\nFriendly name: <code>{name}</code>\nMaps to: <code>{event_id}</code>",
+  "join.configured": "✅ Join event updated to: <code>{event_id}</code>",
+  "join.hold_usage": "❌ Usage: /config_join_hold &lt;minutes&gt;\n\nNew members must stay this long (and send a message) before their join reward is sent. Use 0 to reward immediately.",
+  "join.hold_set": { one: "✅ Join rewards will be held for {count} minute.", other: "✅ Join rewards will be held for {count} minutes." },
+  "join.hold_off": "✅ Join rewards will be sent immediately.",
+  "join.button_usage": "❌ Usage: /config_join_button &lt;on|off&gt;\n\nWhen on, new members get a \"Claim welcome reward\" button instead of being rewarded automatically.",
+  "join.button_on": "✅ New members will get a button to claim their welcome reward.",
+  "join.button_off": "✅ New members will be rewarded automatically.",
+  "join.not_configured": "⚠️ Join reward not configured. Admin: Use /config_join &lt;event_id&gt; to set up.",
+
+  // Welcome rewards
+  "welcome.claim_prompt": "Welcome {name}! Tap below to claim your welcome reward.",
+  "welcome.claim_button": "🎁 Claim welcome reward",
+  "welcome.hold": { one: "Welcome {name}! Stay for {count} minute and say hi to earn your join reward.", other: "Welcome {name}! Stay for {count} minutes and say hi to earn your join reward." },
+  "welcome.missing_requirements": "Welcome {name}! ⚠️ Join rewards here need {requirements} on your Telegram profile.",
+  "welcome.queued": "Welcome {name}! ⏳ Your reward is delayed - we'll post here when it lands.",
+  "welcome.failed": "Welcome {name}! ⚠️ We couldn't send your reward right now.",
+  "welcome.not_member": "⚠️ You need to be in the group to claim this reward.",
+  "welcome.already_claimed": "✅ You've already claimed your welcome reward.",
+  "welcome.stay_longer": { one: "⏳ Stay {count} more minute to claim your welcome reward.", other: "⏳ Stay {count} more minutes to claim your welcome reward." },
+  "welcome.missing": "⚠️ Set {requirements} in your Telegram profile, then tap again to claim your reward.",
+  "welcome.claim_queued": "⏳ Your reward is on its way - we'll post here when it lands.",
+  "welcome.claim_failed": "⚠️ Couldn't send your reward right now. Please try again shortly.",
+  "welcome.claimed": "🎁 Reward claimed!",
+
+  // Captcha
+  "captcha.math": { one: "👋 Welcome {name}! To make sure you're human, tap the answer to <b>{question}</b> within {count} minute.", other: "👋 Welcome {name}! To make sure you're human, tap the answer to <b>{question}</b> within {count} minutes." },
+  "captcha.button": { one: "👋 Welcome {name}! Tap the button below within {count} minute to show you're human.", other: "👋 Welcome {name}! Tap the button below within {count} minutes to show you're human." },
+  "captcha.human_button": "✅ I'm human",
+  "captcha.inactive": "⚠️ This challenge is no longer active.",
+  "captcha.too_many": "❌ Too many wrong answers.",
+  "captcha.wrong": { one: "❌ Wrong answer - {count} try left.", other: "❌ Wrong answer - {count} tries left." },
+  "captcha.verified": "✅ Thanks, you're verified!",
+  "captcha.usage": "❌ Usage: /config_captcha &lt;off|button|math&gt; [timeout] [--username] [--photo]\n\nExamples:\n<code>/config_captcha math 3m</code> - new members solve a sum within 3 minutes or are removed\n<code>/config_captcha off --username --photo</code> - no captcha, but join rewards need a username and profile photo\n\nTimeout: 1m to {max}m (default {default}m). The bot needs admin rights to restrict and remove members.",
+  "captcha.off": "🛡 Captcha is off: new members can talk right away.",
+  "captcha.on_button": { one: "🛡 Captcha is on: new members are muted until they solve a one-tap button, and removed after {count} minute.", other: "🛡 Captcha is on: new members are muted until they solve a one-tap button, and removed after {count} minutes." },
+  "captcha.on_math": { one: "🛡 Captcha is on: new members are muted until they solve a simple sum, and removed after {count} minute.", other: "🛡 Captcha is on: new members are muted until they solve a simple sum, and removed after {count} minutes." },
+  "captcha.requirements": "Join rewards need {requirements}.",
+
+  // Balance and history
+  "link.private_only": "🔒 {name}, account linking happens in a private chat with me: {link}",
+  "link.usage": "🔗 <b>Link your account</b>\n\nYour rewards go to a wallet tied to your Telegram account. Link a real one instead:\n• <code>/link you@example.com</code> — I'll email you a code\n• <code>/link 0xYourWalletAddress</code> — sign a message with your wallet\n\nSee where your rewards go with /whoami.",
+  "link.current": "🔗 Linked to {type} <code>{value}</code>.\n\nSend /link with another email or wallet to switch, or /unlink to go back to your Telegram wallet.",
+  "link.pending_email": "📧 Waiting for the code sent to <code>{value}</code>. Send <code>/link 123456</code>, or <code>/link cancel</code>.",
+  "link.pending_wallet": "✍️ Waiting for a signature from <code>{value}</code>. Send <code>/link 0x…</code> with it, or <code>/link cancel</code>.",
+  "link.cancelled": "Linking cancelled.",
+  "link.nothing_pending": "There's nothing to confirm. Start with <code>/link you@example.com</code> or <code>/link 0xYourWalletAddress</code>.",
+  "link.already": "✅ You're already linked to <code>{value}</code>.",
+  "link.email_unavailable": "📧 Email linking isn't set up for this bot. You can link a wallet instead: <code>/link 0xYourWalletAddress</code>",
+  "link.code_wait": "⏳ A code was just sent to <code>{value}</code>. Wait a minute before asking for another.",
+  "link.code_sent": "📧 I've sent a 6-digit code to <code>{value}</code>. Send <code>/link CODE</code> within {minutes} minutes.",
+  "link.send_failed": "⚠️ Couldn't send the code right now. Please try again later.",
+  "link.code_wrong": { one: "❌ That code isn't right. {count} attempt left.", other: "❌ That code isn't right. {count} attempts left." },
+  "link.code_locked": "❌ Too many wrong codes. You can ask for a new code with /link in {minutes} minutes.",
+  "link.code_lockout": "⏳ Too many wrong codes were entered. You can ask for a new code in {minutes} minutes.",
+  "link.sign": "✍️ Sign this exact message with <code>{value}</code> (your wallet's \"Sign message\" feature), then send <code>/link 0x…</code> with the signature within {minutes} minutes:\n\n<code>{challenge}</code>",
+  "link.signature_wrong": "❌ That isn't a signature of the message above by <code>{value}</code>. Sign the exact text with that wallet.",
+  "link.linked": "✅ Linked! New rewards go to {type} <code>{value}</code>.",
+  "link.policy": "ℹ️ LTZ earned before linking stays with your Telegram identity (<code>{identity}</code>) and isn't moved. /unlink switches back to it, but where rewards go can only change once every {days} days.",
+  "link.too_soon": "⏳ Where your rewards go can only change once every {days} days, so rewards can't be claimed twice by switching. You can change it again on {date}.",
+  "link.type_email": "email",
+  "link.type_wallet": "wallet",
+  "link.not_linked": "You haven't linked an account, so rewards go to your Telegram wallet. Use /link to link one.",
+  "link.unlinked": "🔓 Unlinked. New rewards go to your Telegram identity (<code>{identity}</code>) again; LTZ earned while linked stays with {type} <code>{value}</code>.",
+  "whoami.title": "🪪 <b>Where your rewards go</b>",
+  "whoami.telegram": "Telegram ID: <code>{id}</code>",
+  "whoami.linked": "Linked {type}: <code>{value}</code> (since {date})",
+  "whoami.synthetic": "Telegram identity: <code>{identity}</code>\n\nLink a real email or wallet with /link.",
+  "balance.amount": "💰 Your balance: <b>{balance} LTZ</b>",
+  "balance.wallet": "Wallet: <code>{address}</code>",
+  "balance.spend": "Spend your tokens: {url}",
+  "balance.failed": "⚠️ Couldn't look up your balance right now.\n\n💰 View your LTZ balance and spend tokens here:\n{url}",
+  "history.empty": "📜 No rewards yet. Try /checkin!",
+  "history.title": { one: "📜 Your last reward", other: "📜 Your last {count} rewards" },
+  "history.failed": "⚠️ Couldn't look up your rewards right now. Please try again shortly.",
+  "dm.there": "there",
+  "dm.sent": "📬 {name}, I've sent you the details in a private message.",
+  "dm.start_first": "🔒 {name}, start a private chat with me first ({link}), then try again.",
+  "dm.bot_profile": "the bot's profile",
+
+  // Referrals
+  "invite.private": "Run /invite in the group you want to invite people to.",
+  "invite.not_configured": "⚠️ Referral rewards not configured. Admin: Use /config_referral &lt;event_id&gt; to set up.",
+  "invite.failed": "❌ Couldn't create an invite link right now. Please try again later.",
+  "invite.link": "🔗 {name}, here's your personal invite link:\n{link}\n\nYou'll earn a reward for every new member who joins through it. Check /referrals for your stats.",
+  "referrals.none": "{name}, you haven't invited anyone yet. Use /invite to get your personal link.",
+  "referrals.stats": "🤝 Referral stats for {name}\n\nMembers invited: {invited}\nRewards earned: {rewarded}\n\nYour link: {link}",
+  "referrals.config_usage": "❌ Usage: /config_referral &lt;event_id_or_friendly_name&gt;\n\nThe inviter earns this event each time a new member joins through their /invite link.",
+  "referrals.configured_mapped": "✅ Referral event configured!\n\nFriendly name: <code>{name}</code>\nMaps to: <code>{event_id}</code>",
+  "referrals.configured": "✅ Referral event updated to: <code>{event_id}</code>",
+  "referrals.own_link": "🙂 That's your own invite link - share it with friends to earn rewards!",
+  "referrals.not_new": "👋 Looks like you've already been in this community - invite rewards are for new members only.",
+  "referrals.community": "the community",
+  "referrals.invited_link": "👋 You've been invited to <b>{title}</b>!\n\nJoin here: {link}\n\nYour friend gets credit once you join.",
+  "referrals.invited": "👋 You've been invited to <b>{title}</b>! Ask your friend for the group link - they'll get credit once you join.",
+  "referrals.inviter": "Your inviter",
+  "referrals.credited": "🤝 {mention} earned {amount} tokens for inviting {name}!",
+
+  // Keywords
+  "keyword.usage": "❌ Usage: /config_keyword &lt;phrase&gt; &lt;event_id&gt; [expires_in] [max_claims] [--exact] [--topic]\n\nExamples:\n<code>/config_keyword \"purple elephant\" ama_reward</code>\n<code>/config_keyword \"purple elephant\" ama_reward 2h 50</code>\n\nUse quotes for phrases with spaces. Matching ignores case unless <code>--exact</code> is given. Each member can claim a keyword once. <code>--topic</code> only matches in the forum topic you run it in.",
+  "keyword.invalid_expiry": "❌ Invalid expiry \"{value}\". Use a duration like 30m, 2h or 1d.",
+  "keyword.invalid_max_claims": "❌ Invalid max claims \"{value}\". Use a positive number.",
+  "keyword.added": "✅ Keyword #{id} added!\n\n{rule}",
+  "keyword.none": "No keywords configured. Add one with /config_keyword &lt;phrase&gt; &lt;event_id&gt;.",
+  "keyword.inactive": "(inactive)",
+  "keyword.list": "🔑 Keywords:\n\n{keywords}\n\nDelete with /delete_keyword &lt;id&gt;",
+  "keyword.delete_usage": "❌ Usage: /delete_keyword &lt;id_or_phrase&gt;\n\nSee /keywords for IDs.",
+  "keyword.deleted": "✅ Keyword #{id} (<code>{phrase}</code>) deleted.",
+  "keyword.not_found": "❌ No keyword matching \"{value}\". See /keywords.",
+  "keyword.cooldown": "⏳ {name}, you've already earned this reward recently.",
+  "keyword.found": "🔑 {name} found the secret word! {amount} sent to your wallet.",
+  "keyword.all_claimed": "🔒 All {count} rewards for this keyword have been claimed.",
+  "reaction.usage": "❌ Usage: /config_reaction &lt;event_id&gt; [emoji ...]\n\nExample: <code>/config_reaction helpful_answer 👍 🔥</code>\nUse <code>/config_reaction off</code> to disable.",
+  "reaction.configured": "✅ Reaction rewards on!\n\nEvent: <code>{event_id}</code>\nEmoji: {emoji}\n\nWhen an admin reacts to a member's message with one of these, its author is rewarded (once per message). The bot must be an admin to see reactions.",
+  "reaction.disabled": "✅ Reaction rewards disabled.",
+  "reaction.current": "👍 Reaction rewards: <code>{event_id}</code> for {emoji}",
+  "reaction.none": "Reaction rewards are off. Use /config_reaction &lt;event_id&gt; [emoji ...] to turn them on.",
+  "reaction.rewarded": "🌟 {name} earned {amount} for a helpful answer!",
+  "quiz.usage": "❌ Usage: /quiz &lt;event_id&gt; \"question\" \"option 1\" \"option 2\" ... --correct &lt;n&gt; [--closes 10m]\n\nExample: <code>/quiz ama_quiz \"What year did we launch?\" \"2021\" \"2022\" \"2023\" --correct 2 --closes 5m</code>\n\nGive 2 to {max} options; --correct is the number of the right one.",
+  "quiz.too_long": "❌ Questions can be up to {question} characters and options up to {option}.",
+  "quiz.invalid_closes": "❌ Invalid --closes. Use a duration like 5m or 1h, up to {max}.",
+  "quiz.needs_queue": "❌ Quizzes longer than {max} need the REWARD_QUEUE queue to close them.",
+  "quiz.post_failed": "❌ Couldn't post the quiz: {error}",
+  "quiz.closed": "🏁 <b>Quiz closed:</b> {question}",
+  "quiz.answer": "Correct answer: <b>{answer}</b>",
+  "quiz.no_answers": "Nobody answered.",
+  "quiz.results": { one: "{correct} of {count} member answered correctly.", other: "{correct} of {count} members answered correctly." },
+  "quiz.rewarded": { one: "🎁 {count} reward sent.", other: "🎁 {count} rewards sent." },
+  "keyword.phrase": "Phrase: <code>{phrase}</code>",
+  "keyword.phrase_exact": "Phrase: <code>{phrase}</code> (exact match)",
+  "keyword.event": "Event: <code>{event_id}</code>",
+  "keyword.topic": "Topic: {topic}",
+  "keyword.claims": "Claims: {claims}",
+  "keyword.expires_in": "Expires in: {duration}",
+  "keyword.expired": "Expired",
+
+  // Forum topics
+  "topic.usage": "❌ Usage: /config_topic [checkin &lt;event_id|off&gt; | rewards &lt;on|off|anywhere&gt; | quote &lt;on|off&gt;]\n\nRun it inside the topic:\n<code>/config_topic checkin daily_gm</code> - /checkin here earns its own event\n<code>/config_topic rewards on</code> - reward commands only work in the topics you pick\n<code>/config_topic rewards anywhere</code> - lift that again\n<code>/config_topic quote on</code> - replies quote the message they answer (whole chat)",
+  "topic.usage_short": "Change with /config_topic checkin|rewards|quote, run inside the topic.",
+  "topic.forum_only": "❌ This only works in a forum topic. Turn on Topics in the group settings and run it inside the topic.",
+  "topic.title": "🧵 <b>Forum topics</b>",
+  "topic.current": "This topic: <b>{topic}</b>",
+  "topic.checkin_here": "/checkin here earns <code>{event_id}</code>",
+  "topic.checkin_chat": "/checkin here earns the chat's check-in event",
+  "topic.checkins": "Topic check-in events:",
+  "topic.rewards_only": "Reward commands only work in {topics}",
+  "topic.rewards_everywhere": "Reward commands work in every topic",
+  "topic.rewards_anywhere": "✅ Reward commands work in every topic.",
+  "topic.rewards_elsewhere": "💬 Reward commands live in {topics} - try it there!",
+  "topic.quote_on": "Replies quote the message they answer",
+  "topic.quote_off": "Replies don't quote the message they answer",
+  "topic.quote_set_on": "✅ Replies now quote the message they answer.",
+  "topic.quote_set_off": "✅ Replies no longer quote the message they answer.",
+  "topic.checkin_set": "✅ /checkin in <b>{topic}</b> now earns <code>{event_id}</code>.",
+  "topic.checkin_off": "✅ /checkin in <b>{topic}</b> earns the chat's check-in event again.",
+
+  // Failed rewards
+  "failed.cleared": { one: "🧹 Cleared {count} failed reward.", other: "🧹 Cleared {count} failed rewards." },
+  "failed.none": "✅ No failed rewards.",
+  "failed.entry": "{kind} for {name} (<code>{event_id}</code>): {error}",
+  "failed.more": "…and {count} more",
+  "failed.list": "⚠️ Failed rewards ({count})\n\n{entries}\n\nThese need a manual top-up. Use /failed_rewards clear once handled.",
+
+  // Message templates: built-in defaults (plain text) and /config_message
+  "template.welcome": "Welcome {first_name}! You've earned {amount} tokens for joining.",
+  "template.welcome_hold": "🎉 Thanks for sticking around, {first_name}! You've earned {amount} tokens for joining.",
+  "template.welcome_button": "🎁 {first_name} claimed their welcome reward: {amount} tokens!",
+  "template.welcome_retry": "🔁 {first_name}'s welcome reward went through: {amount} tokens!",
+  "template.checkin": "✅ Daily check-in complete! {amount} sent to your wallet.\n🔥 Streak: {streak} {streak_days}",
+  "template.cooldown": "⏳ You've already checked in today. Come back tomorrow!",
+  "template.cooldown_next": "⏳ You've already checked in. Next check-in in {next_checkin}.",
+  "template.failure": "❌ Check-in failed: {error}",
+  "template_kind.welcome": "Join reward sent",
+  "template_kind.checkin": "Check-in reward sent",
+  "template_kind.cooldown": "Already checked in",
+  "template_kind.failure": "Check-in failed",
+  "template.preview_error": "Service temporarily unavailable",
+  "template.unknown_kind": "❌ Unknown message kind \"{kind}\". Use one of: {kinds}",
+  "template.usage": "❌ Usage: /config_message {kind} &lt;template&gt;\n\nPlaceholders: {placeholders}\nUse <code>/config_message {kind} reset</code> to restore the default.",
+  "template.reset": "✅ \"{kind}\" message reset to the default.",
+  "template.updated": "✅ \"{kind}\" message updated. Preview:\n\n{preview}",
+  "template.env_default": "(WELCOME_MESSAGE default)",
+  "template.builtin_default": "(built-in default)",
+  "template.list": "💬 Message templates\n\n{templates}\n\nSet one with /config_message &lt;kind&gt; &lt;template&gt;\nPlaceholders: {placeholders}, plus {error} for failure and {next_checkin} for cooldown"
+};
@@ -0,0 +1,400 @@
+/**
+ * Spanish message catalogue
+ */
+
+export default {
+  "language.name": "Español",
+
+  // Shared
+  "error.no_kv": "❌ El almacenamiento KV no está configurado. No se pueden guardar los ajustes.",
+  "error.admin_only": "❌ Solo los administradores pueden configurar el bot.",
+  "error.unknown": "Error desconocido",
+  "unit.days": { one: "{count} día", other: "{count} días" },
+  "unit.days_word": { one: "día", other: "días" },
+  "unit.checkins": { one: "{count} check-in", other: "{count} check-ins" },
+  "unit.members": { one: "{count} miembro", other: "{count} miembros" },
+  "requirement.username": "un nombre de usuario",
+  "requirement.photo": "una foto de perfil",
+  "button.unknown": "⚠️ Este botón ya no está activo.",
+  "button.expired": "⌛ Este botón ha caducado.",
+  "button.not_yours": "🙅 Este botón no es para ti.",
+
+  // Help and command menus
+  "help.welcome": "👋 ¡Bienvenido al bot de fidelidad de la comunidad!",
+  "help.commands": "Comandos:",
+  "help.admins": "Administradores:",
+  "help.setup": "📖 Configuración: crea eventos en Partner Portal con la detección \"Telegram Bot Interaction\" y configura el bot con los ID de evento generados.",
+  "help.also": "(también {aliases})",
+  "command.start": "Mostrar la ayuda",
+  "command.checkin": "Gana puntos cada día",
+  "command.streak": "Ver tu racha de check-ins",
+  "command.leaderboard": "Miembros con más check-ins",
+  "command.stats": "Estadísticas de check-in de la comunidad",
+  "command.balance": "Consultar tu saldo",
+  "command.history": "Tus recompensas recientes",
+  "command.invite": "Obtener tu enlace de invitación",
+  "command.referrals": "Ver tus estadísticas de invitaciones",
+  "command.remind": "Recibir un mensaje privado antes de perder tu racha",
+  "command.link": "Vincula tus recompensas a un email o wallet real (chat privado)",
+  "command.whoami": "Muestra a qué cuenta van tus recompensas",
+  "command.unlink": "Vuelve a enviar las recompensas a tu wallet de Telegram",
+  "command.config": "Ver los eventos configurados en el chat",
+  "command.events": "Ver los eventos y recompensas de la marca",
+  "command.config_brand": "Elegir la marca Loyalteez del chat",
+  "command.config_checkin": "Definir el evento diario",
+  "command.config_join": "Definir el evento de bienvenida",
+  "command.config_join_hold": "Retener la recompensa hasta que el miembro se quede",
+  "command.config_join_button": "Botón para reclamar la bienvenida",
+  "command.config_captcha": "Verificar a los nuevos miembros",
+  "command.post_checkin": "Publicar un botón de check-in fijado",
+  "command.config_schedule": "Programar publicaciones de check-in, resúmenes semanales y recordatorios de racha",
+  "command.config_keyword": "Premiar una palabra secreta",
+  "command.keywords": "Ver las palabras clave",
+  "command.delete_keyword": "Eliminar una palabra clave",
+  "command.quiz": "Publicar un cuestionario que premia las respuestas correctas",
+  "command.config_reaction": "Premiar respuestas útiles cuando un administrador reacciona con un emoji",
+  "command.config_referral": "Premiar las invitaciones",
+  "command.config_topic": "Configurar el tema del foro donde se usa",
+  "command.config_streak_bonus": "Bonificación por racha",
+  "command.config_timezone": "Definir la zona horaria del chat",
+  "command.config_language": "Definir el idioma del bot en este chat",
+  "command.config_message": "Personalizar las respuestas del bot",
+  "command.failed_rewards": "Recompensas que no se pudieron entregar",
+  "command.commands": "Desactivar comandos o añadir alias",
+
+  // /commands
+  "commands.title": "⚙️ Comandos en este chat",
+  "commands.aliases": "Alias:",
+  "commands.usage": "Uso: /commands disable &lt;cmd&gt;, /commands enable &lt;cmd&gt;, /commands alias &lt;alias&gt; &lt;cmd&gt;, /commands unalias &lt;alias&gt;",
+  "commands.unknown": "❌ Comando desconocido \"{command}\". Usa /commands para verlos todos.",
+  "commands.required": "❌ /{command} no se puede desactivar.",
+  "commands.disabled": "🚫 /{command} está desactivado en este chat.",
+  "commands.enabled": "✅ /{command} vuelve a estar activado.",
+  "commands.alias_usage": "❌ Uso: /commands alias &lt;alias&gt; &lt;comando&gt;\n\nEjemplo: <code>/commands alias gm checkin</code>",
+  "commands.alias_taken": "❌ /{alias} ya es un comando.",
+  "commands.alias_added": "✅ /{alias} ahora ejecuta /{command}.",
+  "commands.no_alias": "❌ No hay ningún alias /{alias} en este chat.",
+  "commands.alias_removed": "✅ Alias /{alias} eliminado.",
+  "commands.usage_error": "❌ Uso: /commands [disable &lt;cmd&gt; | enable &lt;cmd&gt; | alias &lt;alias&gt; &lt;cmd&gt; | unalias &lt;alias&gt;]",
+
+  // /config_language
+  "language.current": "🌐 Este chat usa {language} (<code>{code}</code>).\n\nCámbialo con /config_language &lt;código&gt;, o <code>/config_language auto</code> para responder a cada uno en su idioma de Telegram.",
+  "language.auto": "🌐 El bot responde a cada uno en su idioma de Telegram (en inglés si no hay traducción).\n\nFija un idioma con /config_language &lt;código&gt;, p. ej. <code>/config_language es</code>.",
+  "language.set": "✅ Este chat ahora usa {language} (<code>{code}</code>).",
+  "language.cleared": "✅ El bot responderá a cada uno en su idioma de Telegram.",
+  "language.unknown": "❌ Aún no hay traducción para \"{code}\". Usa un código de idioma como <code>en</code>, <code>es</code>, <code>pt</code> o <code>ru</code>.",
+
+  // Bot added to a chat
+  "bot.added": "👋 ¡Gracias por añadirme!\n\nConfiguración para administradores:\n/config_join &lt;event_id&gt; - Premiar a los nuevos miembros\n/config_checkin &lt;event_id&gt; - Activar los check-ins diarios\n\nHazme administrador para que pueda ver quién entra y sale.",
+  "bot.added_back": "👋 ¡Gracias por volver a añadirme! Se ha restaurado tu configuración anterior.",
+
+  // Brand
+  "brand.current": "🏷 Las recompensas de este chat van a la marca <code>{brand}</code>.\n\nCámbiala con /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.current_default": "🏷 Las recompensas de este chat van a la marca <code>{brand}</code> (la predeterminada del bot).\n\nCámbiala con /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.none": "❌ No hay ninguna marca configurada. Usa /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.reset_default": "✅ Este chat ahora usa la marca predeterminada del bot <code>{brand}</code>.",
+  "brand.removed": "✅ Marca eliminada de este chat.",
+  "brand.usage": "❌ Uso: /config_brand &lt;brand_address&gt; [claim_code]\n\nLa dirección de la marca es la dirección 0x… de Partner Portal. Usa <code>/config_brand reset</code> para volver a la marca predeterminada.",
+  "brand.bad_code": "❌ Ese código de reclamación no es válido para esta marca.",
+  "brand.not_allowed": "❌ Este chat no puede usar esa marca. Pide a la marca su código de reclamación: /config_brand &lt;brand_address&gt; &lt;claim_code&gt;",
+  "brand.set": "✅ Las recompensas de este chat ahora van a la marca <code>{brand}</code>.\n\nVuelve a ejecutar /config_checkin y /config_join con los eventos de esta marca.",
+
+  // Event catalogue
+  "events.title": "📋 <b>Eventos de la marca</b> <code>{brand}</code>",
+  "events.named": "<b>{name}</b> → {event_id}",
+  "events.reward": "{amount} LTZ",
+  "events.none": "Todavía no hay eventos activos. Créalos en Partner Portal → Settings → Events.",
+  "events.more": "…y {count} más.",
+  "events.inactive_hidden": { one: "No se muestra {count} evento desactivado.", other: "No se muestran {count} eventos desactivados." },
+  "events.fetched": "Cargados de Loyalteez a las {time} UTC; se recargan cada {ttl}. /events refresh los recarga ahora.",
+  "events.unavailable": "❌ No se pudieron cargar los eventos de la marca desde Loyalteez. Inténtalo de nuevo en un minuto.",
+  "events.unknown": "❌ <code>{event}</code> no es un evento de la marca <code>{brand}</code>.",
+  "events.inactive": "❌ <code>{event}</code> está desactivado en Partner Portal. Vuelve a activarlo allí o elige otro evento.",
+  "events.suggest": "¿Quisiste decir: {events}?",
+  "events.see_all": "Consulta todos los eventos con /events.",
+  "events.unverified": "⚠️ No se pudo comprobar este evento con Loyalteez ahora mismo, así que se guardó tal cual.",
+
+  // Chat setup overview
+  "config.title": "⚙️ <b>Configuración de este chat</b>",
+  "config.brand": "Marca: <code>{brand}</code>",
+  "config.no_brand": "Marca: ninguna - configúrala con /config_brand",
+  "config.checkin": "Check-in: {event}",
+  "config.join": "Bienvenida: {event}",
+  "config.referral": "Invitaciones: {event}",
+  "config.streak_bonus": "Bono de racha: {event}",
+  "config.reaction": "Reacciones: {event}",
+  "config.keyword": "Palabra clave \"{phrase}\": {event}",
+  "config.topic_checkin": "Check-in en {topic}: {event}",
+  "config.not_set": "sin configurar",
+  "config.status_unknown": "⚠️ ya no existe",
+  "config.status_inactive": "⚠️ desactivado",
+  "config.broken": { one: "⚠️ {count} configuración apunta a un evento que ya no funciona, así que sus recompensas fallarán. Corrígela con el comando /config_* correspondiente.", other: "⚠️ {count} configuraciones apuntan a eventos que ya no funcionan, así que sus recompensas fallarán. Corrígelas con los comandos /config_* correspondientes." },
+  "config.unchecked": "No se pudo contactar con Loyalteez para comprobar estos eventos.",
+
+  // Check-ins
+  "checkin.config_usage": "❌ Uso: /config_checkin &lt;event_id_o_nombre&gt;\n\nPuedes usar:\n- ID de evento personalizado: <code>custom_4748e22F_1763993617509</code>\n- Nombre descriptivo: <code>daily_checkin</code>",
+  "checkin.configured_mapped": "✅ ¡Evento de check-in diario configurado!\n\nNombre descriptivo: <code>{name}</code>\nCorresponde a: <code>{event_id}</code>",
+  "checkin.configured": "✅ Evento de check-in diario actualizado a: <code>{event_id}</code>",
+  "checkin.post": "📅 <b>Check-in diario</b>\n\n¡Pulsa el botón una vez al día para ganar tu recompensa y mantener tu racha!",
+  "checkin.button": "✅ Hacer check-in",
+  "checkin.not_configured": "⚠️ El check-in diario no está configurado. Administrador: usa /config_checkin &lt;event_id&gt; para configurarlo.\n\nCrea un evento en Partner Portal con la detección \"Telegram Bot Interaction\" y usa el ID de evento generado.",
+  "checkin.event_not_found": "❌ El evento \"{event_id}\" no existe. Administrador: comprueba el ID del evento en Partner Portal.",
+  "checkin.event_inactive": "❌ El evento \"{event_id}\" está desactivado. Administrador: reactívalo en Partner Portal o define otro con /config_checkin.",
+  "checkin.queued": "⏳ ¡Check-in recibido! Tu recompensa se ha retrasado; avisaremos aquí cuando llegue.",
+  "checkin.member": "Miembro",
+  "checkin.retried": "🔁 ¡El check-in de {name} se ha completado!",
+
+  // Streaks
+  "streak.milestone": "🏆 ¡{name} alcanzó una racha de {count} días! Bonificación de {amount} enviada a tu billetera.",
+  "streak.none": "{name}, aún no has hecho check-in. ¡Usa /checkin para empezar una racha!",
+  "streak.summary": "🔥 Racha de {name}\n\nActual: {current}\nMejor: {best}\nCheck-ins totales: {total}\n\n{today}",
+  "streak.today_done": "✅ Check-in hecho hoy",
+  "streak.today_pending": "⏰ Aún no has hecho check-in hoy: ¡usa /checkin para mantener la racha!",
+  "streak.bonus_usage": "❌ Uso: /config_streak_bonus &lt;event_id&gt; [días,...]\n\nEjemplo: <code>/config_streak_bonus streak_bonus 7,30</code>\nUsa <code>/config_streak_bonus off</code> para desactivarla.",
+  "streak.bonus_disabled": "✅ Bonificaciones por racha desactivadas.",
+  "streak.bonus_invalid": "❌ Hitos no válidos \"{milestones}\". Usa números de días como 7,30.",
+  "streak.bonus_configured": "✅ ¡Bonificación por racha configurada!\n\nEvento: <code>{event_id}</code>\nHitos: {milestones}",
+
+  // Leaderboard and stats
+  "leaderboard.usage": "❌ Uso: /leaderboard [week|month|all]",
+  "leaderboard.title": "🏆 Clasificación ({period})",
+  "leaderboard.period_week": "Esta semana",
+  "leaderboard.period_month": "Este mes",
+  "leaderboard.period_all": "Histórico",
+  "leaderboard.empty": "Aún no hay check-ins. ¡Sé el primero con /checkin!",
+  "stats.title": "📊 Estadísticas de check-in",
+  "stats.week": "Esta semana",
+  "stats.all_time": "Histórico",
+  "stats.tally": "{checkins} de {members}",
+  "stats.ltz": "LTZ repartidos: {amount}",
+  "stats.rewards_title": "🛠 <b>Entrega de recompensas</b> (desde {since})",
+  "stats.rewards_attempts": "Intentos: {count}, promedio {ms} ms",
+  "stats.outcome_success": "✅ Recompensados: {count}",
+  "stats.outcome_cooldown": "⏳ En espera: {count}",
+  "stats.outcome_unknown_event": "❓ Evento desconocido: {count}",
+  "stats.outcome_inactive_event": "💤 Evento inactivo: {count}",
+  "stats.outcome_auth_failed": "🔑 Sin autorización: {count}",
+  "stats.outcome_rate_limited": "🐢 Límite de peticiones: {count}",
+  "stats.outcome_transport": "⚠️ Errores de entrega: {count}",
+  "stats.outcome_rejected": "🚫 Rechazados: {count}",
+  "stats.rewards_transports": "Enviados por: {transports}",
+  "stats.transport_binding": "service binding",
+  "stats.transport_fallback": "HTTP de respaldo",
+  "stats.transport_http": "HTTP",
+  "stats.transport_sandbox": "sandbox",
+  "stats.transport_none": "no enviados",
+  "stats.rewards_event": "• <code>{event}</code>: {success}/{count} recompensados",
+  "schedule.title": "🗓 Tareas programadas (horas en {timezone})",
+  "schedule.none": "No hay tareas programadas. Consulta /config_schedule help para ver las opciones.",
+  "schedule.usage": "❌ Uso:\n<code>/config_schedule checkin 09:00</code> - publicación diaria de check-in\n<code>/config_schedule digest sun 18:00</code> - resumen semanal\n<code>/config_schedule reminders 20:00</code> - recordatorios de racha por privado\n\nUsa <code>off</code> en lugar de una hora para detener una tarea. Las horas están en la zona horaria del chat ({timezone}).",
+  "schedule.name_checkin": "Publicación diaria de check-in",
+  "schedule.name_digest": "Resumen semanal",
+  "schedule.name_reminders": "Recordatorios de racha",
+  "schedule.every_day": "todos los días a las {time}",
+  "schedule.every_week": "cada {day} a las {time}",
+  "schedule.job": "{name}: {when}",
+  "schedule.set": "✅ Programado. {job} ({timezone})",
+  "schedule.off": "✅ {name} desactivado.",
+  "schedule.needs_checkin": "⚠️ Aún no hay un evento de check-in configurado, así que esta tarea se omite hasta que uses /config_checkin.",
+  "schedule.digest_title": "📊 <b>Resumen semanal de check-ins</b>",
+  "schedule.reminder": "⏰ {name}, hoy aún no has hecho check-in en {chat}. Tu racha de {streak} termina a medianoche: ¡usa /checkin allí para mantenerla!",
+  "schedule.remind_usage": "❌ Uso: /remind on|off",
+  "schedule.remind_group_only": "❌ Envía /remind en el grupo de cuya racha quieres recordatorios.",
+  "schedule.remind_status_on": "🔔 {name}, los recordatorios de racha están activados. /remind off para detenerlos.",
+  "schedule.remind_status_off": "🔕 {name}, los recordatorios de racha están desactivados. /remind on para recibir un mensaje antes de perder tu racha.",
+  "schedule.remind_on": "🔔 {name}, te escribiré por privado cuando tu racha esté a punto de romperse.",
+  "schedule.remind_off": "🔕 {name}, recordatorios de racha desactivados.",
+  "schedule.remind_not_scheduled": "(Los administradores aún no han programado recordatorios en este chat.)",
+  "schedule.remind_dm": "🔔 Recibirás un mensaje aquí cuando tu racha de check-in en {chat} esté a punto de romperse. Envía /remind off en el grupo para detenerlos.",
+
+  // Timezone
+  "timezone.usage": "❌ Uso: /config_timezone &lt;zona_horaria&gt;\n\nUsa un nombre de zona horaria IANA, p. ej. <code>Europe/Madrid</code>, <code>America/Sao_Paulo</code> o <code>UTC</code>. Los días de check-in y las rachas cambian a medianoche en esta zona horaria.",
+  "timezone.set": "✅ Zona horaria establecida en <code>{timezone}</code>. Allí hoy es {today}.",
+
+  // Joins
+  "join.config_usage": "❌ Uso: /config_join &lt;event_id_o_nombre&gt;\n\nPuedes usar:\n- ID de evento personalizado: <code>custom_4748e22F_1763993617509</code>\n- Nombre descriptivo: <code>telegram_join</code>",
+  "join.configured_mapped": "✅ ¡Evento de bienvenida configurado!\n\nNombre descriptivo: <code>{name}</code>\nCorresponde a: <code>{event_id}</code>",
+  "join.configured": "✅ Evento de bienvenida actualizado a: <code>{event_id}</code>",
+  "join.hold_usage": "❌ Uso: /config_join_hold &lt;minutos&gt;\n\nLos nuevos miembros deben quedarse este tiempo (y enviar un mensaje) antes de recibir su recompensa de bienvenida. Usa 0 para premiar al momento.",
+  "join.hold_set": { one: "✅ Las recompensas de bienvenida se retendrán {count} minuto.", other: "✅ Las recompensas de bienvenida se retendrán {count} minutos." },
+  "join.hold_off": "✅ Las recompensas de bienvenida se enviarán al momento.",
+  "join.button_usage": "❌ Uso: /config_join_button &lt;on|off&gt;\n\nSi está activado, los nuevos miembros reciben un botón \"Reclamar recompensa de bienvenida\" en lugar de la recompensa automática.",
+  "join.button_on": "✅ Los nuevos miembros recibirán un botón para reclamar su recompensa de bienvenida.",
+  "join.button_off": "✅ Los nuevos miembros recibirán la recompensa automáticamente.",
+  "join.not_configured": "⚠️ La recompensa de bienvenida no está configurada. Administrador: usa /config_join &lt;event_id&gt; para configurarla.",
+
+  // Welcome rewards
+  "welcome.claim_prompt": "¡Bienvenido, {name}! Pulsa abajo para reclamar tu recompensa de bienvenida.",
+  "welcome.claim_button": "🎁 Reclamar recompensa de bienvenida",
+  "welcome.hold": { one: "¡Bienvenido, {name}! Quédate {count} minuto y saluda para ganar tu recompensa de bienvenida.", other: "¡Bienvenido, {name}! Quédate {count} minutos y saluda para ganar tu recompensa de bienvenida." },
+  "welcome.missing_requirements": "¡Bienvenido, {name}! ⚠️ Aquí las recompensas de bienvenida requieren {requirements} en tu perfil de Telegram.",
+  "welcome.queued": "¡Bienvenido, {name}! ⏳ Tu recompensa se ha retrasado; avisaremos aquí cuando llegue.",
+  "welcome.failed": "¡Bienvenido, {name}! ⚠️ No hemos podido enviar tu recompensa en este momento.",
+  "welcome.not_member": "⚠️ Tienes que estar en el grupo para reclamar esta recompensa.",
+  "welcome.already_claimed": "✅ Ya has reclamado tu recompensa de bienvenida.",
+  "welcome.stay_longer": { one: "⏳ Quédate {count} minuto más para reclamar tu recompensa de bienvenida.", other: "⏳ Quédate {count} minutos más para reclamar tu recompensa de bienvenida." },
+  "welcome.missing": "⚠️ Añade {requirements} a tu perfil de Telegram y vuelve a pulsar para reclamar tu recompensa.",
+  "welcome.claim_queued": "⏳ Tu recompensa está en camino; avisaremos aquí cuando llegue.",
+  "welcome.claim_failed": "⚠️ No se ha podido enviar tu recompensa ahora. Inténtalo de nuevo en un momento.",
+  "welcome.claimed": "🎁 ¡Recompensa reclamada!",
+
+  // Captcha
+  "captcha.math": { one: "👋 ¡Bienvenido, {name}! Para comprobar que eres humano, pulsa la respuesta a <b>{question}</b> en menos de {count} minuto.", other: "👋 ¡Bienvenido, {name}! Para comprobar que eres humano, pulsa la respuesta a <b>{question}</b> en menos de {count} minutos." },
+  "captcha.button": { one: "👋 ¡Bienvenido, {name}! Pulsa el botón de abajo en menos de {count} minuto para demostrar que eres humano.", other: "👋 ¡Bienvenido, {name}! Pulsa el botón de abajo en menos de {count} minutos para demostrar que eres humano." },
+  "captcha.human_button": "✅ Soy humano",
+  "captcha.inactive": "⚠️ Esta verificación ya no está activa.",
+  "captcha.too_many": "❌ Demasiadas respuestas incorrectas.",
+  "captcha.wrong": { one: "❌ Respuesta incorrecta: te queda {count} intento.", other: "❌ Respuesta incorrecta: te quedan {count} intentos." },
+  "captcha.verified": "✅ ¡Gracias, ya estás verificado!",
+  "captcha.usage": "❌ Uso: /config_captcha &lt;off|button|math&gt; [tiempo] [--username] [--photo]\n\nEjemplos:\n<code>/config_captcha math 3m</code> - los nuevos miembros resuelven una suma en 3 minutos o son expulsados\n<code>/config_captcha off --username --photo</code> - sin captcha, pero las recompensas de bienvenida requieren nombre de usuario y foto de perfil\n\nTiempo: de 1m a {max}m (por defecto {default}m). El bot necesita permisos de administrador para restringir y expulsar miembros.",
+  "captcha.off": "🛡 El captcha está desactivado: los nuevos miembros pueden escribir enseguida.",
+  "captcha.on_button": { one: "🛡 El captcha está activado: los nuevos miembros quedan silenciados hasta pulsar un botón, y se les expulsa tras {count} minuto.", other: "🛡 El captcha está activado: los nuevos miembros quedan silenciados hasta pulsar un botón, y se les expulsa tras {count} minutos." },
+  "captcha.on_math": { one: "🛡 El captcha está activado: los nuevos miembros quedan silenciados hasta resolver una suma sencilla, y se les expulsa tras {count} minuto.", other: "🛡 El captcha está activado: los nuevos miembros quedan silenciados hasta resolver una suma sencilla, y se les expulsa tras {count} minutos." },
+  "captcha.requirements": "Las recompensas de bienvenida requieren {requirements}.",
+
+  // Balance and history
+  "link.private_only": "🔒 {name}, la vinculación de cuentas se hace en un chat privado conmigo: {link}",
+  "link.usage": "🔗 <b>Vincula tu cuenta</b>\n\nTus recompensas van a una wallet asociada a tu cuenta de Telegram. Vincula una real:\n• <code>/link tu@ejemplo.com</code> — te enviaré un código por email\n• <code>/link 0xTuDireccionDeWallet</code> — firma un mensaje con tu wallet\n\nConsulta adónde van tus recompensas con /whoami.",
+  "link.current": "🔗 Vinculado a {type} <code>{value}</code>.\n\nEnvía /link con otro email o wallet para cambiarlo, o /unlink para volver a tu wallet de Telegram.",
+  "link.pending_email": "📧 Esperando el código enviado a <code>{value}</code>. Envía <code>/link 123456</code>, o <code>/link cancel</code>.",
+  "link.pending_wallet": "✍️ Esperando una firma de <code>{value}</code>. Envía <code>/link 0x…</code> con ella, o <code>/link cancel</code>.",
+  "link.cancelled": "Vinculación cancelada.",
+  "link.nothing_pending": "No hay nada que confirmar. Empieza con <code>/link tu@ejemplo.com</code> o <code>/link 0xTuDireccionDeWallet</code>.",
+  "link.already": "✅ Ya estás vinculado a <code>{value}</code>.",
+  "link.email_unavailable": "📧 La vinculación por email no está configurada en este bot. Puedes vincular una wallet: <code>/link 0xTuDireccionDeWallet</code>",
+  "link.code_wait": "⏳ Acabamos de enviar un código a <code>{value}</code>. Espera un minuto antes de pedir otro.",
+  "link.code_sent": "📧 He enviado un código de 6 dígitos a <code>{value}</code>. Envía <code>/link CÓDIGO</code> en menos de {minutes} minutos.",
+  "link.send_failed": "⚠️ No se pudo enviar el código ahora. Inténtalo más tarde.",
+  "link.code_wrong": { one: "❌ El código no es correcto. Te queda {count} intento.", other: "❌ El código no es correcto. Te quedan {count} intentos." },
+  "link.code_locked": "❌ Demasiados códigos incorrectos. Podrás pedir un código nuevo con /link dentro de {minutes} minutos.",
+  "link.code_lockout": "⏳ Se introdujeron demasiados códigos incorrectos. Podrás pedir un código nuevo dentro de {minutes} minutos.",
+  "link.sign": "✍️ Firma exactamente este mensaje con <code>{value}</code> (la función \"Firmar mensaje\" de tu wallet) y envía <code>/link 0x…</code> con la firma en menos de {minutes} minutos:\n\n<code>{challenge}</code>",
+  "link.signature_wrong": "❌ Eso no es una firma del mensaje anterior hecha por <code>{value}</code>. Firma el texto exacto con esa wallet.",
+  "link.linked": "✅ ¡Vinculado! Las nuevas recompensas van a {type} <code>{value}</code>.",
+  "link.policy": "ℹ️ Los LTZ ganados antes de vincular se quedan en tu identidad de Telegram (<code>{identity}</code>) y no se transfieren. /unlink vuelve a ella, pero el destino de las recompensas solo puede cambiar una vez cada {days} días.",
+  "link.too_soon": "⏳ El destino de tus recompensas solo puede cambiar una vez cada {days} días, para que no se puedan cobrar dos veces cambiando. Podrás cambiarlo de nuevo el {date}.",
+  "link.type_email": "tu email",
+  "link.type_wallet": "tu wallet",
+  "link.not_linked": "No has vinculado ninguna cuenta, así que las recompensas van a tu wallet de Telegram. Usa /link para vincular una.",
+  "link.unlinked": "🔓 Desvinculado. Las nuevas recompensas vuelven a tu identidad de Telegram (<code>{identity}</code>); los LTZ ganados mientras estabas vinculado se quedan en {type} <code>{value}</code>.",
+  "whoami.title": "🪪 <b>Adónde van tus recompensas</b>",
+  "whoami.telegram": "ID de Telegram: <code>{id}</code>",
+  "whoami.linked": "Vinculado a {type}: <code>{value}</code> (desde {date})",
+  "whoami.synthetic": "Identidad de Telegram: <code>{identity}</code>\n\nVincula un email o wallet real con /link.",
+  "balance.amount": "💰 Tu saldo: <b>{balance} LTZ</b>",
+  "balance.wallet": "Billetera: <code>{address}</code>",
+  "balance.spend": "Gasta tus tokens: {url}",
+  "balance.failed": "⚠️ No hemos podido consultar tu saldo ahora.\n\n💰 Consulta tu saldo de LTZ y gasta tus tokens aquí:\n{url}",
+  "history.empty": "📜 Aún no tienes recompensas. ¡Prueba /checkin!",
+  "history.title": { one: "📜 Tu última recompensa", other: "📜 Tus últimas {count} recompensas" },
+  "history.failed": "⚠️ No hemos podido consultar tus recompensas ahora. Inténtalo de nuevo en un momento.",
+  "dm.there": "hola",
+  "dm.sent": "📬 {name}, te he enviado los detalles por mensaje privado.",
+  "dm.start_first": "🔒 {name}, primero abre un chat privado conmigo ({link}) y vuelve a intentarlo.",
+  "dm.bot_profile": "el perfil del bot",
+
+  // Referrals
+  "invite.private": "Usa /invite en el grupo al que quieres invitar a gente.",
+  "invite.not_configured": "⚠️ Las recompensas por invitación no están configuradas. Administrador: usa /config_referral &lt;event_id&gt; para configurarlas.",
+  "invite.failed": "❌ No se ha podido crear un enlace de invitación. Inténtalo más tarde.",
+  "invite.link": "🔗 {name}, este es tu enlace de invitación personal:\n{link}\n\nGanarás una recompensa por cada nuevo miembro que entre con él. Consulta /referrals para ver tus estadísticas.",
+  "referrals.none": "{name}, aún no has invitado a nadie. Usa /invite para obtener tu enlace personal.",
+  "referrals.stats": "🤝 Invitaciones de {name}\n\nMiembros invitados: {invited}\nRecompensas ganadas: {rewarded}\n\nTu enlace: {link}",
+  "referrals.config_usage": "❌ Uso: /config_referral &lt;event_id_o_nombre&gt;\n\nQuien invita gana este evento cada vez que un nuevo miembro entra con su enlace de /invite.",
+  "referrals.configured_mapped": "✅ ¡Evento de invitación configurado!\n\nNombre descriptivo: <code>{name}</code>\nCorresponde a: <code>{event_id}</code>",
+  "referrals.configured": "✅ Evento de invitación actualizado a: <code>{event_id}</code>",
+  "referrals.own_link": "🙂 Ese es tu propio enlace de invitación: ¡compártelo con tus amigos para ganar recompensas!",
+  "referrals.not_new": "👋 Parece que ya has estado en esta comunidad: las recompensas por invitación son solo para miembros nuevos.",
+  "referrals.community": "la comunidad",
+  "referrals.invited_link": "👋 ¡Te han invitado a <b>{title}</b>!\n\nEntra aquí: {link}\n\nTu amigo recibirá el mérito cuando entres.",
+  "referrals.invited": "👋 ¡Te han invitado a <b>{title}</b>! Pide a tu amigo el enlace del grupo: recibirá el mérito cuando entres.",
+  "referrals.inviter": "Quien te invitó",
+  "referrals.credited": "🤝 ¡{mention} ha ganado {amount} tokens por invitar a {name}!",
+
+  // Keywords
+  "keyword.usage": "❌ Uso: /config_keyword &lt;frase&gt; &lt;event_id&gt; [caduca_en] [máx_reclamaciones] [--exact] [--topic]\n\nEjemplos:\n<code>/config_keyword \"elefante morado\" ama_reward</code>\n<code>/config_keyword \"elefante morado\" ama_reward 2h 50</code>\n\nUsa comillas para frases con espacios. No se distinguen mayúsculas salvo con <code>--exact</code>. Cada miembro puede reclamar una palabra clave una vez. Con <code>--topic</code> solo funciona en el tema del foro donde lo uses.",
+  "keyword.invalid_expiry": "❌ Caducidad no válida \"{value}\". Usa una duración como 30m, 2h o 1d.",
+  "keyword.invalid_max_claims": "❌ Máximo de reclamaciones no válido \"{value}\". Usa un número positivo.",
+  "keyword.added": "✅ ¡Palabra clave #{id} añadida!\n\n{rule}",
+  "keyword.none": "No hay palabras clave. Añade una con /config_keyword &lt;frase&gt; &lt;event_id&gt;.",
+  "keyword.inactive": "(inactiva)",
+  "keyword.list": "🔑 Palabras clave:\n\n{keywords}\n\nElimínalas con /delete_keyword &lt;id&gt;",
+  "keyword.delete_usage": "❌ Uso: /delete_keyword &lt;id_o_frase&gt;\n\nConsulta los ID con /keywords.",
+  "keyword.deleted": "✅ Palabra clave #{id} (<code>{phrase}</code>) eliminada.",
+  "keyword.not_found": "❌ No hay ninguna palabra clave que coincida con \"{value}\". Consulta /keywords.",
+  "keyword.cooldown": "⏳ {name}, ya has ganado esta recompensa hace poco.",
+  "keyword.found": "🔑 ¡{name} ha encontrado la palabra secreta! {amount} enviados a tu billetera.",
+  "keyword.all_claimed": "🔒 Ya se han reclamado las {count} recompensas de esta palabra clave.",
+  "reaction.usage": "❌ Uso: /config_reaction &lt;event_id&gt; [emoji ...]\n\nEjemplo: <code>/config_reaction helpful_answer 👍 🔥</code>\nUsa <code>/config_reaction off</code> para desactivarlo.",
+  "reaction.configured": "✅ ¡Recompensas por reacción activadas!\n\nEvento: <code>{event_id}</code>\nEmoji: {emoji}\n\nCuando un administrador reacciona al mensaje de un miembro con uno de estos, su autor recibe la recompensa (una vez por mensaje). El bot debe ser administrador para ver las reacciones.",
+  "reaction.disabled": "✅ Recompensas por reacción desactivadas.",
+  "reaction.current": "👍 Recompensas por reacción: <code>{event_id}</code> con {emoji}",
+  "reaction.none": "Las recompensas por reacción están desactivadas. Usa /config_reaction &lt;event_id&gt; [emoji ...] para activarlas.",
+  "reaction.rewarded": "🌟 ¡{name} ganó {amount} por una respuesta útil!",
+  "quiz.usage": "❌ Uso: /quiz &lt;event_id&gt; \"pregunta\" \"opción 1\" \"opción 2\" ... --correct &lt;n&gt; [--closes 10m]\n\nEjemplo: <code>/quiz ama_quiz \"¿En qué año lanzamos?\" \"2021\" \"2022\" \"2023\" --correct 2 --closes 5m</code>\n\nIndica de 2 a {max} opciones; --correct es el número de la correcta.",
+  "quiz.too_long": "❌ Las preguntas pueden tener hasta {question} caracteres y las opciones hasta {option}.",
+  "quiz.invalid_closes": "❌ --closes no válido. Usa una duración como 5m o 1h, hasta {max}.",
+  "quiz.needs_queue": "❌ Los cuestionarios de más de {max} necesitan la cola REWARD_QUEUE para cerrarse.",
+  "quiz.post_failed": "❌ No se pudo publicar el cuestionario: {error}",
+  "quiz.closed": "🏁 <b>Cuestionario cerrado:</b> {question}",
+  "quiz.answer": "Respuesta correcta: <b>{answer}</b>",
+  "quiz.no_answers": "Nadie respondió.",
+  "quiz.results": { one: "{correct} de {count} miembro respondió correctamente.", other: "{correct} de {count} miembros respondieron correctamente." },
+  "quiz.rewarded": { one: "🎁 {count} recompensa enviada.", other: "🎁 {count} recompensas enviadas." },
+  "keyword.phrase": "Frase: <code>{phrase}</code>",
+  "keyword.phrase_exact": "Frase: <code>{phrase}</code> (coincidencia exacta)",
+  "keyword.event": "Evento: <code>{event_id}</code>",
+  "keyword.topic": "Tema: {topic}",
+  "keyword.claims": "Reclamaciones: {claims}",
+  "keyword.expires_in": "Caduca en: {duration}",
+  "keyword.expired": "Caducada",
+
+  // Forum topics
+  "topic.usage": "❌ Uso: /config_topic [checkin &lt;event_id|off&gt; | rewards &lt;on|off|anywhere&gt; | quote &lt;on|off&gt;]\n\nÚsalo dentro del tema:\n<code>/config_topic checkin daily_gm</code> - /checkin aquí da su propio evento\n<code>/config_topic rewards on</code> - los comandos de recompensa solo funcionan en los temas que elijas\n<code>/config_topic rewards anywhere</code> - quitar esa restricción\n<code>/config_topic quote on</code> - las respuestas citan el mensaje al que responden (todo el chat)",
+  "topic.usage_short": "Cámbialo con /config_topic checkin|rewards|quote dentro del tema.",
+  "topic.forum_only": "❌ Esto solo funciona en un tema del foro. Activa los Temas en los ajustes del grupo y úsalo dentro del tema.",
+  "topic.title": "🧵 <b>Temas del foro</b>",
+  "topic.current": "Este tema: <b>{topic}</b>",
+  "topic.checkin_here": "/checkin aquí da <code>{event_id}</code>",
+  "topic.checkin_chat": "/checkin aquí da el evento de check-in del chat",
+  "topic.checkins": "Eventos de check-in por tema:",
+  "topic.rewards_only": "Los comandos de recompensa solo funcionan en {topics}",
+  "topic.rewards_everywhere": "Los comandos de recompensa funcionan en todos los temas",
+  "topic.rewards_anywhere": "✅ Los comandos de recompensa funcionan en todos los temas.",
+  "topic.rewards_elsewhere": "💬 Los comandos de recompensa están en {topics}, ¡pruébalo allí!",
+  "topic.quote_on": "Las respuestas citan el mensaje al que responden",
+  "topic.quote_off": "Las respuestas no citan el mensaje al que responden",
+  "topic.quote_set_on": "✅ Ahora las respuestas citan el mensaje al que responden.",
+  "topic.quote_set_off": "✅ Las respuestas ya no citan el mensaje al que responden.",
+  "topic.checkin_set": "✅ /checkin en <b>{topic}</b> ahora da <code>{event_id}</code>.",
+  "topic.checkin_off": "✅ /checkin en <b>{topic}</b> vuelve a dar el evento de check-in del chat.",
+
+  // Failed rewards
+  "failed.cleared": { one: "🧹 {count} recompensa fallida eliminada.", other: "🧹 {count} recompensas fallidas eliminadas." },
+  "failed.none": "✅ No hay recompensas fallidas.",
+  "failed.entry": "{kind} para {name} (<code>{event_id}</code>): {error}",
+  "failed.more": "…y {count} más",
+  "failed.list": "⚠️ Recompensas fallidas ({count})\n\n{entries}\n\nHay que compensarlas a mano. Usa /failed_rewards clear cuando estén resueltas.",
+
+  // Message templates: built-in defaults (plain text) and /config_message
+  "template.welcome": "¡Bienvenido, {first_name}! Has ganado {amount} tokens por unirte.",
+  "template.welcome_hold": "🎉 ¡Gracias por quedarte, {first_name}! Has ganado {amount} tokens por unirte.",
+  "template.welcome_button": "🎁 {first_name} ha reclamado su recompensa de bienvenida: ¡{amount} tokens!",
+  "template.welcome_retry": "🔁 La recompensa de bienvenida de {first_name} ha llegado: ¡{amount} tokens!",
+  "template.checkin": "✅ ¡Check-in diario completado! {amount} enviados a tu billetera.\n🔥 Racha: {streak} {streak_days}",
+  "template.cooldown": "⏳ Ya has hecho check-in hoy. ¡Vuelve mañana!",
+  "template.cooldown_next": "⏳ Ya has hecho check-in. Próximo check-in en {next_checkin}.",
+  "template.failure": "❌ El check-in ha fallado: {error}",
+  "template_kind.welcome": "Recompensa de bienvenida enviada",
+  "template_kind.checkin": "Recompensa de check-in enviada",
+  "template_kind.cooldown": "Check-in ya hecho",
+  "template_kind.failure": "Check-in fallido",
+  "template.preview_error": "Servicio no disponible temporalmente",
+  "template.unknown_kind": "❌ Tipo de mensaje desconocido \"{kind}\". Usa uno de: {kinds}",
+  "template.usage": "❌ Uso: /config_message {kind} &lt;plantilla&gt;\n\nMarcadores: {placeholders}\nUsa <code>/config_message {kind} reset</code> para restaurar el mensaje predeterminado.",
+  "template.reset": "✅ Mensaje \"{kind}\" restaurado al predeterminado.",
+  "template.updated": "✅ Mensaje \"{kind}\" actualizado. Vista previa:\n\n{preview}",
+  "template.env_default": "(predeterminado de WELCOME_MESSAGE)",
+  "template.builtin_default": "(predeterminado del bot)",
+  "template.list": "💬 Plantillas de mensajes\n\n{templates}\n\nDefine una con /config_message &lt;tipo&gt; &lt;plantilla&gt;\nMarcadores: {placeholders}, además de {error} para failure y {next_checkin} para cooldown"
+};
@@ -0,0 +1,400 @@
+/**
+ * Portuguese message catalogue
+ */
+
+export default {
+  "language.name": "Português",
+
+  // Shared
+  "error.no_kv": "❌ O armazenamento KV não está configurado. Não é possível salvar as configurações.",
+  "error.admin_only": "❌ Apenas administradores podem configurar o bot.",
+  "error.unknown": "Erro desconhecido",
+  "unit.days": { one: "{count} dia", other: "{count} dias" },
+  "unit.days_word": { one: "dia", other: "dias" },
+  "unit.checkins": { one: "{count} check-in", other: "{count} check-ins" },
+  "unit.members": { one: "{count} membro", other: "{count} membros" },
+  "requirement.username": "um nome de usuário",
+  "requirement.photo": "uma foto de perfil",
+  "button.unknown": "⚠️ Este botão não está mais ativo.",
+  "button.expired": "⌛ Este botão expirou.",
+  "button.not_yours": "🙅 Este botão não é para você.",
+
+  // Help and command menus
+  "help.welcome": "👋 Bem-vindo ao bot de fidelidade da comunidade!",
+  "help.commands": "Comandos:",
+  "help.admins": "Administradores:",
+  "help.setup": "📖 Configuração: crie eventos no Partner Portal com a detecção \"Telegram Bot Interaction\" e configure o bot com os IDs de evento gerados.",
+  "help.also": "(também {aliases})",
+  "command.start": "Mostrar a ajuda",
+  "command.checkin": "Ganhe pontos diários",
+  "command.streak": "Ver sua sequência de check-ins",
+  "command.leaderboard": "Membros com mais check-ins",
+  "command.stats": "Estatísticas de check-in da comunidade",
+  "command.balance": "Consultar seu saldo",
+  "command.history": "Suas recompensas recentes",
+  "command.invite": "Obter seu link de convite",
+  "command.referrals": "Ver suas estatísticas de convites",
+  "command.remind": "Receber uma mensagem privada antes de perder sua sequência",
+  "command.link": "Vincule suas recompensas a um email ou carteira real (chat privado)",
+  "command.whoami": "Mostra para qual conta vão suas recompensas",
+  "command.unlink": "Volta a enviar as recompensas para sua carteira do Telegram",
+  "command.config": "Ver os eventos configurados no chat",
+  "command.events": "Ver os eventos e recompensas da marca",
+  "command.config_brand": "Definir a marca Loyalteez do chat",
+  "command.config_checkin": "Definir o evento diário",
+  "command.config_join": "Definir o evento de entrada",
+  "command.config_join_hold": "Segurar a recompensa até o membro ficar",
+  "command.config_join_button": "Botão para resgatar as boas-vindas",
+  "command.config_captcha": "Verificar novos membros",
+  "command.post_checkin": "Publicar um botão de check-in fixado",
+  "command.config_schedule": "Agendar publicações de check-in, resumos semanais e lembretes de sequência",
+  "command.config_keyword": "Recompensar uma palavra secreta",
+  "command.keywords": "Listar palavras-chave",
+  "command.delete_keyword": "Remover uma palavra-chave",
+  "command.quiz": "Publicar um quiz que recompensa as respostas certas",
+  "command.config_reaction": "Recompensar respostas úteis quando um administrador reage com um emoji",
+  "command.config_referral": "Recompensar convites",
+  "command.config_topic": "Configurar o tópico do fórum onde é usado",
+  "command.config_streak_bonus": "Bônus por sequência",
+  "command.config_timezone": "Definir o fuso horário do chat",
+  "command.config_language": "Definir o idioma do bot neste chat",
+  "command.config_message": "Personalizar as respostas do bot",
+  "command.failed_rewards": "Recompensas que não puderam ser entregues",
+  "command.commands": "Desativar comandos ou adicionar apelidos",
+
+  // /commands
+  "commands.title": "⚙️ Comandos neste chat",
+  "commands.aliases": "Apelidos:",
+  "commands.usage": "Uso: /commands disable &lt;cmd&gt;, /commands enable &lt;cmd&gt;, /commands alias &lt;apelido&gt; &lt;cmd&gt;, /commands unalias &lt;apelido&gt;",
+  "commands.unknown": "❌ Comando desconhecido \"{command}\". Use /commands para ver todos.",
+  "commands.required": "❌ /{command} não pode ser desativado.",
+  "commands.disabled": "🚫 /{command} agora está desativado neste chat.",
+  "commands.enabled": "✅ /{command} está ativado de novo.",
+  "commands.alias_usage": "❌ Uso: /commands alias &lt;apelido&gt; &lt;comando&gt;\n\nExemplo: <code>/commands alias gm checkin</code>",
+  "commands.alias_taken": "❌ /{alias} já é um comando.",
+  "commands.alias_added": "✅ /{alias} agora executa /{command}.",
+  "commands.no_alias": "❌ Não há apelido /{alias} neste chat.",
+  "commands.alias_removed": "✅ Apelido /{alias} removido.",
+  "commands.usage_error": "❌ Uso: /commands [disable &lt;cmd&gt; | enable &lt;cmd&gt; | alias &lt;apelido&gt; &lt;cmd&gt; | unalias &lt;apelido&gt;]",
+
+  // /config_language
+  "language.current": "🌐 Este chat usa {language} (<code>{code}</code>).\n\nAltere com /config_language &lt;código&gt;, ou <code>/config_language auto</code> para responder a cada um no seu idioma do Telegram.",
+  "language.auto": "🌐 O bot responde a cada um no seu idioma do Telegram (em inglês se não houver tradução).\n\nFixe um idioma com /config_language &lt;código&gt;, por exemplo <code>/config_language pt</code>.",
+  "language.set": "✅ Este chat agora usa {language} (<code>{code}</code>).",
+  "language.cleared": "✅ O bot vai responder a cada um no seu idioma do Telegram.",
+  "language.unknown": "❌ Ainda não há tradução para \"{code}\". Use um código de idioma como <code>en</code>, <code>es</code>, <code>pt</code> ou <code>ru</code>.",
+
+  // Bot added to a chat
+  "bot.added": "👋 Obrigado por me adicionar!\n\nConfiguração para administradores:\n/config_join &lt;event_id&gt; - Recompensar novos membros\n/config_checkin &lt;event_id&gt; - Ativar check-ins diários\n\nTorne-me administrador para que eu possa acompanhar quem entra e sai.",
+  "bot.added_back": "👋 Obrigado por me adicionar de novo! Sua configuração anterior foi restaurada.",
+
+  // Brand
+  "brand.current": "🏷 As recompensas deste chat vão para a marca <code>{brand}</code>.\n\nAltere com /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.current_default": "🏷 As recompensas deste chat vão para a marca <code>{brand}</code> (a padrão do bot).\n\nAltere com /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.none": "❌ Nenhuma marca configurada. Use /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.reset_default": "✅ Este chat agora usa a marca padrão do bot <code>{brand}</code>.",
+  "brand.removed": "✅ Marca removida deste chat.",
+  "brand.usage": "❌ Uso: /config_brand &lt;brand_address&gt; [claim_code]\n\nO endereço da marca é o endereço 0x… do Partner Portal. Use <code>/config_brand reset</code> para voltar à marca padrão.",
+  "brand.bad_code": "❌ Esse código de resgate não é válido para esta marca.",
+  "brand.not_allowed": "❌ Este chat não tem permissão para usar essa marca. Peça à marca o código de resgate: /config_brand &lt;brand_address&gt; &lt;claim_code&gt;",
+  "brand.set": "✅ As recompensas deste chat agora vão para a marca <code>{brand}</code>.\n\nExecute de novo /config_checkin e /config_join com os eventos desta marca.",
+
+  // Event catalogue
+  "events.title": "📋 <b>Eventos da marca</b> <code>{brand}</code>",
+  "events.named": "<b>{name}</b> → {event_id}",
+  "events.reward": "{amount} LTZ",
+  "events.none": "Ainda não há eventos ativos. Crie-os em Partner Portal → Settings → Events.",
+  "events.more": "…e mais {count}.",
+  "events.inactive_hidden": { one: "{count} evento desativado não é mostrado.", other: "{count} eventos desativados não são mostrados." },
+  "events.fetched": "Carregados do Loyalteez às {time} UTC e recarregados a cada {ttl}. /events refresh recarrega agora.",
+  "events.unavailable": "❌ Não foi possível carregar os eventos da marca do Loyalteez. Tente de novo em um minuto.",
+  "events.unknown": "❌ <code>{event}</code> não é um evento da marca <code>{brand}</code>.",
+  "events.inactive": "❌ <code>{event}</code> está desativado no Partner Portal. Ative-o de novo lá ou escolha outro evento.",
+  "events.suggest": "Você quis dizer: {events}?",
+  "events.see_all": "Veja todos os eventos com /events.",
+  "events.unverified": "⚠️ Não foi possível verificar este evento com o Loyalteez agora, então ele foi salvo como digitado.",
+
+  // Chat setup overview
+  "config.title": "⚙️ <b>Configuração deste chat</b>",
+  "config.brand": "Marca: <code>{brand}</code>",
+  "config.no_brand": "Marca: nenhuma - defina uma com /config_brand",
+  "config.checkin": "Check-in: {event}",
+  "config.join": "Boas-vindas: {event}",
+  "config.referral": "Convites: {event}",
+  "config.streak_bonus": "Bônus de sequência: {event}",
+  "config.reaction": "Reações: {event}",
+  "config.keyword": "Palavra-chave \"{phrase}\": {event}",
+  "config.topic_checkin": "Check-in em {topic}: {event}",
+  "config.not_set": "não definido",
+  "config.status_unknown": "⚠️ não existe mais",
+  "config.status_inactive": "⚠️ desativado",
+  "config.broken": { one: "⚠️ {count} configuração aponta para um evento que não funciona mais, então as recompensas dela vão falhar. Corrija com o comando /config_* correspondente.", other: "⚠️ {count} configurações apontam para eventos que não funcionam mais, então as recompensas delas vão falhar. Corrija com os comandos /config_* correspondentes." },
+  "config.unchecked": "Não foi possível falar com o Loyalteez para verificar estes eventos.",
+
+  // Check-ins
+  "checkin.config_usage": "❌ Uso: /config_checkin &lt;event_id_ou_nome&gt;\n\nVocê pode usar:\n- ID de evento personalizado: <code>custom_4748e22F_1763993617509</code>\n- Nome amigável: <code>daily_checkin</code>",
+  "checkin.configured_mapped": "✅ Evento de check-in diário configurado!\n\nNome amigável: <code>{name}</code>\nCorresponde a: <code>{event_id}</code>",
+  "checkin.configured": "✅ Evento de check-in diário atualizado para: <code>{event_id}</code>",
+  "checkin.post": "📅 <b>Check-in diário</b>\n\nToque no botão uma vez por dia para ganhar sua recompensa e manter sua sequência!",
+  "checkin.button": "✅ Fazer check-in",
+  "checkin.not_configured": "⚠️ O check-in diário não está configurado. Administrador: use /config_checkin &lt;event_id&gt; para configurar.\n\nCrie um evento no Partner Portal com a detecção \"Telegram Bot Interaction\" e use o ID de evento gerado.",
+  "checkin.event_not_found": "❌ O evento \"{event_id}\" não existe. Administrador: verifique o ID do evento no Partner Portal.",
+  "checkin.event_inactive": "❌ O evento \"{event_id}\" está desativado. Administrador: reative-o no Partner Portal ou defina outro com /config_checkin.",
+  "checkin.queued": "⏳ Check-in recebido! Sua recompensa atrasou - avisaremos aqui quando chegar.",
+  "checkin.member": "Membro",
+  "checkin.retried": "🔁 O check-in de {name} foi concluído!",
+
+  // Streaks
+  "streak.milestone": "🏆 {name} chegou a uma sequência de {count} dias! Bônus de {amount} enviado para sua carteira.",
+  "streak.none": "{name}, você ainda não fez check-in. Use /checkin para começar uma sequência!",
+  "streak.summary": "🔥 Sequência de {name}\n\nAtual: {current}\nMelhor: {best}\nTotal de check-ins: {total}\n\n{today}",
+  "streak.today_done": "✅ Check-in feito hoje",
+  "streak.today_pending": "⏰ Ainda sem check-in hoje - use /checkin para manter a sequência!",
+  "streak.bonus_usage": "❌ Uso: /config_streak_bonus &lt;event_id&gt; [dias,...]\n\nExemplo: <code>/config_streak_bonus streak_bonus 7,30</code>\nUse <code>/config_streak_bonus off</code> para desativar.",
+  "streak.bonus_disabled": "✅ Bônus por sequência desativados.",
+  "streak.bonus_invalid": "❌ Marcos inválidos \"{milestones}\". Use números de dias como 7,30.",
+  "streak.bonus_configured": "✅ Bônus por sequência configurado!\n\nEvento: <code>{event_id}</code>\nMarcos: {milestones}",
+
+  // Leaderboard and stats
+  "leaderboard.usage": "❌ Uso: /leaderboard [week|month|all]",
+  "leaderboard.title": "🏆 Ranking ({period})",
+  "leaderboard.period_week": "Esta semana",
+  "leaderboard.period_month": "Este mês",
+  "leaderboard.period_all": "Geral",
+  "leaderboard.empty": "Ainda não há check-ins. Seja o primeiro com /checkin!",
+  "stats.title": "📊 Estatísticas de check-in",
+  "stats.week": "Esta semana",
+  "stats.all_time": "Geral",
+  "stats.tally": "{checkins} de {members}",
+  "stats.ltz": "LTZ distribuídos: {amount}",
+  "stats.rewards_title": "🛠 <b>Entrega de recompensas</b> (desde {since})",
+  "stats.rewards_attempts": "Tentativas: {count}, média {ms} ms",
+  "stats.outcome_success": "✅ Recompensados: {count}",
+  "stats.outcome_cooldown": "⏳ Em espera: {count}",
+  "stats.outcome_unknown_event": "❓ Evento desconhecido: {count}",
+  "stats.outcome_inactive_event": "💤 Evento inativo: {count}",
+  "stats.outcome_auth_failed": "🔑 Sem autorização: {count}",
+  "stats.outcome_rate_limited": "🐢 Limite de requisições: {count}",
+  "stats.outcome_transport": "⚠️ Erros de entrega: {count}",
+  "stats.outcome_rejected": "🚫 Recusados: {count}",
+  "stats.rewards_transports": "Enviados por: {transports}",
+  "stats.transport_binding": "service binding",
+  "stats.transport_fallback": "HTTP de reserva",
+  "stats.transport_http": "HTTP",
+  "stats.transport_sandbox": "sandbox",
+  "stats.transport_none": "não enviados",
+  "stats.rewards_event": "• <code>{event}</code>: {success}/{count} recompensados",
+  "schedule.title": "🗓 Tarefas agendadas (horários em {timezone})",
+  "schedule.none": "Nenhuma tarefa agendada. Veja /config_schedule help para as opções.",
+  "schedule.usage": "❌ Uso:\n<code>/config_schedule checkin 09:00</code> - publicação diária de check-in\n<code>/config_schedule digest sun 18:00</code> - resumo semanal\n<code>/config_schedule reminders 20:00</code> - lembretes de sequência por mensagem privada\n\nUse <code>off</code> no lugar de um horário para parar uma tarefa. Os horários seguem o fuso do chat ({timezone}).",
+  "schedule.name_checkin": "Publicação diária de check-in",
+  "schedule.name_digest": "Resumo semanal",
+  "schedule.name_reminders": "Lembretes de sequência",
+  "schedule.every_day": "todos os dias às {time}",
+  "schedule.every_week": "semanalmente, {day} às {time}",
+  "schedule.job": "{name}: {when}",
+  "schedule.set": "✅ Agendado. {job} ({timezone})",
+  "schedule.off": "✅ {name} desativado.",
+  "schedule.needs_checkin": "⚠️ Ainda não há evento de check-in configurado, então esta tarefa é ignorada até você usar /config_checkin.",
+  "schedule.digest_title": "📊 <b>Resumo semanal de check-ins</b>",
+  "schedule.reminder": "⏰ {name}, você ainda não fez check-in em {chat} hoje. Sua sequência de {streak} termina à meia-noite - use /checkin lá para mantê-la!",
+  "schedule.remind_usage": "❌ Uso: /remind on|off",
+  "schedule.remind_group_only": "❌ Envie /remind no grupo cuja sequência você quer acompanhar.",
+  "schedule.remind_status_on": "🔔 {name}, os lembretes de sequência estão ativados. /remind off para pará-los.",
+  "schedule.remind_status_off": "🔕 {name}, os lembretes de sequência estão desativados. /remind on para receber uma mensagem antes de perder sua sequência.",
+  "schedule.remind_on": "🔔 {name}, vou te avisar por mensagem privada quando sua sequência estiver para acabar.",
+  "schedule.remind_off": "🔕 {name}, lembretes de sequência desativados.",
+  "schedule.remind_not_scheduled": "(Os administradores ainda não agendaram lembretes neste chat.)",
+  "schedule.remind_dm": "🔔 Você receberá uma mensagem aqui quando sua sequência de check-in em {chat} estiver para acabar. Envie /remind off no grupo para parar.",
+
+  // Timezone
+  "timezone.usage": "❌ Uso: /config_timezone &lt;fuso_horário&gt;\n\nUse um nome de fuso horário IANA, por exemplo <code>Europe/Madrid</code>, <code>America/Sao_Paulo</code> ou <code>UTC</code>. Os dias de check-in e as sequências viram à meia-noite neste fuso horário.",
+  "timezone.set": "✅ Fuso horário definido como <code>{timezone}</code>. Lá hoje é {today}.",
+
+  // Joins
+  "join.config_usage": "❌ Uso: /config_join &lt;event_id_ou_nome&gt;\n\nVocê pode usar:\n- ID de evento personalizado: <code>custom_4748e22F_1763993617509</code>\n- Nome amigável: <code>telegram_join</code>",
+  "join.configured_mapped": "✅ Evento de entrada configurado!\n\nNome amigável: <code>{name}</code>\nCorresponde a: <code>{event_id}</code>",
+  "join.configured": "✅ Evento de entrada atualizado para: <code>{event_id}</code>",
+  "join.hold_usage": "❌ Uso: /config_join_hold &lt;minutos&gt;\n\nNovos membros precisam ficar esse tempo (e enviar uma mensagem) antes de receber a recompensa de entrada. Use 0 para recompensar na hora.",
+  "join.hold_set": { one: "✅ As recompensas de entrada ficarão retidas por {count} minuto.", other: "✅ As recompensas de entrada ficarão retidas por {count} minutos." },
+  "join.hold_off": "✅ As recompensas de entrada serão enviadas na hora.",
+  "join.button_usage": "❌ Uso: /config_join_button &lt;on|off&gt;\n\nQuando ativado, novos membros recebem um botão \"Resgatar recompensa de boas-vindas\" em vez da recompensa automática.",
+  "join.button_on": "✅ Novos membros receberão um botão para resgatar a recompensa de boas-vindas.",
+  "join.button_off": "✅ Novos membros serão recompensados automaticamente.",
+  "join.not_configured": "⚠️ A recompensa de entrada não está configurada. Administrador: use /config_join &lt;event_id&gt; para configurar.",
+
+  // Welcome rewards
+  "welcome.claim_prompt": "Bem-vindo, {name}! Toque abaixo para resgatar sua recompensa de boas-vindas.",
+  "welcome.claim_button": "🎁 Resgatar recompensa de boas-vindas",
+  "welcome.hold": { one: "Bem-vindo, {name}! Fique {count} minuto e diga oi para ganhar sua recompensa de entrada.", other: "Bem-vindo, {name}! Fique {count} minutos e diga oi para ganhar sua recompensa de entrada." },
+  "welcome.missing_requirements": "Bem-vindo, {name}! ⚠️ Aqui as recompensas de entrada exigem {requirements} no seu perfil do Telegram.",
+  "welcome.queued": "Bem-vindo, {name}! ⏳ Sua recompensa atrasou - avisaremos aqui quando chegar.",
+  "welcome.failed": "Bem-vindo, {name}! ⚠️ Não conseguimos enviar sua recompensa agora.",
+  "welcome.not_member": "⚠️ Você precisa estar no grupo para resgatar esta recompensa.",
+  "welcome.already_claimed": "✅ Você já resgatou sua recompensa de boas-vindas.",
+  "welcome.stay_longer": { one: "⏳ Fique mais {count} minuto para resgatar sua recompensa de boas-vindas.", other: "⏳ Fique mais {count} minutos para resgatar sua recompensa de boas-vindas." },
+  "welcome.missing": "⚠️ Adicione {requirements} ao seu perfil do Telegram e toque de novo para resgatar sua recompensa.",
+  "welcome.claim_queued": "⏳ Sua recompensa está a caminho - avisaremos aqui quando chegar.",
+  "welcome.claim_failed": "⚠️ Não foi possível enviar sua recompensa agora. Tente de novo em instantes.",
+  "welcome.claimed": "🎁 Recompensa resgatada!",
+
+  // Captcha
+  "captcha.math": { one: "👋 Bem-vindo, {name}! Para confirmar que você é humano, toque na resposta de <b>{question}</b> em até {count} minuto.", other: "👋 Bem-vindo, {name}! Para confirmar que você é humano, toque na resposta de <b>{question}</b> em até {count} minutos." },
+  "captcha.button": { one: "👋 Bem-vindo, {name}! Toque no botão abaixo em até {count} minuto para mostrar que você é humano.", other: "👋 Bem-vindo, {name}! Toque no botão abaixo em até {count} minutos para mostrar que você é humano." },
+  "captcha.human_button": "✅ Sou humano",
+  "captcha.inactive": "⚠️ Esta verificação não está mais ativa.",
+  "captcha.too_many": "❌ Respostas erradas demais.",
+  "captcha.wrong": { one: "❌ Resposta errada - resta {count} tentativa.", other: "❌ Resposta errada - restam {count} tentativas." },
+  "captcha.verified": "✅ Obrigado, você foi verificado!",
+  "captcha.usage": "❌ Uso: /config_captcha &lt;off|button|math&gt; [tempo] [--username] [--photo]\n\nExemplos:\n<code>/config_captcha math 3m</code> - novos membros resolvem uma soma em 3 minutos ou são removidos\n<code>/config_captcha off --username --photo</code> - sem captcha, mas as recompensas de entrada exigem nome de usuário e foto de perfil\n\nTempo: de 1m a {max}m (padrão {default}m). O bot precisa de permissões de administrador para restringir e remover membros.",
+  "captcha.off": "🛡 O captcha está desativado: novos membros podem falar imediatamente.",
+  "captcha.on_button": { one: "🛡 O captcha está ativado: novos membros ficam silenciados até tocar em um botão e são removidos após {count} minuto.", other: "🛡 O captcha está ativado: novos membros ficam silenciados até tocar em um botão e são removidos após {count} minutos." },
+  "captcha.on_math": { one: "🛡 O captcha está ativado: novos membros ficam silenciados até resolver uma soma simples e são removidos após {count} minuto.", other: "🛡 O captcha está ativado: novos membros ficam silenciados até resolver uma soma simples e são removidos após {count} minutos." },
+  "captcha.requirements": "As recompensas de entrada exigem {requirements}.",
+
+  // Balance and history
+  "link.private_only": "🔒 {name}, a vinculação de contas é feita em um chat privado comigo: {link}",
+  "link.usage": "🔗 <b>Vincule sua conta</b>\n\nSuas recompensas vão para uma carteira ligada à sua conta do Telegram. Vincule uma real:\n• <code>/link voce@exemplo.com</code> — envio um código por email\n• <code>/link 0xEnderecoDaSuaCarteira</code> — assine uma mensagem com sua carteira\n\nVeja para onde vão suas recompensas com /whoami.",
+  "link.current": "🔗 Vinculado a {type} <code>{value}</code>.\n\nEnvie /link com outro email ou carteira para trocar, ou /unlink para voltar à sua carteira do Telegram.",
+  "link.pending_email": "📧 Aguardando o código enviado para <code>{value}</code>. Envie <code>/link 123456</code>, ou <code>/link cancel</code>.",
+  "link.pending_wallet": "✍️ Aguardando uma assinatura de <code>{value}</code>. Envie <code>/link 0x…</code> com ela, ou <code>/link cancel</code>.",
+  "link.cancelled": "Vinculação cancelada.",
+  "link.nothing_pending": "Não há nada para confirmar. Comece com <code>/link voce@exemplo.com</code> ou <code>/link 0xEnderecoDaSuaCarteira</code>.",
+  "link.already": "✅ Você já está vinculado a <code>{value}</code>.",
+  "link.email_unavailable": "📧 A vinculação por email não está configurada neste bot. Você pode vincular uma carteira: <code>/link 0xEnderecoDaSuaCarteira</code>",
+  "link.code_wait": "⏳ Um código acabou de ser enviado para <code>{value}</code>. Espere um minuto antes de pedir outro.",
+  "link.code_sent": "📧 Enviei um código de 6 dígitos para <code>{value}</code>. Envie <code>/link CÓDIGO</code> em até {minutes} minutos.",
+  "link.send_failed": "⚠️ Não foi possível enviar o código agora. Tente novamente mais tarde.",
+  "link.code_wrong": { one: "❌ Código incorreto. Resta {count} tentativa.", other: "❌ Código incorreto. Restam {count} tentativas." },
+  "link.code_locked": "❌ Códigos incorretos demais. Você poderá pedir um novo código com /link daqui a {minutes} minutos.",
+  "link.code_lockout": "⏳ Foram enviados códigos incorretos demais. Você poderá pedir um novo código daqui a {minutes} minutos.",
+  "link.sign": "✍️ Assine exatamente esta mensagem com <code>{value}</code> (a função \"Assinar mensagem\" da sua carteira) e envie <code>/link 0x…</code> com a assinatura em até {minutes} minutos:\n\n<code>{challenge}</code>",
+  "link.signature_wrong": "❌ Isso não é uma assinatura da mensagem acima feita por <code>{value}</code>. Assine o texto exato com essa carteira.",
+  "link.linked": "✅ Vinculado! As novas recompensas vão para {type} <code>{value}</code>.",
+  "link.policy": "ℹ️ Os LTZ ganhos antes da vinculação ficam na sua identidade do Telegram (<code>{identity}</code>) e não são transferidos. /unlink volta para ela, mas o destino das recompensas só pode mudar uma vez a cada {days} dias.",
+  "link.too_soon": "⏳ O destino das suas recompensas só pode mudar uma vez a cada {days} dias, para que não sejam resgatadas duas vezes trocando. Você poderá mudar de novo em {date}.",
+  "link.type_email": "seu email",
+  "link.type_wallet": "sua carteira",
+  "link.not_linked": "Você não vinculou nenhuma conta, então as recompensas vão para sua carteira do Telegram. Use /link para vincular uma.",
+  "link.unlinked": "🔓 Desvinculado. As novas recompensas voltam para sua identidade do Telegram (<code>{identity}</code>); os LTZ ganhos enquanto vinculado ficam com {type} <code>{value}</code>.",
+  "whoami.title": "🪪 <b>Para onde vão suas recompensas</b>",
+  "whoami.telegram": "ID do Telegram: <code>{id}</code>",
+  "whoami.linked": "Vinculado a {type}: <code>{value}</code> (desde {date})",
+  "whoami.synthetic": "Identidade do Telegram: <code>{identity}</code>\n\nVincule um email ou carteira real com /link.",
+  "balance.amount": "💰 Seu saldo: <b>{balance} LTZ</b>",
+  "balance.wallet": "Carteira: <code>{address}</code>",
+  "balance.spend": "Gaste seus tokens: {url}",
+  "balance.failed": "⚠️ Não conseguimos consultar seu saldo agora.\n\n💰 Veja seu saldo de LTZ e gaste seus tokens aqui:\n{url}",
+  "history.empty": "📜 Você ainda não tem recompensas. Experimente /checkin!",
+  "history.title": { one: "📜 Sua última recompensa", other: "📜 Suas últimas {count} recompensas" },
+  "history.failed": "⚠️ Não conseguimos consultar suas recompensas agora. Tente de novo em instantes.",
+  "dm.there": "olá",
+  "dm.sent": "📬 {name}, enviei os detalhes em uma mensagem privada.",
+  "dm.start_first": "🔒 {name}, primeiro inicie uma conversa privada comigo ({link}) e tente de novo.",
+  "dm.bot_profile": "o perfil do bot",
+
+  // Referrals
+  "invite.private": "Use /invite no grupo para o qual você quer convidar pessoas.",
+  "invite.not_configured": "⚠️ As recompensas por convite não estão configuradas. Administrador: use /config_referral &lt;event_id&gt; para configurar.",
+  "invite.failed": "❌ Não foi possível criar um link de convite agora. Tente mais tarde.",
+  "invite.link": "🔗 {name}, aqui está seu link de convite pessoal:\n{link}\n\nVocê ganha uma recompensa por cada novo membro que entrar por ele. Veja /referrals para suas estatísticas.",
+  "referrals.none": "{name}, você ainda não convidou ninguém. Use /invite para obter seu link pessoal.",
+  "referrals.stats": "🤝 Convites de {name}\n\nMembros convidados: {invited}\nRecompensas ganhas: {rewarded}\n\nSeu link: {link}",
+  "referrals.config_usage": "❌ Uso: /config_referral &lt;event_id_ou_nome&gt;\n\nQuem convida ganha este evento sempre que um novo membro entra pelo seu link do /invite.",
+  "referrals.configured_mapped": "✅ Evento de convite configurado!\n\nNome amigável: <code>{name}</code>\nCorresponde a: <code>{event_id}</code>",
+  "referrals.configured": "✅ Evento de convite atualizado para: <code>{event_id}</code>",
+  "referrals.own_link": "🙂 Esse é o seu próprio link de convite - compartilhe com amigos para ganhar recompensas!",
+  "referrals.not_new": "👋 Parece que você já esteve nesta comunidade - as recompensas por convite são só para novos membros.",
+  "referrals.community": "a comunidade",
+  "referrals.invited_link": "👋 Você foi convidado para <b>{title}</b>!\n\nEntre aqui: {link}\n\nSeu amigo ganha o crédito quando você entrar.",
+  "referrals.invited": "👋 Você foi convidado para <b>{title}</b>! Peça ao seu amigo o link do grupo - ele ganha o crédito quando você entrar.",
+  "referrals.inviter": "Quem te convidou",
+  "referrals.credited": "🤝 {mention} ganhou {amount} tokens por convidar {name}!",
+
+  // Keywords
+  "keyword.usage": "❌ Uso: /config_keyword &lt;frase&gt; &lt;event_id&gt; [expira_em] [máx_resgates] [--exact] [--topic]\n\nExemplos:\n<code>/config_keyword \"elefante roxo\" ama_reward</code>\n<code>/config_keyword \"elefante roxo\" ama_reward 2h 50</code>\n\nUse aspas para frases com espaços. Maiúsculas e minúsculas são ignoradas, a menos que use <code>--exact</code>. Cada membro pode resgatar uma palavra-chave uma vez. Com <code>--topic</code> só vale no tópico do fórum onde você usar o comando.",
+  "keyword.invalid_expiry": "❌ Validade inválida \"{value}\". Use uma duração como 30m, 2h ou 1d.",
+  "keyword.invalid_max_claims": "❌ Máximo de resgates inválido \"{value}\". Use um número positivo.",
+  "keyword.added": "✅ Palavra-chave #{id} adicionada!\n\n{rule}",
+  "keyword.none": "Nenhuma palavra-chave configurada. Adicione uma com /config_keyword &lt;frase&gt; &lt;event_id&gt;.",
+  "keyword.inactive": "(inativa)",
+  "keyword.list": "🔑 Palavras-chave:\n\n{keywords}\n\nRemova com /delete_keyword &lt;id&gt;",
+  "keyword.delete_usage": "❌ Uso: /delete_keyword &lt;id_ou_frase&gt;\n\nVeja os IDs em /keywords.",
+  "keyword.deleted": "✅ Palavra-chave #{id} (<code>{phrase}</code>) removida.",
+  "keyword.not_found": "❌ Nenhuma palavra-chave corresponde a \"{value}\". Veja /keywords.",
+  "keyword.cooldown": "⏳ {name}, você já ganhou esta recompensa recentemente.",
+  "keyword.found": "🔑 {name} encontrou a palavra secreta! {amount} enviados para sua carteira.",
+  "keyword.all_claimed": "🔒 Todas as {count} recompensas desta palavra-chave já foram resgatadas.",
+  "reaction.usage": "❌ Uso: /config_reaction &lt;event_id&gt; [emoji ...]\n\nExemplo: <code>/config_reaction helpful_answer 👍 🔥</code>\nUse <code>/config_reaction off</code> para desativar.",
+  "reaction.configured": "✅ Recompensas por reação ativadas!\n\nEvento: <code>{event_id}</code>\nEmoji: {emoji}\n\nQuando um administrador reage à mensagem de um membro com um destes, o autor é recompensado (uma vez por mensagem). O bot precisa ser administrador para ver as reações.",
+  "reaction.disabled": "✅ Recompensas por reação desativadas.",
+  "reaction.current": "👍 Recompensas por reação: <code>{event_id}</code> com {emoji}",
+  "reaction.none": "As recompensas por reação estão desativadas. Use /config_reaction &lt;event_id&gt; [emoji ...] para ativá-las.",
+  "reaction.rewarded": "🌟 {name} ganhou {amount} por uma resposta útil!",
+  "quiz.usage": "❌ Uso: /quiz &lt;event_id&gt; \"pergunta\" \"opção 1\" \"opção 2\" ... --correct &lt;n&gt; [--closes 10m]\n\nExemplo: <code>/quiz ama_quiz \"Em que ano lançamos?\" \"2021\" \"2022\" \"2023\" --correct 2 --closes 5m</code>\n\nInforme de 2 a {max} opções; --correct é o número da certa.",
+  "quiz.too_long": "❌ Perguntas podem ter até {question} caracteres e opções até {option}.",
+  "quiz.invalid_closes": "❌ --closes inválido. Use uma duração como 5m ou 1h, até {max}.",
+  "quiz.needs_queue": "❌ Quizzes com mais de {max} precisam da fila REWARD_QUEUE para serem encerrados.",
+  "quiz.post_failed": "❌ Não foi possível publicar o quiz: {error}",
+  "quiz.closed": "🏁 <b>Quiz encerrado:</b> {question}",
+  "quiz.answer": "Resposta certa: <b>{answer}</b>",
+  "quiz.no_answers": "Ninguém respondeu.",
+  "quiz.results": { one: "{correct} de {count} membro acertou.", other: "{correct} de {count} membros acertaram." },
+  "quiz.rewarded": { one: "🎁 {count} recompensa enviada.", other: "🎁 {count} recompensas enviadas." },
+  "keyword.phrase": "Frase: <code>{phrase}</code>",
+  "keyword.phrase_exact": "Frase: <code>{phrase}</code> (correspondência exata)",
+  "keyword.event": "Evento: <code>{event_id}</code>",
+  "keyword.topic": "Tópico: {topic}",
+  "keyword.claims": "Resgates: {claims}",
+  "keyword.expires_in": "Expira em: {duration}",
+  "keyword.expired": "Expirada",
+
+  // Forum topics
+  "topic.usage": "❌ Uso: /config_topic [checkin &lt;event_id|off&gt; | rewards &lt;on|off|anywhere&gt; | quote &lt;on|off&gt;]\n\nUse dentro do tópico:\n<code>/config_topic checkin daily_gm</code> - /checkin aqui dá o seu próprio evento\n<code>/config_topic rewards on</code> - comandos de recompensa só funcionam nos tópicos escolhidos\n<code>/config_topic rewards anywhere</code> - remover essa restrição\n<code>/config_topic quote on</code> - as respostas citam a mensagem respondida (chat inteiro)",
+  "topic.usage_short": "Altere com /config_topic checkin|rewards|quote dentro do tópico.",
+  "topic.forum_only": "❌ Isso só funciona em um tópico do fórum. Ative os Tópicos nas configurações do grupo e use dentro do tópico.",
+  "topic.title": "🧵 <b>Tópicos do fórum</b>",
+  "topic.current": "Este tópico: <b>{topic}</b>",
+  "topic.checkin_here": "/checkin aqui dá <code>{event_id}</code>",
+  "topic.checkin_chat": "/checkin aqui dá o evento de check-in do chat",
+  "topic.checkins": "Eventos de check-in por tópico:",
+  "topic.rewards_only": "Comandos de recompensa só funcionam em {topics}",
+  "topic.rewards_everywhere": "Comandos de recompensa funcionam em todos os tópicos",
+  "topic.rewards_anywhere": "✅ Comandos de recompensa funcionam em todos os tópicos.",
+  "topic.rewards_elsewhere": "💬 Os comandos de recompensa ficam em {topics} - tente lá!",
+  "topic.quote_on": "As respostas citam a mensagem respondida",
+  "topic.quote_off": "As respostas não citam a mensagem respondida",
+  "topic.quote_set_on": "✅ Agora as respostas citam a mensagem respondida.",
+  "topic.quote_set_off": "✅ As respostas não citam mais a mensagem respondida.",
+  "topic.checkin_set": "✅ /checkin em <b>{topic}</b> agora dá <code>{event_id}</code>.",
+  "topic.checkin_off": "✅ /checkin em <b>{topic}</b> volta a dar o evento de check-in do chat.",
+
+  // Failed rewards
+  "failed.cleared": { one: "🧹 {count} recompensa com falha removida.", other: "🧹 {count} recompensas com falha removidas." },
+  "failed.none": "✅ Nenhuma recompensa com falha.",
+  "failed.entry": "{kind} para {name} (<code>{event_id}</code>): {error}",
+  "failed.more": "…e mais {count}",
+  "failed.list": "⚠️ Recompensas com falha ({count})\n\n{entries}\n\nElas precisam ser compensadas manualmente. Use /failed_rewards clear depois de resolver.",
+
+  // Message templates: built-in defaults (plain text) and /config_message
+  "template.welcome": "Bem-vindo, {first_name}! Você ganhou {amount} tokens por entrar.",
+  "template.welcome_hold": "🎉 Obrigado por ficar, {first_name}! Você ganhou {amount} tokens por entrar.",
+  "template.welcome_button": "🎁 {first_name} resgatou a recompensa de boas-vindas: {amount} tokens!",
+  "template.welcome_retry": "🔁 A recompensa de boas-vindas de {first_name} chegou: {amount} tokens!",
+  "template.checkin": "✅ Check-in diário concluído! {amount} enviados para sua carteira.\n🔥 Sequência: {streak} {streak_days}",
+  "template.cooldown": "⏳ Você já fez check-in hoje. Volte amanhã!",
+  "template.cooldown_next": "⏳ Você já fez check-in. Próximo check-in em {next_checkin}.",
+  "template.failure": "❌ O check-in falhou: {error}",
+  "template_kind.welcome": "Recompensa de entrada enviada",
+  "template_kind.checkin": "Recompensa de check-in enviada",
+  "template_kind.cooldown": "Check-in já feito",
+  "template_kind.failure": "Check-in com falha",
+  "template.preview_error": "Serviço temporariamente indisponível",
+  "template.unknown_kind": "❌ Tipo de mensagem desconhecido \"{kind}\". Use um destes: {kinds}",
+  "template.usage": "❌ Uso: /config_message {kind} &lt;modelo&gt;\n\nMarcadores: {placeholders}\nUse <code>/config_message {kind} reset</code> para restaurar o padrão.",
+  "template.reset": "✅ Mensagem \"{kind}\" restaurada para o padrão.",
+  "template.updated": "✅ Mensagem \"{kind}\" atualizada. Prévia:\n\n{preview}",
+  "template.env_default": "(padrão de WELCOME_MESSAGE)",
+  "template.builtin_default": "(padrão do bot)",
+  "template.list": "💬 Modelos de mensagem\n\n{templates}\n\nDefina um com /config_message &lt;tipo&gt; &lt;modelo&gt;\nMarcadores: {placeholders}, além de {error} para failure e {next_checkin} para cooldown"
+};
@@ -0,0 +1,400 @@
+/**
+ * Russian message catalogue
+ */
+
+export default {
+  "language.name": "Русский",
+
+  // Shared
+  "error.no_kv": "❌ Хранилище KV не настроено. Не удаётся сохранить настройки.",
+  "error.admin_only": "❌ Настраивать бота могут только администраторы.",
+  "error.unknown": "Неизвестная ошибка",
+  "unit.days": { one: "{count} день", few: "{count} дня", many: "{count} дней", other: "{count} дня" },
+  "unit.days_word": { one: "день", few: "дня", many: "дней", other: "дня" },
+  "unit.checkins": { one: "{count} отметка", few: "{count} отметки", many: "{count} отметок", other: "{count} отметки" },
+  "unit.members": { one: "{count} участник", few: "{count} участника", many: "{count} участников", other: "{count} участника" },
+  "requirement.username": "имя пользователя",
+  "requirement.photo": "фото профиля",
+  "button.unknown": "⚠️ Эта кнопка больше не активна.",
+  "button.expired": "⌛ Срок действия кнопки истёк.",
+  "button.not_yours": "🙅 Эта кнопка не для вас.",
+
+  // Help and command menus
+  "help.welcome": "👋 Добро пожаловать в бот программы лояльности сообщества!",
+  "help.commands": "Команды:",
+  "help.admins": "Для администраторов:",
+  "help.setup": "📖 Настройка: создайте события в Partner Portal с обнаружением \"Telegram Bot Interaction\", затем укажите боту полученные ID событий.",
+  "help.also": "(также {aliases})",
+  "command.start": "Показать справку",
+  "command.checkin": "Ежедневные баллы",
+  "command.streak": "Ваша серия отметок",
+  "command.leaderboard": "Лидеры по отметкам",
+  "command.stats": "Статистика отметок сообщества",
+  "command.balance": "Проверить баланс",
+  "command.history": "Ваши последние награды",
+  "command.invite": "Личная ссылка-приглашение",
+  "command.referrals": "Статистика приглашений",
+  "command.remind": "Напоминание в личке, пока серия не прервалась",
+  "command.link": "Привязать награды к настоящему email или кошельку (в личном чате)",
+  "command.whoami": "Показать, на какой аккаунт идут награды",
+  "command.unlink": "Снова получать награды на кошелёк Telegram",
+  "command.config": "Какие события настроены в чате",
+  "command.events": "События и награды бренда",
+  "command.config_brand": "Бренд Loyalteez для чата",
+  "command.config_checkin": "Событие ежедневной отметки",
+  "command.config_join": "Событие за вступление",
+  "command.config_join_hold": "Задержать награду за вступление",
+  "command.config_join_button": "Кнопка получения приветственной награды",
+  "command.config_captcha": "Проверка новых участников",
+  "command.post_checkin": "Закрепить кнопку отметки",
+  "command.config_schedule": "Расписание: кнопка отметки, недельная сводка и напоминания о серии",
+  "command.config_keyword": "Награда за секретное слово",
+  "command.keywords": "Список ключевых слов",
+  "command.delete_keyword": "Удалить ключевое слово",
+  "command.quiz": "Опубликовать викторину с наградой за правильный ответ",
+  "command.config_reaction": "Награда за полезные ответы по реакции администратора",
+  "command.config_referral": "Награда за приглашения",
+  "command.config_topic": "Настроить тему форума, в которой вызвана команда",
+  "command.config_streak_bonus": "Бонус за серию",
+  "command.config_timezone": "Часовой пояс чата",
+  "command.config_language": "Язык бота в этом чате",
+  "command.config_message": "Настроить ответы бота",
+  "command.failed_rewards": "Недоставленные награды",
+  "command.commands": "Отключить команды или добавить псевдонимы",
+
+  // /commands
+  "commands.title": "⚙️ Команды в этом чате",
+  "commands.aliases": "Псевдонимы:",
+  "commands.usage": "Использование: /commands disable &lt;cmd&gt;, /commands enable &lt;cmd&gt;, /commands alias &lt;псевдоним&gt; &lt;cmd&gt;, /commands unalias &lt;псевдоним&gt;",
+  "commands.unknown": "❌ Неизвестная команда \"{command}\". Список всех команд: /commands.",
+  "commands.required": "❌ /{command} нельзя отключить.",
+  "commands.disabled": "🚫 /{command} отключена в этом чате.",
+  "commands.enabled": "✅ /{command} снова включена.",
+  "commands.alias_usage": "❌ Использование: /commands alias &lt;псевдоним&gt; &lt;команда&gt;\n\nПример: <code>/commands alias gm checkin</code>",
+  "commands.alias_taken": "❌ /{alias} уже является командой.",
+  "commands.alias_added": "✅ /{alias} теперь запускает /{command}.",
+  "commands.no_alias": "❌ В этом чате нет псевдонима /{alias}.",
+  "commands.alias_removed": "✅ Псевдоним /{alias} удалён.",
+  "commands.usage_error": "❌ Использование: /commands [disable &lt;cmd&gt; | enable &lt;cmd&gt; | alias &lt;псевдоним&gt; &lt;cmd&gt; | unalias &lt;псевдоним&gt;]",
+
+  // /config_language
+  "language.current": "🌐 В этом чате используется язык: {language} (<code>{code}</code>).\n\nИзменить: /config_language &lt;код&gt;, или <code>/config_language auto</code>, чтобы отвечать каждому на языке его Telegram.",
+  "language.auto": "🌐 Бот отвечает каждому на языке его Telegram (на английском, если перевода нет).\n\nЗакрепить язык: /config_language &lt;код&gt;, например <code>/config_language ru</code>.",
+  "language.set": "✅ Теперь в этом чате используется язык: {language} (<code>{code}</code>).",
+  "language.cleared": "✅ Бот будет отвечать каждому на языке его Telegram.",
+  "language.unknown": "❌ Перевода для \"{code}\" пока нет. Укажите код языка, например <code>en</code>, <code>es</code>, <code>pt</code> или <code>ru</code>.",
+
+  // Bot added to a chat
+  "bot.added": "👋 Спасибо, что добавили меня!\n\nНастройка для администраторов:\n/config_join &lt;event_id&gt; - Награждать новых участников\n/config_checkin &lt;event_id&gt; - Включить ежедневные отметки\n\nСделайте меня администратором, чтобы я видел, кто вступает и выходит.",
+  "bot.added_back": "👋 Спасибо, что вернули меня! Прежние настройки восстановлены.",
+
+  // Brand
+  "brand.current": "🏷 Награды в этом чате начисляются бренду <code>{brand}</code>.\n\nИзменить: /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.current_default": "🏷 Награды в этом чате начисляются бренду <code>{brand}</code> (бренд бота по умолчанию).\n\nИзменить: /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.none": "❌ Бренд не настроен. Используйте /config_brand &lt;brand_address&gt; [claim_code]",
+  "brand.reset_default": "✅ Теперь этот чат использует бренд бота по умолчанию <code>{brand}</code>.",
+  "brand.removed": "✅ Бренд для этого чата удалён.",
+  "brand.usage": "❌ Использование: /config_brand &lt;brand_address&gt; [claim_code]\n\nАдрес бренда — это адрес 0x… из Partner Portal. <code>/config_brand reset</code> вернёт бренд по умолчанию.",
+  "brand.bad_code": "❌ Этот код подтверждения не подходит для этого бренда.",
+  "brand.not_allowed": "❌ Этому чату нельзя использовать этот бренд. Запросите у бренда код подтверждения: /config_brand &lt;brand_address&gt; &lt;claim_code&gt;",
+  "brand.set": "✅ Теперь награды в этом чате начисляются бренду <code>{brand}</code>.\n\nЗаново выполните /config_checkin и /config_join с событиями этого бренда.",
+
+  // Event catalogue
+  "events.title": "📋 <b>События бренда</b> <code>{brand}</code>",
+  "events.named": "<b>{name}</b> → {event_id}",
+  "events.reward": "{amount} LTZ",
+  "events.none": "Активных событий пока нет. Создайте их в Partner Portal → Settings → Events.",
+  "events.more": "…и ещё {count}.",
+  "events.inactive_hidden": { one: "{count} выключенное событие не показано.", few: "{count} выключенных события не показаны.", many: "{count} выключенных событий не показаны.", other: "{count} выключенного события не показаны." },
+  "events.fetched": "Загружено из Loyalteez в {time} UTC, обновляется каждые {ttl}. /events refresh обновит сейчас.",
+  "events.unavailable": "❌ Не удалось загрузить события бренда из Loyalteez. Попробуйте через минуту.",
+  "events.unknown": "❌ <code>{event}</code> — не событие бренда <code>{brand}</code>.",
+  "events.inactive": "❌ Событие <code>{event}</code> выключено в Partner Portal. Включите его там или выберите другое.",
+  "events.suggest": "Возможно, вы имели в виду: {events}?",
+  "events.see_all": "Все события: /events.",
+  "events.unverified": "⚠️ Сейчас не удалось проверить событие в Loyalteez, поэтому оно сохранено как есть.",
+
+  // Chat setup overview
+  "config.title": "⚙️ <b>Настройки этого чата</b>",
+  "config.brand": "Бренд: <code>{brand}</code>",
+  "config.no_brand": "Бренд: не задан - укажите его через /config_brand",
+  "config.checkin": "Отметка: {event}",
+  "config.join": "Вступление: {event}",
+  "config.referral": "Приглашения: {event}",
+  "config.streak_bonus": "Бонус за серию: {event}",
+  "config.reaction": "Реакции: {event}",
+  "config.keyword": "Ключевое слово «{phrase}»: {event}",
+  "config.topic_checkin": "Отметка в теме {topic}: {event}",
+  "config.not_set": "не задано",
+  "config.status_unknown": "⚠️ больше не существует",
+  "config.status_inactive": "⚠️ выключено",
+  "config.broken": { one: "⚠️ {count} настройка ссылается на неработающее событие, и награды по ней не пройдут. Исправьте её соответствующей командой /config_*.", few: "⚠️ {count} настройки ссылаются на неработающие события, и награды по ним не пройдут. Исправьте их соответствующими командами /config_*.", many: "⚠️ {count} настроек ссылаются на неработающие события, и награды по ним не пройдут. Исправьте их соответствующими командами /config_*.", other: "⚠️ {count} настройки ссылаются на неработающие события, и награды по ним не пройдут. Исправьте их соответствующими командами /config_*." },
+  "config.unchecked": "Не удалось связаться с Loyalteez, чтобы проверить эти события.",
+
+  // Check-ins
+  "checkin.config_usage": "❌ Использование: /config_checkin &lt;event_id_или_имя&gt;\n\nМожно указать:\n- ID своего события: <code>custom_4748e22F_1763993617509</code>\n- Понятное имя: <code>daily_checkin</code>",
+  "checkin.configured_mapped": "✅ Событие ежедневной отметки настроено!\n\nПонятное имя: <code>{name}</code>\nСоответствует: <code>{event_id}</code>",
+  "checkin.configured": "✅ Событие ежедневной отметки изменено на: <code>{event_id}</code>",
+  "checkin.post": "📅 <b>Ежедневная отметка</b>\n\nНажимайте кнопку раз в день, чтобы получать награду и продолжать серию!",
+  "checkin.button": "✅ Отметиться",
+  "checkin.not_configured": "⚠️ Ежедневная отметка не настроена. Администратор: используйте /config_checkin &lt;event_id&gt;.\n\nСоздайте событие в Partner Portal с обнаружением \"Telegram Bot Interaction\" и укажите полученный ID события.",
+  "checkin.event_not_found": "❌ Событие \"{event_id}\" не найдено. Администратор: проверьте ID события в Partner Portal.",
+  "checkin.event_inactive": "❌ Событие \"{event_id}\" отключено. Администратор: включите его в Partner Portal или задайте другое через /config_checkin.",
+  "checkin.queued": "⏳ Отметка принята! Награда задерживается — мы напишем здесь, когда она придёт.",
+  "checkin.member": "Участник",
+  "checkin.retried": "🔁 Отметка {name} засчитана!",
+
+  // Streaks
+  "streak.milestone": "🏆 {name}: серия отметок {count} дн. подряд! Бонус {amount} отправлен на ваш кошелёк.",
+  "streak.none": "{name}, вы ещё не отмечались. Начните серию командой /checkin!",
+  "streak.summary": "🔥 Серия {name}\n\nТекущая: {current}\nЛучшая: {best}\nВсего отметок: {total}\n\n{today}",
+  "streak.today_done": "✅ Сегодня отметка есть",
+  "streak.today_pending": "⏰ Сегодня ещё нет отметки — /checkin, чтобы продолжить серию!",
+  "streak.bonus_usage": "❌ Использование: /config_streak_bonus &lt;event_id&gt; [дни,...]\n\nПример: <code>/config_streak_bonus streak_bonus 7,30</code>\n<code>/config_streak_bonus off</code> отключает бонус.",
+  "streak.bonus_disabled": "✅ Бонусы за серию отключены.",
+  "streak.bonus_invalid": "❌ Неверные рубежи \"{milestones}\". Укажите число дней, например 7,30.",
+  "streak.bonus_configured": "✅ Бонус за серию настроен!\n\nСобытие: <code>{event_id}</code>\nРубежи: {milestones}",
+
+  // Leaderboard and stats
+  "leaderboard.usage": "❌ Использование: /leaderboard [week|month|all]",
+  "leaderboard.title": "🏆 Рейтинг ({period})",
+  "leaderboard.period_week": "эта неделя",
+  "leaderboard.period_month": "этот месяц",
+  "leaderboard.period_all": "за всё время",
+  "leaderboard.empty": "Отметок пока нет. Станьте первым с /checkin!",
+  "stats.title": "📊 Статистика отметок",
+  "stats.week": "За неделю",
+  "stats.all_time": "За всё время",
+  "stats.tally": "{checkins}, участников: {members}",
+  "stats.ltz": "Выдано LTZ: {amount}",
+  "stats.rewards_title": "🛠 <b>Доставка наград</b> (с {since})",
+  "stats.rewards_attempts": "Попыток: {count}, в среднем {ms} мс",
+  "stats.outcome_success": "✅ Выдано: {count}",
+  "stats.outcome_cooldown": "⏳ Кулдаун: {count}",
+  "stats.outcome_unknown_event": "❓ Неизвестное событие: {count}",
+  "stats.outcome_inactive_event": "💤 Событие неактивно: {count}",
+  "stats.outcome_auth_failed": "🔑 Нет доступа: {count}",
+  "stats.outcome_rate_limited": "🐢 Превышен лимит запросов: {count}",
+  "stats.outcome_transport": "⚠️ Ошибки доставки: {count}",
+  "stats.outcome_rejected": "🚫 Отклонено: {count}",
+  "stats.rewards_transports": "Способ отправки: {transports}",
+  "stats.transport_binding": "service binding",
+  "stats.transport_fallback": "запасной HTTP",
+  "stats.transport_http": "HTTP",
+  "stats.transport_sandbox": "песочница",
+  "stats.transport_none": "не отправлено",
+  "stats.rewards_event": "• <code>{event}</code>: выдано {success} из {count}",
+  "schedule.title": "🗓 Задачи по расписанию (время: {timezone})",
+  "schedule.none": "Задач нет. Варианты: /config_schedule help.",
+  "schedule.usage": "❌ Использование:\n<code>/config_schedule checkin 09:00</code> — ежедневная кнопка отметки\n<code>/config_schedule digest sun 18:00</code> — недельная сводка\n<code>/config_schedule reminders 20:00</code> — напоминания о серии в личку\n\nУкажите <code>off</code> вместо времени, чтобы отключить задачу. Время — в часовом поясе чата ({timezone}).",
+  "schedule.name_checkin": "Ежедневная кнопка отметки",
+  "schedule.name_digest": "Недельная сводка",
+  "schedule.name_reminders": "Напоминания о серии",
+  "schedule.every_day": "каждый день в {time}",
+  "schedule.every_week": "раз в неделю: {day}, {time}",
+  "schedule.job": "{name}: {when}",
+  "schedule.set": "✅ Запланировано. {job} ({timezone})",
+  "schedule.off": "✅ {name}: отключено.",
+  "schedule.needs_checkin": "⚠️ Событие отметки ещё не настроено, поэтому задача будет пропускаться, пока вы не используете /config_checkin.",
+  "schedule.digest_title": "📊 <b>Недельная сводка отметок</b>",
+  "schedule.reminder": "⏰ {name}, сегодня вы ещё не отметились в {chat}. Ваша серия ({streak}) прервётся в полночь — отправьте там /checkin, чтобы сохранить её!",
+  "schedule.remind_usage": "❌ Использование: /remind on|off",
+  "schedule.remind_group_only": "❌ Отправьте /remind в группе, о серии в которой хотите получать напоминания.",
+  "schedule.remind_status_on": "🔔 {name}, напоминания о серии включены. /remind off — отключить.",
+  "schedule.remind_status_off": "🔕 {name}, напоминания о серии выключены. /remind on — получать сообщение, пока серия не прервалась.",
+  "schedule.remind_on": "🔔 {name}, я напишу вам в личку, когда серия будет под угрозой.",
+  "schedule.remind_off": "🔕 {name}, напоминания о серии отключены.",
+  "schedule.remind_not_scheduled": "(Администраторы ещё не включили напоминания в этом чате.)",
+  "schedule.remind_dm": "🔔 Здесь вы получите сообщение, когда ваша серия отметок в {chat} будет под угрозой. Отправьте /remind off в группе, чтобы отключить.",
+
+  // Timezone
+  "timezone.usage": "❌ Использование: /config_timezone &lt;часовой_пояс&gt;\n\nУкажите часовой пояс IANA, например <code>Europe/Moscow</code>, <code>America/Sao_Paulo</code> или <code>UTC</code>. Дни отметок и серии сменяются в полночь по этому поясу.",
+  "timezone.set": "✅ Часовой пояс: <code>{timezone}</code>. Там сейчас {today}.",
+
+  // Joins
+  "join.config_usage": "❌ Использование: /config_join &lt;event_id_или_имя&gt;\n\nМожно указать:\n- ID своего события: <code>custom_4748e22F_1763993617509</code>\n- Понятное имя: <code>telegram_join</code>",
+  "join.configured_mapped": "✅ Событие за вступление настроено!\n\nПонятное имя: <code>{name}</code>\nСоответствует: <code>{event_id}</code>",
+  "join.configured": "✅ Событие за вступление изменено на: <code>{event_id}</code>",
+  "join.hold_usage": "❌ Использование: /config_join_hold &lt;минуты&gt;\n\nНовые участники должны пробыть в чате столько времени (и написать сообщение), прежде чем получат награду за вступление. 0 — награждать сразу.",
+  "join.hold_set": { one: "✅ Награда за вступление будет задержана на {count} минуту.", few: "✅ Награда за вступление будет задержана на {count} минуты.", many: "✅ Награда за вступление будет задержана на {count} минут.", other: "✅ Награда за вступление будет задержана на {count} минуты." },
+  "join.hold_off": "✅ Награда за вступление будет отправляться сразу.",
+  "join.button_usage": "❌ Использование: /config_join_button &lt;on|off&gt;\n\nЕсли включено, новые участники получают кнопку \"Получить приветственную награду\" вместо автоматической награды.",
+  "join.button_on": "✅ Новые участники получат кнопку для приветственной награды.",
+  "join.button_off": "✅ Новые участники будут награждаться автоматически.",
+  "join.not_configured": "⚠️ Награда за вступление не настроена. Администратор: используйте /config_join &lt;event_id&gt;.",
+
+  // Welcome rewards
+  "welcome.claim_prompt": "Добро пожаловать, {name}! Нажмите ниже, чтобы получить приветственную награду.",
+  "welcome.claim_button": "🎁 Получить приветственную награду",
+  "welcome.hold": { one: "Добро пожаловать, {name}! Побудьте с нами {count} минуту и поздоровайтесь, чтобы получить награду за вступление.", few: "Добро пожаловать, {name}! Побудьте с нами {count} минуты и поздоровайтесь, чтобы получить награду за вступление.", many: "Добро пожаловать, {name}! Побудьте с нами {count} минут и поздоровайтесь, чтобы получить награду за вступление.", other: "Добро пожаловать, {name}! Побудьте с нами {count} минуты и поздоровайтесь, чтобы получить награду за вступление." },
+  "welcome.missing_requirements": "Добро пожаловать, {name}! ⚠️ Для награды за вступление в профиле Telegram нужно: {requirements}.",
+  "welcome.queued": "Добро пожаловать, {name}! ⏳ Награда задерживается — мы напишем здесь, когда она придёт.",
+  "welcome.failed": "Добро пожаловать, {name}! ⚠️ Сейчас не удалось отправить награду.",
+  "welcome.not_member": "⚠️ Чтобы получить награду, нужно состоять в группе.",
+  "welcome.already_claimed": "✅ Вы уже получили приветственную награду.",
+  "welcome.stay_longer": { one: "⏳ Побудьте ещё {count} минуту, чтобы получить приветственную награду.", few: "⏳ Побудьте ещё {count} минуты, чтобы получить приветственную награду.", many: "⏳ Побудьте ещё {count} минут, чтобы получить приветственную награду.", other: "⏳ Побудьте ещё {count} минуты, чтобы получить приветственную награду." },
+  "welcome.missing": "⚠️ Добавьте в профиль Telegram: {requirements}, затем нажмите снова, чтобы получить награду.",
+  "welcome.claim_queued": "⏳ Награда уже в пути — мы напишем здесь, когда она придёт.",
+  "welcome.claim_failed": "⚠️ Сейчас не удалось отправить награду. Попробуйте чуть позже.",
+  "welcome.claimed": "🎁 Награда получена!",
+
+  // Captcha
+  "captcha.math": { one: "👋 Добро пожаловать, {name}! Чтобы подтвердить, что вы человек, нажмите ответ на <b>{question}</b> в течение {count} минуты.", other: "👋 Добро пожаловать, {name}! Чтобы подтвердить, что вы человек, нажмите ответ на <b>{question}</b> в течение {count} минут." },
+  "captcha.button": { one: "👋 Добро пожаловать, {name}! Нажмите кнопку ниже в течение {count} минуты, чтобы подтвердить, что вы человек.", other: "👋 Добро пожаловать, {name}! Нажмите кнопку ниже в течение {count} минут, чтобы подтвердить, что вы человек." },
+  "captcha.human_button": "✅ Я человек",
+  "captcha.inactive": "⚠️ Эта проверка больше не активна.",
+  "captcha.too_many": "❌ Слишком много неверных ответов.",
+  "captcha.wrong": { one: "❌ Неверно — осталась {count} попытка.", few: "❌ Неверно — осталось {count} попытки.", many: "❌ Неверно — осталось {count} попыток.", other: "❌ Неверно — осталось {count} попытки." },
+  "captcha.verified": "✅ Спасибо, проверка пройдена!",
+  "captcha.usage": "❌ Использование: /config_captcha &lt;off|button|math&gt; [время] [--username] [--photo]\n\nПримеры:\n<code>/config_captcha math 3m</code> - новые участники решают пример за 3 минуты, иначе их удаляют\n<code>/config_captcha off --username --photo</code> - без капчи, но для награды за вступление нужны имя пользователя и фото профиля\n\nВремя: от 1m до {max}m (по умолчанию {default}m). Боту нужны права администратора, чтобы ограничивать и удалять участников.",
+  "captcha.off": "🛡 Капча выключена: новые участники могут писать сразу.",
+  "captcha.on_button": { one: "🛡 Капча включена: новые участники не могут писать, пока не нажмут кнопку, и удаляются через {count} минуту.", few: "🛡 Капча включена: новые участники не могут писать, пока не нажмут кнопку, и удаляются через {count} минуты.", many: "🛡 Капча включена: новые участники не могут писать, пока не нажмут кнопку, и удаляются через {count} минут.", other: "🛡 Капча включена: новые участники не могут писать, пока не нажмут кнопку, и удаляются через {count} минуты." },
+  "captcha.on_math": { one: "🛡 Капча включена: новые участники не могут писать, пока не решат простой пример, и удаляются через {count} минуту.", few: "🛡 Капча включена: новые участники не могут писать, пока не решат простой пример, и удаляются через {count} минуты.", many: "🛡 Капча включена: новые участники не могут писать, пока не решат простой пример, и удаляются через {count} минут.", other: "🛡 Капча включена: новые участники не могут писать, пока не решат простой пример, и удаляются через {count} минуты." },
+  "captcha.requirements": "Для награды за вступление нужно: {requirements}.",
+
+  // Balance and history
+  "link.private_only": "🔒 {name}, привязка аккаунта выполняется в личном чате со мной: {link}",
+  "link.usage": "🔗 <b>Привязка аккаунта</b>\n\nСейчас награды идут на кошелёк, связанный с вашим аккаунтом Telegram. Привяжите настоящий:\n• <code>/link you@example.com</code> — пришлю код на почту\n• <code>/link 0xАдресКошелька</code> — подпишите сообщение кошельком\n\nКуда идут награды, покажет /whoami.",
+  "link.current": "🔗 Привязан {type} <code>{value}</code>.\n\nОтправьте /link с другим email или кошельком, чтобы сменить его, или /unlink, чтобы вернуться к кошельку Telegram.",
+  "link.pending_email": "📧 Жду код, отправленный на <code>{value}</code>. Отправьте <code>/link 123456</code> или <code>/link cancel</code>.",
+  "link.pending_wallet": "✍️ Жду подпись от <code>{value}</code>. Отправьте <code>/link 0x…</code> с ней или <code>/link cancel</code>.",
+  "link.cancelled": "Привязка отменена.",
+  "link.nothing_pending": "Нечего подтверждать. Начните с <code>/link you@example.com</code> или <code>/link 0xАдресКошелька</code>.",
+  "link.already": "✅ У вас уже привязан <code>{value}</code>.",
+  "link.email_unavailable": "📧 Привязка по email в этом боте не настроена. Можно привязать кошелёк: <code>/link 0xАдресКошелька</code>",
+  "link.code_wait": "⏳ Код на <code>{value}</code> только что отправлен. Подождите минуту, прежде чем запрашивать новый.",
+  "link.code_sent": "📧 Я отправил 6-значный код на <code>{value}</code>. Отправьте <code>/link КОД</code> в течение {minutes} минут.",
+  "link.send_failed": "⚠️ Сейчас не удалось отправить код. Попробуйте позже.",
+  "link.code_wrong": { one: "❌ Неверный код. Осталась {count} попытка.", few: "❌ Неверный код. Осталось {count} попытки.", many: "❌ Неверный код. Осталось {count} попыток.", other: "❌ Неверный код. Осталось {count} попытки." },
+  "link.code_locked": "❌ Слишком много неверных кодов. Новый код можно будет запросить командой /link через {minutes} мин.",
+  "link.code_lockout": "⏳ Было введено слишком много неверных кодов. Новый код можно будет запросить через {minutes} мин.",
+  "link.sign": "✍️ Подпишите именно это сообщение кошельком <code>{value}</code> (функция «Подписать сообщение» в кошельке) и отправьте <code>/link 0x…</code> с подписью в течение {minutes} минут:\n\n<code>{challenge}</code>",
+  "link.signature_wrong": "❌ Это не подпись сообщения выше кошельком <code>{value}</code>. Подпишите точный текст этим кошельком.",
+  "link.linked": "✅ Готово! Новые награды идут на {type} <code>{value}</code>.",
+  "link.policy": "ℹ️ LTZ, заработанные до привязки, остаются на вашей Telegram-идентичности (<code>{identity}</code>) и не переносятся. /unlink вернёт вас к ней, но менять, куда идут награды, можно раз в {days} дней.",
+  "link.too_soon": "⏳ Менять, куда идут награды, можно раз в {days} дней, чтобы их нельзя было получить дважды, переключаясь. Следующее изменение возможно {date}.",
+  "link.type_email": "email",
+  "link.type_wallet": "кошелёк",
+  "link.not_linked": "Аккаунт не привязан, поэтому награды идут на ваш кошелёк Telegram. Привязать его можно командой /link.",
+  "link.unlinked": "🔓 Привязка снята. Новые награды снова идут на вашу Telegram-идентичность (<code>{identity}</code>); LTZ, заработанные за время привязки, уже зачислены на {type} <code>{value}</code> и остаются там.",
+  "whoami.title": "🪪 <b>Куда идут ваши награды</b>",
+  "whoami.telegram": "Telegram ID: <code>{id}</code>",
+  "whoami.linked": "Привязан {type}: <code>{value}</code> (с {date})",
+  "whoami.synthetic": "Telegram-идентичность: <code>{identity}</code>\n\nПривяжите настоящий email или кошелёк командой /link.",
+  "balance.amount": "💰 Ваш баланс: <b>{balance} LTZ</b>",
+  "balance.wallet": "Кошелёк: <code>{address}</code>",
+  "balance.spend": "Потратить токены: {url}",
+  "balance.failed": "⚠️ Сейчас не удалось узнать ваш баланс.\n\n💰 Баланс LTZ и траты токенов:\n{url}",
+  "history.empty": "📜 Наград пока нет. Попробуйте /checkin!",
+  "history.title": { one: "📜 Ваша последняя награда", few: "📜 Ваши последние {count} награды", many: "📜 Ваши последние {count} наград", other: "📜 Ваши последние {count} награды" },
+  "history.failed": "⚠️ Сейчас не удалось загрузить ваши награды. Попробуйте чуть позже.",
+  "dm.there": "друг",
+  "dm.sent": "📬 {name}, я отправил подробности в личные сообщения.",
+  "dm.start_first": "🔒 {name}, сначала начните личный чат со мной ({link}), затем попробуйте снова.",
+  "dm.bot_profile": "профиль бота",
+
+  // Referrals
+  "invite.private": "Используйте /invite в группе, в которую хотите приглашать людей.",
+  "invite.not_configured": "⚠️ Награды за приглашения не настроены. Администратор: используйте /config_referral &lt;event_id&gt;.",
+  "invite.failed": "❌ Сейчас не удалось создать ссылку-приглашение. Попробуйте позже.",
+  "invite.link": "🔗 {name}, ваша личная ссылка-приглашение:\n{link}\n\nВы получите награду за каждого нового участника, который вступит по ней. Статистика: /referrals.",
+  "referrals.none": "{name}, вы ещё никого не пригласили. Получите личную ссылку командой /invite.",
+  "referrals.stats": "🤝 Приглашения {name}\n\nПриглашено участников: {invited}\nПолучено наград: {rewarded}\n\nВаша ссылка: {link}",
+  "referrals.config_usage": "❌ Использование: /config_referral &lt;event_id_или_имя&gt;\n\nПригласивший получает это событие каждый раз, когда новый участник вступает по его ссылке из /invite.",
+  "referrals.configured_mapped": "✅ Событие за приглашение настроено!\n\nПонятное имя: <code>{name}</code>\nСоответствует: <code>{event_id}</code>",
+  "referrals.configured": "✅ Событие за приглашение изменено на: <code>{event_id}</code>",
+  "referrals.own_link": "🙂 Это ваша собственная ссылка — поделитесь ею с друзьями, чтобы получать награды!",
+  "referrals.not_new": "👋 Похоже, вы уже бывали в этом сообществе — награды за приглашение только для новых участников.",
+  "referrals.community": "сообщество",
+  "referrals.invited_link": "👋 Вас пригласили в <b>{title}</b>!\n\nВступить: {link}\n\nВаш друг получит награду, когда вы вступите.",
+  "referrals.invited": "👋 Вас пригласили в <b>{title}</b>! Попросите у друга ссылку на группу — он получит награду, когда вы вступите.",
+  "referrals.inviter": "Пригласивший",
+  "referrals.credited": "🤝 {mention} получает {amount} токенов за приглашение {name}!",
+
+  // Keywords
+  "keyword.usage": "❌ Использование: /config_keyword &lt;фраза&gt; &lt;event_id&gt; [срок] [макс_наград] [--exact] [--topic]\n\nПримеры:\n<code>/config_keyword \"фиолетовый слон\" ama_reward</code>\n<code>/config_keyword \"фиолетовый слон\" ama_reward 2h 50</code>\n\nФразы с пробелами берите в кавычки. Регистр не учитывается, если не указан <code>--exact</code>. Каждый участник может получить награду за слово один раз. С <code>--topic</code> слово срабатывает только в теме форума, где вызвана команда.",
+  "keyword.invalid_expiry": "❌ Неверный срок \"{value}\". Укажите длительность, например 30m, 2h или 1d.",
+  "keyword.invalid_max_claims": "❌ Неверное число наград \"{value}\". Укажите положительное число.",
+  "keyword.added": "✅ Ключевое слово #{id} добавлено!\n\n{rule}",
+  "keyword.none": "Ключевых слов нет. Добавьте: /config_keyword &lt;фраза&gt; &lt;event_id&gt;.",
+  "keyword.inactive": "(неактивно)",
+  "keyword.list": "🔑 Ключевые слова:\n\n{keywords}\n\nУдалить: /delete_keyword &lt;id&gt;",
+  "keyword.delete_usage": "❌ Использование: /delete_keyword &lt;id_или_фраза&gt;\n\nID смотрите в /keywords.",
+  "keyword.deleted": "✅ Ключевое слово #{id} (<code>{phrase}</code>) удалено.",
+  "keyword.not_found": "❌ Нет ключевого слова \"{value}\". Смотрите /keywords.",
+  "keyword.cooldown": "⏳ {name}, вы уже недавно получили эту награду.",
+  "keyword.found": "🔑 {name} нашёл секретное слово! {amount} отправлено на ваш кошелёк.",
+  "keyword.all_claimed": "🔒 Все награды за это ключевое слово ({count}) уже получены.",
+  "reaction.usage": "❌ Использование: /config_reaction &lt;event_id&gt; [emoji ...]\n\nПример: <code>/config_reaction helpful_answer 👍 🔥</code>\n<code>/config_reaction off</code> — отключить.",
+  "reaction.configured": "✅ Награды за реакции включены!\n\nСобытие: <code>{event_id}</code>\nЭмодзи: {emoji}\n\nКогда администратор ставит одну из этих реакций на сообщение участника, автор получает награду (один раз за сообщение). Чтобы видеть реакции, бот должен быть администратором.",
+  "reaction.disabled": "✅ Награды за реакции отключены.",
+  "reaction.current": "👍 Награды за реакции: <code>{event_id}</code> за {emoji}",
+  "reaction.none": "Награды за реакции выключены. Включить: /config_reaction &lt;event_id&gt; [emoji ...]",
+  "reaction.rewarded": "🌟 {name} получает {amount} за полезный ответ!",
+  "quiz.usage": "❌ Использование: /quiz &lt;event_id&gt; \"вопрос\" \"вариант 1\" \"вариант 2\" ... --correct &lt;n&gt; [--closes 10m]\n\nПример: <code>/quiz ama_quiz \"В каком году мы запустились?\" \"2021\" \"2022\" \"2023\" --correct 2 --closes 5m</code>\n\nУкажите от 2 до {max} вариантов; --correct — номер правильного.",
+  "quiz.too_long": "❌ Вопрос — до {question} символов, вариант ответа — до {option}.",
+  "quiz.invalid_closes": "❌ Неверный --closes. Укажите длительность вроде 5m или 1h, не больше {max}.",
+  "quiz.needs_queue": "❌ Викторинам дольше {max} нужна очередь REWARD_QUEUE, чтобы закрыться.",
+  "quiz.post_failed": "❌ Не удалось опубликовать викторину: {error}",
+  "quiz.closed": "🏁 <b>Викторина закрыта:</b> {question}",
+  "quiz.answer": "Правильный ответ: <b>{answer}</b>",
+  "quiz.no_answers": "Никто не ответил.",
+  "quiz.results": { one: "Правильно ответили {correct} из {count} участника.", few: "Правильно ответили {correct} из {count} участников.", many: "Правильно ответили {correct} из {count} участников.", other: "Правильно ответили {correct} из {count} участника." },
+  "quiz.rewarded": { one: "🎁 Отправлена {count} награда.", few: "🎁 Отправлено {count} награды.", many: "🎁 Отправлено {count} наград.", other: "🎁 Отправлено {count} награды." },
+  "keyword.phrase": "Фраза: <code>{phrase}</code>",
+  "keyword.phrase_exact": "Фраза: <code>{phrase}</code> (точное совпадение)",
+  "keyword.event": "Событие: <code>{event_id}</code>",
+  "keyword.topic": "Тема: {topic}",
+  "keyword.claims": "Получено: {claims}",
+  "keyword.expires_in": "Истекает через: {duration}",
+  "keyword.expired": "Истекло",
+
+  // Forum topics
+  "topic.usage": "❌ Использование: /config_topic [checkin &lt;event_id|off&gt; | rewards &lt;on|off|anywhere&gt; | quote &lt;on|off&gt;]\n\nВызывайте внутри темы:\n<code>/config_topic checkin daily_gm</code> - /checkin здесь даёт своё событие\n<code>/config_topic rewards on</code> - команды наград работают только в выбранных темах\n<code>/config_topic rewards anywhere</code> - снять это ограничение\n<code>/config_topic quote on</code> - ответы цитируют сообщение, на которое отвечают (во всём чате)",
+  "topic.usage_short": "Изменить: /config_topic checkin|rewards|quote внутри темы.",
+  "topic.forum_only": "❌ Это работает только в теме форума. Включите темы в настройках группы и вызовите команду внутри темы.",
+  "topic.title": "🧵 <b>Темы форума</b>",
+  "topic.current": "Эта тема: <b>{topic}</b>",
+  "topic.checkin_here": "/checkin здесь даёт <code>{event_id}</code>",
+  "topic.checkin_chat": "/checkin здесь даёт событие отметки чата",
+  "topic.checkins": "События отметки по темам:",
+  "topic.rewards_only": "Команды наград работают только в {topics}",
+  "topic.rewards_everywhere": "Команды наград работают во всех темах",
+  "topic.rewards_anywhere": "✅ Команды наград работают во всех темах.",
+  "topic.rewards_elsewhere": "💬 Команды наград работают в {topics} - попробуйте там!",
+  "topic.quote_on": "Ответы цитируют сообщение, на которое отвечают",
+  "topic.quote_off": "Ответы не цитируют сообщение, на которое отвечают",
+  "topic.quote_set_on": "✅ Теперь ответы цитируют сообщение, на которое отвечают.",
+  "topic.quote_set_off": "✅ Ответы больше не цитируют сообщение, на которое отвечают.",
+  "topic.checkin_set": "✅ /checkin в теме <b>{topic}</b> теперь даёт <code>{event_id}</code>.",
+  "topic.checkin_off": "✅ /checkin в теме <b>{topic}</b> снова даёт событие отметки чата.",
+
+  // Failed rewards
+  "failed.cleared": { one: "🧹 Очищена {count} недоставленная награда.", few: "🧹 Очищено {count} недоставленные награды.", many: "🧹 Очищено {count} недоставленных наград.", other: "🧹 Очищено {count} недоставленной награды." },
+  "failed.none": "✅ Недоставленных наград нет.",
+  "failed.entry": "{kind} для {name} (<code>{event_id}</code>): {error}",
+  "failed.more": "…и ещё {count}",
+  "failed.list": "⚠️ Недоставленные награды ({count})\n\n{entries}\n\nИх нужно начислить вручную. После этого выполните /failed_rewards clear.",
+
+  // Message templates: built-in defaults (plain text) and /config_message
+  "template.welcome": "Добро пожаловать, {first_name}! Вы получили {amount} токенов за вступление.",
+  "template.welcome_hold": "🎉 Спасибо, что остались, {first_name}! Вы получили {amount} токенов за вступление.",
+  "template.welcome_button": "🎁 {first_name} получает приветственную награду: {amount} токенов!",
+  "template.welcome_retry": "🔁 Приветственная награда для {first_name} дошла: {amount} токенов!",
+  "template.checkin": "✅ Ежедневная отметка засчитана! {amount} отправлено на ваш кошелёк.\n🔥 Серия: {streak} {streak_days}",
+  "template.cooldown": "⏳ Вы уже отметились сегодня. Возвращайтесь завтра!",
+  "template.cooldown_next": "⏳ Вы уже отметились. Следующая отметка через {next_checkin}.",
+  "template.failure": "❌ Не удалось отметиться: {error}",
+  "template_kind.welcome": "Награда за вступление отправлена",
+  "template_kind.checkin": "Награда за отметку отправлена",
+  "template_kind.cooldown": "Уже отмечались",
+  "template_kind.failure": "Отметка не удалась",
+  "template.preview_error": "Сервис временно недоступен",
+  "template.unknown_kind": "❌ Неизвестный тип сообщения \"{kind}\". Доступны: {kinds}",
+  "template.usage": "❌ Использование: /config_message {kind} &lt;шаблон&gt;\n\nПодстановки: {placeholders}\n<code>/config_message {kind} reset</code> вернёт текст по умолчанию.",
+  "template.reset": "✅ Сообщение \"{kind}\" сброшено к тексту по умолчанию.",
+  "template.updated": "✅ Сообщение \"{kind}\" обновлено. Предпросмотр:\n\n{preview}",
+  "template.env_default": "(по умолчанию из WELCOME_MESSAGE)",
+  "template.builtin_default": "(встроенный текст)",
+  "template.list": "💬 Шаблоны сообщений\n\n{templates}\n\nЗадать шаблон: /config_message &lt;тип&gt; &lt;шаблон&gt;\nПодстановки: {placeholders}, а также {error} для failure и {next_checkin} для cooldown"
+};
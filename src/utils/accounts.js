@@ -0,0 +1,185 @@
+/**
+ * Linked Accounts
+ *
+ * A member earns under a synthetic identity built from their Telegram ID
+ * (`telegram_<id>@loyalteez.app`) until they /link a real one: an email,
+ * confirmed with a one-time code, or an Ethereum wallet, confirmed by signing
+ * a challenge. Stored in TELEGRAM_BOT_KV:
+ * - `LINK:<userId>` - { type: "email"|"wallet", value, linkedAt }
+ * - `LINK_PENDING:<userId>` - a link waiting to be confirmed (10 minutes)
+ * - `LINK_CHANGED:<userId>` - when the member last linked or unlinked (LINK_CHANGE_INTERVAL)
+ * - `LINK_LOCKED:<userId>` - when the member ran out of code attempts (CODE_LOCKOUT)
+ *   email: { type, value, codeHash, attempts, sentAt }
+ *   wallet: { type, value, challenge, sentAt }
+ *
+ * Rewards already earned are never moved: they stay with the Telegram identity,
+ * and /unlink points the member back at it. Reward cooldowns are kept per
+ * identity by Loyalteez, so switching identities would let a member claim a
+ * cooldown-limited reward again; links can only change once per interval.
+ */
+
+import { isAddress } from './ethereum.js';
+
+export const PENDING_TTL = 10 * 60;
+export const MAX_CODE_ATTEMPTS = 5;
+// A new code can't be requested sooner than this after the last one
+export const RESEND_INTERVAL_MS = 60 * 1000;
+// ...or than this after running out of attempts, so fresh codes don't mean fresh guesses
+export const CODE_LOCKOUT = 60 * 60;
+
+// How often a member may change where their rewards go
+export const LINK_CHANGE_INTERVAL = 30 * 24 * 60 * 60;
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Whether a string looks like an email address
+ */
+export function isEmail(value) {
+  return typeof value === "string" && value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+/**
+ * The identity a member earns under until they link an account
+ */
+export function syntheticIdentity(user) {
+  return `telegram_${user.id}@loyalteez.app`;
+}
+
+/**
+ * Get a member's linked account (null if they haven't linked one)
+ */
+export async function getLinkedAccount(env, userId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(`LINK:${userId}`, "json");
+}
+
+/**
+ * The identifier Loyalteez knows a member by: their linked email or wallet,
+ * or the synthetic Telegram identity
+ */
+export async function resolveIdentity(env, user) {
+  const account = await getLinkedAccount(env, user.id);
+  return account ? account.value : syntheticIdentity(user);
+}
+
+/**
+ * Link a member's account
+ */
+export async function saveLinkedAccount(env, userId, type, value) {
+  const account = { type, value, linkedAt: new Date().toISOString() };
+  await env.TELEGRAM_BOT_KV.put(`LINK:${userId}`, JSON.stringify(account));
+  return account;
+}
+
+/**
+ * Unlink a member's account
+ */
+export async function deleteLinkedAccount(env, userId) {
+  await env.TELEGRAM_BOT_KV.delete(`LINK:${userId}`);
+}
+
+/**
+ * When a member may next link or unlink (null if they may now)
+ *
+ * @returns {Promise<string|null>} - ISO string
+ */
+export async function getNextLinkChange(env, userId) {
+  const changedAt = await env.TELEGRAM_BOT_KV.get(`LINK_CHANGED:${userId}`);
+  if (!changedAt) return null;
+
+  const nextAt = Date.parse(changedAt) + LINK_CHANGE_INTERVAL * 1000;
+  return nextAt > Date.now() ? new Date(nextAt).toISOString() : null;
+}
+
+/**
+ * Note that a member linked or unlinked, starting the wait for the next change
+ */
+export async function recordLinkChange(env, userId) {
+  await env.TELEGRAM_BOT_KV.put(`LINK_CHANGED:${userId}`, new Date().toISOString(), {
+    expirationTtl: LINK_CHANGE_INTERVAL
+  });
+}
+
+/**
+ * Get a member's unconfirmed link
+ */
+export async function getPendingLink(env, userId) {
+  return await env.TELEGRAM_BOT_KV.get(`LINK_PENDING:${userId}`, "json");
+}
+
+/**
+ * Save an unconfirmed link; it expires PENDING_TTL after it was started
+ */
+export async function savePendingLink(env, userId, pending) {
+  const expiration = Math.floor(Date.parse(pending.sentAt) / 1000) + PENDING_TTL;
+  // KV won't take an expiration less than a minute away
+  await env.TELEGRAM_BOT_KV.put(`LINK_PENDING:${userId}`, JSON.stringify(pending), {
+    expiration: Math.max(expiration, Math.floor(Date.now() / 1000) + 60)
+  });
+}
+
+/**
+ * Drop an unconfirmed link (confirmed, cancelled, or out of attempts)
+ */
+export async function deletePendingLink(env, userId) {
+  await env.TELEGRAM_BOT_KV.delete(`LINK_PENDING:${userId}`);
+}
+
+/**
+ * When a member locked out of email codes may ask for a new one (null if they may now)
+ *
+ * @returns {Promise<string|null>} - ISO string
+ */
+export async function getCodeLockout(env, userId) {
+  const lockedAt = await env.TELEGRAM_BOT_KV.get(`LINK_LOCKED:${userId}`);
+  if (!lockedAt) return null;
+
+  const until = Date.parse(lockedAt) + CODE_LOCKOUT * 1000;
+  return until > Date.now() ? new Date(until).toISOString() : null;
+}
+
+/**
+ * Lock a member out of new email codes after too many wrong ones
+ */
+export async function lockCodeRequests(env, userId) {
+  await env.TELEGRAM_BOT_KV.put(`LINK_LOCKED:${userId}`, new Date().toISOString(), {
+    expirationTtl: CODE_LOCKOUT
+  });
+}
+
+/**
+ * A random six-digit code
+ */
+export function createVerificationCode() {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return String(value % 1000000).padStart(6, "0");
+}
+
+/**
+ * Hash a verification code, so KV never holds it in the clear
+ */
+export async function hashVerificationCode(userId, code) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${userId}:${code}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The text a member signs with their wallet to prove they own it
+ * Single-line, so it survives being copied out of Telegram.
+ */
+export function createLinkChallenge(userId, address, botUsername) {
+  const nonce = [...crypto.getRandomValues(new Uint8Array(8))].map(byte => byte.toString(16).padStart(2, "0")).join("");
+  const bot = botUsername ? ` via @${botUsername.replace(/^@/, "")}` : "";
+  return `Link wallet ${address} to Telegram user ${userId}${bot}. Nonce: ${nonce}`;
+}
+
+/**
+ * Normalize what a member typed into { type, value }, or null if it's neither
+ * an email nor a wallet address
+ */
+export function parseAccount(input) {
+  if (isAddress(input)) return { type: "wallet", value: input.toLowerCase() };
+  if (isEmail(input)) return { type: "email", value: input.toLowerCase() };
+  return null;
+}
@@ -0,0 +1,48 @@
+/**
+ * Command argument parsing
+ *
+ * Splits command text into arguments on any whitespace, keeping
+ * "double-quoted phrases" together, and separates `--flag` / `--key value`
+ * options from positional arguments.
+ */
+
+/**
+ * Split text into arguments, honouring double quotes
+ */
+export function splitArgs(text) {
+  const args = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return args;
+}
+
+/**
+ * Separate a command's arguments into { positional, flags }
+ *
+ * @param {string[]} rest - The arguments the command router parsed (e.g. ['purple elephant', 'ama', '2h', '--exact'])
+ * @param {string[]} valueFlags - Flags that take a value (e.g. ['closes'])
+ */
+export function parseArgs(rest, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg.startsWith("--") && arg.length > 2) {
+      const name = arg.slice(2).toLowerCase();
+      if (valueFlags.includes(name)) {
+        flags[name] = rest[i + 1];
+        i++;
+      } else {
+        flags[name] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
@@ -0,0 +1,54 @@
+/**
+ * Admin Audit Log
+ *
+ * Every change made through the admin API is recorded in TELEGRAM_BOT_KV under
+ * `AUDIT:<reverseTimestamp>:<id>`, so a plain key listing returns the newest
+ * entries first. Entries are kept for a year.
+ *
+ * Entry shape:
+ * {
+ *   at: ISO string,
+ *   actor: string,                            // operator name from ADMIN_TOKENS
+ *   action: "update" | "delete" | "import",
+ *   chatId: number,
+ *   changes: { [prefix]: { from, to } }       // to: null means deleted
+ * }
+ */
+
+const AUDIT_TTL = 365 * 24 * 60 * 60;
+const MAX_TIMESTAMP = 9999999999999;
+
+/**
+ * Append an entry to the audit log
+ */
+export async function recordAudit(env, actor, action, chatId, changes) {
+  const at = Date.now();
+  const entry = { at: new Date(at).toISOString(), actor, action, chatId, changes };
+  const key = `AUDIT:${String(MAX_TIMESTAMP - at).padStart(13, "0")}:${crypto.randomUUID().slice(0, 8)}`;
+
+  await env.TELEGRAM_BOT_KV.put(key, JSON.stringify(entry), { expirationTtl: AUDIT_TTL });
+  return entry;
+}
+
+/**
+ * List audit entries, newest first
+ *
+ * @param {Object} filter - { chatId, limit }
+ */
+export async function listAudit(env, { chatId = null, limit = 50 } = {}) {
+  const entries = [];
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix: "AUDIT:", cursor });
+    for (const key of page.keys) {
+      const entry = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (entry && (chatId === null || entry.chatId === chatId)) {
+        entries.push(entry);
+        if (entries.length >= limit) return entries;
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return entries;
+}
@@ -0,0 +1,73 @@
+/**
+ * Request Authentication
+ *
+ * Checks for the two kinds of HTTP callers the worker trusts:
+ * - Telegram, identified by WEBHOOK_SECRET (the `X-Telegram-Bot-Api-Secret-Token`
+ *   header set via setWebhook's `secret_token`, or the legacy `?secret=` parameter)
+ * - Operators calling admin routes, identified by `Authorization: Bearer <token>`
+ *   (ADMIN_TOKEN, or a per-operator token from ADMIN_TOKENS)
+ */
+
+/**
+ * Compare two strings without leaking where they differ through timing
+ */
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Whether a webhook request carries WEBHOOK_SECRET (always true if no secret is configured)
+ */
+export function hasWebhookSecret(request, env) {
+  if (!env.WEBHOOK_SECRET) return true;
+
+  const header = request.headers.get("X-Telegram-Bot-Api-Secret-Token");
+  if (header !== null) return safeEqual(header, env.WEBHOOK_SECRET);
+
+  // Webhooks registered before the header existed put the secret in the URL
+  const param = new URL(request.url).searchParams.get("secret");
+  return safeEqual(param, env.WEBHOOK_SECRET);
+}
+
+/**
+ * Identify the operator behind an admin request from its bearer token
+ *
+ * Tokens come from ADMIN_TOKENS (a JSON map of operator name → token, so the
+ * audit log can say who made a change) and ADMIN_TOKEN (reported as "admin").
+ *
+ * @returns {string|null} - The operator's name, or null if the token is missing or unknown
+ */
+export function getAdminActor(request, env) {
+  const match = (request.headers.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+  const token = match[1].trim();
+
+  let tokens = env.ADMIN_TOKENS || {};
+  if (typeof tokens === "string") {
+    try {
+      tokens = JSON.parse(tokens);
+    } catch (e) {
+      console.error("ADMIN_TOKENS is not valid JSON:", e);
+      tokens = {};
+    }
+  }
+
+  for (const [name, candidate] of Object.entries(tokens)) {
+    if (safeEqual(token, candidate)) return name;
+  }
+  if (env.ADMIN_TOKEN && safeEqual(token, env.ADMIN_TOKEN)) return "admin";
+  return null;
+}
+
+/**
+ * Whether a request carries a valid admin bearer token (false if none are configured)
+ */
+export function hasAdminToken(request, env) {
+  return getAdminActor(request, env) !== null;
+}
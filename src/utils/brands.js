@@ -0,0 +1,87 @@
+/**
+ * Brand Bindings
+ *
+ * One worker can serve communities of several Loyalteez brands. A chat's brand
+ * is stored in TELEGRAM_BOT_KV under `BRAND:<chatId>`; chats without one use
+ * the global BRAND_ID.
+ *
+ * Admins bind a chat with /config_brand, which is only allowed when the
+ * operator has vouched for it, either way:
+ * - BRAND_CLAIM_CODES (secret): JSON map of brand address → claim code the
+ *   brand hands to its community admins
+ * - BRAND_CHATS (var): JSON map of brand address → chat IDs allowed to use it
+ */
+
+const BRAND_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+export function isBrandAddress(value) {
+  return typeof value === "string" && BRAND_PATTERN.test(value);
+}
+
+function parseJsonVar(env, name) {
+  const value = env[name];
+  if (!value) return {};
+  if (typeof value !== "string") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`${name} is not valid JSON:`, error);
+    return {};
+  }
+}
+
+// Look up a brand in a JSON map keyed by brand address (case-insensitive)
+function findBrandEntry(map, brandId) {
+  const entry = Object.entries(map).find(([brand]) => brand.toLowerCase() === brandId.toLowerCase());
+  return entry ? entry[1] : undefined;
+}
+
+/**
+ * Get the brand a chat's rewards go to (its bound brand, else BRAND_ID, else null)
+ */
+export async function getChatBrand(env, chatId) {
+  if (env.TELEGRAM_BOT_KV && chatId !== null && chatId !== undefined) {
+    const brandId = await env.TELEGRAM_BOT_KV.get(`BRAND:${chatId}`);
+    if (brandId) return brandId;
+  }
+  return env.BRAND_ID || null;
+}
+
+/**
+ * Bind a chat to a brand (null reverts to BRAND_ID)
+ */
+export async function setChatBrand(env, chatId, brandId) {
+  if (brandId) {
+    await env.TELEGRAM_BOT_KV.put(`BRAND:${chatId}`, brandId);
+  } else {
+    await env.TELEGRAM_BOT_KV.delete(`BRAND:${chatId}`);
+  }
+}
+
+/**
+ * Whether a chat may bind itself to a brand
+ *
+ * @param {string|null} claimCode - Code given with /config_brand, checked against BRAND_CLAIM_CODES
+ */
+export function canClaimBrand(env, brandId, chatId, claimCode = null) {
+  if (env.BRAND_ID && brandId.toLowerCase() === env.BRAND_ID.toLowerCase()) return true;
+
+  const allowedChats = findBrandEntry(parseJsonVar(env, "BRAND_CHATS"), brandId) || [];
+  if (allowedChats.map(String).includes(String(chatId))) return true;
+
+  const code = findBrandEntry(parseJsonVar(env, "BRAND_CLAIM_CODES"), brandId);
+  return !!code && !!claimCode && claimCode === code;
+}
+
+/**
+ * Number of distinct brands configured (BRAND_ID, BRAND_CLAIM_CODES and BRAND_CHATS)
+ */
+export function countConfiguredBrands(env) {
+  const brands = new Set([
+    ...(env.BRAND_ID ? [env.BRAND_ID] : []),
+    ...Object.keys(parseJsonVar(env, "BRAND_CLAIM_CODES")),
+    ...Object.keys(parseJsonVar(env, "BRAND_CHATS"))
+  ].map(brand => brand.toLowerCase()));
+  return brands.size;
+}
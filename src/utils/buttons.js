@@ -0,0 +1,76 @@
+/**
+ * Button Registry
+ *
+ * Every inline keyboard that can trigger a reward is registered in
+ * TELEGRAM_BOT_KV under `BUTTON:<chatId>:<messageId>`. A callback query is
+ * only acted on if the message it came from is registered for that exact
+ * action (and, for personal buttons, that exact user), so forged callback
+ * data or presses on other messages can't trigger rewards.
+ *
+ * Record shape:
+ * {
+ *   action: string,              // must equal the callback data (up to the first ":";
+ *                                // the rest is the pressed option, e.g. "captcha:7")
+ *   userId: number | null,       // only this user may press it (null = anyone)
+ *   expiresAt: ISO string | null,
+ *   createdAt: ISO string
+ * }
+ */
+
+function buttonKey(chatId, messageId) {
+  return `BUTTON:${chatId}:${messageId}`;
+}
+
+/**
+ * Register the buttons on a sent message
+ *
+ * @param {number} ttlSeconds - Expire the button after this long (optional)
+ */
+export async function registerButton(env, chatId, messageId, { action, userId = null, ttlSeconds = null }) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+
+  const now = Date.now();
+  const record = {
+    action,
+    userId,
+    expiresAt: ttlSeconds ? new Date(now + ttlSeconds * 1000).toISOString() : null,
+    createdAt: new Date(now).toISOString()
+  };
+
+  // KV enforces a 60s minimum TTL
+  const options = ttlSeconds ? { expirationTtl: Math.max(ttlSeconds, 60) } : undefined;
+  await env.TELEGRAM_BOT_KV.put(buttonKey(chatId, messageId), JSON.stringify(record), options);
+  return record;
+}
+
+/**
+ * Look up the button registered for a callback query's message and action
+ *
+ * @returns {Promise<{button: Object|null, reason?: string}>}
+ */
+export async function validateButton(env, callbackQuery) {
+  const message = callbackQuery.message;
+  if (!message || !env.TELEGRAM_BOT_KV) {
+    return { button: null, reason: "unknown" };
+  }
+
+  const button = await env.TELEGRAM_BOT_KV.get(buttonKey(message.chat.id, message.message_id), "json");
+  if (!button || button.action !== (callbackQuery.data || "").split(":")[0]) {
+    return { button: null, reason: "unknown" };
+  }
+  if (button.expiresAt && Date.parse(button.expiresAt) <= Date.now()) {
+    return { button: null, reason: "expired" };
+  }
+  if (button.userId && button.userId !== callbackQuery.from.id) {
+    return { button: null, reason: "not_yours" };
+  }
+  return { button };
+}
+
+/**
+ * Unregister a message's buttons (e.g. once a one-time reward is claimed)
+ */
+export async function deleteButton(env, chatId, messageId) {
+  if (!env.TELEGRAM_BOT_KV) return;
+  await env.TELEGRAM_BOT_KV.delete(buttonKey(chatId, messageId));
+}
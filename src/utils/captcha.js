@@ -0,0 +1,180 @@
+/**
+ * Join Captcha
+ *
+ * Optional per-chat verification that new members are human before they can
+ * talk or earn join rewards, plus account requirements for join rewards.
+ * Stored in TELEGRAM_BOT_KV:
+ * - `CAPTCHA:<chatId>` - settings (set with /config_captcha)
+ * - `CAPTCHA_PENDING:<chatId>:<userId>` - a member's open challenge
+ *
+ * Settings shape:
+ * {
+ *   mode: "off" | "button" | "math",
+ *   timeoutMinutes: number,       // unsolved challenges are removed after this
+ *   requireUsername: boolean,     // join rewards need a @username
+ *   requirePhoto: boolean         // join rewards need a profile photo
+ * }
+ *
+ * Challenge shape:
+ * {
+ *   messageId: number,            // the challenge message
+ *   answer: string,               // callback value that solves it (a new one after each wrong answer)
+ *   attempts: number,             // wrong answers so far
+ *   expiresAt: ISO string,
+ *   joinedAt: number,             // join timestamp (ms), for the join hold
+ *   inviterId: number | null,     // from the invite link, credited once solved
+ *   firstJoin: boolean,           // only first joins are rewarded
+ *   restricted: boolean           // whether restrictChatMember succeeded
+ * }
+ */
+
+import { callTelegram } from './telegram.js';
+
+export const CAPTCHA_MODES = ["off", "button", "math"];
+export const DEFAULT_TIMEOUT_MINUTES = 5;
+export const MAX_TIMEOUT_MINUTES = 60;
+// Each wrong answer brings a new sum, so pressing buttons in turn doesn't get through
+export const MAX_WRONG_ANSWERS = 2;
+
+function settingsKey(chatId) {
+  return `CAPTCHA:${chatId}`;
+}
+
+function challengeKey(chatId, userId) {
+  return `CAPTCHA_PENDING:${chatId}:${userId}`;
+}
+
+/**
+ * Get a chat's captcha settings (null if never configured)
+ */
+export async function getCaptchaSettings(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(settingsKey(chatId), "json");
+}
+
+/**
+ * Save a chat's captcha settings (null clears them)
+ */
+export async function saveCaptchaSettings(env, chatId, settings) {
+  if (!settings) {
+    await env.TELEGRAM_BOT_KV.delete(settingsKey(chatId));
+  } else {
+    await env.TELEGRAM_BOT_KV.put(settingsKey(chatId), JSON.stringify(settings));
+  }
+}
+
+/**
+ * Whether new members in a chat must solve a challenge
+ */
+export function isCaptchaEnabled(settings) {
+  return !!settings && settings.mode !== "off";
+}
+
+/**
+ * Build a challenge's question and answer options
+ *
+ * @returns {{question: string|null, answer: string, options: string[]}} - options are the
+ *   button values, in display order (a single "ok" button in button mode)
+ */
+export function createChallenge(mode) {
+  if (mode !== "math") {
+    return { question: null, answer: "ok", options: ["ok"] };
+  }
+
+  const a = 1 + Math.floor(Math.random() * 9);
+  const b = 1 + Math.floor(Math.random() * 9);
+  const answer = a + b;
+
+  const options = new Set([answer]);
+  while (options.size < 4) {
+    options.add(Math.max(2, answer + Math.floor(Math.random() * 9) - 4));
+  }
+  const shuffled = [...options].sort(() => Math.random() - 0.5).map(String);
+
+  return { question: `${a} + ${b}`, answer: String(answer), options: shuffled };
+}
+
+export async function getChallenge(env, chatId, userId) {
+  return await env.TELEGRAM_BOT_KV.get(challengeKey(chatId, userId), "json");
+}
+
+/**
+ * Save a member's open challenge
+ * No TTL: a challenge stays until it's solved, the member leaves, or the
+ * expiry job removes them, so an unsolved one can't quietly disappear.
+ */
+export async function saveChallenge(env, chatId, userId, challenge) {
+  await env.TELEGRAM_BOT_KV.put(challengeKey(chatId, userId), JSON.stringify(challenge));
+}
+
+export async function deleteChallenge(env, chatId, userId) {
+  await env.TELEGRAM_BOT_KV.delete(challengeKey(chatId, userId));
+}
+
+/**
+ * Expired, unsolved challenges in a chat (or in every chat, without a chatId)
+ *
+ * @returns {Promise<Array<{chatId: number, userId: number}>>}
+ */
+export async function listExpiredChallenges(env, chatId = null, now = Date.now()) {
+  const expired = [];
+  const prefix = chatId === null ? "CAPTCHA_PENDING:" : `CAPTCHA_PENDING:${chatId}:`;
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix, cursor });
+    for (const key of page.keys) {
+      const challenge = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (challenge && Date.parse(challenge.expiresAt) <= now) {
+        const [, challengeChatId, userId] = key.name.split(":");
+        expired.push({ chatId: Number(challengeChatId), userId: Number(userId) });
+      }
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return expired;
+}
+
+/**
+ * Schedule a challenge's expiry check through REWARD_QUEUE
+ * Without the queue, expired challenges are swept by the cron trigger.
+ *
+ * @returns {Promise<boolean>} - Whether the check was queued
+ */
+export async function queueCaptchaTimeout(env, chat, user, delaySeconds) {
+  if (!env.REWARD_QUEUE) return false;
+
+  try {
+    await env.REWARD_QUEUE.send({
+      kind: "captcha_timeout",
+      chat: { id: chat.id, title: chat.title || null, type: chat.type },
+      user: { id: user.id, first_name: user.first_name }
+    }, { delaySeconds });
+    return true;
+  } catch (error) {
+    console.error("Failed to queue captcha timeout:", error);
+    return false;
+  }
+}
+
+/**
+ * Which of the chat's account requirements a member is missing
+ *
+ * @returns {Promise<string[]>} - "username" and/or "photo" (empty if eligible)
+ */
+export async function missingRequirements(env, settings, user) {
+  const missing = [];
+  if (!settings) return missing;
+
+  if (settings.requireUsername && !user.username) {
+    missing.push("username");
+  }
+  if (settings.requirePhoto) {
+    const photos = await callTelegram(env, "getUserProfilePhotos", { user_id: user.id, limit: 1 });
+    // Don't hold rewards back because the lookup failed
+    if (photos.ok && photos.result.total_count === 0) {
+      missing.push("photo");
+    }
+  }
+  return missing;
+}
@@ -0,0 +1,204 @@
+/**
+ * Chat Registry
+ *
+ * Tracks the chats the bot has been added to, stored in TELEGRAM_BOT_KV under
+ * `CHAT:<chatId>`. When the bot is removed, the chat's live config keys are
+ * moved into the record (`archivedConfig`) and restored if the bot is added back.
+ *
+ * Record shape:
+ * {
+ *   id, title, type,
+ *   status: "active" | "removed",
+ *   addedAt, addedBy, removedAt,   // addedAt/addedBy are null if the bot was already there
+ *   archivedConfig: { [prefix]: value } | null
+ * }
+ */
+
+import { DEFAULT_TIMEZONE } from './dates.js';
+
+/**
+ * Per-chat config key prefixes (stored as `<prefix>:<chatId>`)
+ */
+export const CHAT_CONFIG_KEYS = [
+  "BRAND",
+  "CHECKIN_EVENT_ID",
+  "JOIN_EVENT_ID",
+  "JOIN_HOLD_MINUTES",
+  "JOIN_CLAIM_BUTTON",
+  "CAPTCHA",
+  "KEYWORDS",
+  "REACTION_REWARD",
+  "REFERRAL_EVENT_ID",
+  "TIMEZONE",
+  "LANGUAGE",
+  "STREAK_BONUS",
+  "SCHEDULE",
+  "MESSAGE_TEMPLATES",
+  "COMMANDS",
+  "TOPICS"
+];
+
+// Config values stored as JSON (the rest are plain strings)
+export const JSON_CONFIG_KEYS = ["CAPTCHA", "KEYWORDS", "REACTION_REWARD", "STREAK_BONUS", "SCHEDULE", "MESSAGE_TEMPLATES", "COMMANDS", "TOPICS"];
+
+function chatKey(chatId) {
+  return `CHAT:${chatId}`;
+}
+
+/**
+ * Get a chat's registry record (null if the bot has never been added)
+ */
+export async function getChatRecord(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(chatKey(chatId), "json");
+}
+
+/**
+ * List every chat in the registry
+ */
+export async function listChats(env) {
+  if (!env.TELEGRAM_BOT_KV) return [];
+
+  const chats = [];
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix: "CHAT:", cursor });
+    for (const key of page.keys) {
+      const record = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (record) chats.push(record);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return chats;
+}
+
+function decodeConfigValue(prefix, value) {
+  if (value === null || !JSON_CONFIG_KEYS.includes(prefix)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Get a chat's live config ({ prefix: value }, JSON values decoded, unset keys left out)
+ */
+export async function getChatConfig(env, chatId) {
+  const config = {};
+  for (const prefix of CHAT_CONFIG_KEYS) {
+    const value = await env.TELEGRAM_BOT_KV.get(`${prefix}:${chatId}`);
+    if (value !== null) {
+      config[prefix] = decodeConfigValue(prefix, value);
+    }
+  }
+  return config;
+}
+
+/**
+ * Set (or delete, with null) one of a chat's config values
+ */
+export async function setChatConfigValue(env, chatId, prefix, value) {
+  if (value === null || value === undefined) {
+    await env.TELEGRAM_BOT_KV.delete(`${prefix}:${chatId}`);
+  } else {
+    const encoded = JSON_CONFIG_KEYS.includes(prefix) ? JSON.stringify(value) : String(value);
+    await env.TELEGRAM_BOT_KV.put(`${prefix}:${chatId}`, encoded);
+  }
+}
+
+/**
+ * Record the bot being added to a chat, restoring archived config if any
+ *
+ * @returns {Promise<{record: Object, restored: string[]}>} - restored config prefixes
+ */
+export async function recordBotAdded(env, chat, addedBy, timestamp) {
+  const kv = env.TELEGRAM_BOT_KV;
+  const existing = await getChatRecord(env, chat.id);
+  const restored = [];
+
+  if (existing?.archivedConfig) {
+    for (const [prefix, value] of Object.entries(existing.archivedConfig)) {
+      await kv.put(`${prefix}:${chat.id}`, value);
+      restored.push(prefix);
+    }
+  }
+
+  const record = {
+    id: chat.id,
+    title: chat.title || null,
+    type: chat.type,
+    status: "active",
+    addedAt: new Date(timestamp).toISOString(),
+    addedBy: addedBy ? addedBy.id : null,
+    removedAt: null,
+    archivedConfig: null
+  };
+
+  await kv.put(chatKey(chat.id), JSON.stringify(record));
+  return { record, restored };
+}
+
+/**
+ * Add a chat the bot is already in to the registry, if it isn't there
+ * Chats the bot joined before the registry existed never had a my_chat_member
+ * update recorded, so scheduled jobs would skip them.
+ */
+export async function ensureChatRecord(env, chat) {
+  if (!env.TELEGRAM_BOT_KV || chat.type === "private") return;
+  if (await getChatRecord(env, chat.id)) return;
+
+  await env.TELEGRAM_BOT_KV.put(chatKey(chat.id), JSON.stringify({
+    id: chat.id,
+    title: chat.title || null,
+    type: chat.type,
+    status: "active",
+    addedAt: null,
+    addedBy: null,
+    removedAt: null,
+    archivedConfig: null
+  }));
+}
+
+/**
+ * Record the bot being removed from a chat, archiving its config
+ */
+export async function recordBotRemoved(env, chat, timestamp) {
+  const kv = env.TELEGRAM_BOT_KV;
+  const existing = await getChatRecord(env, chat.id);
+  if (existing?.status === "removed") return existing;
+
+  const archivedConfig = {};
+
+  for (const prefix of CHAT_CONFIG_KEYS) {
+    const value = await kv.get(`${prefix}:${chat.id}`);
+    if (value !== null) {
+      archivedConfig[prefix] = value;
+      await kv.delete(`${prefix}:${chat.id}`);
+    }
+  }
+
+  const record = {
+    id: chat.id,
+    type: chat.type,
+    addedAt: null,
+    addedBy: null,
+    ...existing,
+    title: chat.title || existing?.title || null,
+    status: "removed",
+    removedAt: new Date(timestamp).toISOString(),
+    archivedConfig: Object.keys(archivedConfig).length > 0 ? archivedConfig : null
+  };
+
+  await kv.put(chatKey(chat.id), JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Get a chat's timezone (IANA name, defaults to UTC)
+ */
+export async function getChatTimezone(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return DEFAULT_TIMEZONE;
+  return (await env.TELEGRAM_BOT_KV.get(`TIMEZONE:${chatId}`)) || DEFAULT_TIMEZONE;
+}
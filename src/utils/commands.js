@@ -0,0 +1,68 @@
+/**
+ * Command Parsing & Per-Chat Command Settings
+ *
+ * Commands are recognised by tokenising the message rather than by prefix, so
+ * `/checkinfoo` is not `/checkin`, and `/checkin@OtherBot` in a group shared
+ * with other bots is left alone.
+ *
+ * Admins can turn commands off and add aliases per chat, stored in
+ * TELEGRAM_BOT_KV under `COMMANDS:<chatId>`:
+ * {
+ *   disabled: string[],              // command names
+ *   aliases: { [alias]: command }    // e.g. { gm: "checkin" }
+ * }
+ */
+
+import { splitArgs } from './args.js';
+
+const COMMAND_PATTERN = /^\/([A-Za-z0-9_]{1,32})(?:@([A-Za-z0-9_]+))?$/;
+
+export const NAME_PATTERN = /^[a-z0-9_]{1,32}$/;
+
+/**
+ * Parse a command message
+ *
+ * @param {string} text - Message text
+ * @param {Function} getBotUsername - async () => "@username" (only called for `/cmd@bot`)
+ * @returns {Promise<{name: string, args: string[], argsText: string}|null>}
+ *   null if the text isn't a command, or is addressed to another bot
+ */
+export async function parseCommand(text, getBotUsername) {
+  if (!text || !text.startsWith("/")) return null;
+
+  const [token] = text.split(/\s/, 1);
+  const match = token.match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const [, name, target] = match;
+  if (target) {
+    const botUsername = await getBotUsername();
+    if (!botUsername || botUsername.replace(/^@/, "").toLowerCase() !== target.toLowerCase()) {
+      return null;
+    }
+  }
+
+  const argsText = text.slice(token.length).trim();
+  return { name: name.toLowerCase(), args: splitArgs(argsText), argsText };
+}
+
+/**
+ * Get a chat's command settings
+ */
+export async function getCommandSettings(env, chatId) {
+  const settings = env.TELEGRAM_BOT_KV
+    ? await env.TELEGRAM_BOT_KV.get(`COMMANDS:${chatId}`, "json")
+    : null;
+  return { disabled: [], aliases: {}, ...settings };
+}
+
+/**
+ * Save a chat's command settings (deleting the key once nothing is customised)
+ */
+export async function saveCommandSettings(env, chatId, settings) {
+  if (settings.disabled.length === 0 && Object.keys(settings.aliases).length === 0) {
+    await env.TELEGRAM_BOT_KV.delete(`COMMANDS:${chatId}`);
+  } else {
+    await env.TELEGRAM_BOT_KV.put(`COMMANDS:${chatId}`, JSON.stringify(settings));
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Calendar date helpers
+ *
+ * Check-in streaks and leaderboards work on local calendar dates
+ * ("YYYY-MM-DD") in each chat's timezone, so "today" flips at the
+ * community's midnight rather than UTC's.
+ */
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Whether a string is a timezone the runtime recognises (e.g. "Europe/Madrid")
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Local calendar date for a timestamp in a timezone ("YYYY-MM-DD")
+ */
+export function localDate(timestamp, timezone = DEFAULT_TIMEZONE) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(new Date(timestamp));
+}
+
+/**
+ * Shift a "YYYY-MM-DD" date by a number of days
+ */
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * ISO week key for a "YYYY-MM-DD" date (e.g. "2026-W42")
+ */
+export function isoWeek(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const day = d.getUTCDay() || 7;
+  // The ISO week belongs to the year of its Thursday
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Month key for a "YYYY-MM-DD" date (e.g. "2026-10")
+ */
+export function monthKey(date) {
+  return date.slice(0, 7);
+}
+
+/**
+ * Local date, ISO weekday (1 = Monday … 7 = Sunday) and minutes past midnight
+ * for a timestamp in a timezone
+ */
+export function localClock(timestamp, timezone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      hour: "2-digit",
+      minute: "2-digit"
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value])
+  );
+  const date = localDate(timestamp, timezone);
+
+  return {
+    date,
+    weekday: new Date(`${date}T00:00:00Z`).getUTCDay() || 7,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
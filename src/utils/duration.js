@@ -0,0 +1,50 @@
+/**
+ * Duration helpers
+ *
+ * Parses admin-friendly durations ("30m", "2h", "1d", "1h30m") and formats
+ * millisecond spans back into the same short form for replies.
+ */
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration string into milliseconds
+ * Returns null if the string is not a valid duration.
+ */
+export function parseDuration(input) {
+  if (!input) return null;
+  const text = String(input).trim().toLowerCase();
+  if (!/^(\d+[smhdw])+$/.test(text)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) {
+    total += parseInt(amount, 10) * UNIT_MS[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+/**
+ * Format milliseconds as a short duration (e.g. "5h 12m")
+ */
+export function formatDuration(ms) {
+  if (ms <= 0) return "0m";
+
+  const parts = [];
+  let remaining = ms;
+  for (const unit of ["d", "h", "m"]) {
+    const amount = Math.floor(remaining / UNIT_MS[unit]);
+    if (amount > 0) {
+      parts.push(`${amount}${unit}`);
+      remaining -= amount * UNIT_MS[unit];
+    }
+  }
+
+  // Anything under a minute rounds up so we never say "0m" for a pending wait
+  return parts.length > 0 ? parts.slice(0, 2).join(" ") : "1m";
+}
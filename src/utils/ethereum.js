@@ -0,0 +1,265 @@
+/**
+ * Ethereum signature helpers
+ *
+ * Just enough to check a `personal_sign` (EIP-191) signature from a member's
+ * wallet for /link: keccak-256 and secp256k1 public key recovery. Workers'
+ * WebCrypto supports neither, and the worker has no runtime dependencies.
+ */
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const SIGNATURE_PATTERN = /^0x[0-9a-fA-F]{130}$/;
+
+/**
+ * Whether a string is an Ethereum address (0x followed by 40 hex digits)
+ */
+export function isAddress(value) {
+  return typeof value === "string" && ADDRESS_PATTERN.test(value);
+}
+
+/**
+ * Whether a string looks like a 65-byte signature (0x followed by 130 hex digits)
+ */
+export function isSignature(value) {
+  return typeof value === "string" && SIGNATURE_PATTERN.test(value);
+}
+
+// --------------------------------------------
+// keccak-256 (the original Keccak padding, not NIST SHA3-256)
+// --------------------------------------------
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets, indexed by x + 5y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+].map(BigInt);
+
+function rotl(value, shift) {
+  if (shift === 0n) return value;
+  return ((value << shift) | (value >> (64n - shift))) & MASK_64;
+}
+
+function keccakF(state) {
+  const c = new Array(5);
+  const b = new Array(25);
+
+  for (const constant of ROUND_CONSTANTS) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+    }
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK_64 & b[(x + 2) % 5 + y]);
+      }
+    }
+    // ι
+    state[0] ^= constant;
+  }
+}
+
+/**
+ * keccak-256 digest of a byte array
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} - 32-byte digest
+ */
+export function keccak256(bytes) {
+  const rate = 136;
+  const padded = new Uint8Array(Math.ceil((bytes.length + 1) / rate) * rate);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      let lane = 0n;
+      for (let j = 7; j >= 0; j--) lane = (lane << 8n) | BigInt(padded[offset + i * 8 + j]);
+      state[i] ^= lane;
+    }
+    keccakF(state);
+  }
+
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i];
+    for (let j = 0; j < 8; j++) {
+      digest[i * 8 + j] = Number(lane & 0xffn);
+      lane >>= 8n;
+    }
+  }
+  return digest;
+}
+
+// --------------------------------------------
+// secp256k1 public key recovery
+// --------------------------------------------
+
+const P = 2n ** 256n - 2n ** 32n - 977n;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = [
+  0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+  1n
+];
+const INFINITY = [0n, 1n, 0n];
+
+function mod(a, m = P) {
+  const result = a % m;
+  return result >= 0n ? result : result + m;
+}
+
+function powMod(base, exponent, m) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function invert(a, m) {
+  // m is prime, so a^(m-2) is a's inverse (Fermat)
+  return powMod(a, m - 2n, m);
+}
+
+// Points are Jacobian [X, Y, Z]; Z = 0 is the point at infinity
+function double([x, y, z]) {
+  if (z === 0n || y === 0n) return INFINITY;
+  const a = mod(x * x);
+  const b = mod(y * y);
+  const c = mod(b * b);
+  const d = mod(2n * (mod((x + b) * (x + b)) - a - c));
+  const e = mod(3n * a);
+  const x3 = mod(e * e - 2n * d);
+  return [x3, mod(e * (d - x3) - 8n * c), mod(2n * y * z)];
+}
+
+function add(p1, p2) {
+  if (p1[2] === 0n) return p2;
+  if (p2[2] === 0n) return p1;
+  const [x1, y1, z1] = p1;
+  const [x2, y2, z2] = p2;
+
+  const z1z1 = mod(z1 * z1);
+  const z2z2 = mod(z2 * z2);
+  const u1 = mod(x1 * z2z2);
+  const u2 = mod(x2 * z1z1);
+  const s1 = mod(y1 * z2 * z2z2);
+  const s2 = mod(y2 * z1 * z1z1);
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  if (h === 0n) return r === 0n ? double(p1) : INFINITY;
+
+  const hh = mod(h * h);
+  const hhh = mod(h * hh);
+  const v = mod(u1 * hh);
+  const x3 = mod(r * r - hhh - 2n * v);
+  return [x3, mod(r * (v - x3) - s1 * hhh), mod(z1 * z2 * h)];
+}
+
+function multiply(point, scalar) {
+  let result = INFINITY;
+  let addend = point;
+  while (scalar > 0n) {
+    if (scalar & 1n) result = add(result, addend);
+    addend = double(addend);
+    scalar >>= 1n;
+  }
+  return result;
+}
+
+function toAffine([x, y, z]) {
+  const zInv = invert(z, P);
+  const zInv2 = mod(zInv * zInv);
+  return [mod(x * zInv2), mod(y * zInv2 * zInv)];
+}
+
+function bytesToBigInt(bytes) {
+  return BigInt(`0x${[...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("") || "0"}`);
+}
+
+function bigIntToBytes(value, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+function hexToBytes(hex) {
+  const clean = hex.replace(/^0x/, "");
+  return Uint8Array.from(clean.match(/../g) || [], pair => parseInt(pair, 16));
+}
+
+/**
+ * Recover the address that produced a personal_sign signature over a message
+ *
+ * @param {string} message - The exact text that was signed
+ * @param {string} signature - 0x-prefixed 65-byte signature (r, s, v)
+ * @returns {string|null} - Lowercase 0x address, or null if the signature is malformed
+ */
+export function recoverPersonalSignAddress(message, signature) {
+  if (!isSignature(signature)) return null;
+
+  const body = new TextEncoder().encode(message);
+  const prefix = new TextEncoder().encode(`\x19Ethereum Signed Message:\n${body.length}`);
+  const prefixed = new Uint8Array(prefix.length + body.length);
+  prefixed.set(prefix);
+  prefixed.set(body, prefix.length);
+  const hash = bytesToBigInt(keccak256(prefixed));
+
+  const bytes = hexToBytes(signature);
+  const r = bytesToBigInt(bytes.slice(0, 32));
+  const s = bytesToBigInt(bytes.slice(32, 64));
+  const v = bytes[64] >= 27 ? bytes[64] - 27 : bytes[64];
+  if (r <= 0n || r >= N || s <= 0n || s >= N || (v !== 0 && v !== 1)) return null;
+
+  // The point R whose x coordinate is r, with y's parity from v
+  const ySquared = mod(r ** 3n + 7n);
+  let y = powMod(ySquared, (P + 1n) / 4n, P);
+  if (mod(y * y) !== ySquared) return null;
+  if (Number(y & 1n) !== v) y = P - y;
+
+  // Q = r⁻¹ (sR - eG)
+  const rInv = invert(r, N);
+  const u1 = mod(-hash * rInv, N);
+  const u2 = mod(s * rInv, N);
+  const q = add(multiply(G, u1), multiply([r, y, 1n], u2));
+  if (q[2] === 0n) return null;
+
+  const [qx, qy] = toAffine(q);
+  const publicKey = new Uint8Array(64);
+  publicKey.set(bigIntToBytes(qx, 32));
+  publicKey.set(bigIntToBytes(qy, 32), 32);
+  const address = keccak256(publicKey).slice(12);
+  return `0x${[...address].map(byte => byte.toString(16).padStart(2, "0")).join("")}`;
+}
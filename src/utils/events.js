@@ -0,0 +1,148 @@
+/**
+ * Event Catalogue
+ *
+ * A brand's events (Partner Portal → Settings → Events), fetched from the
+ * `event-config` endpoint and cached in TELEGRAM_BOT_KV under
+ * `EVENT_CATALOGUE:<brandId>` for CATALOGUE_TTL seconds. `/events refresh`
+ * fetches it again straight away.
+ *
+ * Catalogue shape:
+ * {
+ *   fetchedAt: ISO string,
+ *   events: [{ eventId, eventType, name, reward, active }]   // name: friendly name or null
+ * }
+ */
+
+import { isSandbox, createSandboxFetch } from './sandbox.js';
+
+export const CATALOGUE_TTL = 15 * 60;
+
+function catalogueKey(brandId) {
+  return `EVENT_CATALOGUE:${brandId}`;
+}
+
+/**
+ * Get a brand's event catalogue
+ *
+ * @param {Object} options - { refresh } - skip the cache
+ * @returns {Promise<Object|null>} - null if there's no brand or the API can't be reached
+ */
+export async function getEventCatalogue(env, brandId, { refresh = false } = {}) {
+  if (!brandId) return null;
+
+  if (!refresh && env.TELEGRAM_BOT_KV) {
+    const cached = await env.TELEGRAM_BOT_KV.get(catalogueKey(brandId), "json");
+    if (cached) return cached;
+  }
+
+  const events = await fetchEvents(env, brandId);
+  if (!events) return null;
+
+  const catalogue = { fetchedAt: new Date().toISOString(), events };
+  if (env.TELEGRAM_BOT_KV) {
+    await env.TELEGRAM_BOT_KV.put(catalogueKey(brandId), JSON.stringify(catalogue), { expirationTtl: CATALOGUE_TTL });
+  }
+  return catalogue;
+}
+
+async function fetchEvents(env, brandId) {
+  const apiUrl = env.LOYALTEEZ_API_URL || 'https://api.loyalteez.app';
+  const configUrl = `${apiUrl}/loyalteez-api/event-config?brandId=${encodeURIComponent(brandId)}`;
+  const transport = isSandbox(env) ? createSandboxFetch(env) : fetch;
+
+  try {
+    const response = await transport(configUrl, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      console.warn(`⚠️ Failed to fetch event configs for ${brandId}: ${response.status}`);
+      return null;
+    }
+
+    const data = await response.json();
+    return (data.events || []).map(config => ({
+      eventId: config.eventId || config.eventType,
+      eventType: config.eventType || config.eventId,
+      // eventNameMapping is the friendly name that maps TO this event
+      name: config.eventNameMapping || null,
+      reward: config.rewardAmount ?? config.reward ?? null,
+      active: (config.isActive ?? config.is_active ?? config.active) !== false
+    }));
+  } catch (error) {
+    console.error('Error fetching event configs:', error);
+    return null;
+  }
+}
+
+/**
+ * Find an event by ID, event type or friendly name
+ */
+export function findEvent(catalogue, input) {
+  return catalogue.events.find(event => event.eventId === input)
+    || catalogue.events.find(event => event.eventType === input || event.name === input)
+    || catalogue.events.find(event => event.name && event.name.toLowerCase() === input.toLowerCase())
+    || null;
+}
+
+/**
+ * Active events whose name or ID is close to what was typed, closest first
+ */
+export function suggestEvents(catalogue, input, limit = 3) {
+  const typed = input.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(typed.length / 3));
+
+  return catalogue.events
+    .filter(event => event.active)
+    .map(event => {
+      const labels = [event.name, event.eventId].filter(Boolean).map(label => label.toLowerCase());
+      const distance = Math.min(...labels.map(label =>
+        label.includes(typed) || typed.includes(label) ? 1 : editDistance(typed, label)
+      ));
+      return { event, distance };
+    })
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ event }) => event);
+}
+
+/**
+ * Check an event ID or friendly name against a brand's catalogue
+ *
+ * @returns {Promise<Object>} - { status, eventId, event, suggestions } where status is
+ *   "ok", "inactive", "unknown", or "unverified" (catalogue unavailable - eventId is the input)
+ */
+export async function checkEvent(env, input, brandId) {
+  const catalogue = await getEventCatalogue(env, brandId);
+  if (!catalogue) {
+    return { status: "unverified", eventId: input, event: null, suggestions: [] };
+  }
+
+  const event = findEvent(catalogue, input);
+  if (!event) {
+    return { status: "unknown", eventId: input, event: null, suggestions: suggestEvents(catalogue, input) };
+  }
+  if (!event.active) {
+    return { status: "inactive", eventId: event.eventId, event, suggestions: suggestEvents(catalogue, input) };
+  }
+  return { status: "ok", eventId: event.eventId, event, suggestions: [] };
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
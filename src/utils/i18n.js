@@ -0,0 +1,127 @@
+/**
+ * Localization
+ *
+ * Bot replies come from message catalogues in src/locales/<locale>.js, each
+ * default-exporting a map of key → message. Catalogues are loaded on demand,
+ * so adding a locale only means adding its file (wrangler deploys everything
+ * in src/locales as separate modules, see `find_additional_modules` in
+ * wrangler.toml). Keys missing from a catalogue fall back to English.
+ *
+ * A chat's locale is its /config_language setting (`LANGUAGE:<chatId>`), else
+ * the sender's Telegram `language_code`, else English.
+ *
+ * Messages are Telegram HTML with {placeholders}. Values are inserted as given,
+ * so callers escape user-supplied text (escapeHtml) just as before. A message
+ * can also be an object of plural forms keyed by Intl.PluralRules category
+ * ("one", "few", "many", "other"...), chosen by the `count` value.
+ */
+
+import en from '../locales/en.js';
+
+export const DEFAULT_LOCALE = "en";
+
+// Locale codes we'll try to load (language_code comes from the client, so don't trust it)
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// Loaded catalogues by locale (null = no such catalogue)
+const catalogues = new Map([[DEFAULT_LOCALE, en]]);
+
+/**
+ * Load a locale's catalogue
+ *
+ * @returns {Promise<Object|null>} - null if there is no catalogue for it
+ */
+export async function loadCatalogue(locale) {
+  if (catalogues.has(locale)) return catalogues.get(locale);
+  if (!LOCALE_PATTERN.test(locale)) return null;
+
+  let catalogue = null;
+  try {
+    catalogue = (await import(`../locales/${locale}.js`)).default;
+  } catch (error) {
+    // No catalogue for this locale
+  }
+  catalogues.set(locale, catalogue);
+  return catalogue;
+}
+
+/**
+ * Find the catalogue locale for a language code ("pt-BR" → "pt-br", else "pt")
+ *
+ * @returns {Promise<string|null>} - null if neither the code nor its base language has a catalogue
+ */
+export async function resolveLocale(code) {
+  if (!code) return null;
+
+  const locale = String(code).toLowerCase().replace(/_/g, "-");
+  for (const candidate of [locale, locale.split("-")[0]]) {
+    if (await loadCatalogue(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Get a chat's configured language (null = follow each sender's language)
+ */
+export async function getChatLanguage(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(`LANGUAGE:${chatId}`);
+}
+
+/**
+ * Set (or clear, with null) a chat's language
+ */
+export async function setChatLanguage(env, chatId, locale) {
+  if (locale) {
+    await env.TELEGRAM_BOT_KV.put(`LANGUAGE:${chatId}`, locale);
+  } else {
+    await env.TELEGRAM_BOT_KV.delete(`LANGUAGE:${chatId}`);
+  }
+}
+
+/**
+ * Build a translator for a locale
+ *
+ * @returns {Function} - t(key, vars) → string, with `t.locale` set
+ */
+export function createTranslator(locale) {
+  const catalogue = catalogues.get(locale) || en;
+  const plurals = new Intl.PluralRules(locale);
+
+  const t = (key, vars = {}) => {
+    let message = catalogue[key] ?? en[key];
+    if (message === undefined) {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+
+    if (typeof message === "object") {
+      const count = Number(vars.count);
+      message = message[plurals.select(count)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+    );
+  };
+  t.locale = locale;
+  return t;
+}
+
+/**
+ * Join items into a list in the translator's language ("a, b and c")
+ */
+export function formatList(t, items) {
+  return new Intl.ListFormat(t.locale, { style: "long", type: "conjunction" }).format(items);
+}
+
+/**
+ * Get the translator for a reply in a chat
+ *
+ * @param {Object|null} user - The Telegram user being answered (for language_code)
+ */
+export async function getTranslator(env, chatId, user = null) {
+  const chatLanguage = chatId !== null && chatId !== undefined ? await getChatLanguage(env, chatId) : null;
+  const locale = (await resolveLocale(chatLanguage)) || (await resolveLocale(user?.language_code)) || DEFAULT_LOCALE;
+  return createTranslator(locale);
+}
@@ -0,0 +1,179 @@
+/**
+ * Keyword Rules
+ *
+ * "Secret word" reward rules per chat, stored in TELEGRAM_BOT_KV as a JSON
+ * array under `KEYWORDS:<chatId>`. Per-user claims are stored separately
+ * under `KEYWORD_CLAIM:<chatId>:<ruleId>:<userId>` so each member can claim
+ * a rule only once.
+ *
+ * Rule shape:
+ * {
+ *   id: number,
+ *   phrase: string,
+ *   eventId: string,          // resolved event ID
+ *   match: "insensitive" | "exact",
+ *   expiresAt: ISO string | null,
+ *   maxClaims: number | null,
+ *   topicId: number | null,   // only matches in this forum topic (see utils/topics.js)
+ *   topicName: string | null,
+ *   claims: number,
+ *   createdBy: number,
+ *   createdAt: ISO string
+ * }
+ */
+
+function rulesKey(chatId) {
+  return `KEYWORDS:${chatId}`;
+}
+
+function claimKey(chatId, ruleId, userId) {
+  return `KEYWORD_CLAIM:${chatId}:${ruleId}:${userId}`;
+}
+
+/**
+ * Normalise message text for comparison (trim, collapse whitespace)
+ */
+function normalise(text) {
+  return String(text).trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Whether a rule can still be claimed
+ */
+export function isRuleActive(rule, now = Date.now()) {
+  if (rule.expiresAt && Date.parse(rule.expiresAt) <= now) return false;
+  if (rule.maxClaims && rule.claims >= rule.maxClaims) return false;
+  return true;
+}
+
+/**
+ * Whether message text matches a rule's phrase
+ */
+export function matchesRule(rule, text) {
+  const candidate = normalise(text);
+  const phrase = normalise(rule.phrase);
+  if (rule.match === "exact") return candidate === phrase;
+  return candidate.toLowerCase() === phrase.toLowerCase();
+}
+
+/**
+ * Get all keyword rules for a chat
+ */
+export async function getKeywordRules(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return [];
+  return (await env.TELEGRAM_BOT_KV.get(rulesKey(chatId), "json")) || [];
+}
+
+async function putKeywordRules(env, chatId, rules) {
+  if (rules.length === 0) {
+    await env.TELEGRAM_BOT_KV.delete(rulesKey(chatId));
+  } else {
+    await env.TELEGRAM_BOT_KV.put(rulesKey(chatId), JSON.stringify(rules));
+  }
+}
+
+/**
+ * Add a keyword rule to a chat
+ *
+ * @returns {Promise<Object>} - The stored rule
+ */
+export async function addKeywordRule(env, chatId, { phrase, eventId, match, expiresAt, maxClaims, topicId, topicName, createdBy }) {
+  const rules = await getKeywordRules(env, chatId);
+  const rule = {
+    id: rules.reduce((max, r) => Math.max(max, r.id), 0) + 1,
+    phrase: normalise(phrase),
+    eventId,
+    match: match || "insensitive",
+    expiresAt: expiresAt || null,
+    maxClaims: maxClaims || null,
+    topicId: topicId || null,
+    topicName: topicName || null,
+    claims: 0,
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+
+  rules.push(rule);
+  await putKeywordRules(env, chatId, rules);
+  return rule;
+}
+
+/**
+ * Delete a keyword rule by ID or phrase
+ *
+ * @returns {Promise<Object|null>} - The deleted rule, or null if not found
+ */
+export async function deleteKeywordRule(env, chatId, idOrPhrase) {
+  const rules = await getKeywordRules(env, chatId);
+  const index = rules.findIndex(r =>
+    String(r.id) === String(idOrPhrase) ||
+    r.phrase.toLowerCase() === normalise(idOrPhrase).toLowerCase()
+  );
+  if (index === -1) return null;
+
+  const [deleted] = rules.splice(index, 1);
+  await putKeywordRules(env, chatId, rules);
+
+  // Clear its claims so a future rule reusing the ID starts fresh
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix: `KEYWORD_CLAIM:${chatId}:${deleted.id}:`, cursor });
+    for (const key of page.keys) {
+      await env.TELEGRAM_BOT_KV.delete(key.name);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return deleted;
+}
+
+/**
+ * Find the active rule matching a message, if any
+ * A rule for the message's topic wins over a chat-wide one.
+ */
+export async function findMatchingRule(env, chatId, text, topicId = null) {
+  const rules = (await getKeywordRules(env, chatId))
+    .filter(rule => (!rule.topicId || rule.topicId === topicId) && isRuleActive(rule) && matchesRule(rule, text));
+  return rules.find(rule => rule.topicId) || rules[0] || null;
+}
+
+/**
+ * Claim a rule for a user
+ *
+ * Records the per-user claim and bumps the global count before the reward is
+ * sent, so a fast second message can't claim twice.
+ *
+ * @returns {Promise<{claimed: boolean, reason?: string, rule?: Object}>}
+ */
+export async function claimKeywordRule(env, chatId, ruleId, userId) {
+  const kv = env.TELEGRAM_BOT_KV;
+  if (await kv.get(claimKey(chatId, ruleId, userId))) {
+    return { claimed: false, reason: "already_claimed" };
+  }
+
+  const rules = await getKeywordRules(env, chatId);
+  const rule = rules.find(r => r.id === ruleId);
+  if (!rule || !isRuleActive(rule)) {
+    return { claimed: false, reason: "inactive" };
+  }
+
+  rule.claims += 1;
+  await putKeywordRules(env, chatId, rules);
+  await kv.put(claimKey(chatId, ruleId, userId), new Date().toISOString());
+  return { claimed: true, rule };
+}
+
+/**
+ * Undo a claim whose reward could not be delivered
+ */
+export async function releaseKeywordClaim(env, chatId, ruleId, userId) {
+  const kv = env.TELEGRAM_BOT_KV;
+  await kv.delete(claimKey(chatId, ruleId, userId));
+
+  const rules = await getKeywordRules(env, chatId);
+  const rule = rules.find(r => r.id === ruleId);
+  if (rule && rule.claims > 0) {
+    rule.claims -= 1;
+    await putKeywordRules(env, chatId, rules);
+  }
+}
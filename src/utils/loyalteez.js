@@ -5,29 +5,66 @@
  * Falls back to HTTP fetch if service binding is not available
  */
 
+import { isSandbox, createSandboxFetch } from './sandbox.js';
+import { isAddress } from './ethereum.js';
+
+// Event requests slower than this are treated as failed (and retried by the caller)
+const EVENT_TIMEOUT_MS = 15000;
+
+/**
+ * Why a reward event failed (`reason` on a failed sendEvent result):
+ * - cooldown: the user earned this event too recently (see `nextEligibleAt`)
+ * - unknown_event / inactive_event: no such event for the brand, or it's switched off
+ * - auth_failed: the brand, domain or bot isn't authorized for the event
+ * - rate_limited: too many requests (see `retryAfterSeconds`)
+ * - transport: timeout, network error, 5xx or an unreadable response
+ * - rejected: any other refusal, including missing configuration
+ *
+ * Only transport and rate_limited failures are worth retrying.
+ */
+export const FAILURE_REASONS = [
+  'cooldown',
+  'unknown_event',
+  'inactive_event',
+  'auth_failed',
+  'rate_limited',
+  'transport',
+  'rejected'
+];
+
 export class LoyalteezClient {
   /**
    * @param {string} brandId - The Brand ID (wallet address)
    * @param {string} apiUrl - Base API URL (fallback only, not used with Service Bindings)
    * @param {Object} eventHandlerBinding - Service binding to event-handler worker (optional)
    * @param {Object} pregenerationBinding - Service binding to pregeneration worker (optional)
+   * @param {Object} options - { fetch } - replaces the HTTP transport (e.g. the dry-run sandbox)
    */
-  constructor(brandId, apiUrl, eventHandlerBinding = null, pregenerationBinding = null) {
+  constructor(brandId, apiUrl, eventHandlerBinding = null, pregenerationBinding = null, options = {}) {
     this.brandId = brandId;
     this.apiUrl = apiUrl || 'https://api.loyalteez.app';
     this.endpoint = `${this.apiUrl}/loyalteez-api/manual-event`;
     this.pregenerationEndpoint = `${this.apiUrl}/loyalteez-api/pregenerate-user`;
     this.eventHandler = eventHandlerBinding; // Service binding if available
     this.pregeneration = pregenerationBinding; // Service binding if available
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    // How the last sendEvent reached Loyalteez: "binding", "fallback"
+    // (binding failed, then HTTP) or "http" (no binding configured)
+    this.lastTransport = null;
   }
 
   /**
    * Ensure wallet exists for user (pregenerate if needed)
+   * A user linked to their own wallet (/link) already has one: the address itself.
    * 
-   * @param {string} userEmail - The user's email
+   * @param {string} userEmail - The user's email, or wallet address
    * @returns {Promise<string>} - Wallet address
    */
   async ensureWallet(userEmail) {
+    if (isAddress(userEmail)) {
+      return userEmail;
+    }
+
     const payload = {
       email: userEmail,
       brand_id: this.brandId
@@ -75,7 +112,7 @@ export class LoyalteezClient {
     // Fallback to HTTP fetch
     console.log('Using HTTP fetch to pregeneration');
     try {
-      const response = await fetch(this.pregenerationEndpoint, {
+      const response = await this.fetch(this.pregenerationEndpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -113,12 +150,19 @@ export class LoyalteezClient {
    * Uses Service Binding if available (fast, no 522 errors), otherwise falls back to HTTP
    * Ensures wallet exists before sending event
    * 
+   * Never throws: failures resolve to
+   * { success: false, reason, status, error, nextEligibleAt, retryAfterSeconds, errors }
+   * where `reason` is one of FAILURE_REASONS, `status` the HTTP status (null if
+   * there was no response) and `nextEligibleAt` an ISO time when the API gives one.
+   * 
    * @param {string} eventType - The event type identifier (e.g. 'telegram_join')
    * @param {string} userEmail - The user's email or unique identifier
    * @param {Object} metadata - Additional metadata
-   * @returns {Promise<Object>} - The API response
+   * @param {Object} options - { idempotencyKey } - reuse the same key when retrying
+   *   an event so it is only ever rewarded once
+   * @returns {Promise<Object>} - The API response (with `success: true`), or a failure
    */
-  async sendEvent(eventType, userEmail, metadata = {}) {
+  async sendEvent(eventType, userEmail, metadata = {}, options = {}) {
     // Ensure wallet exists first (non-blocking - event-handler will create if this fails)
     try {
       await this.ensureWallet(userEmail);
@@ -126,7 +170,7 @@ export class LoyalteezClient {
       console.warn('Wallet pregeneration failed, continuing anyway (event-handler will handle):', error.message);
     }
     if (!this.brandId) {
-      throw new Error('Loyalteez Brand ID is not configured.');
+      return failure('rejected', 'Loyalteez Brand ID is not configured.');
     }
 
     const payload = {
@@ -141,6 +185,12 @@ export class LoyalteezClient {
       }
     };
 
+    const idempotencyHeaders = {};
+    if (options.idempotencyKey) {
+      payload.metadata.idempotency_key = options.idempotencyKey;
+      idempotencyHeaders['Idempotency-Key'] = options.idempotencyKey;
+    }
+
     console.log(`Sending Loyalteez Event: ${eventType} for ${userEmail}`);
 
     // Use Service Binding if available (preferred method)
@@ -152,30 +202,21 @@ export class LoyalteezClient {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...idempotencyHeaders,
           },
-          body: JSON.stringify(payload)
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(EVENT_TIMEOUT_MS)
         });
 
         const response = await this.eventHandler.fetch(request);
-        const responseText = await response.text();
-        
-        let data;
-        try {
-          data = JSON.parse(responseText);
-        } catch (e) {
-          console.error('Failed to parse service binding response:', responseText.substring(0, 200));
-          throw new Error(`Service binding returned invalid JSON: ${response.status}`);
-        }
+        const result = await readEventResponse(response);
 
-        if (!response.ok) {
-          console.error('Loyalteez API Error (Service Binding):', data);
-          const errorMsg = data.error || `API returned ${response.status}`;
-          const errorDetails = data.errors ? ` Errors: ${JSON.stringify(data.errors)}` : '';
-          throw new Error(errorMsg + errorDetails);
+        // The API answered - only a 5xx or garbled answer is worth another try over HTTP
+        if (result.success || result.reason !== 'transport') {
+          this.lastTransport = 'binding';
+          return result;
         }
-
-        console.log('Success via Service Binding:', data);
-        return data;
+        console.error('Service Binding failed, falling back to HTTP:', result.error);
       } catch (error) {
         console.error('Service Binding failed, falling back to HTTP:', error);
         // Fall through to HTTP fetch
@@ -184,38 +225,220 @@ export class LoyalteezClient {
 
     // Fallback to HTTP fetch (original method)
     console.log('Using HTTP fetch to event-handler');
+    this.lastTransport = this.eventHandler ? 'fallback' : 'http';
     try {
-      const response = await fetch(this.endpoint, {
+      const response = await this.fetch(this.endpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'User-Agent': 'Loyalteez-Telegram-Bot/1.0',
+          ...idempotencyHeaders,
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(EVENT_TIMEOUT_MS)
       });
 
       console.log(`Loyalteez API Status: ${response.status} ${response.statusText}`);
+      return await readEventResponse(response);
+    } catch (error) {
+      console.error('Failed to send event to Loyalteez:', error);
+      return failure('transport', error.name === 'TimeoutError'
+        ? `No answer from Loyalteez within ${EVENT_TIMEOUT_MS / 1000}s`
+        : error.message || 'Failed to reach Loyalteez');
+    }
+  }
 
-      const text = await response.text();
-      
-      let data;
+  /**
+   * Get a user's LTZ balance and wallet address
+   * 
+   * GET /loyalteez-api/user-balance, asked of the pregeneration worker (which
+   * holds the wallets) first. Not yet confirmed against the API docs
+   * (https://docs.loyalteez.app): if it fails, /balance shows the Perks link.
+   * 
+   * @param {string} userEmail - The user's email or unique identifier
+   * @returns {Promise<{walletAddress: string|null, balance: number}>}
+   */
+  async getBalance(userEmail) {
+    const data = await this.lookup(this.pregeneration, '/loyalteez-api/user-balance', {
+      email: userEmail,
+      brandId: this.brandId
+    });
+
+    return {
+      walletAddress: data.wallet_address || data.walletAddress || null,
+      balance: Number(data.balance ?? data.ltzBalance ?? 0)
+    };
+  }
+
+  /**
+   * Get a user's most recent rewards (newest first)
+   * 
+   * GET /loyalteez-api/user-events, asked of the event-handler worker (which
+   * records the events) first. Unconfirmed like user-balance.
+   * 
+   * @param {string} userEmail - The user's email or unique identifier
+   * @param {number} limit - How many rewards to return
+   * @returns {Promise<Array<{eventType: string, amount: number, timestamp: string}>>}
+   */
+  async getRewardHistory(userEmail, limit = 10) {
+    const data = await this.lookup(this.eventHandler, '/loyalteez-api/user-events', {
+      email: userEmail,
+      brandId: this.brandId,
+      limit: String(limit)
+    });
+
+    return (data.events || []).slice(0, limit).map(event => ({
+      eventType: event.eventType || event.event_type,
+      amount: Number(event.amount ?? event.rewardAmount ?? event.ltzDistributed ?? 0),
+      timestamp: event.timestamp || event.createdAt || event.created_at
+    }));
+  }
+
+  /**
+   * GET a read-only endpoint, via the service binding if available, falling back to HTTP
+   */
+  async lookup(binding, path, params) {
+    if (!this.brandId) {
+      throw new Error('Loyalteez Brand ID is not configured.');
+    }
+
+    const query = new URLSearchParams(params).toString();
+
+    if (binding) {
       try {
-        data = JSON.parse(text);
-      } catch (e) {
-        console.error(`Failed to parse JSON. Raw response: ${text.substring(0, 200)}...`);
-        throw new Error(`API returned non-JSON response: ${response.status} ${response.statusText}`);
+        const response = await binding.fetch(new Request(`https://api.loyalteez.app${path}?${query}`, {
+          headers: { 'Content-Type': 'application/json' },
+          signal: AbortSignal.timeout(EVENT_TIMEOUT_MS)
+        }));
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `API returned ${response.status}`);
+        }
+        return data;
+      } catch (error) {
+        console.error(`Service Binding ${path} failed, falling back to HTTP:`, error);
+        // Fall through to HTTP fetch
       }
+    }
 
-      if (!response.ok) {
-        console.error('Loyalteez API Error:', data);
-        throw new Error(data.error || `API returned ${response.status}`);
-      }
+    const response = await this.fetch(`${this.apiUrl}${path}?${query}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Loyalteez-Telegram-Bot/1.0',
+      },
+      signal: AbortSignal.timeout(EVENT_TIMEOUT_MS)
+    });
 
-      return data;
-    } catch (error) {
-      console.error('Failed to send event to Loyalteez:', error);
-      throw error;
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`API returned non-JSON response: ${response.status}`);
     }
+
+    if (!response.ok) {
+      throw new Error(data.error || `API returned ${response.status}`);
+    }
+    return data;
   }
 }
 
+
+/**
+ * A failed sendEvent result
+ */
+function failure(reason, error, { status = null, nextEligibleAt = null, retryAfterSeconds = null, errors = null } = {}) {
+  return { success: false, reason, status, error, nextEligibleAt, retryAfterSeconds, errors };
+}
+
+/**
+ * Turn a manual-event response into a result
+ */
+async function readEventResponse(response) {
+  const text = await response.text();
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    console.error(`Failed to parse JSON. Raw response: ${text.substring(0, 200)}...`);
+    return failure('transport', `API returned non-JSON response: ${response.status}`, { status: response.status });
+  }
+
+  if (response.ok && data.success !== false) {
+    return { ...data, success: true };
+  }
+
+  console.error('Loyalteez API Error:', data);
+  const error = data.error || data.message || `API returned ${response.status}`;
+  const nextEligibleAt = toIsoTime(data.nextEligibleAt ?? data.next_eligible_at);
+  return failure(failureReason(response.status, data, error, nextEligibleAt), error, {
+    status: response.status,
+    nextEligibleAt,
+    retryAfterSeconds: toSeconds(response.headers.get('Retry-After') ?? data.retryAfter ?? data.retry_after),
+    errors: data.errors || null
+  });
+}
+
+/**
+ * Classify a failed response: the API's own code if it sends one, otherwise
+ * the HTTP status and (for older API versions) the wording of the error
+ *
+ * A cooldown is only inferred from a next-eligible time or the word "cooldown",
+ * which older API versions put in the error. Other refusals ("already
+ * processing", "user already exists") mustn't be shown as a cooldown.
+ */
+function failureReason(status, data, error, nextEligibleAt) {
+  const code = String(data.code || data.reason || '').toLowerCase();
+  if (FAILURE_REASONS.includes(code)) return code;
+
+  if (nextEligibleAt || /\bcooldown\b/i.test(error)) return 'cooldown';
+  if (/inactive/i.test(error)) return 'inactive_event';
+  if (status === 404 || /not found|invalid event/i.test(error)) return 'unknown_event';
+  if (status === 401 || status === 403 || /not authorized|unauthorized/i.test(error)) return 'auth_failed';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500 || status === 408) return 'transport';
+  return 'rejected';
+}
+
+/**
+ * ISO string from an ISO string or a Unix timestamp (seconds or ms), else null
+ */
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? (value < 1e12 ? value * 1000 : value) : Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Seconds from a Retry-After value (a number of seconds or an HTTP date), else null
+ */
+function toSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, Math.ceil((at - Date.now()) / 1000)) : null;
+}
+
+/**
+ * Build the LoyalteezClient for this environment
+ * Uses service bindings if available; in dry-run mode everything goes to the local sandbox.
+ *
+ * @param {string} brandId - Brand to act for (defaults to BRAND_ID)
+ */
+export function createLoyalteezClient(env, brandId = env.BRAND_ID) {
+  if (isSandbox(env)) {
+    return new LoyalteezClient(brandId, env.LOYALTEEZ_API_URL, null, null, {
+      fetch: createSandboxFetch(env)
+    });
+  }
+
+  return new LoyalteezClient(
+    brandId,
+    env.LOYALTEEZ_API_URL,
+    env.EVENT_HANDLER,  // Service binding if configured
+    env.PREGENERATION   // Service binding if configured
+  );
+}
@@ -0,0 +1,143 @@
+/**
+ * Membership Ledger
+ *
+ * Per-chat record of each member's join/leave history, stored in TELEGRAM_BOT_KV
+ * under `MEMBER:<chatId>:<userId>`. The ledger is what lets the bot reward only
+ * genuine first joins: leaving and rejoining bumps `joinCount` but never earns
+ * a second join reward.
+ *
+ * Record shape:
+ * {
+ *   status: "member" | "left",
+ *   firstJoinedAt: ISO string | null,   // null if the member predates the ledger
+ *   lastJoinedAt: ISO string | null,
+ *   lastLeftAt: ISO string | null,
+ *   joinCount: number,
+ *   rewarded: boolean,
+ *   pendingRewardAt: ISO string | null  // join reward held until this time
+ * }
+ */
+
+const ACTIVE_STATUSES = ["creator", "administrator", "member"];
+
+/**
+ * Whether a Telegram ChatMember object represents someone inside the chat
+ */
+export function isMemberStatus(chatMember) {
+  if (!chatMember) return false;
+  if (chatMember.status === "restricted") return !!chatMember.is_member;
+  return ACTIVE_STATUSES.includes(chatMember.status);
+}
+
+function memberKey(chatId, userId) {
+  return `MEMBER:${chatId}:${userId}`;
+}
+
+/**
+ * Get a member's ledger record (null if never seen)
+ */
+export async function getMemberRecord(env, chatId, userId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(memberKey(chatId, userId), "json");
+}
+
+async function putMemberRecord(env, chatId, userId, record) {
+  await env.TELEGRAM_BOT_KV.put(memberKey(chatId, userId), JSON.stringify(record));
+}
+
+/**
+ * Record a member joining the chat
+ *
+ * Telegram can report the same join twice (a `new_chat_members` service message
+ * and a `chat_member` update), so a join for someone already marked as a member
+ * is reported as a duplicate and not counted.
+ *
+ * @returns {Promise<{record: Object, firstJoin: boolean, duplicate: boolean}>}
+ */
+export async function recordJoin(env, chatId, userId, timestamp) {
+  const existing = await getMemberRecord(env, chatId, userId);
+  if (existing && existing.status === "member") {
+    return { record: existing, firstJoin: false, duplicate: true };
+  }
+
+  const joinedAt = new Date(timestamp).toISOString();
+  const record = {
+    status: "member",
+    firstJoinedAt: existing ? existing.firstJoinedAt : joinedAt,
+    lastJoinedAt: joinedAt,
+    lastLeftAt: existing ? existing.lastLeftAt : null,
+    joinCount: (existing ? existing.joinCount : 0) + 1,
+    rewarded: existing ? existing.rewarded : false,
+    pendingRewardAt: null
+  };
+
+  await putMemberRecord(env, chatId, userId, record);
+  return { record, firstJoin: !existing, duplicate: false };
+}
+
+/**
+ * Record a member leaving (or being removed from) the chat
+ * Cancels any join reward still on hold.
+ *
+ * @returns {Promise<{record: Object, duplicate: boolean}>}
+ */
+export async function recordLeave(env, chatId, userId, timestamp) {
+  const existing = await getMemberRecord(env, chatId, userId);
+  if (existing && existing.status === "left") {
+    return { record: existing, duplicate: true };
+  }
+
+  // Members who joined before the ledger existed get a record on their first
+  // leave, so rejoining afterwards is not mistaken for a first join.
+  const record = {
+    firstJoinedAt: null,
+    lastJoinedAt: null,
+    joinCount: 0,
+    rewarded: false,
+    ...existing,
+    status: "left",
+    lastLeftAt: new Date(timestamp).toISOString(),
+    pendingRewardAt: null
+  };
+
+  await putMemberRecord(env, chatId, userId, record);
+  return { record, duplicate: false };
+}
+
+/**
+ * Hold a member's join reward until the given time
+ */
+export async function setPendingReward(env, chatId, userId, releaseAt) {
+  const record = await getMemberRecord(env, chatId, userId);
+  if (!record) return null;
+
+  record.pendingRewardAt = new Date(releaseAt).toISOString();
+  await putMemberRecord(env, chatId, userId, record);
+  return record;
+}
+
+/**
+ * Release a member's join reward hold without rewarding them
+ * (e.g. because the reward has been handed to the retry queue)
+ */
+export async function clearPendingReward(env, chatId, userId) {
+  const record = await getMemberRecord(env, chatId, userId);
+  if (!record || !record.pendingRewardAt) return record;
+
+  record.pendingRewardAt = null;
+  await putMemberRecord(env, chatId, userId, record);
+  return record;
+}
+
+/**
+ * Mark a member's join reward as granted (clears any hold)
+ */
+export async function markRewarded(env, chatId, userId) {
+  const record = await getMemberRecord(env, chatId, userId);
+  if (!record) return null;
+
+  record.rewarded = true;
+  record.pendingRewardAt = null;
+  await putMemberRecord(env, chatId, userId, record);
+  return record;
+}
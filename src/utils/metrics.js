@@ -0,0 +1,175 @@
+/**
+ * Reward Metrics
+ *
+ * Every reward attempt is counted by chat and event, stored in TELEGRAM_BOT_KV
+ * under `METRICS:<chatId>:<eventId>` (chat "none" for Mini App rewards without one):
+ * {
+ *   attempts: { "<outcome>|<transport>": count },
+ *   latency: { count, sumMs, buckets: { [upperBoundMs]: count } },
+ *   ltz, since, lastAt
+ * }
+ *
+ * Counters are read-modify-write, so bursts of rewards for the same chat and
+ * event can lose a few increments. If the REWARD_ANALYTICS Analytics Engine
+ * dataset is bound, every attempt is also written there as a data point for
+ * exact, queryable history.
+ */
+
+import { FAILURE_REASONS } from './loyalteez.js';
+
+export const OUTCOMES = ["success", ...FAILURE_REASONS];
+
+// Latency histogram upper bounds (ms); the last bucket is everything slower
+export const LATENCY_BUCKETS_MS = [100, 250, 500, 1000, 2500, 5000, 10000, 15000];
+
+function metricsKey(chatId, eventId) {
+  return `METRICS:${chatId ?? "none"}:${eventId}`;
+}
+
+/**
+ * Record a reward attempt
+ * Never throws - a metrics failure must not fail the reward.
+ *
+ * @param {Object} attempt - { chatId, eventId, brandId, outcome, transport, latencyMs, ltz }
+ */
+export async function recordRewardAttempt(env, attempt) {
+  const { chatId, eventId, brandId, outcome, transport, latencyMs, ltz = 0 } = attempt;
+
+  try {
+    env.REWARD_ANALYTICS?.writeDataPoint({
+      indexes: [String(chatId ?? "none")],
+      blobs: [String(eventId), outcome, transport, brandId || ""],
+      doubles: [latencyMs, ltz]
+    });
+  } catch (e) {
+    console.error("Analytics Engine write failed:", e);
+  }
+
+  if (!env.TELEGRAM_BOT_KV) return;
+
+  try {
+    const key = metricsKey(chatId, eventId);
+    const now = new Date().toISOString();
+    const metrics = await env.TELEGRAM_BOT_KV.get(key, "json") || {
+      attempts: {},
+      latency: { count: 0, sumMs: 0, buckets: {} },
+      ltz: 0,
+      since: now
+    };
+
+    const label = `${outcome}|${transport}`;
+    metrics.attempts[label] = (metrics.attempts[label] || 0) + 1;
+
+    const bucket = LATENCY_BUCKETS_MS.find(bound => latencyMs <= bound) ?? "inf";
+    metrics.latency.count += 1;
+    metrics.latency.sumMs += latencyMs;
+    metrics.latency.buckets[bucket] = (metrics.latency.buckets[bucket] || 0) + 1;
+
+    metrics.ltz += ltz;
+    metrics.lastAt = now;
+
+    await env.TELEGRAM_BOT_KV.put(key, JSON.stringify(metrics));
+  } catch (e) {
+    console.error(`Failed to record reward metrics for ${chatId}/${eventId}:`, e);
+  }
+}
+
+/**
+ * List stored metrics, optionally for one chat
+ *
+ * @returns {Promise<Array<{chatId: string, eventId: string} & Object>>}
+ */
+export async function listMetrics(env, chatId = null) {
+  if (!env.TELEGRAM_BOT_KV) return [];
+
+  const prefix = chatId === null ? "METRICS:" : `METRICS:${chatId}:`;
+  const entries = [];
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix, cursor });
+    for (const key of page.keys) {
+      const metrics = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (!metrics) continue;
+      // Event IDs may contain ":", chat IDs never do
+      const [, chat, ...event] = key.name.split(":");
+      entries.push({ chatId: chat, eventId: event.join(":"), ...metrics });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return entries;
+}
+
+/**
+ * Add up a set of metrics entries (e.g. every event in a chat)
+ *
+ * @returns {{ outcomes: Object, transports: Object, count: number, averageMs: number, ltz: number, since: string|null }}
+ */
+export function summarizeMetrics(entries) {
+  const summary = { outcomes: {}, transports: {}, count: 0, averageMs: 0, ltz: 0, since: null };
+  let sumMs = 0;
+
+  for (const entry of entries) {
+    for (const [label, count] of Object.entries(entry.attempts)) {
+      const [outcome, transport] = label.split("|");
+      summary.outcomes[outcome] = (summary.outcomes[outcome] || 0) + count;
+      summary.transports[transport] = (summary.transports[transport] || 0) + count;
+    }
+    summary.count += entry.latency.count;
+    sumMs += entry.latency.sumMs;
+    summary.ltz += entry.ltz;
+    if (!summary.since || entry.since < summary.since) summary.since = entry.since;
+  }
+
+  summary.averageMs = summary.count ? Math.round(sumMs / summary.count) : 0;
+  return summary;
+}
+
+function labelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labels(pairs) {
+  return `{${Object.entries(pairs).map(([name, value]) => `${name}="${labelValue(value)}"`).join(",")}}`;
+}
+
+/**
+ * Render metrics entries in the Prometheus text exposition format
+ */
+export function formatPrometheus(entries) {
+  const attempts = [
+    "# HELP loyalty_reward_attempts_total Reward attempts by outcome and transport.",
+    "# TYPE loyalty_reward_attempts_total counter"
+  ];
+  const latency = [
+    "# HELP loyalty_reward_latency_seconds Time taken by reward attempts.",
+    "# TYPE loyalty_reward_latency_seconds histogram"
+  ];
+  const ltz = [
+    "# HELP loyalty_reward_ltz_total LTZ distributed by successful rewards.",
+    "# TYPE loyalty_reward_ltz_total counter"
+  ];
+
+  for (const entry of entries) {
+    const base = { chat_id: entry.chatId, event: entry.eventId };
+
+    for (const [label, count] of Object.entries(entry.attempts)) {
+      const [outcome, transport] = label.split("|");
+      attempts.push(`loyalty_reward_attempts_total${labels({ ...base, outcome, transport })} ${count}`);
+    }
+
+    // Prometheus buckets are cumulative
+    let cumulative = 0;
+    for (const bound of LATENCY_BUCKETS_MS) {
+      cumulative += entry.latency.buckets[bound] || 0;
+      latency.push(`loyalty_reward_latency_seconds_bucket${labels({ ...base, le: bound / 1000 })} ${cumulative}`);
+    }
+    latency.push(`loyalty_reward_latency_seconds_bucket${labels({ ...base, le: "+Inf" })} ${entry.latency.count}`);
+    latency.push(`loyalty_reward_latency_seconds_sum${labels(base)} ${entry.latency.sumMs / 1000}`);
+    latency.push(`loyalty_reward_latency_seconds_count${labels(base)} ${entry.latency.count}`);
+
+    ltz.push(`loyalty_reward_ltz_total${labels(base)} ${entry.ltz}`);
+  }
+
+  return [...attempts, ...latency, ...ltz].join("\n") + "\n";
+}
@@ -0,0 +1,131 @@
+/**
+ * Quizzes
+ *
+ * Quiz polls posted with /quiz, stored in TELEGRAM_BOT_KV:
+ * - `QUIZ:<pollId>` - which chat and event a poll belongs to
+ *   { chatId, messageId, topicId, eventId, question, options, correct, closesAt, closed }
+ *   (`correct` is the 0-based option index, `topicId` the forum topic it was posted in)
+ * - `QUIZ_ANSWER:<pollId>:<userId>` - a member's answer { correct, rewarded }
+ *   Written before the reward is sent, so nobody is rewarded twice for one poll.
+ *
+ * Both expire a week after the quiz closes.
+ */
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 10;
+export const MAX_QUESTION_LENGTH = 300;
+export const MAX_OPTION_LENGTH = 100;
+
+export const DEFAULT_CLOSE_MS = 10 * 60 * 1000;
+// Telegram closes polls itself up to this long after posting (open_period)...
+export const MAX_OPEN_PERIOD_MS = 10 * 60 * 1000;
+// ...longer quizzes are stopped by a delayed REWARD_QUEUE job (max queue delay)
+export const MAX_CLOSE_MS = 12 * 60 * 60 * 1000;
+
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+function quizKey(pollId) {
+  return `QUIZ:${pollId}`;
+}
+
+function answerKey(pollId, userId) {
+  return `QUIZ_ANSWER:${pollId}:${userId}`;
+}
+
+function expirationFor(quiz) {
+  return { expiration: Math.floor(Date.parse(quiz.closesAt) / 1000) + RETENTION_SECONDS };
+}
+
+/**
+ * Get a quiz by poll ID (null for polls the bot didn't post with /quiz)
+ */
+export async function getQuiz(env, pollId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(quizKey(pollId), "json");
+}
+
+/**
+ * Save a quiz record
+ */
+export async function saveQuiz(env, pollId, quiz) {
+  await env.TELEGRAM_BOT_KV.put(quizKey(pollId), JSON.stringify(quiz), expirationFor(quiz));
+}
+
+/**
+ * Mark a quiz closed
+ *
+ * @returns {Promise<Object|null>} - The quiz, or null if it was already closed
+ *   (so only one caller posts the summary)
+ */
+export async function claimQuizClose(env, pollId) {
+  const quiz = await getQuiz(env, pollId);
+  if (!quiz || quiz.closed) return null;
+
+  quiz.closed = true;
+  await saveQuiz(env, pollId, quiz);
+  return quiz;
+}
+
+/**
+ * Record a member's answer, once per poll
+ *
+ * @returns {Promise<boolean>} - false if they had already answered
+ */
+export async function claimQuizAnswer(env, pollId, quiz, userId, correct) {
+  const key = answerKey(pollId, userId);
+  if (await env.TELEGRAM_BOT_KV.get(key)) return false;
+
+  await env.TELEGRAM_BOT_KV.put(key, JSON.stringify({ correct, rewarded: false }), expirationFor(quiz));
+  return true;
+}
+
+/**
+ * Mark a correct answer as rewarded
+ */
+export async function markQuizRewarded(env, pollId, quiz, userId) {
+  await env.TELEGRAM_BOT_KV.put(answerKey(pollId, userId), JSON.stringify({ correct: true, rewarded: true }), expirationFor(quiz));
+}
+
+/**
+ * Count a quiz's answers
+ *
+ * @returns {Promise<{answered: number, correct: number, rewarded: number}>}
+ */
+export async function countQuizAnswers(env, pollId) {
+  const tally = { answered: 0, correct: 0, rewarded: 0 };
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix: `QUIZ_ANSWER:${pollId}:`, cursor });
+    for (const key of page.keys) {
+      const answer = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (!answer) continue;
+      tally.answered += 1;
+      if (answer.correct) tally.correct += 1;
+      if (answer.rewarded) tally.rewarded += 1;
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return tally;
+}
+
+/**
+ * Schedule the stop of a quiz that outlasts Telegram's open_period
+ *
+ * @returns {Promise<boolean>} - Whether the job was queued
+ */
+export async function queueQuizClose(env, chat, pollId, delaySeconds) {
+  if (!env.REWARD_QUEUE) return false;
+
+  try {
+    await env.REWARD_QUEUE.send({
+      kind: "quiz_close",
+      chat: { id: chat.id, title: chat.title || null, type: chat.type },
+      pollId
+    }, { delaySeconds });
+    return true;
+  } catch (error) {
+    console.error("Failed to queue quiz close:", error);
+    return false;
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Reaction Rewards
+ *
+ * Admins reward a member's message by reacting to it with a configured emoji.
+ * Telegram's message_reaction updates don't say who wrote the message, so the
+ * bot keeps its own index. Stored in TELEGRAM_BOT_KV:
+ * - `REACTION_REWARD:<chatId>` - { eventId, emoji: [..] }
+ * - `MESSAGE_AUTHOR:<chatId>:<messageId>` - who sent a message (kept 7 days,
+ *   only for chats with reaction rewards on)
+ * - `REACTION_PENDING:<chatId>:<messageId>` - a reaction waiting out the cancel
+ *   window { adminId, emoji, reactedAt, chat }
+ * - `REACTION_REWARDED:<chatId>:<messageId>` - a message that has been rewarded
+ */
+
+export const DEFAULT_REACTION_EMOJI = ["👍"];
+
+// Admins can take a reaction back within this window and nobody is rewarded
+export const REACTION_DELAY_SECONDS = 60;
+
+const AUTHOR_TTL = 7 * 24 * 60 * 60;
+// Long enough for the cron trigger to pay out a reaction without REWARD_QUEUE
+const PENDING_TTL = 24 * 60 * 60;
+// Outlives the author index, so a message can never be rewarded twice
+const REWARDED_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Get a chat's reaction reward settings (null if off)
+ */
+export async function getReactionSettings(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(`REACTION_REWARD:${chatId}`, "json");
+}
+
+/**
+ * Save a chat's reaction reward settings (null turns them off)
+ */
+export async function saveReactionSettings(env, chatId, settings) {
+  if (!settings) {
+    await env.TELEGRAM_BOT_KV.delete(`REACTION_REWARD:${chatId}`);
+    return;
+  }
+  await env.TELEGRAM_BOT_KV.put(`REACTION_REWARD:${chatId}`, JSON.stringify(settings));
+}
+
+/**
+ * Emoji (or custom emoji IDs) in a list of Telegram ReactionType objects
+ */
+export function reactionEmoji(reactions = []) {
+  return reactions
+    .map(reaction => reaction.type === "emoji" ? reaction.emoji : reaction.type === "custom_emoji" ? reaction.custom_emoji_id : null)
+    .filter(Boolean);
+}
+
+/**
+ * Remember who sent a message
+ */
+export async function recordMessageAuthor(env, chatId, messageId, user) {
+  await env.TELEGRAM_BOT_KV.put(`MESSAGE_AUTHOR:${chatId}:${messageId}`, JSON.stringify({
+    id: user.id,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    username: user.username,
+    language_code: user.language_code
+  }), { expirationTtl: AUTHOR_TTL });
+}
+
+/**
+ * Who sent a message (null if it's older than the index or wasn't seen)
+ */
+export async function getMessageAuthor(env, chatId, messageId) {
+  return await env.TELEGRAM_BOT_KV.get(`MESSAGE_AUTHOR:${chatId}:${messageId}`, "json");
+}
+
+function pendingKey(chatId, messageId) {
+  return `REACTION_PENDING:${chatId}:${messageId}`;
+}
+
+function rewardedKey(chatId, messageId) {
+  return `REACTION_REWARDED:${chatId}:${messageId}`;
+}
+
+/**
+ * Get the reaction waiting to reward a message
+ */
+export async function getPendingReaction(env, chatId, messageId) {
+  return await env.TELEGRAM_BOT_KV.get(pendingKey(chatId, messageId), "json");
+}
+
+/**
+ * Start the cancel window for a reaction
+ */
+export async function savePendingReaction(env, chatId, messageId, pending) {
+  await env.TELEGRAM_BOT_KV.put(pendingKey(chatId, messageId), JSON.stringify(pending), {
+    expirationTtl: PENDING_TTL
+  });
+}
+
+/**
+ * Pending reactions whose cancel window has passed, in every chat
+ *
+ * @returns {Promise<Array<{chat: Object, messageId: number}>>}
+ */
+export async function listDueReactions(env, now = Date.now()) {
+  const due = [];
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix: "REACTION_PENDING:", cursor });
+    for (const key of page.keys) {
+      const pending = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (!pending || Date.parse(pending.reactedAt) + REACTION_DELAY_SECONDS * 1000 > now) continue;
+
+      const [, chatId, messageId] = key.name.split(":");
+      due.push({ chat: pending.chat || { id: Number(chatId) }, messageId: Number(messageId) });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return due;
+}
+
+/**
+ * Drop a pending reaction (taken back, or processed)
+ */
+export async function deletePendingReaction(env, chatId, messageId) {
+  await env.TELEGRAM_BOT_KV.delete(pendingKey(chatId, messageId));
+}
+
+/**
+ * Whether a message has already been rewarded
+ */
+export async function isMessageRewarded(env, chatId, messageId) {
+  return !!(await env.TELEGRAM_BOT_KV.get(rewardedKey(chatId, messageId)));
+}
+
+/**
+ * Claim a message's reward, before calling Loyalteez
+ *
+ * @returns {Promise<boolean>} - false if the message was already rewarded
+ */
+export async function claimMessageReward(env, chatId, messageId) {
+  if (await isMessageRewarded(env, chatId, messageId)) return false;
+  await env.TELEGRAM_BOT_KV.put(rewardedKey(chatId, messageId), new Date().toISOString(), {
+    expirationTtl: REWARDED_TTL
+  });
+  return true;
+}
+
+/**
+ * Release a claim whose reward failed, so a later reaction can try again
+ */
+export async function releaseMessageReward(env, chatId, messageId) {
+  await env.TELEGRAM_BOT_KV.delete(rewardedKey(chatId, messageId));
+}
+
+/**
+ * Schedule a pending reaction to be processed after the cancel window
+ * Without the queue, the cron trigger pays out due reactions instead.
+ *
+ * @returns {Promise<boolean>} - Whether it was queued (false if no queue is bound)
+ */
+export async function queueReactionReward(env, chat, messageId) {
+  if (!env.REWARD_QUEUE) return false;
+
+  try {
+    await env.REWARD_QUEUE.send({
+      kind: "reaction_reward",
+      chat: { id: chat.id, title: chat.title || null, type: chat.type },
+      messageId
+    }, { delaySeconds: REACTION_DELAY_SECONDS });
+    return true;
+  } catch (error) {
+    console.error("Failed to queue reaction reward:", error);
+    return false;
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Referral Tracking
+ *
+ * Records who invited whom into each chat, stored in TELEGRAM_BOT_KV:
+ * - `REFERRER:<chatId>:<userId>` - an inviter's link and stats
+ *   { firstName, username, inviteLink, invited, rewarded }
+ * - `REFERRAL:<chatId>:<inviteeId>` - who invited a member (one per member, ever)
+ *   { inviterId, joinedAt, status: "pending" | "credited" | "failed", error, failedAt }
+ * - `PENDING_REFERRAL:<chatId>:<inviteeId>` - inviter from a /start deep link,
+ *   waiting for the invitee to join the group (expires after a week)
+ *
+ * Inviters are identified either by the name of the invite link the member
+ * joined through (`ref_<userId>`, created by the bot) or by a deep link payload
+ * (`ref_<chatId>_<userId>`) when the bot can't create invite links.
+ */
+
+const PENDING_REFERRAL_TTL = 7 * 24 * 60 * 60; // seconds
+
+/**
+ * Name given to a member's personal invite link
+ */
+export function referralLinkName(userId) {
+  return `ref_${userId}`;
+}
+
+/**
+ * Get the inviter ID from an invite link's name (null if not a referral link)
+ */
+export function parseReferralLinkName(name) {
+  const match = /^ref_(\d+)$/.exec(name || "");
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Build a /start deep link payload for a member's referral
+ */
+export function buildReferralPayload(chatId, inviterId) {
+  return `ref_${chatId}_${inviterId}`;
+}
+
+/**
+ * Parse a /start deep link payload (null if not a referral payload)
+ */
+export function parseReferralPayload(payload) {
+  const match = /^ref_(-?\d+)_(\d+)$/.exec(payload || "");
+  if (!match) return null;
+  return { chatId: parseInt(match[1], 10), inviterId: parseInt(match[2], 10) };
+}
+
+/**
+ * Get an inviter's link and stats for a chat
+ */
+export async function getReferrer(env, chatId, userId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(`REFERRER:${chatId}:${userId}`, "json");
+}
+
+/**
+ * Create or update an inviter's record
+ */
+export async function saveReferrer(env, chatId, user, updates = {}) {
+  const existing = await getReferrer(env, chatId, user.id);
+  const record = {
+    inviteLink: null,
+    invited: 0,
+    rewarded: 0,
+    ...existing,
+    firstName: user.first_name,
+    username: user.username || null,
+    ...updates
+  };
+  await env.TELEGRAM_BOT_KV.put(`REFERRER:${chatId}:${user.id}`, JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Remember a deep link inviter until the invitee joins the chat
+ */
+export async function setPendingReferral(env, chatId, inviteeId, inviterId) {
+  await env.TELEGRAM_BOT_KV.put(
+    `PENDING_REFERRAL:${chatId}:${inviteeId}`,
+    String(inviterId),
+    { expirationTtl: PENDING_REFERRAL_TTL }
+  );
+}
+
+/**
+ * Get and clear a deep link inviter for a member who just joined
+ */
+export async function takePendingReferral(env, chatId, inviteeId) {
+  const key = `PENDING_REFERRAL:${chatId}:${inviteeId}`;
+  const value = await env.TELEGRAM_BOT_KV.get(key);
+  if (value === null) return null;
+
+  await env.TELEGRAM_BOT_KV.delete(key);
+  return parseInt(value, 10);
+}
+
+/**
+ * Get the referral record for a member
+ */
+export async function getReferral(env, chatId, inviteeId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(`REFERRAL:${chatId}:${inviteeId}`, "json");
+}
+
+/**
+ * Attribute a member's join to an inviter
+ * Self-referrals and members who were already referred once are rejected.
+ *
+ * @returns {Promise<Object|null>} - The referral record, or null if rejected
+ */
+export async function recordReferral(env, chatId, inviteeId, inviterId, timestamp) {
+  if (!inviterId || inviterId === inviteeId) return null;
+  if (await getReferral(env, chatId, inviteeId)) return null;
+
+  const referral = {
+    inviterId,
+    joinedAt: new Date(timestamp).toISOString(),
+    status: "pending"
+  };
+  await env.TELEGRAM_BOT_KV.put(`REFERRAL:${chatId}:${inviteeId}`, JSON.stringify(referral));
+
+  const referrer = await getReferrer(env, chatId, inviterId);
+  if (referrer) {
+    referrer.invited += 1;
+    await env.TELEGRAM_BOT_KV.put(`REFERRER:${chatId}:${inviterId}`, JSON.stringify(referrer));
+  }
+  return referral;
+}
+
+/**
+ * Mark a referral whose reward couldn't be delivered as failed
+ */
+export async function failReferral(env, chatId, inviteeId, error) {
+  const referral = await getReferral(env, chatId, inviteeId);
+  if (!referral || referral.status !== "pending") return null;
+
+  referral.status = "failed";
+  referral.error = error || null;
+  referral.failedAt = new Date().toISOString();
+  await env.TELEGRAM_BOT_KV.put(`REFERRAL:${chatId}:${inviteeId}`, JSON.stringify(referral));
+  return referral;
+}
+
+/**
+ * Mark a referral as credited (inviter rewarded)
+ */
+export async function completeReferral(env, chatId, inviteeId) {
+  const referral = await getReferral(env, chatId, inviteeId);
+  if (!referral) return null;
+
+  referral.status = "credited";
+  await env.TELEGRAM_BOT_KV.put(`REFERRAL:${chatId}:${inviteeId}`, JSON.stringify(referral));
+
+  const referrer = await getReferrer(env, chatId, referral.inviterId);
+  if (referrer) {
+    referrer.rewarded += 1;
+    await env.TELEGRAM_BOT_KV.put(`REFERRER:${chatId}:${referral.inviterId}`, JSON.stringify(referrer));
+  }
+  return referral;
+}
@@ -0,0 +1,126 @@
+/**
+ * Reward Retry Queue
+ *
+ * Rewards that fail with a temporary error (timeouts, 522s, 5xx) are sent to
+ * the REWARD_QUEUE Cloudflare Queue and retried by this worker's `queue`
+ * handler with exponential backoff. Every retry reuses the idempotency key of
+ * the original attempt, so an attempt that timed out but actually succeeded is
+ * never rewarded twice.
+ *
+ * Jobs that run out of attempts are kept in TELEGRAM_BOT_KV under
+ * `DEAD_LETTER:<chatId>:<idempotencyKey>` (for 30 days) for admins to inspect.
+ *
+ * Job shape:
+ * {
+ *   kind: "join" | "checkin" | "reaction" | "quiz" | "referral",
+ *   eventId: string,
+ *   chat: { id, title, type },
+ *   user: { id, first_name, last_name, username, language_code },
+ *   timestamp: number,          // when the member joined / checked in (ms)
+ *   topicId: number|null,       // forum topic to announce the reward in
+ *   pollId: string|null,        // the quiz a "quiz" reward is for
+ *   invitee: { id, first_name, language_code }|null,  // the new member a "referral" reward is for
+ *   idempotencyKey: string,
+ *   error: string,              // last error seen
+ *   reason: string              // its failure reason (see FAILURE_REASONS in utils/loyalteez.js)
+ * }
+ */
+
+export const MAX_ATTEMPTS = 6;
+
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 60 * 60;
+const DEAD_LETTER_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Queue a failed reward for retry
+ *
+ * @returns {Promise<boolean>} - Whether the job was queued (false if no queue is bound)
+ */
+export async function queueRewardRetry(env, job) {
+  if (!env.REWARD_QUEUE) return false;
+
+  try {
+    await env.REWARD_QUEUE.send({
+      kind: job.kind,
+      eventId: job.eventId,
+      chat: { id: job.chat.id, title: job.chat.title || null, type: job.chat.type },
+      user: {
+        id: job.user.id,
+        first_name: job.user.first_name,
+        last_name: job.user.last_name,
+        username: job.user.username,
+        language_code: job.user.language_code
+      },
+      timestamp: job.timestamp,
+      topicId: job.topicId ?? null,
+      pollId: job.pollId ?? null,
+      invitee: job.invitee
+        ? { id: job.invitee.id, first_name: job.invitee.first_name, language_code: job.invitee.language_code }
+        : null,
+      idempotencyKey: job.idempotencyKey,
+      error: job.error || null,
+      reason: job.reason || null
+    }, { delaySeconds: BASE_DELAY_SECONDS });
+
+    console.log(`Queued ${job.kind} reward retry for ${job.user.id} (${job.idempotencyKey})`);
+    return true;
+  } catch (error) {
+    console.error("Failed to queue reward retry:", error);
+    return false;
+  }
+}
+
+/**
+ * Backoff before the next attempt: 30s, 60s, 2m, 4m... capped at an hour
+ */
+export function retryDelaySeconds(attempts) {
+  return Math.min(BASE_DELAY_SECONDS * 2 ** attempts, MAX_DELAY_SECONDS);
+}
+
+/**
+ * Store a job that ran out of attempts
+ */
+export async function recordDeadLetter(env, job, attempts) {
+  if (!env.TELEGRAM_BOT_KV) return;
+
+  const entry = { ...job, attempts, failedAt: new Date().toISOString() };
+  await env.TELEGRAM_BOT_KV.put(
+    `DEAD_LETTER:${job.chat.id}:${job.idempotencyKey}`,
+    JSON.stringify(entry),
+    { expirationTtl: DEAD_LETTER_TTL }
+  );
+}
+
+/**
+ * List a chat's dead-lettered rewards (newest first)
+ */
+export async function listDeadLetters(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return [];
+
+  const entries = [];
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix: `DEAD_LETTER:${chatId}:`, cursor });
+    for (const key of page.keys) {
+      const entry = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (entry) entries.push(entry);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return entries.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+}
+
+/**
+ * Delete all of a chat's dead-lettered rewards
+ *
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+export async function clearDeadLetters(env, chatId) {
+  const entries = await listDeadLetters(env, chatId);
+  for (const entry of entries) {
+    await env.TELEGRAM_BOT_KV.delete(`DEAD_LETTER:${chatId}:${entry.idempotencyKey}`);
+  }
+  return entries.length;
+}
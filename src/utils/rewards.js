@@ -0,0 +1,102 @@
+/**
+ * Reward helpers
+ *
+ * Bridges Telegram users and chats to the Loyalteez event API:
+ * distributing rewards (friendly event names are resolved in utils/events.js).
+ */
+
+import { createLoyalteezClient } from './loyalteez.js';
+import { getBotUsername } from './telegram.js';
+import { isSandbox } from './sandbox.js';
+import { clearWalletCache } from './wallet.js';
+import { getChatBrand } from './brands.js';
+import { recordRewardAttempt } from './metrics.js';
+import { resolveIdentity } from './accounts.js';
+
+/**
+ * Call Loyalteez API to distribute reward
+ * Uses Service Bindings if available (faster, no 522 errors)
+ *
+ * Failed results carry a `reason` (see FAILURE_REASONS in utils/loyalteez.js),
+ * the HTTP status and any next-eligible or retry-after time the API gave.
+ * Every attempt carries an idempotency key (generated unless one is passed in),
+ * returned as `result.idempotencyKey` so a retry can reuse it.
+ * The reward goes to the chat's brand (see utils/brands.js), and to the member's
+ * linked email or wallet if they have one (see utils/accounts.js).
+ * Each attempt's outcome, transport and latency is recorded (see utils/metrics.js).
+ */
+export async function triggerReward(env, eventType, user, chatId, options = {}) {
+  const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+
+  const brandId = await getChatBrand(env, chatId);
+  if (!brandId) {
+    console.error("BRAND_ID not configured");
+    return { success: false, reason: "rejected", status: null, error: "Bot configuration error", idempotencyKey };
+  }
+
+  const started = Date.now();
+  const loyalteez = createLoyalteezClient(env, brandId);
+  const result = await sendReward(env, loyalteez, eventType, user, chatId, brandId, idempotencyKey);
+
+  await recordRewardAttempt(env, {
+    chatId,
+    eventId: eventType,
+    brandId,
+    outcome: rewardOutcome(result),
+    transport: isSandbox(env) ? "sandbox" : loyalteez.lastTransport || "none",
+    latencyMs: Date.now() - started,
+    ltz: result.success ? Number(result.ltzDistributed || result.rewardAmount) || 0 : 0
+  });
+  return result;
+}
+
+/**
+ * Send the reward event, turning anything unexpected into a failed result
+ */
+async function sendReward(env, loyalteez, eventType, user, chatId, brandId, idempotencyKey) {
+  const userEmail = await resolveIdentity(env, user);
+
+  // Get bot username for authentication
+  const botUsername = await getBotUsername(env);
+
+  try {
+    const result = await loyalteez.sendEvent(eventType, userEmail, {
+      username: user.username,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      chat_id: chatId,
+      bot_username: botUsername  // Include bot username for authentication
+    }, { idempotencyKey });
+
+    if (result.success) {
+      // The member's balance and history just changed
+      await clearWalletCache(env, user, brandId);
+    }
+    return { ...result, idempotencyKey };
+  } catch (error) {
+    console.error("Reward Error:", error);
+    return { 
+      success: false, 
+      reason: "transport",
+      status: null,
+      error: error.message || "Failed to process reward",
+      idempotencyKey
+    };
+  }
+}
+
+const RETRYABLE_REASONS = ["transport", "rate_limited"];
+
+/**
+ * Whether a failed reward is worth retrying (timeouts, 5xx, rate limits)
+ */
+export function isRetryable(result) {
+  return RETRYABLE_REASONS.includes(result.reason);
+}
+
+/**
+ * A reward result's metrics outcome: "success" or its failure reason
+ */
+export function rewardOutcome(result) {
+  return result.success ? "success" : result.reason || "transport";
+}
@@ -0,0 +1,252 @@
+/**
+ * Sandbox Loyalteez API
+ *
+ * With `REWARD_MODE = "dry_run"` (or "sandbox") the LoyalteezClient talks to
+ * this local stand-in instead of the real API, so a whole community setup can be
+ * tried out on a dev server without touching the platform or minting tokens.
+ *
+ * It answers the same endpoints with the same response shapes:
+ * - POST /loyalteez-api/pregenerate-user - a deterministic fake wallet
+ * - POST /loyalteez-api/manual-event - applies the reward and cooldown rules below
+ * - GET  /loyalteez-api/event-config - the configured events (for friendly names)
+ * - GET  /loyalteez-api/user-balance, /user-events - balances and history of sandbox rewards
+ *
+ * Rules come from SANDBOX_EVENTS, a JSON map of event ID → rule, where "*"
+ * applies to any event not listed. Without a "*" entry, unlisted events are
+ * rejected as not found (unless SANDBOX_EVENTS is unset, which accepts everything).
+ *
+ * Rule shape:
+ * {
+ *   reward: number,          // LTZ per event (default 10)
+ *   cooldownHours: number,   // per user (default 24, 0 for none)
+ *   active: boolean,         // false answers "Event is inactive"
+ *   name: string,            // friendly name (resolves like eventNameMapping)
+ *   error: string,           // always fail with this error...
+ *   status: number           // ...and HTTP status (default 500) - e.g. 503 to exercise retries
+ * }
+ *
+ * State lives in TELEGRAM_BOT_KV under `SANDBOX:` keys (in memory if KV isn't bound):
+ * - `SANDBOX:EVENT:<idempotencyKey>` - responses, replayed for repeated idempotency keys
+ * - `SANDBOX:COOLDOWN:<eventId>:<email>` - last reward time, expires with the cooldown
+ * - `SANDBOX:USER:<email>` - fake wallet, balance and recent history
+ */
+
+import { isAddress } from './ethereum.js';
+
+const DEFAULT_RULE = { reward: 10, cooldownHours: 24, active: true };
+const EVENT_TTL = 24 * 60 * 60;
+const HISTORY_LIMIT = 50;
+
+// Used when TELEGRAM_BOT_KV isn't bound (lasts as long as the isolate)
+const memoryStore = new Map();
+
+/**
+ * Whether rewards should go to the sandbox instead of Loyalteez
+ */
+export function isSandbox(env) {
+  return ["dry_run", "sandbox"].includes(env.REWARD_MODE);
+}
+
+/**
+ * Build a fetch-compatible function that serves the Loyalteez API locally
+ */
+export function createSandboxFetch(env) {
+  return async (input, init = {}) => {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+
+    try {
+      if (request.method === "POST" && url.pathname.endsWith("/pregenerate-user")) {
+        const body = await request.json();
+        return json({ success: true, wallet_address: await fakeWallet(body.email), sandbox: true });
+      }
+
+      if (request.method === "POST" && url.pathname.endsWith("/manual-event")) {
+        const body = await request.json();
+        const idempotencyKey = request.headers.get("Idempotency-Key") || body.metadata?.idempotency_key;
+        return await handleEvent(env, body, idempotencyKey);
+      }
+
+      if (request.method === "GET" && url.pathname.endsWith("/user-balance")) {
+        const email = url.searchParams.get("email");
+        const user = await store(env).get(`SANDBOX:USER:${email}`);
+        return json({ wallet_address: await fakeWallet(email), balance: user ? user.balance : 0, sandbox: true });
+      }
+
+      if (request.method === "GET" && url.pathname.endsWith("/user-events")) {
+        const user = await store(env).get(`SANDBOX:USER:${url.searchParams.get("email")}`);
+        const limit = parseInt(url.searchParams.get("limit"), 10) || 10;
+        return json({ events: user ? user.history.slice(0, limit) : [], sandbox: true });
+      }
+
+      if (request.method === "GET" && url.pathname.endsWith("/event-config")) {
+        // Without SANDBOX_EVENTS every event is accepted, so there's no list to check against
+        if (!sandboxRules(env)) return json({ error: "SANDBOX_EVENTS is not set" }, 404);
+        return json({ events: listEvents(env, url.searchParams.get("brandId")) });
+      }
+
+      return json({ error: `Sandbox has no endpoint ${request.method} ${url.pathname}` }, 404);
+    } catch (error) {
+      console.error("Sandbox request failed:", error);
+      return json({ error: error.message }, 500);
+    }
+  };
+}
+
+async function handleEvent(env, body, idempotencyKey) {
+  const { brandId, eventType, userEmail } = body;
+  if (!brandId || !eventType || !userEmail) {
+    return json({ error: "Missing required fields: brandId, eventType, userEmail" }, 400);
+  }
+
+  // A retried request gets the original answer (and is never rewarded twice)
+  if (idempotencyKey) {
+    const replay = await store(env).get(`SANDBOX:EVENT:${idempotencyKey}`);
+    if (replay) {
+      return json(replay.body, replay.status);
+    }
+  }
+
+  const response = await applyRule(env, eventType, userEmail);
+  if (idempotencyKey) {
+    await store(env).put(`SANDBOX:EVENT:${idempotencyKey}`, response, EVENT_TTL);
+  }
+
+  console.log(`[sandbox] ${eventType} for ${userEmail}: ${response.status}`, response.body);
+  return json(response.body, response.status);
+}
+
+async function applyRule(env, eventType, userEmail) {
+  const rule = findRule(env, eventType);
+
+  if (!rule) {
+    return { status: 404, body: { success: false, error: `Event not found: ${eventType}` } };
+  }
+  if (rule.active === false) {
+    return { status: 400, body: { success: false, error: `Event ${eventType} is inactive` } };
+  }
+  if (rule.error) {
+    return { status: rule.status || 500, body: { success: false, error: rule.error } };
+  }
+
+  const now = Date.now();
+  const cooldownMs = (rule.cooldownHours ?? DEFAULT_RULE.cooldownHours) * 60 * 60 * 1000;
+  const cooldownKey = `SANDBOX:COOLDOWN:${eventType}:${userEmail}`;
+
+  if (cooldownMs > 0) {
+    const lastRewardedAt = await store(env).get(cooldownKey);
+    if (lastRewardedAt && now - lastRewardedAt < cooldownMs) {
+      const nextEligibleAt = new Date(lastRewardedAt + cooldownMs).toISOString();
+      return {
+        status: 429,
+        body: { success: false, error: `Event ${eventType} is on cooldown for this user`, nextEligibleAt }
+      };
+    }
+    await store(env).put(cooldownKey, now, Math.max(60, Math.ceil(cooldownMs / 1000)));
+  }
+
+  const reward = rule.reward ?? DEFAULT_RULE.reward;
+  const walletAddress = await fakeWallet(userEmail);
+  const user = (await store(env).get(`SANDBOX:USER:${userEmail}`)) || { walletAddress, balance: 0, history: [] };
+
+  const eventId = crypto.randomUUID();
+  user.balance += reward;
+  user.history = [{ eventId, eventType, amount: reward, timestamp: new Date(now).toISOString() }, ...user.history]
+    .slice(0, HISTORY_LIMIT);
+  await store(env).put(`SANDBOX:USER:${userEmail}`, user);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      eventId,
+      eventType,
+      rewardAmount: reward,
+      ltzDistributed: reward,
+      walletAddress,
+      transactionHash: null,
+      sandbox: true
+    }
+  };
+}
+
+/**
+ * Get the sandbox's rule for an event (null if it would be "not found")
+ */
+function findRule(env, eventType) {
+  const rules = sandboxRules(env);
+  if (!rules) return { ...DEFAULT_RULE };
+
+  const rule = rules[eventType]
+    || Object.values(rules).find(candidate => candidate.name === eventType)
+    || rules["*"];
+  return rule ? { ...DEFAULT_RULE, ...rule } : null;
+}
+
+function listEvents(env, brandId) {
+  return Object.entries(sandboxRules(env))
+    .filter(([eventId]) => eventId !== "*")
+    .map(([eventId, rule]) => ({
+      eventId,
+      eventType: eventId,
+      eventNameMapping: rule.name || null,
+      brandId,
+      rewardAmount: rule.reward ?? DEFAULT_RULE.reward,
+      cooldownHours: rule.cooldownHours ?? DEFAULT_RULE.cooldownHours,
+      isActive: rule.active !== false
+    }));
+}
+
+function sandboxRules(env) {
+  if (!env.SANDBOX_EVENTS) return null;
+  if (typeof env.SANDBOX_EVENTS === "object") return env.SANDBOX_EVENTS;
+
+  try {
+    return JSON.parse(env.SANDBOX_EVENTS);
+  } catch (error) {
+    console.error("SANDBOX_EVENTS is not valid JSON:", error);
+    return null;
+  }
+}
+
+/**
+ * A stable fake wallet address per user (never a real account)
+ */
+async function fakeWallet(email) {
+  // Members linked to a wallet (/link) are their own address
+  if (isAddress(email)) return email;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`sandbox:${email}`));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+  return `0x${hex.slice(0, 40)}`;
+}
+
+/**
+ * JSON get/put over TELEGRAM_BOT_KV, or memory when it isn't bound
+ */
+function store(env) {
+  const kv = env.TELEGRAM_BOT_KV;
+  if (kv) {
+    return {
+      get: key => kv.get(key, "json"),
+      put: (key, value, ttl) => kv.put(key, JSON.stringify(value), ttl ? { expirationTtl: ttl } : undefined)
+    };
+  }
+
+  return {
+    get: async key => {
+      const entry = memoryStore.get(key);
+      if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) return null;
+      return entry.value;
+    },
+    put: async (key, value, ttl) => {
+      memoryStore.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    }
+  };
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Scheduled Jobs
+ *
+ * Per-chat jobs run by the cron trigger (see handlers/schedule.js), stored in
+ * TELEGRAM_BOT_KV:
+ * - `SCHEDULE:<chatId>` - which jobs run and when, in the chat's local time
+ *   { checkin: { time }, digest: { day, time }, reminders: { time } }
+ *   where time is "HH:MM" and day is an ISO weekday (1 = Monday … 7 = Sunday)
+ * - `SCHEDULE_RUN:<chatId>:<job>:<date>` - marks a job as run for a local date,
+ *   so a retried or overlapping cron run never posts twice
+ * - `REMINDER:<chatId>:<userId>` - a member who asked for streak reminders by DM
+ *   { firstName, languageCode }
+ */
+
+export const SCHEDULE_JOBS = ["checkin", "digest", "reminders"];
+
+export const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// Jobs whose time passed less than this long ago still run (covers a missed
+// or late cron tick); the cron interval must be shorter than this
+const CATCH_UP_MINUTES = 60;
+
+// Run markers only need to outlive the catch-up window, plus timezone slack
+const RUN_MARKER_TTL = 2 * 24 * 60 * 60;
+
+/**
+ * Parse "HH:MM" (24-hour) into minutes past midnight, or null if invalid
+ */
+export function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a weekday name ("mon", "Monday") or number (1-7) into an ISO weekday
+ */
+export function parseWeekday(value) {
+  const text = String(value || "").toLowerCase();
+  const number = Number(text);
+  if (Number.isInteger(number) && number >= 1 && number <= 7) return number;
+  const index = WEEKDAYS.indexOf(text.slice(0, 3));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Get a chat's job schedule ({} if nothing is scheduled)
+ */
+export async function getSchedule(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return {};
+  return await env.TELEGRAM_BOT_KV.get(`SCHEDULE:${chatId}`, "json") || {};
+}
+
+/**
+ * Save a chat's job schedule (deleted when no jobs are left)
+ */
+export async function saveSchedule(env, chatId, schedule) {
+  if (Object.keys(schedule).length === 0) {
+    await env.TELEGRAM_BOT_KV.delete(`SCHEDULE:${chatId}`);
+  } else {
+    await env.TELEGRAM_BOT_KV.put(`SCHEDULE:${chatId}`, JSON.stringify(schedule));
+  }
+}
+
+/**
+ * Whether a job is due at a local clock reading (see dates.js localClock)
+ */
+export function isJobDue(job, clock) {
+  if (!job) return false;
+  if (job.day && job.day !== clock.weekday) return false;
+  const start = parseTime(job.time);
+  return start !== null && clock.minutes >= start && clock.minutes < start + CATCH_UP_MINUTES;
+}
+
+/**
+ * Claim a job run for a local date
+ * The marker is written before the job does anything, so a retried cron run
+ * skips the job; if the run then fails, that day's job is missed rather than
+ * posted twice.
+ *
+ * @returns {Promise<boolean>} - false if the job already ran for this date
+ */
+export async function claimJobRun(env, chatId, job, date) {
+  const key = `SCHEDULE_RUN:${chatId}:${job}:${date}`;
+  if (await env.TELEGRAM_BOT_KV.get(key)) return false;
+  await env.TELEGRAM_BOT_KV.put(key, new Date().toISOString(), { expirationTtl: RUN_MARKER_TTL });
+  return true;
+}
+
+function reminderKey(chatId, userId) {
+  return `REMINDER:${chatId}:${userId}`;
+}
+
+/**
+ * Opt a member in to (or out of) streak reminders
+ */
+export async function setReminderOptIn(env, chatId, user, enabled) {
+  if (!enabled) {
+    await env.TELEGRAM_BOT_KV.delete(reminderKey(chatId, user.id));
+    return;
+  }
+  await env.TELEGRAM_BOT_KV.put(reminderKey(chatId, user.id), JSON.stringify({
+    firstName: user.first_name,
+    languageCode: user.language_code || null
+  }));
+}
+
+/**
+ * Whether a member has opted in to streak reminders
+ */
+export async function hasReminderOptIn(env, chatId, userId) {
+  if (!env.TELEGRAM_BOT_KV) return false;
+  return !!(await env.TELEGRAM_BOT_KV.get(reminderKey(chatId, userId)));
+}
+
+/**
+ * List the members of a chat who opted in to streak reminders
+ *
+ * @returns {Promise<Array<{userId: string, firstName: string, languageCode: string|null}>>}
+ */
+export async function listReminderOptIns(env, chatId) {
+  const prefix = `REMINDER:${chatId}:`;
+  const members = [];
+  let cursor;
+  do {
+    const page = await env.TELEGRAM_BOT_KV.list({ prefix, cursor });
+    for (const key of page.keys) {
+      const record = await env.TELEGRAM_BOT_KV.get(key.name, "json");
+      if (record) members.push({ userId: key.name.slice(prefix.length), ...record });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return members;
+}
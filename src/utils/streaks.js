@@ -0,0 +1,120 @@
+/**
+ * Check-in Streaks & Leaderboards
+ *
+ * Local record of successful check-ins, stored in TELEGRAM_BOT_KV:
+ * - `STREAK:<chatId>:<userId>` - a member's streak
+ *   { firstName, username, current, best, total, lastDate }
+ * - `CHECKIN_COUNTS:<chatId>:<period>` - per-period tallies keyed by user ID
+ *   { [userId]: { name, count, ltz } }, where period is `all`,
+ *   `week:<YYYY-Www>` or `month:<YYYY-MM>` (dates in the chat's timezone)
+ *
+ * Loyalteez still decides whether a check-in is rewarded; this only
+ * records the ones that succeeded.
+ */
+
+import { addDays, isoWeek, monthKey } from './dates.js';
+
+// Keep weekly/monthly tallies a little longer than the period itself
+const WEEK_COUNTS_TTL = 35 * 24 * 60 * 60;
+const MONTH_COUNTS_TTL = 400 * 24 * 60 * 60;
+
+export const LEADERBOARD_PERIODS = ["week", "month", "all"];
+
+function streakKey(chatId, userId) {
+  return `STREAK:${chatId}:${userId}`;
+}
+
+/**
+ * Tally key for a leaderboard period containing the given local date
+ */
+export function countsKey(chatId, period, date) {
+  if (period === "week") return `CHECKIN_COUNTS:${chatId}:week:${isoWeek(date)}`;
+  if (period === "month") return `CHECKIN_COUNTS:${chatId}:month:${monthKey(date)}`;
+  return `CHECKIN_COUNTS:${chatId}:all`;
+}
+
+/**
+ * Get a member's streak record, with `current` reset to 0 if the streak has broken
+ */
+export async function getStreak(env, chatId, userId, today) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  const streak = await env.TELEGRAM_BOT_KV.get(streakKey(chatId, userId), "json");
+  if (!streak) return null;
+
+  if (streak.lastDate !== today && streak.lastDate !== addDays(today, -1)) {
+    streak.current = 0;
+  }
+  return streak;
+}
+
+/**
+ * Record a successful check-in and update the member's streak and tallies
+ *
+ * @param {Object} user - Telegram user
+ * @param {string} today - Local date of the check-in ("YYYY-MM-DD")
+ * @param {number} ltz - LTZ distributed for the check-in (0 if unknown)
+ * @returns {Promise<Object>} - Updated streak record (plus `extended` if it grew today)
+ */
+export async function recordCheckin(env, chatId, user, today, ltz = 0) {
+  const kv = env.TELEGRAM_BOT_KV;
+  const existing = await kv.get(streakKey(chatId, user.id), "json");
+
+  const streak = {
+    current: 0,
+    best: 0,
+    total: 0,
+    lastDate: null,
+    ...existing,
+    firstName: user.first_name,
+    username: user.username || null
+  };
+
+  // A second successful check-in on the same day doesn't extend the streak
+  const extended = streak.lastDate !== today;
+  if (extended) {
+    streak.current = streak.lastDate === addDays(today, -1) ? streak.current + 1 : 1;
+    streak.best = Math.max(streak.best, streak.current);
+    streak.lastDate = today;
+  }
+  streak.total += 1;
+  await kv.put(streakKey(chatId, user.id), JSON.stringify(streak));
+
+  await incrementCount(env, countsKey(chatId, "all", today), user, ltz);
+  await incrementCount(env, countsKey(chatId, "week", today), user, ltz, WEEK_COUNTS_TTL);
+  await incrementCount(env, countsKey(chatId, "month", today), user, ltz, MONTH_COUNTS_TTL);
+
+  return { ...streak, extended };
+}
+
+async function incrementCount(env, key, user, ltz, expirationTtl) {
+  const counts = (await env.TELEGRAM_BOT_KV.get(key, "json")) || {};
+  const entry = counts[user.id] || { name: user.first_name, count: 0, ltz: 0 };
+  entry.name = user.first_name;
+  entry.count += 1;
+  entry.ltz += ltz;
+  counts[user.id] = entry;
+
+  await env.TELEGRAM_BOT_KV.put(key, JSON.stringify(counts), expirationTtl ? { expirationTtl } : undefined);
+}
+
+/**
+ * Get check-in tallies for a period, sorted by count (highest first)
+ *
+ * @returns {Promise<Array<{userId: string, name: string, count: number, ltz: number}>>}
+ */
+export async function getLeaderboard(env, chatId, period, today) {
+  if (!env.TELEGRAM_BOT_KV) return [];
+  const counts = (await env.TELEGRAM_BOT_KV.get(countsKey(chatId, period, today), "json")) || {};
+
+  return Object.entries(counts)
+    .map(([userId, entry]) => ({ userId, ...entry }))
+    .sort((a, b) => b.count - a.count || b.ltz - a.ltz);
+}
+
+/**
+ * Get a chat's streak bonus config ({ eventId, milestones } or null)
+ */
+export async function getStreakBonus(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return null;
+  return await env.TELEGRAM_BOT_KV.get(`STREAK_BONUS:${chatId}`, "json");
+}
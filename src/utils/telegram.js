@@ -0,0 +1,194 @@
+/**
+ * Telegram Bot API helpers
+ *
+ * Thin wrappers around the Bot API shared by the webhook handlers.
+ * Failures are logged rather than thrown so a Telegram hiccup never
+ * aborts reward processing.
+ */
+
+import { getTopicSettings, threadOptions, topicOf } from './topics.js';
+
+/**
+ * Call any Telegram Bot API method
+ * Returns the API response body ({ ok, result } or { ok: false, description })
+ */
+export async function callTelegram(env, method, params = {}) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    console.error("TELEGRAM_BOT_TOKEN not configured");
+    return { ok: false, description: "Bot token not configured" };
+  }
+
+  const url = `https://api.telegram.org/bot${token}/${method}`;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(params)
+    });
+
+    const data = await response.json();
+    if (!data.ok) {
+      console.error(`Telegram API Error (${method}):`, data.description);
+    }
+    return data;
+  } catch (e) {
+    console.error(`Telegram API call failed (${method}):`, e);
+    return { ok: false, description: e.message };
+  }
+}
+
+/**
+ * Check if user is an admin in the chat
+ */
+export async function isAdmin(env, chatId, userId) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  if (!token) return false;
+
+  // Private chats always allow config (owner)
+  if (chatId > 0) return true;
+
+  const url = `https://api.telegram.org/bot${token}/getChatMember?chat_id=${chatId}&user_id=${userId}`;
+  try {
+    const res = await fetch(url);
+    const data = await res.json();
+    if (data.ok) {
+      const status = data.result.status;
+      return ["creator", "administrator"].includes(status);
+    }
+  } catch (e) {
+    console.error("Admin check failed:", e);
+  }
+  return false;
+}
+
+/**
+ * Get bot username from Telegram API (cached)
+ */
+let cachedBotUsername = null;
+export async function getBotUsername(env) {
+  if (cachedBotUsername) return cachedBotUsername;
+
+  const token = env.TELEGRAM_BOT_TOKEN;
+  if (!token) return null;
+
+  try {
+    const url = `https://api.telegram.org/bot${token}/getMe`;
+    const res = await fetch(url);
+    const data = await res.json();
+    if (data.ok && data.result.username) {
+      cachedBotUsername = `@${data.result.username}`;
+      return cachedBotUsername;
+    }
+  } catch (e) {
+    console.error("Failed to get bot username:", e);
+  }
+  return null;
+}
+
+/**
+ * Escape HTML entities for Telegram HTML parse mode
+ */
+export function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reverse escapeHtml (for plain-text contexts like callback query toasts)
+ */
+export function unescapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Send message to Telegram Chat
+ *
+ * @param {Object} options - Extra sendMessage params (e.g. reply_markup)
+ * @returns {Promise<Object|null>} - The sent Message, or null on failure
+ */
+export async function sendMessage(env, chatId, text, options = {}) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    console.error("TELEGRAM_BOT_TOKEN not configured");
+    return null;
+  }
+
+  const url = `https://api.telegram.org/bot${token}/sendMessage`;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: text,
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        ...options
+      })
+    });
+
+    if (!response.ok) {
+      const err = await response.text();
+      console.error("Telegram API Error:", err);
+      return null;
+    }
+
+    const data = await response.json();
+    return data.result || null;
+  } catch (e) {
+    console.error("Failed to send Telegram message:", e);
+    return null;
+  }
+}
+
+/**
+ * Answer a message: in its chat and, in forums, in the topic it was sent in
+ * Quotes the message too when the chat has `/config_topic quote on`.
+ *
+ * @param {Object} options - Extra sendMessage params (e.g. reply_markup)
+ * @returns {Promise<Object|null>} - The sent Message, or null on failure
+ */
+export async function replyTo(env, message, text, options = {}) {
+  const settings = await getTopicSettings(env, message.chat.id);
+  const quote = settings.quote && message.chat.type !== "private"
+    ? { reply_to_message_id: message.message_id, allow_sending_without_reply: true }
+    : {};
+
+  return await sendMessage(env, message.chat.id, text, {
+    ...threadOptions(topicOf(message)),
+    ...quote,
+    ...options
+  });
+}
+
+/**
+ * Build an inline keyboard reply markup
+ *
+ * @param {Array<Array<{text: string, callback_data?: string, url?: string}>>} rows
+ */
+export function inlineKeyboard(rows) {
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Answer a callback query (shows a toast, or an alert if showAlert is set)
+ */
+export async function answerCallbackQuery(env, callbackQueryId, text, showAlert = false) {
+  return await callTelegram(env, "answerCallbackQuery", {
+    callback_query_id: callbackQueryId,
+    text: text ? text.slice(0, 200) : undefined,
+    show_alert: showAlert
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * Message Templates
+ *
+ * Per-chat overrides for the bot's reward replies, stored in TELEGRAM_BOT_KV
+ * as a JSON map of kind → template under `MESSAGE_TEMPLATES:<chatId>`.
+ *
+ * Lookup order: chat template → WELCOME_MESSAGE var (the plain join welcome
+ * only) → built-in default from the message catalogue (`template.<kind>`, in the
+ * reader's language).
+ *
+ * Templates are plain text with {placeholders}. Both the template and the
+ * substituted values are HTML-escaped, so admin-supplied text can never break
+ * Telegram's HTML parse mode (or inject markup).
+ */
+
+import { escapeHtml } from './telegram.js';
+
+/**
+ * Customisable message kinds (described in the catalogue as `template_kind.<kind>`)
+ */
+export const MESSAGE_KINDS = ["welcome", "checkin", "cooldown", "failure"];
+
+export const PLACEHOLDERS = ["first_name", "username", "amount", "streak", "chat_title"];
+
+/**
+ * Substitute {placeholders} in a template, escaping everything for HTML mode
+ * Unknown placeholders are left as written.
+ */
+export function renderTemplate(template, vars = {}) {
+  return escapeHtml(template).replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? escapeHtml(String(vars[name])) : match
+  );
+}
+
+/**
+ * Build the standard placeholder values for a user in a chat
+ */
+export function templateVars(chat, user, extra = {}) {
+  return {
+    first_name: user.first_name || "",
+    username: user.username ? `@${user.username}` : user.first_name || "",
+    chat_title: chat.title || "",
+    ...extra
+  };
+}
+
+/**
+ * Get a chat's custom templates ({ kind: template })
+ */
+export async function getChatTemplates(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return {};
+  return (await env.TELEGRAM_BOT_KV.get(`MESSAGE_TEMPLATES:${chatId}`, "json")) || {};
+}
+
+/**
+ * Set (or clear, with a null template) a chat's template for a kind
+ */
+export async function setChatTemplate(env, chatId, kind, template) {
+  const templates = await getChatTemplates(env, chatId);
+  if (template === null) {
+    delete templates[kind];
+  } else {
+    templates[kind] = template;
+  }
+
+  if (Object.keys(templates).length === 0) {
+    await env.TELEGRAM_BOT_KV.delete(`MESSAGE_TEMPLATES:${chatId}`);
+  } else {
+    await env.TELEGRAM_BOT_KV.put(`MESSAGE_TEMPLATES:${chatId}`, JSON.stringify(templates));
+  }
+}
+
+/**
+ * Render the reply of a given kind for a chat
+ *
+ * @param {Function} t - Translator for the built-in default (see utils/i18n.js)
+ * @param {string} fallbackKey - Catalogue key to use instead of the kind's default
+ *   (e.g. a variant for held join rewards); a chat template still wins, but
+ *   WELCOME_MESSAGE doesn't, since it only describes a reward that has landed
+ */
+export async function formatMessage(env, chat, kind, vars, t, fallbackKey = null) {
+  const templates = await getChatTemplates(env, chat.id);
+  let template = templates[kind];
+
+  if (!template && kind === "welcome" && !fallbackKey && env.WELCOME_MESSAGE) {
+    template = env.WELCOME_MESSAGE;
+  }
+
+  return renderTemplate(template || t(fallbackKey || `template.${kind}`), vars);
+}
@@ -0,0 +1,86 @@
+/**
+ * Forum Topics
+ *
+ * In forum supergroups, messages carry the topic they were sent in
+ * (`message_thread_id`, with `is_topic_message` set), except in the General
+ * topic, which has none - here it's GENERAL_TOPIC. Per-chat topic settings
+ * (`/config_topic`) live in TELEGRAM_BOT_KV under `TOPICS:<chatId>`:
+ * {
+ *   quote: boolean,                  // replies quote the message they answer
+ *   rewardTopics: [topicId],         // reward commands only work here (absent: everywhere)
+ *   topics: {
+ *     "<topicId>": { name, checkinEventId }   // name: as seen when configured
+ *   }
+ * }
+ */
+
+export const GENERAL_TOPIC = 1;
+
+const DEFAULT_SETTINGS = { quote: false, topics: {} };
+
+/**
+ * The topic a message was sent in (null outside forums)
+ */
+export function topicOf(message) {
+  if (!message.chat.is_forum) return null;
+  return message.is_topic_message ? message.message_thread_id : GENERAL_TOPIC;
+}
+
+/**
+ * The topic's name, when Telegram includes it (messages in a topic reply to
+ * the message that created it)
+ */
+export function topicName(message) {
+  if (topicOf(message) === GENERAL_TOPIC) return "General";
+  return message.reply_to_message?.forum_topic_created?.name || null;
+}
+
+/**
+ * How to show a topic to admins: its name, or its number if we never saw one
+ */
+export function topicLabel(topicId, name) {
+  return name || `#${topicId}`;
+}
+
+/**
+ * sendMessage / sendPoll options that post into a topic (none for General)
+ */
+export function threadOptions(topicId) {
+  return topicId && topicId !== GENERAL_TOPIC ? { message_thread_id: topicId } : {};
+}
+
+/**
+ * A link that opens a topic (supergroups only)
+ */
+export function topicLink(chatId, topicId) {
+  const internalId = String(chatId).replace(/^-100/, "");
+  return `https://t.me/c/${internalId}/${topicId}`;
+}
+
+/**
+ * Get a chat's topic settings
+ */
+export async function getTopicSettings(env, chatId) {
+  if (!env.TELEGRAM_BOT_KV) return { ...DEFAULT_SETTINGS };
+  const settings = await env.TELEGRAM_BOT_KV.get(`TOPICS:${chatId}`, "json");
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+/**
+ * Save a chat's topic settings (deleted once there's nothing left in them)
+ */
+export async function saveTopicSettings(env, chatId, settings) {
+  const empty = !settings.quote && !settings.rewardTopics && Object.keys(settings.topics).length === 0;
+  if (empty) {
+    await env.TELEGRAM_BOT_KV.delete(`TOPICS:${chatId}`);
+  } else {
+    await env.TELEGRAM_BOT_KV.put(`TOPICS:${chatId}`, JSON.stringify(settings));
+  }
+}
+
+/**
+ * Whether reward commands may be used in a topic
+ */
+export function allowsRewardCommands(settings, topicId) {
+  return topicId === null || !settings.rewardTopics || settings.rewardTopics.includes(topicId);
+}
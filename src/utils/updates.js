@@ -0,0 +1,64 @@
+/**
+ * Webhook Update Deduplication
+ *
+ * Telegram resends an update until the webhook answers with a 2xx, so the same
+ * `update_id` can arrive more than once (slow responses, deploys, errors).
+ * Each update is claimed in TELEGRAM_BOT_KV under `UPDATE:<updateId>` before any
+ * side effects run; a second delivery finds the claim and is skipped.
+ *
+ * Claims expire after a day, which is as long as Telegram keeps undelivered updates.
+ *
+ * Record shape:
+ * {
+ *   status: "processing" | "done" | "failed",
+ *   receivedAt: ISO string,
+ *   error: string | null   // set when processing threw
+ * }
+ */
+
+const UPDATE_TTL = 24 * 60 * 60;
+
+function updateKey(updateId) {
+  return `UPDATE:${updateId}`;
+}
+
+/**
+ * Claim an update for processing
+ *
+ * @returns {Promise<boolean>} - false if the update was already claimed (a redelivery)
+ */
+export async function claimUpdate(env, updateId) {
+  // Without KV (or an update_id, e.g. a hand-written test request) there is nothing to key on
+  if (!env.TELEGRAM_BOT_KV || updateId === undefined || updateId === null) return true;
+
+  const existing = await env.TELEGRAM_BOT_KV.get(updateKey(updateId));
+  if (existing) return false;
+
+  await putUpdateRecord(env, updateId, { status: "processing", receivedAt: new Date().toISOString(), error: null });
+  return true;
+}
+
+/**
+ * Record how processing a claimed update ended
+ *
+ * @param {Error|null} error - What processing threw, if anything
+ */
+export async function completeUpdate(env, updateId, error = null) {
+  if (!env.TELEGRAM_BOT_KV || updateId === undefined || updateId === null) return;
+
+  // Bookkeeping only - never let it fail the webhook response
+  try {
+    const record = (await env.TELEGRAM_BOT_KV.get(updateKey(updateId), "json")) || {};
+    await putUpdateRecord(env, updateId, {
+      ...record,
+      status: error ? "failed" : "done",
+      error: error ? String(error.message || error) : null
+    });
+  } catch (e) {
+    console.error(`Failed to record update ${updateId}:`, e);
+  }
+}
+
+async function putUpdateRecord(env, updateId, record) {
+  await env.TELEGRAM_BOT_KV.put(updateKey(updateId), JSON.stringify(record), { expirationTtl: UPDATE_TTL });
+}
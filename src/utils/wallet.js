@@ -0,0 +1,64 @@
+/**
+ * Wallet Lookups
+ *
+ * Balance and reward history for a Telegram user (under their linked email or
+ * wallet, if they've run /link), fetched through the LoyalteezClient and cached briefly in TELEGRAM_BOT_KV so a busy group
+ * spamming /balance doesn't flood the API:
+ * - `BALANCE_CACHE:<brandId>:<userId>` - { walletAddress, balance }
+ * - `HISTORY_CACHE:<brandId>:<userId>` - the user's recent rewards
+ *
+ * Entries expire after a minute (the shortest TTL KV supports), and are
+ * cleared whenever the member is rewarded.
+ */
+
+import { createLoyalteezClient } from './loyalteez.js';
+import { resolveIdentity } from './accounts.js';
+
+const CACHE_TTL = 60;
+
+// History is always fetched (and cached) at this length, then trimmed per request
+export const HISTORY_FETCH_LIMIT = 20;
+
+async function cached(env, key, load) {
+  if (env.TELEGRAM_BOT_KV) {
+    const hit = await env.TELEGRAM_BOT_KV.get(key, "json");
+    if (hit) return hit;
+  }
+
+  const value = await load();
+  if (env.TELEGRAM_BOT_KV) {
+    await env.TELEGRAM_BOT_KV.put(key, JSON.stringify(value), { expirationTtl: CACHE_TTL });
+  }
+  return value;
+}
+
+/**
+ * Get a user's balance and wallet address (throws if the API can't be reached)
+ *
+ * @returns {Promise<{walletAddress: string|null, balance: number}>}
+ */
+export async function getBalance(env, user, brandId = env.BRAND_ID) {
+  return await cached(env, `BALANCE_CACHE:${brandId}:${user.id}`, async () =>
+    createLoyalteezClient(env, brandId).getBalance(await resolveIdentity(env, user))
+  );
+}
+
+/**
+ * Get a user's most recent rewards, newest first (throws if the API can't be reached)
+ */
+export async function getHistory(env, user, brandId = env.BRAND_ID, limit = 5) {
+  const history = await cached(env, `HISTORY_CACHE:${brandId}:${user.id}`, async () =>
+    createLoyalteezClient(env, brandId).getRewardHistory(await resolveIdentity(env, user), HISTORY_FETCH_LIMIT)
+  );
+  return history.slice(0, limit);
+}
+
+/**
+ * Forget a user's cached balance and history (after they've been rewarded,
+ * or linked a different account)
+ */
+export async function clearWalletCache(env, user, brandId = env.BRAND_ID) {
+  if (!env.TELEGRAM_BOT_KV) return;
+  await env.TELEGRAM_BOT_KV.delete(`BALANCE_CACHE:${brandId}:${user.id}`);
+  await env.TELEGRAM_BOT_KV.delete(`HISTORY_CACHE:${brandId}:${user.id}`);
+}
@@ -0,0 +1,95 @@
+/**
+ * Mini App (Web App) helpers
+ *
+ * Verifies the `initData` string Telegram hands a Mini App, as described in
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * and decides which events a Mini App may trigger.
+ */
+
+// initData older than this is rejected unless WEBAPP_AUTH_MAX_AGE overrides it
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60;
+
+async function hmacSha256(key, data) {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    typeof key === "string" ? new TextEncoder().encode(key) : key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, new TextEncoder().encode(data)));
+}
+
+function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Verify a Mini App's initData against the bot token
+ *
+ * @param {number} now - Current time in ms (for the auth_date check)
+ * @returns {Promise<{user: Object|null, chat: Object|null, authDate: number, error: string|null}>}
+ *   error is "missing_hash", "bad_signature", "stale" or "no_user"
+ */
+export async function verifyInitData(env, initData, now = Date.now()) {
+  const params = new URLSearchParams(initData || "");
+  const hash = params.get("hash");
+  if (!hash || !env.TELEGRAM_BOT_TOKEN) {
+    return { user: null, chat: null, authDate: 0, error: "missing_hash" };
+  }
+  params.delete("hash");
+
+  const dataCheckString = [...params.entries()]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("\n");
+
+  const secretKey = await hmacSha256("WebAppData", env.TELEGRAM_BOT_TOKEN);
+  const expected = toHex(await hmacSha256(secretKey, dataCheckString));
+
+  let diff = expected.length ^ hash.length;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ (hash.charCodeAt(i) || 0);
+  }
+  if (diff !== 0) {
+    return { user: null, chat: null, authDate: 0, error: "bad_signature" };
+  }
+
+  const authDate = parseInt(params.get("auth_date"), 10) || 0;
+  const maxAge = parseInt(env.WEBAPP_AUTH_MAX_AGE, 10) || DEFAULT_MAX_AGE_SECONDS;
+  if (now / 1000 - authDate > maxAge) {
+    return { user: null, chat: null, authDate, error: "stale" };
+  }
+
+  const user = params.get("user") ? JSON.parse(params.get("user")) : null;
+  const chat = params.get("chat") ? JSON.parse(params.get("chat")) : null;
+  if (!user || !user.id) {
+    return { user: null, chat, authDate, error: "no_user" };
+  }
+
+  return { user, chat, authDate, error: null };
+}
+
+/**
+ * Event IDs a Mini App may trigger for a brand
+ *
+ * WEBAPP_EVENTS is a JSON map of brand address → event IDs, e.g.
+ * `{"0xabc...": ["quest_complete", "custom_abc_123"]}`. Brand addresses are
+ * compared case-insensitively.
+ */
+export function getAllowedWebAppEvents(env, brandId) {
+  if (!env.WEBAPP_EVENTS || !brandId) return [];
+
+  let allowList = env.WEBAPP_EVENTS;
+  if (typeof allowList === "string") {
+    try {
+      allowList = JSON.parse(allowList);
+    } catch (error) {
+      console.error("WEBAPP_EVENTS is not valid JSON:", error);
+      return [];
+    }
+  }
+
+  const entry = Object.entries(allowList).find(([brand]) => brand.toLowerCase() === brandId.toLowerCase());
+  return entry ? entry[1] : [];
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { splitArgs, parseArgs } from "../src/utils/args.js";
+import { parseDuration, formatDuration } from "../src/utils/duration.js";
+
+test("splitArgs keeps double-quoted phrases together", () => {
+  assert.deepEqual(splitArgs(`"purple elephant" ama_reward  2h\t50`), ["purple elephant", "ama_reward", "2h", "50"]);
+  assert.deepEqual(splitArgs(`"" x`), ["", "x"]);
+  assert.deepEqual(splitArgs("   "), []);
+});
+
+test("parseArgs separates flags from positional arguments", () => {
+  const { positional, flags } = parseArgs(["purple elephant", "--Exact", "ama", "--topic"]);
+  assert.deepEqual(positional, ["purple elephant", "ama"]);
+  assert.deepEqual(flags, { exact: true, topic: true });
+});
+
+test("parseArgs reads the value of value flags", () => {
+  const { positional, flags } = parseArgs(["quiz", "--closes", "10m", "--correct", "2"], ["closes", "correct"]);
+  assert.deepEqual(positional, ["quiz"]);
+  assert.deepEqual(flags, { closes: "10m", correct: "2" });
+});
+
+test("parseArgs treats a bare -- as a positional argument", () => {
+  assert.deepEqual(parseArgs(["--"]).positional, ["--"]);
+});
+
+test("parseDuration accepts compound durations", () => {
+  assert.equal(parseDuration("30m"), 30 * 60 * 1000);
+  assert.equal(parseDuration("1h30m"), 90 * 60 * 1000);
+  assert.equal(parseDuration(" 2D "), 2 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration("1w"), 7 * 24 * 60 * 60 * 1000);
+});
+
+test("parseDuration rejects anything else", () => {
+  for (const input of ["", null, "10", "m", "1x", "1h 30m", "0m", "-5m"]) {
+    assert.equal(parseDuration(input), null, String(input));
+  }
+});
+
+test("formatDuration keeps the two largest units and never says 0m for a wait", () => {
+  assert.equal(formatDuration(0), "0m");
+  assert.equal(formatDuration(30 * 1000), "1m");
+  assert.equal(formatDuration((5 * 60 + 12) * 60 * 1000), "5h 12m");
+  assert.equal(formatDuration(((24 + 3) * 60 + 7) * 60 * 1000), "1d 3h");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCommand, getCommandSettings, saveCommandSettings, NAME_PATTERN } from "../src/utils/commands.js";
+import { COMMANDS, menuCommands } from "../src/handlers/commands.js";
+import { loadCatalogue } from "../src/utils/i18n.js";
+
+const botUsername = async () => "@LoyaltyBot";
+
+test("parseCommand splits the name and quoted arguments", async () => {
+  assert.deepEqual(await parseCommand(`/Config_Keyword "purple elephant" ama 2h --exact`, botUsername), {
+    name: "config_keyword",
+    args: ["purple elephant", "ama", "2h", "--exact"],
+    argsText: `"purple elephant" ama 2h --exact`
+  });
+  assert.deepEqual(await parseCommand("/checkin", botUsername), { name: "checkin", args: [], argsText: "" });
+});
+
+test("parseCommand only takes commands addressed to this bot", async () => {
+  assert.equal((await parseCommand("/checkin@loyaltybot now", botUsername)).name, "checkin");
+  assert.equal(await parseCommand("/checkin@OtherBot", botUsername), null);
+  assert.equal(await parseCommand("/checkin@LoyaltyBot", async () => null), null);
+});
+
+test("parseCommand ignores text that isn't a command", async () => {
+  for (const text of ["", null, "checkin", "hello /checkin", "/", "/check-in", `/${"a".repeat(33)}`]) {
+    assert.equal(await parseCommand(text, botUsername), null, String(text));
+  }
+});
+
+test("parseCommand doesn't look up the bot for unaddressed commands", async () => {
+  const lookup = async () => { throw new Error("looked up"); };
+  assert.equal((await parseCommand("/balance", lookup)).name, "balance");
+});
+
+test("command settings default to nothing customised and drop the key when reset", async () => {
+  const values = new Map();
+  const env = {
+    TELEGRAM_BOT_KV: {
+      async get(key) { return values.has(key) ? JSON.parse(values.get(key)) : null; },
+      async put(key, value) { values.set(key, value); },
+      async delete(key) { values.delete(key); }
+    }
+  };
+
+  assert.deepEqual(await getCommandSettings(env, -1), { disabled: [], aliases: {} });
+  await saveCommandSettings(env, -1, { disabled: ["stats"], aliases: { gm: "checkin" } });
+  assert.deepEqual(await getCommandSettings(env, -1), { disabled: ["stats"], aliases: { gm: "checkin" } });
+  await saveCommandSettings(env, -1, { disabled: [], aliases: {} });
+  assert.equal(values.has("COMMANDS:-1"), false);
+  assert.deepEqual(await getCommandSettings({}, -1), { disabled: [], aliases: {} });
+});
+
+test("the registry has unique, valid names and aliases", () => {
+  const names = COMMANDS.flatMap(command => [command.name, ...(command.aliases || [])]);
+  assert.equal(new Set(names).size, names.length);
+  for (const name of names) {
+    assert.match(name, NAME_PATTERN);
+  }
+  for (const command of COMMANDS) {
+    assert.equal(typeof command.handler, "function", command.name);
+    assert.ok(["member", "admin"].includes(command.permission), command.name);
+    assert.ok(command.usage.startsWith(`/${command.name}`), command.name);
+  }
+});
+
+test("every command has a menu description in every catalogue, within Telegram's limits", async () => {
+  for (const locale of ["en", "es", "pt", "ru"]) {
+    const catalogue = await loadCatalogue(locale);
+    for (const command of COMMANDS.filter(command => !command.hidden)) {
+      assert.equal(typeof catalogue[`command.${command.name}`], "string", `${locale} command.${command.name}`);
+    }
+
+    const menu = menuCommands("admin", locale);
+    assert.ok(menu.length <= 100);
+    for (const { description } of menu) {
+      assert.ok(description.length >= 1 && description.length <= 256, description);
+    }
+  }
+});
+
+test("the member menu leaves out admin and hidden commands", () => {
+  const member = menuCommands("member").map(entry => entry.command);
+  assert.ok(member.includes("checkin"));
+  assert.ok(!member.includes("config_checkin"));
+  assert.ok(!member.includes("start"));
+  assert.ok(menuCommands("admin").some(entry => entry.command === "config_checkin"));
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isValidTimezone, localDate, addDays, isoWeek, monthKey, localClock } from "../src/utils/dates.js";
+
+test("isValidTimezone accepts IANA names only", () => {
+  assert.equal(isValidTimezone("Europe/Madrid"), true);
+  assert.equal(isValidTimezone("UTC"), true);
+  assert.equal(isValidTimezone("Mars/Olympus"), false);
+});
+
+test("localDate flips at the timezone's midnight", () => {
+  const instant = Date.parse("2026-10-18T23:30:00Z");
+  assert.equal(localDate(instant), "2026-10-18");
+  assert.equal(localDate(instant, "Europe/Madrid"), "2026-10-19");
+  assert.equal(localDate(instant, "America/New_York"), "2026-10-18");
+});
+
+test("addDays crosses month and year ends", () => {
+  assert.equal(addDays("2026-10-31", 1), "2026-11-01");
+  assert.equal(addDays("2027-01-01", -1), "2026-12-31");
+  assert.equal(addDays("2028-02-28", 1), "2028-02-29");
+});
+
+test("isoWeek uses the year of the week's Thursday", () => {
+  assert.equal(isoWeek("2026-10-18"), "2026-W42");
+  assert.equal(isoWeek("2026-01-01"), "2026-W01");
+  // Friday 1 January 2027 still belongs to the last week of 2026
+  assert.equal(isoWeek("2027-01-01"), "2026-W53");
+  assert.equal(isoWeek("2024-12-30"), "2025-W01");
+});
+
+test("monthKey is the date's year and month", () => {
+  assert.equal(monthKey("2026-10-18"), "2026-10");
+});
+
+test("localClock gives the local date, ISO weekday and minutes past midnight", () => {
+  const instant = Date.parse("2026-10-18T23:30:00Z");
+  assert.deepEqual(localClock(instant), { date: "2026-10-18", weekday: 7, minutes: 23 * 60 + 30 });
+  assert.deepEqual(localClock(instant, "Europe/Madrid"), { date: "2026-10-19", weekday: 1, minutes: 90 });
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isAddress, isSignature, keccak256, recoverPersonalSignAddress } from "../src/utils/ethereum.js";
+
+const toHex = bytes => [...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("");
+const utf8 = text => new TextEncoder().encode(text);
+
+// The well-known web3.js documentation key 0x4c0883a6...3f362318, signed with an
+// independent secp256k1 implementation (low-s, v = 27/28)
+const ADDRESS = "0x2c7536e3605d9c16a7a3d7b1898e529396a65c23";
+const MESSAGE = "Link Telegram account 42 to Loyalteez";
+const SIGNATURE = "0x32b0d10d8d0e04bc8d4d064d270699e87cffc9b49c5c20730e1c26f6105ddcda"
+  + "00a1e689b3f46c4a8f0e90b75d27616a8214b79c708db8d69fda53b3d6d02f2a1b";
+
+test("keccak256 matches published test vectors", () => {
+  assert.equal(toHex(keccak256(utf8(""))), "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470");
+  assert.equal(toHex(keccak256(utf8("abc"))), "4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45");
+  assert.equal(toHex(keccak256(utf8("The quick brown fox jumps over the lazy dog"))),
+    "4d741b6f1eb29cb2a9b9911c82f56fa8d73b04959d3d9d222895df6c0b28aa15");
+});
+
+test("keccak256 handles inputs around and beyond the 136-byte rate", () => {
+  for (const length of [135, 136, 137, 272, 1000]) {
+    const digest = keccak256(new Uint8Array(length).fill(0x61));
+    assert.equal(digest.length, 32);
+    assert.deepEqual(keccak256(new Uint8Array(length).fill(0x61)), digest);
+    assert.notDeepEqual(keccak256(new Uint8Array(length + 1).fill(0x61)), digest);
+  }
+});
+
+test("isAddress and isSignature check the hex shape", () => {
+  assert.equal(isAddress(ADDRESS), true);
+  assert.equal(isAddress(ADDRESS.toUpperCase().replace("0X", "0x")), true);
+  assert.equal(isAddress(ADDRESS.slice(2)), false);
+  assert.equal(isAddress(`${ADDRESS}0`), false);
+  assert.equal(isAddress(null), false);
+
+  assert.equal(isSignature(SIGNATURE), true);
+  assert.equal(isSignature(SIGNATURE.slice(0, -2)), false);
+  assert.equal(isSignature(`${SIGNATURE.slice(0, -1)}g`), false);
+});
+
+test("recoverPersonalSignAddress recovers the signing address", () => {
+  assert.equal(recoverPersonalSignAddress(MESSAGE, SIGNATURE), ADDRESS);
+  // v may also be given as 0/1
+  assert.equal(recoverPersonalSignAddress(MESSAGE, `${SIGNATURE.slice(0, -2)}00`), ADDRESS);
+});
+
+test("recoverPersonalSignAddress does not recover the signer for other messages or bad signatures", () => {
+  assert.notEqual(recoverPersonalSignAddress(`${MESSAGE}.`, SIGNATURE), ADDRESS);
+  assert.notEqual(recoverPersonalSignAddress(MESSAGE, `${SIGNATURE.slice(0, -2)}1c`), ADDRESS);
+
+  assert.equal(recoverPersonalSignAddress(MESSAGE, "0x1234"), null);
+  assert.equal(recoverPersonalSignAddress(MESSAGE, `${SIGNATURE.slice(0, -2)}1d`), null);
+  assert.equal(recoverPersonalSignAddress(MESSAGE, `0x${"0".repeat(64)}${SIGNATURE.slice(66)}`), null);
+  assert.equal(recoverPersonalSignAddress(MESSAGE, `0x${SIGNATURE.slice(2, 66)}${"f".repeat(64)}1b`), null);
+});
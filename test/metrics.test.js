@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { recordRewardAttempt, listMetrics, summarizeMetrics, formatPrometheus } from "../src/utils/metrics.js";
+
+function memoryKV() {
+  const values = new Map();
+  return {
+    async get(key, type) {
+      if (!values.has(key)) return null;
+      return type === "json" ? JSON.parse(values.get(key)) : values.get(key);
+    },
+    async put(key, value) { values.set(key, String(value)); },
+    async delete(key) { values.delete(key); },
+    async list({ prefix = "" } = {}) {
+      return { keys: [...values.keys()].filter(key => key.startsWith(prefix)).sort().map(name => ({ name })), list_complete: true };
+    }
+  };
+}
+
+async function recordSample(env) {
+  await recordRewardAttempt(env, { chatId: -100, eventId: "custom:checkin", outcome: "success", transport: "binding", latencyMs: 80, ltz: 10 });
+  await recordRewardAttempt(env, { chatId: -100, eventId: "custom:checkin", outcome: "success", transport: "binding", latencyMs: 300, ltz: 10 });
+  await recordRewardAttempt(env, { chatId: -100, eventId: "custom:checkin", outcome: "cooldown", transport: "http", latencyMs: 20000 });
+  await recordRewardAttempt(env, { chatId: null, eventId: "quest", outcome: "transport", transport: "fallback", latencyMs: 1200 });
+}
+
+test("recordRewardAttempt counts outcomes, latency buckets and LTZ per chat and event", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV() };
+  await recordSample(env);
+
+  const [checkin] = await listMetrics(env, -100);
+  assert.equal(checkin.chatId, "-100");
+  assert.equal(checkin.eventId, "custom:checkin");
+  assert.deepEqual(checkin.attempts, { "success|binding": 2, "cooldown|http": 1 });
+  assert.deepEqual(checkin.latency, { count: 3, sumMs: 20380, buckets: { 100: 1, 500: 1, inf: 1 } });
+  assert.equal(checkin.ltz, 20);
+
+  const all = await listMetrics(env);
+  assert.deepEqual(all.map(entry => `${entry.chatId}/${entry.eventId}`).sort(), ["-100/custom:checkin", "none/quest"]);
+});
+
+test("recordRewardAttempt writes an Analytics Engine data point and never throws", async () => {
+  const points = [];
+  await recordRewardAttempt({ REWARD_ANALYTICS: { writeDataPoint: point => points.push(point) } },
+    { chatId: -1, eventId: "e", brandId: "0xabc", outcome: "success", transport: "http", latencyMs: 5, ltz: 3 });
+  assert.deepEqual(points, [{ indexes: ["-1"], blobs: ["e", "success", "http", "0xabc"], doubles: [5, 3] }]);
+
+  const broken = { TELEGRAM_BOT_KV: { async get() { throw new Error("KV down"); } } };
+  const errors = [];
+  const original = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    await recordRewardAttempt(broken, { chatId: -1, eventId: "e", outcome: "success", transport: "http", latencyMs: 5 });
+  } finally {
+    console.error = original;
+  }
+  assert.equal(errors.length, 1);
+});
+
+test("summarizeMetrics adds up outcomes, transports, latency and LTZ", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV() };
+  await recordSample(env);
+
+  const summary = summarizeMetrics(await listMetrics(env));
+  assert.deepEqual(summary.outcomes, { success: 2, cooldown: 1, transport: 1 });
+  assert.deepEqual(summary.transports, { binding: 2, http: 1, fallback: 1 });
+  assert.equal(summary.count, 4);
+  assert.equal(summary.averageMs, Math.round(21580 / 4));
+  assert.equal(summary.ltz, 20);
+  assert.deepEqual(summarizeMetrics([]), { outcomes: {}, transports: {}, count: 0, averageMs: 0, ltz: 0, since: null });
+});
+
+test("formatPrometheus renders counters and a cumulative histogram", () => {
+  const output = formatPrometheus([{
+    chatId: "-100",
+    eventId: "checkin",
+    attempts: { "success|binding": 2, "cooldown|http": 1 },
+    latency: { count: 3, sumMs: 20380, buckets: { 100: 1, 500: 1, inf: 1 } },
+    ltz: 20
+  }]);
+  const lines = output.split("\n");
+
+  assert.ok(output.endsWith("\n"));
+  assert.ok(lines.includes("# TYPE loyalty_reward_attempts_total counter"));
+  assert.ok(lines.includes("# TYPE loyalty_reward_latency_seconds histogram"));
+  assert.ok(lines.includes("# TYPE loyalty_reward_ltz_total counter"));
+  assert.ok(lines.includes('loyalty_reward_attempts_total{chat_id="-100",event="checkin",outcome="success",transport="binding"} 2'));
+  assert.ok(lines.includes('loyalty_reward_attempts_total{chat_id="-100",event="checkin",outcome="cooldown",transport="http"} 1'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_bucket{chat_id="-100",event="checkin",le="0.1"} 1'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_bucket{chat_id="-100",event="checkin",le="0.25"} 1'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_bucket{chat_id="-100",event="checkin",le="0.5"} 2'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_bucket{chat_id="-100",event="checkin",le="15"} 2'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_bucket{chat_id="-100",event="checkin",le="+Inf"} 3'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_sum{chat_id="-100",event="checkin"} 20.38'));
+  assert.ok(lines.includes('loyalty_reward_latency_seconds_count{chat_id="-100",event="checkin"} 3'));
+  assert.ok(lines.includes('loyalty_reward_ltz_total{chat_id="-100",event="checkin"} 20'));
+
+  // Each metric's samples follow its own HELP/TYPE lines
+  const typeLine = name => lines.indexOf(`# TYPE ${name} ${name.endsWith("seconds") ? "histogram" : "counter"}`);
+  assert.ok(typeLine("loyalty_reward_attempts_total") < typeLine("loyalty_reward_latency_seconds"));
+  assert.ok(lines.findIndex(line => line.startsWith("loyalty_reward_latency_seconds_bucket")) > typeLine("loyalty_reward_latency_seconds"));
+  assert.ok(lines.findIndex(line => line.startsWith("loyalty_reward_ltz_total{")) > typeLine("loyalty_reward_ltz_total"));
+});
+
+test("formatPrometheus escapes label values", () => {
+  const output = formatPrometheus([{
+    chatId: "-1",
+    eventId: 'a"b\\c\nd',
+    attempts: {},
+    latency: { count: 0, sumMs: 0, buckets: {} },
+    ltz: 0
+  }]);
+  assert.ok(output.includes('loyalty_reward_ltz_total{chat_id="-1",event="a\\"b\\\\c\\nd"} 0\n'));
+});
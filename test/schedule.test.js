@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseTime, parseWeekday, isJobDue, claimJobRun, getSchedule, saveSchedule } from "../src/utils/schedule.js";
+import { localClock } from "../src/utils/dates.js";
+
+function memoryKV() {
+  const values = new Map();
+  return {
+    async get(key, type) {
+      if (!values.has(key)) return null;
+      return type === "json" ? JSON.parse(values.get(key)) : values.get(key);
+    },
+    async put(key, value) { values.set(key, String(value)); },
+    async delete(key) { values.delete(key); }
+  };
+}
+
+test("parseTime reads 24-hour HH:MM", () => {
+  assert.equal(parseTime("09:30"), 9 * 60 + 30);
+  assert.equal(parseTime("9:05"), 9 * 60 + 5);
+  assert.equal(parseTime("00:00"), 0);
+  assert.equal(parseTime("23:59"), 23 * 60 + 59);
+  for (const value of ["24:00", "12:60", "9", "9:5", "nine", "", null]) {
+    assert.equal(parseTime(value), null, String(value));
+  }
+});
+
+test("parseWeekday reads names and ISO numbers", () => {
+  assert.equal(parseWeekday("mon"), 1);
+  assert.equal(parseWeekday("Sunday"), 7);
+  assert.equal(parseWeekday("FRI"), 5);
+  assert.equal(parseWeekday("3"), 3);
+  for (const value of ["0", "8", "someday", "", undefined]) {
+    assert.equal(parseWeekday(value), null, String(value));
+  }
+});
+
+test("isJobDue runs a job within an hour of its time", () => {
+  const job = { time: "09:00" };
+  assert.equal(isJobDue(job, { weekday: 1, minutes: 8 * 60 + 59 }), false);
+  assert.equal(isJobDue(job, { weekday: 1, minutes: 9 * 60 }), true);
+  assert.equal(isJobDue(job, { weekday: 1, minutes: 9 * 60 + 59 }), true);
+  assert.equal(isJobDue(job, { weekday: 1, minutes: 10 * 60 }), false);
+  assert.equal(isJobDue(null, { weekday: 1, minutes: 9 * 60 }), false);
+});
+
+test("isJobDue keeps weekly jobs to their day", () => {
+  const digest = { day: 7, time: "18:00" };
+  assert.equal(isJobDue(digest, { weekday: 7, minutes: 18 * 60 + 15 }), true);
+  assert.equal(isJobDue(digest, { weekday: 6, minutes: 18 * 60 + 15 }), false);
+});
+
+test("isJobDue follows the chat's local clock", () => {
+  // 07:15 UTC is 09:15 in Madrid (summer time)
+  const now = Date.parse("2026-07-01T07:15:00Z");
+  assert.equal(isJobDue({ time: "09:00" }, localClock(now, "Europe/Madrid")), true);
+  assert.equal(isJobDue({ time: "09:00" }, localClock(now, "UTC")), false);
+});
+
+test("claimJobRun claims each job once per local date", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV() };
+  assert.equal(await claimJobRun(env, -1, "checkin", "2026-10-18"), true);
+  assert.equal(await claimJobRun(env, -1, "checkin", "2026-10-18"), false);
+  assert.equal(await claimJobRun(env, -1, "digest", "2026-10-18"), true);
+  assert.equal(await claimJobRun(env, -1, "checkin", "2026-10-19"), true);
+  assert.equal(await claimJobRun(env, -2, "checkin", "2026-10-18"), true);
+});
+
+test("saveSchedule deletes the key once no jobs are left", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV() };
+  await saveSchedule(env, -1, { checkin: { time: "09:00" } });
+  assert.deepEqual(await getSchedule(env, -1), { checkin: { time: "09:00" } });
+  await saveSchedule(env, -1, {});
+  assert.equal(await env.TELEGRAM_BOT_KV.get("SCHEDULE:-1"), null);
+  assert.deepEqual(await getSchedule(env, -1), {});
+});
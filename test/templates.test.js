@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { renderTemplate, templateVars, setChatTemplate, getChatTemplates, formatMessage } from "../src/utils/templates.js";
+
+function memoryKV() {
+  const values = new Map();
+  return {
+    async get(key, type) {
+      if (!values.has(key)) return null;
+      return type === "json" ? JSON.parse(values.get(key)) : values.get(key);
+    },
+    async put(key, value) { values.set(key, String(value)); },
+    async delete(key) { values.delete(key); }
+  };
+}
+
+// Stands in for a catalogue translator: echoes the key it was asked for
+const t = key => `[${key}]`;
+
+test("renderTemplate substitutes placeholders and escapes template and values", () => {
+  assert.equal(
+    renderTemplate("<b>Hi</b> {first_name}, {amount} LTZ", { first_name: "<Eve & co>", amount: 10 }),
+    "&lt;b&gt;Hi&lt;/b&gt; &lt;Eve &amp; co&gt;, 10 LTZ"
+  );
+});
+
+test("renderTemplate leaves unknown and empty placeholders as written", () => {
+  assert.equal(renderTemplate("{first_name} {streak} {nope}", { first_name: "Al", streak: null }), "Al {streak} {nope}");
+});
+
+test("templateVars falls back to the first name for members without a username", () => {
+  const chat = { id: -1, title: "Group" };
+  assert.deepEqual(templateVars(chat, { first_name: "Al", username: "al" }, { amount: 5 }),
+    { first_name: "Al", username: "@al", chat_title: "Group", amount: 5 });
+  assert.equal(templateVars({ id: -1 }, { first_name: "Al" }).username, "Al");
+});
+
+test("setChatTemplate stores per-kind templates and clears the key when empty", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV() };
+  await setChatTemplate(env, -1, "welcome", "Hi {first_name}");
+  await setChatTemplate(env, -1, "checkin", "Done");
+  assert.deepEqual(await getChatTemplates(env, -1), { welcome: "Hi {first_name}", checkin: "Done" });
+
+  await setChatTemplate(env, -1, "welcome", null);
+  await setChatTemplate(env, -1, "checkin", null);
+  assert.equal(await env.TELEGRAM_BOT_KV.get("MESSAGE_TEMPLATES:-1"), null);
+});
+
+test("formatMessage prefers the chat template, then WELCOME_MESSAGE, then the catalogue", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV(), WELCOME_MESSAGE: "Env {first_name}" };
+  const chat = { id: -1 };
+  const vars = { first_name: "Al" };
+
+  assert.equal(await formatMessage(env, chat, "welcome", vars, t), "Env Al");
+  assert.equal(await formatMessage(env, chat, "checkin", vars, t), "[template.checkin]");
+
+  await setChatTemplate(env, -1, "welcome", "Chat {first_name}");
+  assert.equal(await formatMessage(env, chat, "welcome", vars, t), "Chat Al");
+});
+
+test("formatMessage keeps variant welcomes over WELCOME_MESSAGE", async () => {
+  const env = { TELEGRAM_BOT_KV: memoryKV(), WELCOME_MESSAGE: "Env {first_name}" };
+  assert.equal(
+    await formatMessage(env, { id: -1 }, "welcome", { first_name: "Al" }, t, "template.welcome_hold"),
+    "[template.welcome_hold]"
+  );
+});
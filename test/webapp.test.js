@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import { verifyInitData, getAllowedWebAppEvents } from "../src/utils/webapp.js";
+
+const TOKEN = "123456:TEST-token";
+const NOW = Date.parse("2026-10-18T12:00:00Z");
+const USER = { id: 42, first_name: "Al", language_code: "en" };
+
+// Signs initData the way Telegram documents it, independently of src/utils/webapp.js
+function signInitData(fields, token = TOKEN) {
+  const dataCheckString = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join("\n");
+  const secretKey = createHmac("sha256", "WebAppData").update(token).digest();
+  const hash = createHmac("sha256", secretKey).update(dataCheckString).digest("hex");
+  return new URLSearchParams({ ...fields, hash }).toString();
+}
+
+const fields = (extra = {}) => ({
+  auth_date: String(Math.floor(NOW / 1000) - 60),
+  query_id: "AAH-test",
+  user: JSON.stringify(USER),
+  ...extra
+});
+
+test("verifyInitData accepts data signed with the bot token", async () => {
+  const chat = { id: -100, type: "supergroup" };
+  const result = await verifyInitData({ TELEGRAM_BOT_TOKEN: TOKEN }, signInitData(fields({ chat: JSON.stringify(chat) })), NOW);
+  assert.equal(result.error, null);
+  assert.deepEqual(result.user, USER);
+  assert.deepEqual(result.chat, chat);
+  assert.equal(result.authDate, Math.floor(NOW / 1000) - 60);
+});
+
+test("verifyInitData rejects another bot's signature and tampered fields", async () => {
+  const env = { TELEGRAM_BOT_TOKEN: TOKEN };
+  assert.equal((await verifyInitData(env, signInitData(fields(), "654321:other"), NOW)).error, "bad_signature");
+
+  const tampered = new URLSearchParams(signInitData(fields()));
+  tampered.set("user", JSON.stringify({ ...USER, id: 43 }));
+  assert.equal((await verifyInitData(env, tampered.toString(), NOW)).error, "bad_signature");
+});
+
+test("verifyInitData needs a hash and a bot token", async () => {
+  assert.equal((await verifyInitData({ TELEGRAM_BOT_TOKEN: TOKEN }, "auth_date=1", NOW)).error, "missing_hash");
+  assert.equal((await verifyInitData({ TELEGRAM_BOT_TOKEN: TOKEN }, "", NOW)).error, "missing_hash");
+  assert.equal((await verifyInitData({}, signInitData(fields()), NOW)).error, "missing_hash");
+});
+
+test("verifyInitData rejects stale data, with WEBAPP_AUTH_MAX_AGE overriding the hour", async () => {
+  const old = signInitData(fields({ auth_date: String(Math.floor(NOW / 1000) - 2 * 60 * 60) }));
+  assert.equal((await verifyInitData({ TELEGRAM_BOT_TOKEN: TOKEN }, old, NOW)).error, "stale");
+  assert.equal((await verifyInitData({ TELEGRAM_BOT_TOKEN: TOKEN, WEBAPP_AUTH_MAX_AGE: "86400" }, old, NOW)).error, null);
+});
+
+test("verifyInitData needs a user", async () => {
+  const { user, ...noUser } = fields();
+  assert.equal((await verifyInitData({ TELEGRAM_BOT_TOKEN: TOKEN }, signInitData(noUser), NOW)).error, "no_user");
+});
+
+test("getAllowedWebAppEvents matches brands case-insensitively", () => {
+  const env = { WEBAPP_EVENTS: '{"0xABCdef": ["quest_complete"]}' };
+  assert.deepEqual(getAllowedWebAppEvents(env, "0xabcDEF"), ["quest_complete"]);
+  assert.deepEqual(getAllowedWebAppEvents(env, "0x123"), []);
+  assert.deepEqual(getAllowedWebAppEvents({ WEBAPP_EVENTS: { "0xabc": ["a"] } }, "0xABC"), ["a"]);
+  assert.deepEqual(getAllowedWebAppEvents({}, "0xabc"), []);
+});
+
+test("getAllowedWebAppEvents ignores malformed WEBAPP_EVENTS", (t) => {
+  t.mock.method(console, "error", () => {});
+  assert.deepEqual(getAllowedWebAppEvents({ WEBAPP_EVENTS: "{not json" }, "0xabc"), []);
+});